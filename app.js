@@ -1,488 +1,2667 @@
-import { DotLottie } from './vendor/dotlottie-web.js';
+import { CRASH_KINDS, EyesController, NO_STATE_MACHINE, formatUnknownError } from './src/eyes-controller.js';
+import { overridesForFile, parseRuntimeInputs } from './src/state-model.js';
+import { fileNameFromUrl, sourceFromArrayBuffer, sourceFromFile } from './src/lottie-source.js';
+import { createInputInspector, kindOf, writeInput } from './src/input-inspector.js';
+import { createStateGraph } from './src/state-graph.js';
+import {
+    createTraceRecorder,
+    describeFileMismatch,
+    parseTrace,
+    replayTrace,
+    sha256Hex,
+} from './src/trace-recorder.js';
+import { createTracePanel } from './src/trace-panel.js';
+import { baseName, downloadBlob, downloadJson } from './src/download.js';
+import { BridgeError, createEmbedBridge, originsFromQuery } from './src/embed-bridge.js';
+import { createSequencePlayer, parseSequence } from './src/sequence-player.js';
+import { createSequencePanel } from './src/sequence-panel.js';
+import { SEQUENCE_PRESETS } from './src/sequence-presets.js';
+import {
+    buildSpriteSheet,
+    canvasToBlob,
+    compositeFrame,
+    createCanvasRecorder,
+    createFrameRenderer,
+    fitSize,
+    segmentFrames,
+} from './src/frame-export.js';
+import { encodeGif } from './src/gif-encoder.js';
+import { muxAnimatedWebp } from './src/webp-animator.js';
+import { createExportPanel } from './src/export-panel.js';
+import { createTimelinePanel } from './src/timeline-panel.js';
+import { formatReport, validateLottieBytes } from './src/lottie-validator.js';
+import { createValidatorPanel } from './src/validator-panel.js';
+import {
+    detectColors,
+    listSlots,
+    packThemedLottie,
+    readThemeSource,
+    slotifySource,
+    themeFromValues,
+    valuesFromTheme,
+} from './src/lottie-theme.js';
+import { createThemePanel } from './src/theme-panel.js';
+import { checkViewLink, formatViewLink, parseViewLink } from './src/view-link.js';
+import { compareFiles, describeDifferences, diffPixels } from './src/lottie-compare.js';
+import { createComparePanel } from './src/compare-panel.js';
+import { SHORTCUTS, createAnnouncer, shortcutFor, stepValue } from './src/accessibility.js';
+import {
+    DEFAULT_VIEW,
+    clampView,
+    layerOutline,
+    layoutRect,
+    panBy,
+    pixelGrid,
+    visibleViewport,
+    zoomAt,
+} from './src/stage-view.js';
+import { LAYER_COLORS, createStagePanel } from './src/stage-panel.js';
+import { createFrameStats, formatBenchmark, runBenchmark, watchVisibility } from './src/perf-monitor.js';
+import { createPerfPanel, renderHud } from './src/perf-panel.js';
+import { createScenePanel } from './src/scene-panel.js';
+import { readImageAssets, replaceImageAsset } from './src/lottie-assets.js';
+import { createAssetPanel } from './src/asset-panel.js';
+import { DEFAULT_DEBOUNCE_MS, DEFAULT_FEED_MAPPING, createStatusFeed, parseFeedMapping } from './src/status-feed.js';
+import { createStatusFeedPanel } from './src/status-feed-panel.js';
+import { checkMachine, createEditHistory, readMarkerNames, repackMachine } from './src/machine-editor.js';
+import { createMachineEditorPanel } from './src/machine-editor-panel.js';
 
 // DOM Elements
 const canvas = document.getElementById('lottie-canvas');
 const loadingOverlay = document.getElementById('loading');
 const currentStateDisplay = document.getElementById('current-state');
-const stateRadios = document.querySelectorAll('input[name="state"]');
+const stateTogglesEl = document.getElementById('state-toggles');
+const stateConfigEl = document.getElementById('state-config');
+const embedConfigEl = document.getElementById('embed-config');
 const stage = document.querySelector('.stage');
-const lottieContainer = document.querySelector('.lottie-container');
 const layout = document.querySelector('.layout');
 const leftCol = document.querySelector('.left');
 const topEl = document.querySelector('.top');
-const footer = document.querySelector('.footer');
 const debugEl = document.getElementById('debug');
 const bgModeRadios = document.querySelectorAll('input[name="bg-mode"]');
 const bgColorInput = document.getElementById('bg-color');
 const bgColorPill = document.querySelector('.bg-color-pill');
+const fileInput = document.getElementById('file-input');
+const fileNameDisplay = document.getElementById('current-file');
+const inspectorEl = document.getElementById('input-inspector');
+const graphEl = document.getElementById('state-graph');
+const tracePanelEl = document.getElementById('trace-panel');
+const sequencePanelEl = document.getElementById('sequence-panel');
+const feedPanelEl = document.getElementById('feed-panel');
+const assetPanelEl = document.getElementById('asset-panel');
+const exportPanelEl = document.getElementById('export-panel');
+const timelinePanelEl = document.getElementById('timeline-panel');
+const validatorPanelEl = document.getElementById('validator-panel');
+const themePanelEl = document.getElementById('theme-panel');
+const copyLinkButton = document.getElementById('copy-link');
+const comparePanelEl = document.getElementById('compare-panel');
+const compareContainer = document.getElementById('compare-container');
+const compareCanvas = document.getElementById('compare-canvas');
+const compareOverlay = document.getElementById('compare-overlay');
+const compareLabelA = document.getElementById('compare-label-a');
+const compareLabelB = document.getElementById('compare-label-b');
+const announcerEl = document.getElementById('state-announcer');
+const motionRadios = document.querySelectorAll('input[name="motion"]');
+const shortcutHelp = document.getElementById('shortcut-help');
+const shortcutHelpButton = document.getElementById('shortcut-help-button');
+const stagePanelEl = document.getElementById('stage-panel');
+const stageOverlay = document.getElementById('stage-overlay');
+const perfPanelEl = document.getElementById('perf-panel');
+const perfHud = document.getElementById('perf-hud');
+const scenePanelEl = document.getElementById('scene-panel');
+const machineEditorEl = document.getElementById('machine-editor');
 
-let dotLottie = null;
-let pendingState = null;
 let bgMode = 'solid';
 let bgColor = '#eee5ff';
-let uiHighlightLock = null; // { state: 'Base' | 'Boot' | 'Peek' | 'Think' | 'Reply' | 'Wink' | 'Error', expiresAt: number, reachedAt: number | null, mode: 'stable' | 'leave' | 'reach' }
-let lastObservedUiState = 'Base';
-let pendingAfterTransientState = null; // string state value to re-apply after Boot/Wink returns to Base
-let scheduledStateRetry = null; // timeout id
-let scheduledStateRetryFor = null; // string
-let lastRequestedState = null;
-let lastWasmRecoveryAt = 0;
-
-function getMachineStateName(machineState) {
-    if (typeof machineState === 'string') return machineState;
-    if (machineState && typeof machineState === 'object') {
-        // Common event payload shapes across runtimes:
-        // { name: 'Load_Loop_Out' }, { id: 'Think_Loop' }, etc.
-        if (typeof machineState.name === 'string') return machineState.name;
-        if (typeof machineState.id === 'string') return machineState.id;
-        if (typeof machineState.state === 'string') return machineState.state;
-    }
-    return String(machineState || '');
-}
-
-function normalizeUiStateFromMachineState(machineState) {
-    const s = getMachineStateName(machineState);
-    const u = s.toLowerCase();
-
-    // Map common prefixes/variants to the UI's states.
-    // Examples:
-    // - Peek, Peek_Loop_In, Peek_Loop, Peek_Loop_Out → Peek
-    // - Think_*, Reply_* → Think / Reply
-    // - Loading_Loop_* / Load_* (machine internal) → Think
-    // - Eyes_Base, Base_* → Base
-    if (u.includes('boot')) return 'Boot';
-    if (u.includes('peek')) return 'Peek';
-    // In this file, "Loading_Loop" / "Load_*" internal states are part of the Think flow.
-    if (u.includes('loading')) return 'Think';
-    if (u.includes('load_loop') || u.includes('loadloop') || u.includes('load')) return 'Think';
-    if (u.includes('think')) return 'Think';
-    if (u.includes('reply')) return 'Reply';
-    if (u.includes('wink')) return 'Wink';
-    if (u.includes('error')) return 'Error';
-
-    // Default bucket (covers Base, Eyes_Base, idle, etc.)
-    return 'Base';
-}
-
-function syncStateUI(state) {
-    if (!state) return;
-
-    // Keep the radio highlight stable by mapping multiple internal states to one UI state.
-    const uiState = normalizeUiStateFromMachineState(state);
-    lastObservedUiState = uiState;
-
-    // Keep highlight pinned to the user-selected UI state while the state machine
-    // runs transient states (ex: previousState_Loop_Out) during transitions.
-    const now = Date.now();
-    if (uiHighlightLock && now > uiHighlightLock.expiresAt) {
-        uiHighlightLock = null;
-    }
-
-    // When the user selects a new state, keep the highlight pinned to that requested
-    // UI bucket while the machine runs transient states (ex: previousState_Loop_Out).
-    //
-    // Mode:
-    // - stable: unlock only after the machine has stayed in the requested bucket for
-    //   STABLE_MS continuously (prevents "bounce back" highlighting the old state).
-    // - leave: once the requested bucket is reached, unlock as soon as we *leave* it
-    //   (useful for transient states like Boot/Wink that auto-return to Base).
-    // - reach: unlock immediately once the requested bucket is reached at least once.
-    const STABLE_MS = 650;
-    if (uiHighlightLock) {
-        if (uiState === uiHighlightLock.state) {
-            if (uiHighlightLock.reachedAt == null) uiHighlightLock.reachedAt = now;
-            if (uiHighlightLock.mode === 'reach') {
-                uiHighlightLock = null;
-            } else if (uiHighlightLock.mode === 'stable' && now - uiHighlightLock.reachedAt >= STABLE_MS) {
-                uiHighlightLock = null;
+let stateRadios = [];
+// What is currently open ({ src } or { data }, plus a display fileName). Files fetched for
+// ?src= or a link keep their `url`; the bundled file and edits of it are marked `bundled`.
+const DEFAULT_SOURCE = { src: './CSM.lottie', fileName: 'CSM.lottie', bundled: true };
+let currentSource = DEFAULT_SOURCE;
+let currentSourceHash = null; // Promise<string | null> (SHA-256 of the open file, for trace matching)
+let pendingReplay = null; // trace to replay once the file finishes (re)loading
+let cancelReplay = null;
+
+// State requests, highlight locking, retries and crash recovery live in the controller
+// (src/eyes-controller.js); this page renders its events.
+const eyes = new EyesController(canvas, {
+    getOverrides: (fileName) => overridesForFile(readStateConfig(), fileName),
+});
+
+const tracePanel = tracePanelEl
+    ? createTracePanel(tracePanelEl, {
+        onRestart: () => {
+            stopReplay();
+            openSource(currentSource);
+        },
+        onExport: () => exportTrace(),
+        onImport: (file) => importTrace(file),
+        onReplay: () => startReplay(importedTrace || traceRecorder.toJSON()),
+        onStop: () => stopReplay(),
+    })
+    : null;
+const traceRecorder = createTraceRecorder({ onEntry: (entry) => tracePanel?.append(entry) });
+let importedTrace = null;
+
+const inputInspector = inspectorEl
+    ? createInputInspector(inspectorEl, {
+        onError: (message) => showDebug(message),
+        getSuggestions: (name) => (name === eyes.model.inputName ? eyes.model.values : []),
+        onWrite: (name, inputType, value) => {
+            statusFeed.forgetSent();
+            traceRecorder.record('set-input', { name, inputType, value });
+            mirrorInput(name, inputType, value);
+        },
+        onFire: (event) => {
+            traceRecorder.record('fire', { event });
+            mirrorEvent(event);
+        },
+    })
+    : null;
+
+const stateGraph = graphEl
+    ? createStateGraph(graphEl, { onSelectState: (name) => overrideMachineState(name) })
+    : null;
+
+// Headings for controller errors in the debug panel, by `source`.
+const ERROR_TITLES = {
+    setState: 'State set error',
+    override: 'State override error',
+    model: 'Could not read the state machine',
+    stateMachineError: 'State machine error',
+    recovery: 'Crash recovery',
+    machineData: 'Edited state machine',
+};
+
+function readJsonBlock(el, label) {
+    if (!el) return {};
+    try {
+        return JSON.parse(el.textContent || '{}');
+    } catch (e) {
+        console.warn(`Ignoring invalid ${label} JSON:`, e);
+        return {};
+    }
+}
+
+function readStateConfig() {
+    return readJsonBlock(stateConfigEl, '#state-config');
+}
+
+function renderStateControls() {
+    if (!stateTogglesEl) return;
+
+    const { model } = eyes;
+    const selected = eyes.highlightedState;
+    // Rebuilding drops the focus; give it to the new checked tile.
+    const hadFocus = stateTogglesEl.contains(document.activeElement);
+
+    stateTogglesEl.replaceChildren();
+    for (const [index, value] of model.values.entries()) {
+        const label = document.createElement('label');
+        label.className = 'state-toggle';
+
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = 'state';
+        input.value = value;
+        input.checked = value === selected;
+        if (index < 9) input.setAttribute('aria-keyshortcuts', String(index + 1));
+
+        const tile = document.createElement('span');
+        tile.className = 'tile';
+        tile.textContent = model.labelOf(value);
+
+        label.append(input, tile);
+        stateTogglesEl.append(label);
+    }
+    stateRadios = Array.from(stateTogglesEl.querySelectorAll('input[name="state"]'));
+    stateTogglesEl.hidden = stateRadios.length === 0;
+    if (hadFocus) (stateRadios.find((radio) => radio.checked) || stateRadios[0])?.focus();
+}
+
+// Check the highlighted tile without re-triggering state changes. A radiogroup's tab stop is
+// its checked radio, so focus inside the group moves with the highlight when the machine moves
+// it (a Wink returning to Base, a rejected request) instead of staying on an unchecked tile.
+function syncStateUI(highlighted) {
+    const focused = stateRadios.includes(document.activeElement);
+    for (const radio of stateRadios) {
+        radio.checked = radio.value === highlighted;
+    }
+    if (focused) stateRadios.find((radio) => radio.checked)?.focus();
+}
+
+// `persist: false` leaves the stored preference alone (a background that came from a link).
+function applyBackground(mode, color, { persist = true } = {}) {
+    bgMode = mode;
+    bgColor = color;
+    bgModeRadios.forEach((r) => {
+        r.checked = r.value === mode;
+    });
+
+    if (stage) {
+        stage.dataset.bg = mode;
+        if (mode === 'solid') stage.style.setProperty('--solid-bg', color);
+        else stage.style.removeProperty('--solid-bg');
+    }
+
+    if (bgColorInput) {
+        bgColorInput.disabled = mode !== 'solid';
+        if (bgColorInput.value !== color) bgColorInput.value = color;
+    }
+
+    if (bgColorPill) {
+        bgColorPill.style.setProperty('--bgpill', mode === 'solid' ? color : 'rgba(111, 71, 255, 0.10)');
+        bgColorPill.classList.toggle('is-disabled', mode !== 'solid');
+    }
+
+    if (persist) {
+        try {
+            localStorage.setItem('lottieViewer.bgMode', mode);
+            localStorage.setItem('lottieViewer.bgColor', color);
+        } catch {
+            // ignore
+        }
+    }
+
+    eyes.setBackgroundColor(mode === 'solid' ? color : null);
+    compareEyes?.setBackgroundColor(mode === 'solid' ? color : null);
+    scheduleLinkUpdate();
+}
+
+const CRASH_TITLES = {
+    wasm: 'WASM error',
+    frozen: 'rendering froze',
+    render: 'render loop error',
+    context: 'canvas context lost',
+};
+
+// Crash counters for the debug panel (eyes.crashes).
+function describeCrashes(crashes) {
+    const kinds = Object.entries(crashes.byKind)
+        .filter(([, count]) => count)
+        .map(([kind, count]) => `${kind} ${count}`);
+    return `Crashes this session: ${crashes.total}${kinds.length ? ` (${kinds.join(', ')})` : ''}, ${crashes.recovered} recovered.`;
+}
+
+function showDebug(message) {
+    if (!debugEl) return;
+    debugEl.hidden = false;
+    debugEl.textContent = message;
+}
+
+// Add to whatever the debug panel already shows (e.g. a load error) instead of replacing it.
+function appendDebug(message) {
+    if (!debugEl) return;
+    if (debugEl.hidden || !debugEl.textContent) {
+        showDebug(message);
+        return;
+    }
+    debugEl.textContent += `\n\n${message}`;
+}
+
+function clearDebug() {
+    if (!debugEl) return;
+    debugEl.hidden = true;
+    debugEl.textContent = '';
+}
+
+// Open a new source (a fresh session: new trace, initial state applied on load). Unless
+// `options.stateMachineId` or `options.animationId` says otherwise, the animation and machine in
+// use are kept; files opened by the user pass null to start with the ones remembered for that
+// file name, else the manifest's first.
+function openSource(source, options = {}) {
+    if (source !== currentSource || !currentSourceHash) {
+        currentSourceHash = hashSource(source);
+    }
+    currentSource = source;
+    if (fileNameDisplay) fileNameDisplay.textContent = source.fileName || '(unnamed)';
+    const keep = options.stateMachineId === undefined && options.animationId === undefined;
+    const remembered = keep ? null : rememberedSelection(source.fileName);
+    eyes.load(source, {
+        ...options,
+        stateMachineId: keep ? eyes.stateMachineId : (options.stateMachineId ?? remembered.stateMachine),
+        animationId: keep ? eyes.animationId : (options.animationId ?? remembered.animation),
+    });
+}
+
+// The raw bytes of a source (ArrayBuffer, or a string for JSON opened from disk).
+async function readSourceBytes(source) {
+    if (source.data) return source.data;
+    if (source.src) return (await fetch(source.src)).arrayBuffer();
+    return null;
+}
+
+// Fingerprint a source so traces can tell whether they're replayed against the same file.
+async function hashSource(source) {
+    try {
+        const bytes = await readSourceBytes(source);
+        if (bytes) return await sha256Hex(bytes);
+    } catch (e) {
+        console.warn('Could not fingerprint the open file:', e);
+    }
+    return null;
+}
+
+async function openFile(file) {
+    stopReplay();
+    sequencePlayer.stop();
+    try {
+        openSource(await sourceFromFile(file), { stateMachineId: null });
+    } catch (error) {
+        console.error('Failed to open file:', error);
+        showDebug(`Could not open file:\n${error?.message || error}`);
+    }
+}
+
+async function openUrl(url, options = { stateMachineId: null }) {
+    const fileName = fileNameFromUrl(url);
+    stopReplay();
+    sequencePlayer.stop();
+    showLoading(true);
+    try {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (e) {
+            throw new Error(`Network error fetching ${url}\n${e?.message || e}\n(Cross-origin URLs need CORS headers.)`);
+        }
+        if (!response.ok) {
+            throw new Error(`Fetching ${url} failed: HTTP ${response.status} ${response.statusText}`.trim());
+        }
+        openSource({ ...sourceFromArrayBuffer(await response.arrayBuffer(), fileName), url }, options);
+    } catch (error) {
+        console.error('Failed to open URL:', error);
+        showDebug(`Could not open ${url}\n${error?.message || error}`);
+        dropPendingLink();
+        showLoading(false);
+    }
+}
+
+function recomputeStageSize() {
+    if (!layout || !leftCol || !stage) return;
+
+    const leftRect = leftCol.getBoundingClientRect();
+    const stageMaxByLeftHeight = leftRect.height;
+
+    // Available height is the `.top` region (already excludes footer)
+    const availableH = Math.max(240, (topEl ? topEl.getBoundingClientRect().height : window.innerHeight));
+
+    // Available width for stage in the layout
+    const layoutRect = layout.getBoundingClientRect();
+    const availableW = Math.max(240, layoutRect.width - leftRect.width - 80); // 80 ~= gap + slack
+
+    const next = Math.floor(Math.max(240, Math.min(stageMaxByLeftHeight, availableH, availableW)));
+    layout.style.setProperty('--stage-size', `${next}px`);
+}
+
+// Controller events → page UI and trace
+eyes.addEventListener('loadstart', ({ detail }) => {
+    // A crash reload keeps the crash report up.
+    if (!detail.recovering) clearDebug();
+    showLoading(true);
+    validatorPanel?.render(null);
+});
+
+eyes.addEventListener('load', ({ detail }) => {
+    showLoading(false);
+
+    // A fresh load starts a new trace; a crash-recovery reload continues the current one.
+    const name = detail.fileName || '(unnamed)';
+    if (detail.recovered) {
+        traceRecorder.record('recovery', { reason: 'reloaded after crash', state: detail.state });
+        showDebug(`Recovered from a renderer crash; the session was restored.\n\n${describeCrashes(eyes.crashes)}`);
+        return;
+    }
+    // Another animation of the open file: same trace, but its own slots and layers.
+    if (detail.switched) {
+        announcer.now(`Showing animation ${detail.animationId}.`);
+        readOpenFileTheme();
+        readStageLayers();
+        return;
+    }
+    traceRecorder.start({ name });
+    tracePanel?.reset();
+    announcer.reset();
+    announcer.now(`Opened ${name}.`);
+    // A new file starts with its state machine running.
+    timelineActive = false;
+    timelineLoop = null;
+    timelineSaved = null;
+    timelinePanel?.setActive(false);
+    currentSourceHash?.then((sha256) => {
+        if (traceRecorder.file?.name === name) traceRecorder.setFileHash(sha256);
+    });
+    traceRecorder.record('load', { fileName: name });
+    validateOpenFile();
+    readOpenFileTheme();
+    readOpenFileAssets();
+    readStageLayers();
+});
+
+eyes.addEventListener('modelchange', ({ detail }) => {
+    const { definition, model, hasStateMachine } = detail;
+    const player = eyes.player;
+    // The controller restores the paused frame after a crash; the loop is the timeline's.
+    if (detail.recovered && timelineActive) setTimeout(() => restoreTimelineLoop(), 0);
+
+    renderStateControls();
+    if (stateGraph) {
+        stateGraph.render(definition);
+        const current = eyes.currentState || definition?.initial;
+        if (current) stateGraph.setActive(current);
+    }
+    if (inputInspector) {
+        const inputs = hasStateMachine && typeof player.stateMachineGetInputs === 'function'
+            ? parseRuntimeInputs(player.stateMachineGetInputs())
+            : [];
+        inputInspector.attach(player, inputs);
+    }
+    exportPanel?.setSegments(exportSegments());
+    timelinePanel?.setAnimation({ markers: player?.markers?.() || [], totalFrames: player?.totalFrames || 0 });
+    if (!model.inputName && currentStateDisplay) {
+        currentStateDisplay.textContent = hasStateMachine ? '(no string input to drive)' : '(no state machine)';
+    }
+
+    // A replay re-issues the recorded initial request itself, at its recorded time.
+    if (pendingReplay) {
+        const trace = pendingReplay;
+        pendingReplay = null;
+        beginReplay(trace);
+    }
+    if (pendingLink && !detail.recovered) {
+        const link = pendingLink;
+        pendingLink = null;
+        applyLinkToOpenFile(link);
+    }
+    refreshComparison();
+    scheduleLinkUpdate();
+});
+
+eyes.addEventListener('loaderror', ({ detail }) => {
+    if (detail.source === 'init') {
+        showDebug(`Init error:\n${detail.message}`);
+    } else {
+        traceRecorder.record('error', { source: detail.source, message: detail.message });
+        const hint = detail.fileName ? `\n\nFile: ${detail.fileName}` : '';
+        showDebug(`Load error:\n${detail.message}${hint}`);
+        // The validator usually explains a file the player refuses better than the player does.
+        validateOpenFile();
+        dropPendingLink();
+    }
+    showLoading(false);
+});
+
+eyes.addEventListener('statechange', ({ detail }) => {
+    syncStateUI(detail.highlighted);
+    // Boot and Wink come and go by themselves; only a request for one is announced (settle).
+    if (detail.highlighted && !eyes.model.isTransient(detail.highlighted)) announceState(detail.highlighted);
+    // Show the actual internal state name for debugging/clarity.
+    if (currentStateDisplay) currentStateDisplay.textContent = detail.state;
+    scheduleLinkUpdate();
+});
+
+eyes.addEventListener('stateenter', ({ detail }) => {
+    traceRecorder.record('state', { state: detail.state });
+    stateGraph?.setActive(detail.state);
+});
+
+eyes.addEventListener('transition', ({ detail }) => {
+    traceRecorder.record('transition', { from: detail.from, to: detail.to });
+    stateGraph?.markTransition(detail.from, detail.to);
+});
+
+eyes.addEventListener('settle', ({ detail }) => announceState(detail.value));
+eyes.addEventListener('inputchange', ({ detail }) => traceRecorder.record('input', detail));
+eyes.addEventListener('request', ({ detail }) => traceRecorder.record('request', detail));
+eyes.addEventListener('override', ({ detail }) => traceRecorder.record('override', detail));
+eyes.addEventListener('retry', ({ detail }) => traceRecorder.record('retry-scheduled', detail));
+eyes.addEventListener('suspend', ({ detail }) => {
+    traceRecorder.record('suspend', detail);
+    scheduleLinkUpdate();
+});
+eyes.addEventListener('resume', ({ detail }) => {
+    traceRecorder.record('resume', detail);
+    scheduleLinkUpdate();
+});
+
+eyes.addEventListener('crash', ({ detail }) => {
+    traceRecorder.record('crash', { kind: detail.kind, message: detail.message });
+    const next = detail.recovering ? 'Reloading and restoring the session…' : 'Not reloading again.';
+    showDebug(`Renderer crash (${CRASH_TITLES[detail.kind]}):\n${detail.message}\n${next}\n\n${describeCrashes(detail.crashes)}`);
+});
+eyes.addEventListener('recovery', ({ detail }) => traceRecorder.record('recovery', detail));
+
+eyes.addEventListener('machineerror', ({ detail }) => {
+    traceRecorder.record('error', { source: detail.source, message: detail.message });
+    // Giving up on recovery goes under the crash report and its counters.
+    const show = detail.source === 'recovery' ? appendDebug : showDebug;
+    show(`${ERROR_TITLES[detail.source] || 'Error'}:\n${detail.message}`);
+});
+
+// A state selection made by a person (tile click, replayed trace). Rejections from the
+// machine are already reported through `machineerror`; a newer click superseding an
+// older one is expected. A request made in timeline mode switches back to the machine.
+// Any request but the live feed's own (`fromFeed`) means the feed's last state may no
+// longer hold, so its next message is sent even if it repeats.
+function requestState(value, { fromFeed = false, ...options } = {}) {
+    if (!fromFeed) statusFeed.forgetSent();
+    const settled = timelineActive ? exitTimeline(value) : eyes.setState(value, options);
+    mirrorState(value);
+    settled.catch((error) => {
+        if (error?.code !== 'superseded') console.warn(`setState(${JSON.stringify(value)}):`, error?.message || error);
+    });
+    return settled;
+}
+
+// Jump straight to a machine state (graph node click).
+function overrideMachineState(stateName) {
+    statusFeed.forgetSent();
+    if (timelineActive) exitTimeline(null);
+    if (eyes.overrideState(stateName)) stateGraph?.setActive(stateName);
+    mirrorOverride(stateName);
+}
+
+// Keyboard shortcuts, screen-reader announcements and reduced motion (src/accessibility.js).
+// The Motion setting is `auto` (`still` under prefers-reduced-motion, else `full`) or one of
+// the controller's modes, and is kept in localStorage.
+const MOTION_KEY = 'lottieViewer.motion';
+const MOTION_SETTINGS = ['auto', 'full', 'slow', 'still'];
+const reducedMotionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+const announcer = createAnnouncer((text) => {
+    if (announcerEl) announcerEl.textContent = text;
+});
+let motionSetting = 'auto';
+
+function announceState(value) {
+    announcer.settle(`State: ${eyes.model.labelOf(value)}.`);
+}
+
+function applyMotion(setting, { persist = true } = {}) {
+    motionSetting = setting;
+    motionRadios.forEach((r) => {
+        r.checked = r.value === setting;
+    });
+    const mode = setting === 'auto' ? (reducedMotionQuery?.matches ? 'still' : 'full') : setting;
+    eyes.setMotion(mode);
+    compareEyes?.setMotion(mode);
+    if (persist) {
+        try {
+            localStorage.setItem(MOTION_KEY, setting);
+        } catch {
+            // ignore
+        }
+    }
+}
+
+function togglePlayback() {
+    const player = eyes.player;
+    if (!player || !eyes.isLoaded) return;
+    if (timelineActive) timelinePlayPause();
+    else if (player.isPlaying) player.pause();
+    else player.play();
+    announcer.now(player.isPlaying ? 'Playing.' : 'Paused.');
+}
+
+function toggleShortcutHelp() {
+    if (!shortcutHelp) return;
+    if (shortcutHelp.open) shortcutHelp.close();
+    else shortcutHelp.showModal();
+}
+
+function runShortcut(shortcut) {
+    switch (shortcut.action) {
+        case 'help':
+            toggleShortcutHelp();
+            break;
+        case 'pause':
+            togglePlayback();
+            break;
+        case 'state': {
+            const radio = stateRadios[shortcut.index];
+            if (radio) requestState(radio.value);
+            break;
+        }
+        case 'step': {
+            const next = stepValue(stateRadios.map((radio) => radio.value), eyes.highlightedState, shortcut.delta);
+            if (next) requestState(next);
+            break;
+        }
+        default:
+            break;
+    }
+}
+
+// Timeline mode: the machine is suspended and the transport bar drives the player directly
+// (setFrame / setMarker / setSegment). Leaving restores the playback settings and restarts the
+// machine in the last requested state. Speed is the controller's, so it applies in both modes.
+const timelinePanel = timelinePanelEl
+    ? createTimelinePanel(timelinePanelEl, {
+        getPlayback: () => {
+            const player = eyes.player;
+            return player?.isLoaded ? { frame: player.currentFrame, playing: player.isPlaying } : null;
+        },
+        onToggleMode: () => (timelineActive ? exitTimeline() : enterTimeline()),
+        onPlayPause: () => timelinePlayPause(),
+        onStep: (delta) => timelineStep(delta),
+        onSeek: (frame) => timelineSeek(frame),
+        onSpeed: (speed) => setPlaybackSpeed(speed),
+        onLoopMarker: (name) => timelineLoopMarker(name),
+        onLoopRange: (start, end) => timelineLoopRange(start, end),
+        onClearLoop: () => clearTimelineLoop(),
+    })
+    : null;
+let timelineActive = false;
+let timelineLoop = null; // { marker } | { start, end }
+let timelineSaved = null; // playback settings to restore on exit
+
+function enterTimeline() {
+    if (timelineActive) return true;
+    const player = eyes.player;
+    if (!player?.isLoaded) return false;
+
+    // Sequences and replays drive the machine; they'd switch straight back.
+    sequencePlayer.stop();
+    stopReplay();
+    timelineSaved = { loop: player.loop, mode: player.mode };
+    if (!eyes.suspend()) return false;
+    player.setLoop(true);
+    player.setMode('forward');
+    timelineActive = true;
+    timelineLoop = null;
+    timelinePanel?.setActive(true);
+    timelinePanel?.setLoop(null);
+    timelinePanel?.setStatus('Timeline mode: the state machine is paused.');
+    return true;
+}
+
+// `value`: the state to resume in (default: the last requested one; null for none).
+function exitTimeline(value) {
+    const player = eyes.player;
+    timelineActive = false;
+    timelineLoop = null;
+    try {
+        if (player && timelineSaved) {
+            player.setMarker('');
+            player.setSegment(0, Math.max(0, player.totalFrames - 1));
+            player.setLoop(timelineSaved.loop);
+            player.setMode(timelineSaved.mode || 'forward');
+        }
+    } catch (error) {
+        console.warn('Could not restore playback settings:', error);
+    }
+    timelineSaved = null;
+    timelinePanel?.setActive(false);
+    timelinePanel?.setLoop(null);
+    timelinePanel?.setStatus('');
+
+    const resumed = eyes.resume(value);
+    resumed.catch((error) => {
+        if (error?.code !== 'superseded') console.warn('Resuming the state machine:', error?.message || error);
+    });
+    return resumed;
+}
+
+function setPlaybackSpeed(speed) {
+    if (!eyes.setSpeed(speed)) return;
+    compareEyes?.setSpeed(speed);
+    timelinePanel?.setSpeed(speed);
+    scheduleLinkUpdate();
+}
+
+function timelinePlayPause() {
+    const player = eyes.player;
+    if (!player) return;
+    if (player.isPlaying) player.pause();
+    else player.play();
+    timelinePanel?.update();
+    scheduleLinkUpdate();
+}
+
+// The frame range playback is confined to (the loop, or the whole animation).
+function timelineRange() {
+    const player = eyes.player;
+    const last = Math.max(0, (player?.totalFrames || 1) - 1);
+    if (timelineLoop?.marker) {
+        const marker = player.markers().find((m) => m.name === timelineLoop.marker);
+        if (marker) return { start: marker.time, end: Math.min(last, marker.time + marker.duration) };
+    }
+    if (timelineLoop?.start != null) return { start: timelineLoop.start, end: timelineLoop.end };
+    return { start: 0, end: last };
+}
+
+function timelineStep(delta) {
+    const player = eyes.player;
+    if (!player || !enterTimeline()) return;
+    player.pause();
+    const { start, end } = timelineRange();
+    const frame = Math.min(end, Math.max(start, Math.round(player.currentFrame) + delta));
+    player.setFrame(frame);
+    timelinePanel?.update();
+    scheduleLinkUpdate();
+}
+
+function timelineSeek(frame) {
+    const player = eyes.player;
+    if (!player || !enterTimeline()) return;
+    const { start, end } = timelineRange();
+    // Scrubbing outside the loop drops it.
+    if (timelineLoop && (frame < start || frame > end)) clearTimelineLoop();
+    player.pause();
+    player.setFrame(frame);
+    timelinePanel?.update();
+    scheduleLinkUpdate();
+}
+
+function timelineLoopMarker(name) {
+    const player = eyes.player;
+    if (!player || !enterTimeline()) return;
+    timelineLoop = { marker: name };
+    player.setMarker(name);
+    player.setLoop(true);
+    player.play();
+    timelinePanel?.setLoop(timelineLoop);
+    timelinePanel?.setStatus(`Looping marker ${name}.`);
+    scheduleLinkUpdate();
+}
+
+function timelineLoopRange(start, end) {
+    const player = eyes.player;
+    if (!player || !enterTimeline()) return;
+    timelineLoop = { start, end };
+    // A marker takes precedence over the segment, so clear it first.
+    player.setMarker('');
+    player.setSegment(start, end);
+    player.setLoop(true);
+    player.setFrame(start);
+    player.play();
+    timelinePanel?.setLoop(timelineLoop);
+    timelinePanel?.setStatus(`Looping frames ${start}–${end}.`);
+    scheduleLinkUpdate();
+}
+
+function clearTimelineLoop() {
+    const player = eyes.player;
+    timelineLoop = null;
+    timelinePanel?.setLoop(null);
+    scheduleLinkUpdate();
+    if (!player || !timelineActive) return;
+    player.setMarker('');
+    player.setSegment(0, Math.max(0, player.totalFrames - 1));
+    timelinePanel?.setStatus('Timeline mode: the state machine is paused.');
+}
+
+// After a crash reload the new player has default playback settings.
+function restoreTimelineLoop() {
+    const player = eyes.player;
+    if (!player || !timelineActive) return;
+    player.setLoop(true);
+    player.setMode('forward');
+    if (timelineLoop?.marker) {
+        player.setMarker(timelineLoop.marker);
+    } else if (timelineLoop) {
+        player.setMarker('');
+        player.setSegment(timelineLoop.start, timelineLoop.end);
+    }
+    timelinePanel?.update();
+}
+
+// Iframe embedding: a host page drives the viewer over postMessage (src/embed-bridge.js).
+// Commands take the same paths as the page's own controls, so both behave identically.
+function requirePlayer() {
+    if (!eyes.player || !eyes.isLoaded) throw new BridgeError('not-loaded', 'No animation is loaded yet.');
+    return eyes.player;
+}
+
+function requireString(params, key, command) {
+    if (typeof params[key] !== 'string' || !params[key]) {
+        throw new BridgeError('bad-request', `${command} needs a "${key}" string.`);
+    }
+    return params[key];
+}
+
+// Write a state machine input by name, looking its type up on the machine (bridge, sequences
+// and the live feed; the inspector knows the type already). As with requestState, a write the
+// feed didn't make (`fromFeed`) has its next message sent even if it repeats.
+function setInputByName(name, value, { fromFeed = false } = {}) {
+    const player = requirePlayer();
+    const inputs = typeof player.stateMachineGetInputs === 'function'
+        ? parseRuntimeInputs(player.stateMachineGetInputs())
+        : [];
+    const input = inputs.find((candidate) => candidate.name === name);
+    if (!input) throw new BridgeError('unknown-input', `No state machine input named ${JSON.stringify(name)}.`);
+
+    const inputType = kindOf(input.type);
+    if (!fromFeed) statusFeed.forgetSent();
+    traceRecorder.record('set-input', { name, inputType, value });
+    if (writeInput(player, name, inputType, value) === false) {
+        throw new BridgeError('rejected', `State machine rejected ${inputType} input ${name} = ${JSON.stringify(value)}.`);
+    }
+    mirrorInput(name, inputType, value);
+    return { name, inputType, value };
+}
+
+function describeStatus() {
+    const player = eyes.player;
+    const loaded = Boolean(player) && eyes.isLoaded;
+    return {
+        fileName: currentSource.fileName || null,
+        loaded,
+        playing: loaded ? Boolean(player.isPlaying) : false,
+        inputName: eyes.model.inputName,
+        states: eyes.model.values,
+        state: eyes.highlightedState,
+        machineState: eyes.currentState,
+        background: { mode: bgMode, color: bgColor },
+    };
+}
+
+const embedCommands = {
+    async setState(params) {
+        return requestState(requireString(params, 'state', 'setState'));
+    },
+    setInput(params) {
+        return setInputByName(requireString(params, 'name', 'setInput'), params.value);
+    },
+    fireEvent(params) {
+        const player = requirePlayer();
+        const event = requireString(params, 'event', 'fireEvent');
+        traceRecorder.record('fire', { event });
+        player.stateMachineFireEvent(event);
+        mirrorEvent(event);
+        return { event };
+    },
+    setBackground(params) {
+        const mode = params.mode ?? bgMode;
+        const color = params.color ?? bgColor;
+        if (mode !== 'solid' && mode !== 'checker') {
+            throw new BridgeError('bad-request', 'setBackground mode must be "solid" or "checker".');
+        }
+        if (typeof color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(color)) {
+            throw new BridgeError('bad-request', 'setBackground color must be a #rrggbb string.');
+        }
+        applyBackground(mode, color);
+        return { mode, color };
+    },
+    play() {
+        requirePlayer().play();
+        return { playing: true };
+    },
+    pause() {
+        requirePlayer().pause();
+        return { playing: false };
+    },
+    getStatus() {
+        return describeStatus();
+    },
+    // Testing hook: fake a renderer crash (wasm, frozen, render or context) and recover from it.
+    forceCrash(params) {
+        const kind = params.kind ?? 'wasm';
+        if (!CRASH_KINDS.includes(kind)) {
+            throw new BridgeError('bad-request', `forceCrash kind must be one of ${CRASH_KINDS.join(', ')}.`);
+        }
+        requirePlayer();
+        if (!eyes.forceCrash(kind)) throw new BridgeError('rejected', 'Recovery has given up after repeated crashes.');
+        return { kind, crashes: eyes.crashes };
+    },
+};
+
+function readEmbedOrigins() {
+    const configured = readJsonBlock(embedConfigEl, '#embed-config').allowedOrigins;
+    return [...(Array.isArray(configured) ? configured : []), ...originsFromQuery(window.location.search)];
+}
+
+const embedBridge = window.parent !== window
+    ? createEmbedBridge({ allowedOrigins: readEmbedOrigins(), commands: embedCommands })
+    : null;
+
+if (embedBridge) {
+    eyes.addEventListener('modelchange', ({ detail }) => {
+        embedBridge.notify('load', { ...describeStatus(), hasStateMachine: detail.hasStateMachine, recovered: detail.recovered });
+    });
+    eyes.addEventListener('loaderror', ({ detail }) => {
+        embedBridge.notify('loadError', { fileName: detail.fileName || null, message: detail.message });
+    });
+    eyes.addEventListener('stateenter', ({ detail }) => {
+        embedBridge.notify('stateEntered', { state: detail.state, bucket: eyes.model.bucketOf(detail.state) });
+    });
+    eyes.addEventListener('machineerror', ({ detail }) => {
+        if (detail.source === 'stateMachineError') embedBridge.notify('stateMachineError', { message: detail.message });
+    });
+    embedBridge.notify('ready', { commands: Object.keys(embedCommands) });
+}
+
+// Scripted sequences: steps run through the same request path as the tiles.
+const sequencePanel = sequencePanelEl
+    ? createSequencePanel(sequencePanelEl, {
+        presets: SEQUENCE_PRESETS,
+        onPreset: (i) => loadSequence(SEQUENCE_PRESETS[i]),
+        onLoadFile: async (file) => loadSequence(await file.text(), file.name),
+        onLoadUrl: (url) => loadSequenceUrl(url),
+        onPlay: () => sequencePlayer.play(),
+        onPause: () => sequencePlayer.pause(),
+        onStep: () => sequencePlayer.step(),
+        onStop: () => sequencePlayer.stop(),
+    })
+    : null;
+
+const sequencePlayer = createSequencePlayer({
+    setState: (value) => requestState(value),
+    setInput: (name, value) => setInputByName(name, value),
+    getState: () => {
+        const state = eyes.currentState;
+        return { state, bucket: state ? eyes.model.bucketOf(state) : null };
+    },
+    subscribe: (fn) => {
+        eyes.addEventListener('statechange', fn);
+        return () => eyes.removeEventListener('statechange', fn);
+    },
+}, {
+    onChange: (snapshot) => sequencePanel?.render(snapshot),
+});
+sequencePanel?.render(sequencePlayer.snapshot);
+
+function loadSequence(input, sourceName) {
+    try {
+        sequencePlayer.load(parseSequence(input));
+    } catch (error) {
+        const where = sourceName ? ` from ${sourceName}` : '';
+        sequencePanel?.setStatus(`Could not load the sequence${where}.`);
+        showDebug(`Could not load the sequence${where}:\n${error?.message || error}`);
+    }
+}
+
+async function loadSequenceUrl(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+        loadSequence(await response.text(), url);
+    } catch (error) {
+        sequencePanel?.setStatus(`Could not fetch ${url}.`);
+        showDebug(`Could not fetch the sequence ${url}:\n${error?.message || error}\n(Cross-origin URLs need CORS headers.)`);
+    }
+}
+
+// Live status feed (src/status-feed.js): a WebSocket or SSE URL whose messages request states
+// and write inputs through the same paths as sequences. The URL, debounce and mapping are kept
+// in localStorage; connecting is always a click.
+const FEED_KEY = 'lottieViewer.statusFeed';
+const feedPanel = feedPanelEl
+    ? createStatusFeedPanel(feedPanelEl, {
+        onConnect: (url) => connectFeed(url),
+        onDisconnect: () => statusFeed.disconnect(),
+        onMapping: (mapping) => setFeedMapping(mapping),
+        onDebounce: (ms) => setFeedDebounce(ms),
+    })
+    : null;
+let feedSettings = readFeedSettings();
+
+const statusFeed = createStatusFeed({
+    setState: (value) => requestState(value, { fromFeed: true }),
+    setInput: (name, value) => setInputByName(name, value, { fromFeed: true }),
+    fireEvent: (name) => {
+        requirePlayer().stateMachineFireEvent(name);
+        traceRecorder.record('fire', { event: name });
+        mirrorEvent(name);
+    },
+}, {
+    mapping: feedSettings.mapping,
+    debounceMs: feedSettings.debounceMs,
+    onStatus: (info) => feedPanel?.setStatus(info),
+    onMessage: (entry) => {
+        feedPanel?.logMessage(entry);
+        if (entry.error) console.warn(`Live feed: ${entry.error}`);
+    },
+});
+feedPanel?.setConfig(feedSettings);
+feedPanel?.setStatus({ status: 'idle' });
+
+// { url, debounceMs, mapping }, with defaults for whatever is missing or broken.
+function readFeedSettings() {
+    const settings = { url: '', debounceMs: DEFAULT_DEBOUNCE_MS, mapping: DEFAULT_FEED_MAPPING };
+    try {
+        const stored = JSON.parse(localStorage.getItem(FEED_KEY) || 'null');
+        if (typeof stored?.url === 'string') settings.url = stored.url;
+        if (stored?.debounceMs >= 0) settings.debounceMs = stored.debounceMs;
+        if (stored?.mapping) settings.mapping = parseFeedMapping(stored.mapping);
+    } catch {
+        // ignore
+    }
+    return settings;
+}
+
+function saveFeedSettings(changes) {
+    feedSettings = { ...feedSettings, ...changes };
+    try {
+        localStorage.setItem(FEED_KEY, JSON.stringify(feedSettings));
+    } catch {
+        // ignore
+    }
+}
+
+function connectFeed(url) {
+    try {
+        statusFeed.connect(url);
+    } catch (error) {
+        feedPanel?.setStatus({ status: 'idle', error: error?.message || String(error) });
+        return;
+    }
+    feedPanel?.clearMessages();
+    saveFeedSettings({ url });
+}
+
+// `mapping` null resets it to the defaults. A rule that doesn't check out leaves the feed on
+// the last good mapping.
+function setFeedMapping(mapping) {
+    try {
+        statusFeed.setMapping(mapping ?? DEFAULT_FEED_MAPPING);
+    } catch (error) {
+        feedPanel?.setStatus({ status: statusFeed.status, url: statusFeed.url, error: `Mapping not applied: ${error.message}` });
+        return;
+    }
+    saveFeedSettings({ mapping: statusFeed.mapping });
+    if (!mapping) feedPanel?.setConfig(feedSettings);
+}
+
+function setFeedDebounce(ms) {
+    try {
+        statusFeed.setDebounce(ms);
+    } catch (error) {
+        feedPanel?.setStatus({ status: statusFeed.status, url: statusFeed.url, error: error.message });
+        feedPanel?.setConfig(feedSettings);
+        return;
+    }
+    saveFeedSettings({ debounceMs: ms });
+}
+
+// The name column suggests the open file's control values and inputs. A new file may be in any
+// state, so the next message is sent even if it repeats the last.
+eyes.addEventListener('modelchange', () => {
+    const player = eyes.player;
+    const inputs = typeof player?.stateMachineGetInputs === 'function' ? parseRuntimeInputs(player.stateMachineGetInputs()) : [];
+    feedPanel?.setTargets({ states: eyes.model.values, inputs: inputs.map((input) => input.name) });
+    statusFeed.forgetSent();
+});
+
+// Exports: frames are rendered by a second, hidden player (src/frame-export.js), so the live
+// machine keeps running. Checker exports keep transparency; Solid bakes in the color.
+const exportPanel = exportPanelEl
+    ? createExportPanel(exportPanelEl, {
+        onSnapshot: (options) => exportSnapshot(options),
+        onExportSegment: (options) => exportSegment(options),
+        onCancel: () => exportAbort?.abort(),
+        onStartRecording: (options) => startRecording(options),
+        onStopRecording: () => stopRecording(),
+    })
+    : null;
+let exportAbort = null;
+let webmRecorder = null;
+
+function exportBackground() {
+    return bgMode === 'solid' ? bgColor : null;
+}
+
+function exportSegments() {
+    const markers = eyes.player?.markers?.() || [];
+    return [
+        ...markers.map((m) => ({ name: m.name, label: `${m.name} (${Math.round(m.duration)} frames)` })),
+        { name: '', label: 'Whole animation' },
+    ];
+}
+
+function reportExportError(what, error) {
+    console.error(`${what} failed:`, error);
+    exportPanel?.setStatus(`${what} failed.`);
+    showDebug(`${what} failed:\n${error?.message || error}`);
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Runs `fn(renderer, size)` against the open file at `longestSide` px, then disposes the renderer.
+async function withFrameRenderer(longestSide, fn) {
+    const player = eyes.player;
+    if (!player?.isLoaded) throw new Error('No animation is loaded.');
+    const size = fitSize(player.animationSize?.(), longestSide);
+    const renderer = await createFrameRenderer(currentSource, {
+        ...size,
+        animationId: player.activeAnimationId,
+        themeId: player.activeThemeId,
+        themeData: themeEdited ? JSON.stringify(themeFromValues(themeState.slots, themeValues, { all: true })) : undefined,
+    });
+    try {
+        return await fn(renderer, size);
+    } finally {
+        renderer.destroy();
+    }
+}
+
+async function exportSnapshot({ size }) {
+    exportPanel?.setBusy(true);
+    exportPanel?.setStatus('Rendering snapshot…');
+    try {
+        const frame = eyes.player?.currentFrame ?? 0;
+        const { blob, width, height } = await withFrameRenderer(size, async (renderer, { width, height }) => ({
+            blob: await canvasToBlob(compositeFrame(renderer.render(frame), exportBackground())),
+            width,
+            height,
+        }));
+        downloadBlob(blob, `${baseName(currentSource.fileName)}_f${Math.round(frame)}_${width}x${height}.png`);
+        exportPanel?.setStatus(`Saved frame ${Math.round(frame)} at ${width}×${height}.`);
+    } catch (error) {
+        reportExportError('PNG snapshot', error);
+    } finally {
+        exportPanel?.setBusy(false);
+    }
+}
+
+async function exportSegment({ size, segment, fps, format }) {
+    exportAbort?.abort();
+    const abort = new AbortController();
+    exportAbort = abort;
+    exportPanel?.setBusy(true);
+
+    const background = exportBackground();
+    const name = `${baseName(currentSource.fileName)}_${segment || 'all'}`;
+    try {
+        const count = await withFrameRenderer(size, async (renderer, { width, height }) => {
+            const marker = segment ? renderer.markers().find((m) => m.name === segment) : null;
+            if (segment && !marker) throw new Error(`Marker "${segment}" is not in this file.`);
+            const range = marker
+                ? { start: marker.time, end: marker.time + marker.duration }
+                : { start: 0, end: renderer.totalFrames };
+            const frames = segmentFrames(range, { nativeFps: renderer.fps, fps });
+            if (marker) renderer.setSegment(range.start, range.end);
+
+            const rendered = [];
+            for (const [i, frame] of frames.entries()) {
+                if (abort.signal.aborted) return null;
+                rendered.push(compositeFrame(renderer.render(frame), background));
+                exportPanel?.setStatus(`Rendering frame ${i + 1}/${frames.length}…`);
+                await nextTick();
             }
-        } else {
-            // If we haven't reached the requested bucket yet, keep waiting.
-            // If we *did* reach it but left before the stable window, keep the lock
-            // so old-state loop_out transitions can't steal highlight.
-            if (uiHighlightLock.mode === 'stable') {
-                uiHighlightLock.reachedAt = null;
+            exportPanel?.setStatus(`Encoding ${frames.length} frames…`);
+            await nextTick();
+            if (abort.signal.aborted) return null;
+
+            const delay = 1000 / fps;
+            if (format === 'gif') {
+                const pixels = rendered.map((c) => c.getContext('2d').getImageData(0, 0, width, height).data);
+                const bytes = encodeGif(pixels, { width, height, delays: delay, transparent: !background });
+                downloadBlob(new Blob([bytes], { type: 'image/gif' }), `${name}.gif`);
+            } else if (format === 'webp') {
+                const stills = [];
+                for (const frame of rendered) {
+                    const blob = await canvasToBlob(frame, 'image/webp', 0.92);
+                    // Browsers without a WebP encoder silently fall back to PNG.
+                    if (blob.type !== 'image/webp') throw new Error('This browser cannot encode WebP from a canvas. Try GIF instead.');
+                    stills.push(new Uint8Array(await blob.arrayBuffer()));
+                }
+                const bytes = muxAnimatedWebp(stills, { width, height, delays: delay });
+                downloadBlob(new Blob([bytes], { type: 'image/webp' }), `${name}.webp`);
+            } else {
+                const names = frames.map((_, i) => `${segment || 'frame'}_${String(i).padStart(3, '0')}.png`);
+                const { canvas: sheet, atlas } = buildSpriteSheet(rendered, {
+                    names,
+                    duration: Math.round(delay),
+                    meta: {
+                        app: 'computer-eyes viewer',
+                        image: `${name}.png`,
+                        source: currentSource.fileName || null,
+                        marker: segment || null,
+                        frameRange: [range.start, range.end],
+                        fps,
+                        background: background || 'transparent',
+                    },
+                });
+                downloadBlob(await canvasToBlob(sheet), `${name}.png`);
+                downloadJson(atlas, `${name}.json`);
             }
+            return frames.length;
+        });
+        exportPanel?.setStatus(count === null ? 'Export cancelled.' : `Exported ${count} frames of ${segment || 'the whole animation'}.`);
+    } catch (error) {
+        reportExportError('Segment export', error);
+    } finally {
+        if (exportAbort === abort) {
+            exportAbort = null;
+            exportPanel?.setBusy(false);
+        }
+    }
+}
+
+function startRecording({ fps }) {
+    if (webmRecorder) return;
+    try {
+        webmRecorder = createCanvasRecorder(canvas, { fps, getBackground: exportBackground });
+    } catch (error) {
+        reportExportError('WebM recording', error);
+        return;
+    }
+    exportPanel?.setRecording(true);
+    exportPanel?.setStatus(`Recording (${webmRecorder.mimeType})… drive the machine, then press Stop.`);
+}
+
+async function stopRecording() {
+    const recorder = webmRecorder;
+    if (!recorder) return;
+    webmRecorder = null;
+    const seconds = recorder.elapsed() / 1000;
+    const blob = await recorder.stop();
+    exportPanel?.setRecording(false);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadBlob(blob, `${baseName(currentSource.fileName)}-${stamp}.webm`);
+    exportPanel?.setStatus(`Recorded ${seconds.toFixed(1)} s (${Math.round(blob.size / 1024)} KB).`);
+}
+
+// Validation: static checks of the open file (src/lottie-validator.js), run after each load.
+// Errors are added to the debug panel; the full report is in the Validate panel.
+const validatorPanel = validatorPanelEl
+    ? createValidatorPanel(validatorPanelEl, {
+        onRun: () => validateOpenFile(),
+        onExport: () => exportValidation(),
+    })
+    : null;
+let validationReport = null;
+
+async function validateOpenFile() {
+    const source = currentSource;
+    validatorPanel?.setStatus('Checking…');
+    let report;
+    try {
+        let bytes = await readSourceBytes(source);
+        if (typeof bytes === 'string') bytes = new TextEncoder().encode(bytes).buffer;
+        if (!bytes) throw new Error('Nothing is open.');
+        report = await validateLottieBytes(bytes, { fileName: source.fileName || null });
+    } catch (error) {
+        if (source !== currentSource) return null;
+        console.error('Validation failed:', error);
+        validationReport = null;
+        validatorPanel?.render(null);
+        validatorPanel?.setStatus(`Could not validate: ${error?.message || error}`);
+        return null;
+    }
+    // A newer file was opened while this one was being read.
+    if (source !== currentSource) return null;
+
+    validationReport = report;
+    validatorPanel?.render(report);
+    if (report.errors) {
+        const errorsOnly = { ...report, issues: report.issues.filter((i) => i.severity === 'error') };
+        appendDebug(`Validation:\n${formatReport(errorsOnly)}`);
+    }
+    return report;
+}
+
+function exportValidation() {
+    if (!validationReport) return;
+    downloadJson(validationReport, `${baseName(currentSource.fileName)}-validation.json`);
+}
+
+// Theming: manifest themes via eyes.setTheme, slot edits via eyes.setThemeData (the controller
+// puts both back after a crash reload), palettes in localStorage and theme exports
+// (src/lottie-theme.js). Files without slots can have their fill colors turned into slots,
+// which reloads them.
+const PALETTES_KEY = 'lottieViewer.palettes';
+const themePanel = themePanelEl
+    ? createThemePanel(themePanelEl, {
+        onSelectTheme: (id) => selectTheme(id),
+        onEditSlot: (id, value) => editThemeSlot(id, value),
+        onReset: () => resetThemeColors(),
+        onSlotify: () => makeColorsEditable(),
+        onApplyPalette: (name) => applyPalette(name),
+        onSavePalette: (name) => savePalette(name),
+        onDeletePalette: (name) => deletePalette(name),
+        onExportTheme: (id) => exportThemeJson(id),
+        onExportLottie: (id) => exportThemedLottie(id),
+    })
+    : null;
+let themeState = { slots: [], themes: [], animationId: null };
+let themeValues = {}; // slot id → value shown in the panel
+let themeSelected = ''; // manifest theme applied with setTheme
+let themeEdited = false; // values were pushed with setThemeData
+let themeNotice = null; // status to show once the next load's theme is read
+
+function defaultThemeValues() {
+    return Object.fromEntries(themeState.slots.map((slot) => [slot.id, slot.value]));
+}
+
+async function readOpenFileTheme() {
+    const source = currentSource;
+    themeState = { slots: [], themes: [], animationId: null };
+    themeValues = {};
+    themeSelected = '';
+    themeEdited = false;
+    let detected = null;
+    try {
+        const data = await readSourceBytes(source);
+        if (!data) throw new Error('Nothing is open.');
+        const { animation, animationId, themes } = await readThemeSource(data, eyes.player?.activeAnimationId);
+        if (source !== currentSource) return;
+        themeState = { slots: listSlots(animation), themes, animationId };
+        if (!themeState.slots.length) detected = detectColors(animation);
+    } catch (error) {
+        if (source !== currentSource) return;
+        console.error('Could not read the theme data:', error);
+        themePanel?.setStatus(`Could not read slots or themes: ${error?.message || error}`);
+    }
+
+    themeSelected = eyes.player?.activeThemeId || '';
+    const active = themeState.themes.find((t) => t.id === themeSelected);
+    themeValues = valuesFromTheme(themeState.slots, active?.theme);
+    themePanel?.setThemes(themeState.themes, themeSelected);
+    themePanel?.setSlots(themeState.slots, themeValues);
+    themePanel?.setDetected(detected);
+    themePanel?.setPalettes(Object.keys(readPalettes()));
+    if (themeNotice) {
+        themePanel?.setStatus(themeNotice);
+        themeNotice = null;
+    } else if (themeState.slots.length) {
+        themePanel?.setStatus(`${themeState.slots.length} slot${themeState.slots.length === 1 ? '' : 's'}, ${themeState.themes.length} theme${themeState.themes.length === 1 ? '' : 's'}.`);
+    } else if (detected?.length) {
+        themePanel?.setStatus('This file has no slots.');
+    }
+}
+
+function pushThemeValues() {
+    const theme = themeFromValues(themeState.slots, themeValues, { all: true });
+    const ok = eyes.setThemeData(JSON.stringify(theme));
+    themeEdited = true;
+    if (!ok) themePanel?.setStatus('The player rejected the theme data.');
+    return ok;
+}
+
+function selectTheme(id) {
+    if (!eyes.player) return;
+    const ok = eyes.setTheme(id || null);
+    if (!ok) {
+        themePanel?.setActiveTheme(themeSelected);
+        themePanel?.setStatus(id ? `The player could not apply theme "${id}".` : 'The player could not reset the theme.');
+        return;
+    }
+    themeSelected = id;
+    themeEdited = false;
+    themeValues = valuesFromTheme(themeState.slots, themeState.themes.find((t) => t.id === id)?.theme);
+    themePanel?.setValues(themeValues);
+    themePanel?.setStatus(id ? `Applied theme "${id}".` : 'Showing the file\'s own colors.');
+}
+
+function editThemeSlot(id, value) {
+    themeValues = { ...themeValues, [id]: value };
+    pushThemeValues();
+}
+
+function resetThemeColors() {
+    eyes.setTheme(null);
+    themeSelected = '';
+    themeEdited = false;
+    themeValues = defaultThemeValues();
+    themePanel?.setActiveTheme('');
+    themePanel?.setValues(themeValues);
+    themePanel?.setStatus('Reset to the file\'s own colors.');
+}
+
+async function makeColorsEditable() {
+    const source = currentSource;
+    themePanel?.setBusy(true);
+    themePanel?.setStatus('Turning colors into slots…');
+    try {
+        const data = await slotifySource(await readSourceBytes(source), themeState.animationId);
+        if (source !== currentSource) return;
+        if (!data) {
+            themePanel?.setStatus('No solid fill or stroke colors were found.');
+            return;
+        }
+        themeNotice = 'Reloaded with one slot per color (color_rrggbb). Export a .lottie to keep them.';
+        openSource({ data, fileName: source.fileName, url: source.url, bundled: source.bundled });
+    } catch (error) {
+        console.error('Could not slot the colors:', error);
+        themePanel?.setStatus(`Could not make the colors editable: ${error?.message || error}`);
+    } finally {
+        themePanel?.setBusy(false);
+    }
+}
+
+// Palettes are slot id → value maps, shared by every file; applying one sets the slots it names.
+function readPalettes() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PALETTES_KEY) || '{}');
+        return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch {
+        return {};
+    }
+}
+
+function writePalettes(palettes) {
+    try {
+        localStorage.setItem(PALETTES_KEY, JSON.stringify(palettes));
+    } catch {
+        // ignore
+    }
+    themePanel?.setPalettes(Object.keys(palettes));
+}
+
+function savePalette(name) {
+    writePalettes({ ...readPalettes(), [name]: themeValues });
+    themePanel?.setStatus(`Saved palette "${name}".`);
+}
+
+function applyPalette(name) {
+    const palette = readPalettes()[name];
+    if (!palette) return;
+    const matched = themeState.slots.filter((slot) => slot.id in palette);
+    if (!matched.length) {
+        themePanel?.setStatus(`Palette "${name}" has none of this file's slots.`);
+        return;
+    }
+    themeValues = { ...defaultThemeValues(), ...valuesFromTheme(matched, { rules: matched.map((slot) => ({ id: slot.id, value: palette[slot.id] })) }) };
+    themePanel?.setValues(themeValues);
+    if (pushThemeValues()) {
+        themePanel?.setStatus(`Applied palette "${name}" (${matched.length} of ${themeState.slots.length} slots).`);
+    }
+}
+
+function deletePalette(name) {
+    const palettes = readPalettes();
+    delete palettes[name];
+    writePalettes(palettes);
+    themePanel?.setStatus(`Deleted palette "${name}".`);
+}
+
+function exportThemeJson(id) {
+    downloadJson(themeFromValues(themeState.slots, themeValues), `${baseName(currentSource.fileName)}-${id}.json`);
+}
+
+async function exportThemedLottie(id) {
+    themePanel?.setBusy(true);
+    try {
+        const bytes = await packThemedLottie(await readSourceBytes(currentSource), {
+            animationId: themeState.animationId,
+            themeId: id,
+            theme: themeFromValues(themeState.slots, themeValues),
+        });
+        downloadBlob(new Blob([bytes], { type: 'application/zip' }), `${baseName(currentSource.fileName)}-${id}.lottie`);
+        themePanel?.setStatus(`Exported with theme "${id}" as the initial theme.`);
+    } catch (error) {
+        console.error('Themed .lottie export failed:', error);
+        themePanel?.setStatus(`Export failed: ${error?.message || error}`);
+    } finally {
+        themePanel?.setBusy(false);
+    }
+}
+
+// Images (src/lottie-assets.js): the open file's raster assets, read after each load. Replacing
+// one reopens the file with the new image, keeping the animation, machine and highlighted
+// state; the file as it was opened is kept until another one is.
+const assetPanel = assetPanelEl
+    ? createAssetPanel(assetPanelEl, {
+        onReplace: (path, file) => replaceAsset(path, file),
+        onDownload: () => exportAssetLottie(),
+        onRevert: () => revertAssets(),
+    })
+    : null;
+let assetOriginal = null; // the source before the first replacement
+let assetEdited = null; // the source with the replacements
+let assetNotice = null; // status to show once the next load's images are read
+
+async function readOpenFileAssets() {
+    const source = currentSource;
+    if (source !== assetEdited) {
+        assetOriginal = null;
+        assetEdited = null;
+    }
+    let report = null;
+    try {
+        let bytes = await readSourceBytes(source);
+        if (typeof bytes === 'string') bytes = new TextEncoder().encode(bytes).buffer;
+        if (!bytes) throw new Error('Nothing is open.');
+        report = await readImageAssets(bytes);
+    } catch (error) {
+        if (source !== currentSource) return;
+        console.error('Could not read the images:', error);
+        assetPanel?.render(null);
+        assetPanel?.setStatus(`Could not read the images: ${error?.message || error}`);
+        return;
+    }
+    if (source !== currentSource) return;
+    assetPanel?.render(report, { edited: Boolean(assetOriginal) });
+    assetPanel?.setStatus(assetNotice ?? '');
+    assetNotice = null;
+}
+
+async function replaceAsset(path, file) {
+    const source = currentSource;
+    assetPanel?.setStatus(`Replacing ${path}…`);
+    try {
+        const bytes = await replaceImageAsset(await readSourceBytes(source), path, new Uint8Array(await file.arrayBuffer()));
+        if (source !== currentSource) return;
+        assetOriginal ??= source;
+        assetEdited = {
+            data: bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength),
+            fileName: source.fileName,
+            url: source.url,
+            bundled: source.bundled,
+        };
+        assetNotice = `Replaced ${path} with ${file.name}. Download the .lottie to keep it.`;
+        reopenWithAssets(assetEdited);
+    } catch (error) {
+        console.error(`Could not replace ${path}:`, error);
+        assetPanel?.setStatus(`Could not replace ${path}: ${error?.message || error}`);
+    }
+}
 
-            // For transient states, once we've reached the requested bucket, unlock
-            // immediately upon leaving it so the UI can reflect the next real state.
-            if (uiHighlightLock && uiHighlightLock.mode === 'leave' && uiHighlightLock.reachedAt != null) {
-                uiHighlightLock = null;
-            }
-        }
+function revertAssets() {
+    if (!assetOriginal) return;
+    assetNotice = 'Back to the images the file was opened with.';
+    reopenWithAssets(assetOriginal);
+}
+
+// The same file with other images: it comes back in the same state, and a state machine edit
+// keeps running with its editor history.
+function reopenWithAssets(source) {
+    machineEdit.reopening = true;
+    openSource(source, { initialState: eyes.highlightedState ?? undefined, stateMachineData: eyes.stateMachineData });
+}
+
+async function exportAssetLottie() {
+    if (!assetOriginal) return;
+    try {
+        const bytes = await readSourceBytes(currentSource);
+        if (!bytes || typeof bytes === 'string') throw new Error('Only .lottie files carry images as files.');
+        // An applied state machine edit goes in too.
+        const machine = eyes.stateMachineData;
+        const packed = machine == null ? bytes : await repackMachine(bytes, eyes.stateMachineId, JSON.parse(machine));
+        downloadBlob(new Blob([packed], { type: 'application/zip' }), `${baseName(currentSource.fileName)}-edited.lottie`);
+    } catch (error) {
+        console.error('.lottie export failed:', error);
+        assetPanel?.setStatus(`Download failed: ${error?.message || error}`);
     }
+}
 
-    // Update radio highlight without re-triggering state changes.
-    // While locked, always highlight the requested UI state (not the transient machine state).
-    const targetUiState = uiHighlightLock ? uiHighlightLock.state : uiState;
-    for (const radio of stateRadios) {
-        radio.checked = radio.value === targetUiState;
+// Shareable links (src/view-link.js): the configuration lives in the URL hash and is kept
+// current as things change. Editing the hash by hand (or going back) applies it again.
+const LINK_UPDATE_MS = 250;
+let pendingLink = null; // link waiting for its file to load
+let pendingLinkErrors = []; // syntax errors to show once that load has cleared the debug panel
+let linkUpdateTimer = 0;
+
+function currentViewLink() {
+    const player = eyes.player;
+    const machines = player?.manifest?.stateMachines || [];
+    const animations = player?.manifest?.animations || [];
+    const link = {
+        src: currentSource.url,
+        anim: animations.length > 1 ? eyes.animationId : undefined,
+        sm: machines.length > 1 ? eyes.stateMachineId : undefined,
+        state: eyes.model.inputName ? eyes.highlightedState : undefined,
+        bg: bgMode === 'checker' ? { mode: 'checker' } : { mode: 'solid', color: bgColor },
+        speed: eyes.speed !== 1 ? eyes.speed : undefined,
+        theme: themeSelected || undefined,
+    };
+    if (timelineActive && player) {
+        if (timelineLoop) link.segment = timelineLoop;
+        if (!player.isPlaying) link.frame = Math.round(player.currentFrame);
     }
+    return link;
+}
 
-    // Update the visible "Current" label
-    // Show the actual internal state name for debugging/clarity.
-    if (currentStateDisplay) currentStateDisplay.textContent = getMachineStateName(state);
+function viewLinkUrl() {
+    const url = new URL(window.location.href);
+    // The hash carries the file now.
+    url.searchParams.delete('src');
+    url.hash = formatViewLink(currentViewLink());
+    return url.toString();
+}
 
-    // If the user clicked a different state while a transient state (Boot/Wink) was running,
-    // the machine may force the "State" input back to Base at the end of the animation.
-    // Re-apply the user's selection once we observe the machine back in the Base bucket.
-    if (pendingAfterTransientState && uiState === 'Base') {
-        const next = pendingAfterTransientState;
-        pendingAfterTransientState = null;
-        setStateMachineInput(next);
-    }
+function scheduleLinkUpdate() {
+    // Don't overwrite a link that hasn't been applied yet.
+    if (pendingLink || linkUpdateTimer) return;
+    linkUpdateTimer = setTimeout(() => {
+        linkUpdateTimer = 0;
+        if (pendingLink || !eyes.isLoaded) return;
+        const url = viewLinkUrl();
+        if (url !== window.location.href) history.replaceState(history.state, '', url);
+    }, LINK_UPDATE_MS);
 }
 
-function applyBackground(mode, color) {
-    bgMode = mode;
-    bgColor = color;
+// The link's file didn't open; report its syntax errors anyway and let the hash follow again.
+function dropPendingLink() {
+    if (!pendingLink) return;
+    pendingLink = null;
+    reportLinkErrors(pendingLinkErrors);
+    pendingLinkErrors = [];
+}
 
-    if (stage) {
-        stage.dataset.bg = mode;
-        if (mode === 'solid') stage.style.setProperty('--solid-bg', color);
-        else stage.style.removeProperty('--solid-bg');
-    }
+function reportLinkErrors(errors) {
+    if (errors.length) appendDebug(`Link:\n${errors.map((e) => `- ${e}`).join('\n')}`);
+}
 
-    if (bgColorInput) {
-        bgColorInput.disabled = mode !== 'solid';
-        if (bgColorInput.value !== color) bgColorInput.value = color;
+// Apply a parsed link. Settings that need a (re)load are passed to it; the rest is applied to
+// the open file right away, or once the load finishes.
+function applyViewLink(link, errors = []) {
+    if (link.bg) applyBackground(link.bg.mode, link.bg.color || bgColor, { persist: false });
+    if (link.speed) setPlaybackSpeed(link.speed);
+
+    // Without a src, whatever is open stays open (the bundled file on first load).
+    const fromUrl = link.src || new URLSearchParams(window.location.search).get('src');
+    const needsFile = !eyes.player || Boolean(fromUrl && fromUrl !== currentSource.url);
+    const machines = (eyes.player?.manifest?.stateMachines || []).map((sm) => sm.id);
+    const animations = (eyes.player?.manifest?.animations || []).map((animation) => animation.id);
+    const needsMachine = link.sm && link.sm !== eyes.stateMachineId && machines.includes(link.sm);
+    const needsAnimation = link.anim && link.anim !== eyes.animationId && animations.includes(link.anim);
+    if (!needsFile && !needsMachine && !needsAnimation) {
+        reportLinkErrors(errors);
+        applyLinkToOpenFile(link, { requestState: true });
+        return;
     }
 
-    if (bgColorPill) {
-        bgColorPill.style.setProperty('--bgpill', mode === 'solid' ? color : 'rgba(111, 71, 255, 0.10)');
-        bgColorPill.classList.toggle('is-disabled', mode !== 'solid');
+    pendingLink = link;
+    pendingLinkErrors = errors;
+    const options = { initialState: link.state, stateMachineId: link.sm || null, animationId: link.anim || null };
+    stopReplay();
+    sequencePlayer.stop();
+    if (!needsFile) openSource(currentSource, options);
+    else if (fromUrl) openUrl(fromUrl, options);
+    else openSource(DEFAULT_SOURCE, options);
+}
+
+// Parameters the file can't honor are reported and skipped. `requestState` is false right after
+// a load, which has already requested the link's state.
+function applyLinkToOpenFile(link, { requestState: request = false } = {}) {
+    const player = eyes.player;
+    if (!player) return;
+    const file = {
+        fileName: currentSource.fileName || 'The open file',
+        animations: (player.manifest?.animations || []).map((animation) => animation.id),
+        stateMachines: (player.manifest?.stateMachines || []).map((sm) => sm.id),
+        states: eyes.model.values,
+        themes: (player.manifest?.themes || []).map((t) => t.id),
+        markers: (player.markers?.() || []).map((m) => m.name),
+        totalFrames: player.totalFrames || 0,
+    };
+    reportLinkErrors([...pendingLinkErrors, ...checkViewLink(link, file)]);
+    pendingLinkErrors = [];
+
+    const last = Math.max(0, file.totalFrames - 1);
+    const state = file.states.includes(link.state) ? link.state : null;
+    let segment = link.segment || null;
+    if (segment?.marker != null ? !file.markers.includes(segment.marker) : segment?.end > last) segment = null;
+    const frame = link.frame <= last ? link.frame : null;
+
+    if (link.theme && file.themes.includes(link.theme) && link.theme !== themeSelected) selectTheme(link.theme);
+    if (!segment && frame == null) {
+        if (timelineActive) exitTimeline(state || undefined);
+        else if (request && state && state !== eyes.highlightedState) requestState(state);
+        return;
     }
+    // After the load's own initial request has gone out: suspending before it would have that
+    // request restart the machine.
+    setTimeout(() => {
+        if (eyes.player !== player) return;
+        if (request && state && !timelineActive && state !== eyes.highlightedState) requestState(state);
+        if (segment?.marker) timelineLoopMarker(segment.marker);
+        else if (segment) timelineLoopRange(segment.start, segment.end);
+        if (frame != null) timelineSeek(frame);
+    }, 0);
+}
 
+async function copyViewLink() {
+    const url = viewLinkUrl();
+    if (!currentSource.url && !currentSource.bundled) {
+        appendDebug(`Link: ${currentSource.fileName || 'The open file'} was opened from disk, so the link can't include it. Host it and open it with ?src=<url> to share it.`);
+    }
     try {
-        localStorage.setItem('lottieViewer.bgMode', mode);
-        localStorage.setItem('lottieViewer.bgColor', color);
+        await navigator.clipboard.writeText(url);
     } catch {
-        // ignore
+        window.prompt('Copy this link:', url);
+        return;
+    }
+    if (copyLinkButton) {
+        copyLinkButton.textContent = 'Copied';
+        setTimeout(() => {
+            copyLinkButton.textContent = 'Copy link';
+        }, 1500);
     }
+}
 
-    // If the renderer supports it, also set the player background color (helps when animation uses transparency).
+// Compare mode: a second controller plays version B on its own canvas, beside A or over it
+// (onion skin). State requests, input writes and events made on A are repeated on B when B has
+// them. Locking frames suspends B's machine and shows A's current frame instead, so the pixel
+// diff (src/lottie-compare.js) compares like with like.
+const COMPARE_DIFF_MS = 100; // pixel diff refresh interval
+const comparePanel = comparePanelEl
+    ? createComparePanel(comparePanelEl, {
+        onOpenFile: (file) => openCompareFile(file),
+        onSetView: (view) => setCompareView(view),
+        onOpacity: (value) => stage?.style.setProperty('--compare-opacity', String(value)),
+        onLockFrames: (locked) => setCompareLock(locked),
+        onPixelDiff: (enabled) => setPixelDiff(enabled),
+        onClose: () => closeCompare(),
+    })
+    : null;
+let compareEyes = null; // controller for B while compare mode is open
+let compareView = 'split';
+let compareLocked = false;
+let pixelDiffOn = false;
+let compareFrame = 0; // requestAnimationFrame id of the lock / diff loop
+let compareDiffAt = 0;
+let compareScratch = null; // canvas both frames are read back through
+
+async function openCompareFile(file) {
+    let source;
     try {
-        if (dotLottie && typeof dotLottie.setBackgroundColor === 'function') {
-            dotLottie.setBackgroundColor(mode === 'solid' ? color : '#00000000');
-        }
-    } catch {
-        // ignore
+        source = await sourceFromFile(file);
+    } catch (error) {
+        comparePanel?.setStatus(`Could not open ${file.name}: ${error?.message || error}`);
+        return;
+    }
+    if (!compareEyes) {
+        compareEyes = new EyesController(compareCanvas, {
+            getOverrides: (fileName) => overridesForFile(readStateConfig(), fileName),
+            backgroundColor: bgMode === 'solid' ? bgColor : null,
+        });
+        compareEyes.addEventListener('modelchange', () => onCompareLoaded());
+        compareEyes.addEventListener('loaderror', ({ detail }) => {
+            comparePanel?.setStatus(`B did not load: ${detail.message}`);
+        });
     }
+    // B's canvas has to be laid out before the load sizes it.
+    setCompareView(compareView);
+    comparePanel?.setOpen(source.fileName);
+    comparePanel?.setDifferences(null);
+    comparePanel?.setStatus(`Loading ${source.fileName}…`);
+    if (compareLabelB) compareLabelB.textContent = `B: ${source.fileName}`;
+    compareEyes.setSpeed(eyes.speed);
+    compareEyes.setMotion(eyes.motion);
+    compareEyes.setLayout(stageLayout);
+    applyRenderSettingsTo(compareEyes);
+    compareEyes.load(source, {
+        initialState: eyes.highlightedState ?? undefined,
+        stateMachineId: eyes.stateMachineId,
+        animationId: eyes.animationId,
+    });
 }
 
-function showDebug(message) {
-    if (!debugEl) return;
-    debugEl.hidden = false;
-    debugEl.textContent = message;
+function onCompareLoaded() {
+    // A (re)load restarts B's machine; a locked B has to stay on A's frames.
+    if (compareLocked) lockCompareFrames();
+    refreshComparison();
 }
 
-function clearDebug() {
-    if (!debugEl) return;
-    debugEl.hidden = true;
-    debugEl.textContent = '';
+function setCompareView(view) {
+    compareView = view;
+    if (!compareEyes) return;
+    if (stage) stage.dataset.compare = view;
+    if (compareContainer) compareContainer.hidden = false;
+    // The containers change size; the view follows them.
+    setStageView(stageView);
+}
+
+function closeCompare() {
+    if (!compareEyes) return;
+    cancelAnimationFrame(compareFrame);
+    compareFrame = 0;
+    compareEyes.destroy();
+    compareEyes = null;
+    compareLocked = false;
+    pixelDiffOn = false;
+    if (compareOverlay) compareOverlay.hidden = true;
+    if (compareContainer) compareContainer.hidden = true;
+    if (stage) delete stage.dataset.compare;
+    comparePanel?.setOpen(null);
+    comparePanel?.setStatus('');
+    setStageView(stageView);
+}
+
+// What the diff needs to know about one side.
+function describeForCompare(controller) {
+    const player = controller.player;
+    return {
+        states: (controller.definition?.states || []).map((state) => state.name).filter(Boolean),
+        inputs: controller.definition && typeof player.stateMachineGetInputs === 'function'
+            ? parseRuntimeInputs(player.stateMachineGetInputs())
+            : [],
+        markers: player?.markers?.() || [],
+    };
+}
+
+function refreshComparison() {
+    if (!compareEyes?.isLoaded || !eyes.isLoaded) return;
+    const diff = compareFiles(describeForCompare(eyes), describeForCompare(compareEyes));
+    comparePanel?.setDifferences(describeDifferences(diff));
+    comparePanel?.setStatus(`A: ${currentSource.fileName || '(unnamed)'} · B: ${compareEyes.source?.fileName || '(unnamed)'}`);
+    if (compareLabelA) compareLabelA.textContent = `A: ${currentSource.fileName || '(unnamed)'}`;
+}
+
+// Mirroring: B is left alone while its frames are locked to A's.
+function mirrorTarget() {
+    return compareEyes?.isLoaded && !compareLocked ? compareEyes : null;
+}
+
+function mirrorState(value) {
+    const target = mirrorTarget();
+    if (!target) return;
+    if (!target.model.values.includes(value)) {
+        comparePanel?.setStatus(`B has no state ${JSON.stringify(value)}; only A changed.`);
+        return;
+    }
+    target.setState(value).catch(() => {
+        // B's own rejections don't concern A.
+    });
+}
+
+function mirrorOverride(stateName) {
+    const target = mirrorTarget();
+    if (!target) return;
+    if (!(target.definition?.states || []).some((state) => state.name === stateName)) {
+        comparePanel?.setStatus(`B has no machine state ${JSON.stringify(stateName)}; only A jumped.`);
+        return;
+    }
+    target.overrideState(stateName);
+}
+
+function mirrorInput(name, inputType, value) {
+    const player = mirrorTarget()?.player;
+    if (!player || typeof player.stateMachineGetInputs !== 'function') return;
+    const input = parseRuntimeInputs(player.stateMachineGetInputs()).find((candidate) => candidate.name === name);
+    if (!input || kindOf(input.type) !== inputType) {
+        comparePanel?.setStatus(`B has no ${inputType} input ${JSON.stringify(name)}; only A was set.`);
+        return;
+    }
+    try {
+        writeInput(player, name, inputType, value);
+    } catch (error) {
+        console.warn(`Mirroring ${name} to B:`, error);
+    }
 }
 
-function formatUnknownError(err) {
+function mirrorEvent(event) {
+    const player = mirrorTarget()?.player;
     try {
-        // dotlottie-web often emits an event object like { type: 'loadError', error: Error(...) }
-        const underlying = err && typeof err === 'object' && 'error' in err ? err.error : err;
+        player?.stateMachineFireEvent(event);
+    } catch (error) {
+        console.warn(`Mirroring event ${event} to B:`, error);
+    }
+}
+
+function setCompareLock(locked) {
+    compareLocked = locked;
+    if (compareEyes?.isLoaded) {
+        if (locked) {
+            lockCompareFrames();
+        } else {
+            compareEyes.resume(eyes.highlightedState ?? undefined).catch(() => {
+                // B's own rejections don't concern A.
+            });
+        }
+    }
+    runCompareLoop();
+}
+
+function lockCompareFrames() {
+    compareEyes.suspend();
+    compareEyes.player?.pause();
+}
 
-        if (underlying instanceof Error) {
-            return underlying.stack || underlying.message || String(underlying);
+function setPixelDiff(enabled) {
+    pixelDiffOn = enabled;
+    if (compareOverlay) compareOverlay.hidden = !enabled;
+    comparePanel?.setPixelStatus('');
+    runCompareLoop();
+}
+
+// One loop serves both the frame lock and the pixel diff; it stops when neither is on.
+function runCompareLoop() {
+    if (compareFrame || !compareEyes || !(compareLocked || pixelDiffOn)) return;
+    const tick = (now) => {
+        compareFrame = 0;
+        if (!compareEyes || !(compareLocked || pixelDiffOn)) return;
+        if (compareLocked) followFrame();
+        if (pixelDiffOn && now - compareDiffAt >= COMPARE_DIFF_MS) {
+            compareDiffAt = now;
+            drawPixelDiff();
         }
+        compareFrame = requestAnimationFrame(tick);
+    };
+    compareFrame = requestAnimationFrame(tick);
+}
+
+function followFrame() {
+    const a = eyes.player;
+    const b = compareEyes.player;
+    if (!a?.isLoaded || !b?.isLoaded) return;
+    b.setFrame(Math.min(Math.max(0, b.totalFrames - 1), a.currentFrame));
+}
+
+function drawPixelDiff() {
+    if (!compareOverlay || !eyes.isLoaded || !compareEyes.isLoaded) return;
+    const { width, height } = canvas;
+    if (compareCanvas.width !== width || compareCanvas.height !== height) {
+        comparePanel?.setPixelStatus('The two canvases differ in size; resize the window to retry.');
+        return;
+    }
+    compareScratch ??= document.createElement('canvas');
+    if (compareScratch.width !== width || compareScratch.height !== height) {
+        compareScratch.width = width;
+        compareScratch.height = height;
+    }
+    const ctx = compareScratch.getContext('2d', { willReadFrequently: true });
+    const read = (source) => {
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(source, 0, 0);
+        return ctx.getImageData(0, 0, width, height).data;
+    };
+    const { mask, changed, total } = diffPixels(read(canvas), read(compareCanvas));
+
+    if (compareOverlay.width !== width || compareOverlay.height !== height) {
+        compareOverlay.width = width;
+        compareOverlay.height = height;
+    }
+    compareOverlay.getContext('2d').putImageData(new ImageData(mask, width, height), 0, 0);
+    const percent = (changed / total) * 100;
+    comparePanel?.setPixelStatus(changed ? `${percent < 0.1 ? '<0.1' : percent.toFixed(1)}% of pixels differ` : 'Frames match');
+}
+
+// Stage view: fit and alignment (eyes.setLayout), zoom and pan, the pixel grid and layer
+// outlines (src/stage-view.js). Zooming lays the canvases out larger than their containers and
+// has the runtime render only the visible part (eyes.setViewport); B shares A's view. The grid
+// and outlines are drawn on an overlay over A; outlines follow the layers every frame.
+const stagePanel = stagePanelEl
+    ? createStagePanel(stagePanelEl, {
+        onLayout: (layout) => setStageLayout(layout),
+        onZoom: (factor) => {
+            const box = stageBox();
+            setStageView(zoomAt(stageView, factor, [box.width / 2, box.height / 2], box));
+        },
+        onReset: () => setStageView(DEFAULT_VIEW),
+        onGrid: (enabled) => {
+            gridOn = enabled;
+            drawStageOverlay();
+        },
+        onToggleLayer: (name, shown) => {
+            if (shown) outlinedLayers.add(name);
+            else outlinedLayers.delete(name);
+            drawStageOverlay();
+        },
+    })
+    : null;
+let stageView = DEFAULT_VIEW;
+let stageLayout = null; // null = the runtime's default (contain, centered)
+let gridOn = stagePanelEl?.querySelector('[data-role="grid"]')?.checked ?? true;
+let stageLayers = []; // [{ name, inFrame, outFrame }] of the open animation
+const outlinedLayers = new Set(); // layer names
+let outlineFrame = 0; // requestAnimationFrame id of the outline loop
+
+// A's container, which the view is measured against.
+function stageBox() {
+    const container = canvas?.parentElement;
+    return { width: container?.clientWidth || 1, height: container?.clientHeight || 1 };
+}
 
-        if (typeof underlying === 'string') return underlying;
+function canvasSize(target) {
+    return { width: target.width, height: target.height };
+}
+
+// `resize: false` while panning: the canvas size stays, only the offset and viewport change.
+function setStageView(view, { resize = true } = {}) {
+    const box = stageBox();
+    stageView = clampView(view, box);
+    const zoomed = stageView.zoom > 1;
+    if (stage) {
+        if (zoomed) stage.dataset.zoomed = '';
+        else delete stage.dataset.zoomed;
+        stage.style.setProperty('--view-size-x', `${stageView.zoom * 100}%`);
+        stage.style.setProperty('--view-size-y', `${stageView.zoom * 100}%`);
+        stage.style.setProperty('--view-x', `${stageView.x}px`);
+        stage.style.setProperty('--view-y', `${stageView.y}px`);
+    }
+    if (resize) {
+        eyes.resize();
+        compareEyes?.resize();
+    }
+    eyes.setViewport(zoomed ? visibleViewport(stageView, box, canvasSize(canvas)) : null);
+    if (compareEyes && compareCanvas) {
+        const compareBox = { width: compareCanvas.parentElement?.clientWidth || 1, height: compareCanvas.parentElement?.clientHeight || 1 };
+        compareEyes.setViewport(zoomed ? visibleViewport(clampView(stageView, compareBox), compareBox, canvasSize(compareCanvas)) : null);
+    }
+    stagePanel?.setZoom(stageView.zoom);
+    drawStageOverlay();
+}
+
+function setStageLayout(layout) {
+    stageLayout = layout;
+    eyes.setLayout(layout);
+    compareEyes?.setLayout(layout);
+    drawStageOverlay();
+}
+
+// The open animation's named, visible top-level layers, for outlining.
+async function readStageLayers() {
+    const source = currentSource;
+    let layers = [];
+    try {
+        const data = await readSourceBytes(source);
+        if (!data) throw new Error('Nothing is open.');
+        const { animation } = await readThemeSource(data, eyes.player?.activeAnimationId);
+        if (source !== currentSource) return;
+        const seen = new Set();
+        for (const layer of Array.isArray(animation?.layers) ? animation.layers : []) {
+            if (typeof layer?.nm !== 'string' || !layer.nm || layer.hd || seen.has(layer.nm)) continue;
+            seen.add(layer.nm);
+            layers.push({ name: layer.nm, inFrame: Number(layer.ip) || 0, outFrame: Number(layer.op) || 0 });
+        }
+    } catch (error) {
+        if (source !== currentSource) return;
+        console.error('Could not read the layers:', error);
+    }
+    stageLayers = layers;
+    for (const name of [...outlinedLayers]) {
+        if (!layers.some((l) => l.name === name)) outlinedLayers.delete(name);
+    }
+    stagePanel?.setLayers(stageLayers, outlinedLayers);
+    drawStageOverlay();
+}
 
-        if (underlying && typeof underlying === 'object') {
+function drawStageOverlay() {
+    if (!stageOverlay) return;
+    const player = eyes.player;
+    const loaded = Boolean(player && eyes.isLoaded);
+    const animation = loaded && typeof player.animationSize === 'function' ? player.animationSize() : null;
+    const box = stageBox();
+    const size = canvasSize(canvas);
+    const grid = gridOn && animation?.width && animation?.height
+        ? pixelGrid(stageView, box, size, layoutRect(stageLayout || undefined, size, animation), animation)
+        : null;
+    const outlines = [];
+    if (loaded && typeof player.getLayerBoundingBox === 'function') {
+        stageLayers.forEach(({ name }, index) => {
+            if (!outlinedLayers.has(name)) return;
+            let corners = null;
             try {
-                return JSON.stringify(underlying, null, 2);
+                corners = layerOutline(player.getLayerBoundingBox(name), stageView, box, size);
             } catch {
-                // fallback for circular structures
-                return Object.prototype.toString.call(underlying);
+                // ignore
             }
-        }
+            if (corners) outlines.push({ name, corners, color: LAYER_COLORS[index % LAYER_COLORS.length] });
+        });
+    }
 
-        return String(underlying);
-    } catch (e) {
-        return `Unknown error (failed to format): ${String(e)}`;
+    // Outlines move with the animation: keep redrawing while any are switched on.
+    cancelAnimationFrame(outlineFrame);
+    outlineFrame = outlinedLayers.size ? requestAnimationFrame(() => drawStageOverlay()) : 0;
+
+    stageOverlay.hidden = !grid && !outlines.length;
+    if (stageOverlay.hidden) return;
+    const dpr = Math.max(1, window.devicePixelRatio || 1);
+    const width = Math.round(box.width * dpr);
+    const height = Math.round(box.height * dpr);
+    if (stageOverlay.width !== width || stageOverlay.height !== height) {
+        stageOverlay.width = width;
+        stageOverlay.height = height;
+    }
+    const ctx = stageOverlay.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, box.width, box.height);
+    if (grid) {
+        const { left, top, right, bottom } = grid.bounds;
+        ctx.beginPath();
+        for (const x of grid.xs) {
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, bottom);
+        }
+        for (const y of grid.ys) {
+            ctx.moveTo(left, y);
+            ctx.lineTo(right, y);
+        }
+        ctx.lineWidth = 1 / dpr;
+        ctx.strokeStyle = 'rgba(11, 11, 15, 0.3)';
+        ctx.stroke();
+    }
+    ctx.font = '11px system-ui, sans-serif';
+    ctx.textBaseline = 'bottom';
+    for (const { name, corners, color } of outlines) {
+        ctx.beginPath();
+        corners.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+        ctx.closePath();
+        ctx.lineWidth = 1.5;
+        ctx.strokeStyle = color;
+        ctx.stroke();
+        const [x, y] = corners.reduce((a, b) => (b[1] < a[1] || (b[1] === a[1] && b[0] < a[0]) ? b : a));
+        ctx.fillStyle = color;
+        ctx.fillText(name, Math.max(2, x), Math.max(12, y - 2));
     }
 }
 
-function looksLikeZipDotLottie(arrayBuffer) {
+// Wheel and pinch zoom around the pointer, drag to pan, double-click to reset. The view applies
+// to both containers, so B can be zoomed from its own side too.
+function attachStageInput(container) {
+    if (!container) return;
+    const pointers = new Map(); // pointerId → [clientX, clientY]
+    const local = (clientX, clientY) => {
+        const rect = container.getBoundingClientRect();
+        return [clientX - rect.left, clientY - rect.top];
+    };
+
+    // Trackpad pinches arrive as wheel events with ctrlKey, in much smaller steps.
+    container.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const factor = Math.exp(-e.deltaY * (e.ctrlKey ? 0.01 : 0.002));
+        setStageView(zoomAt(stageView, factor, local(e.clientX, e.clientY), stageBox()));
+    }, { passive: false });
+
+    container.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        pointers.set(e.pointerId, [e.clientX, e.clientY]);
+    });
+    container.addEventListener('pointermove', (e) => {
+        const previous = pointers.get(e.pointerId);
+        if (!previous) return;
+        const next = [e.clientX, e.clientY];
+        if (pointers.size === 1 && stageView.zoom > 1) {
+            // Captured only once it is a drag, so clicks still reach the canvas (its interactions).
+            if (!container.hasPointerCapture?.(e.pointerId)) container.setPointerCapture?.(e.pointerId);
+            stage?.classList.add('is-panning');
+            setStageView(panBy(stageView, next[0] - previous[0], next[1] - previous[1], stageBox()), { resize: false });
+        } else if (pointers.size === 2) {
+            const [other] = [...pointers].filter(([id]) => id !== e.pointerId).map(([, at]) => at);
+            const before = Math.hypot(previous[0] - other[0], previous[1] - other[1]);
+            const after = Math.hypot(next[0] - other[0], next[1] - other[1]);
+            if (before > 0) {
+                const mid = local((next[0] + other[0]) / 2, (next[1] + other[1]) / 2);
+                setStageView(zoomAt(stageView, after / before, mid, stageBox()));
+            }
+        }
+        pointers.set(e.pointerId, next);
+    });
+    const release = (e) => {
+        pointers.delete(e.pointerId);
+        if (!pointers.size) stage?.classList.remove('is-panning');
+    };
+    container.addEventListener('pointerup', release);
+    container.addEventListener('pointercancel', release);
+    container.addEventListener('dblclick', () => setStageView(DEFAULT_VIEW));
+}
+
+attachStageInput(canvas?.parentElement);
+attachStageInput(compareCanvas?.parentElement);
+
+// Performance: the HUD, power-saving render settings (kept in localStorage) and the state
+// benchmark (src/perf-monitor.js). Frames are sampled from a requestAnimationFrame loop that
+// runs while the HUD is shown or a benchmark runs; a frame counts as rendered when the player's
+// current frame moved since the last display frame.
+const RENDER_KEY = 'lottieViewer.render';
+const HUD_REFRESH_MS = 250;
+const perfPanel = perfPanelEl
+    ? createPerfPanel(perfPanelEl, {
+        onHud: (shown) => applyRenderSettings({ hud: shown }),
+        onPixelRatioCap: (cap) => applyRenderSettings({ pixelRatioCap: cap }),
+        onInterpolation: (enabled) => applyRenderSettings({ interpolation: enabled }),
+        onFreeze: (enabled) => applyRenderSettings({ freezeWhenHidden: enabled }),
+        onRunBenchmark: () => startBenchmark(),
+        onStopBenchmark: () => benchmarkAbort?.abort(),
+        onExportBenchmark: () => exportBenchmark(),
+    })
+    : null;
+const frameStats = createFrameStats();
+let renderSettings = { hud: false, pixelRatioCap: null, interpolation: true, freezeWhenHidden: true };
+let perfFrame = 0; // requestAnimationFrame id of the sampling loop
+let hudDrawnAt = 0;
+let lastSampledFrame = null;
+let memoryBaseline = null; // WASM memory at the first reading
+let benchmarkAbort = null; // AbortController of the running benchmark
+let benchmarkResult = null; // { file, startedAt, summary } of the last run
+
+function readRenderSettings() {
     try {
-        const u8 = new Uint8Array(arrayBuffer, 0, 4);
-        // ZIP local file header: PK\x03\x04
-        return u8[0] === 0x50 && u8[1] === 0x4b && u8[2] === 0x03 && u8[3] === 0x04;
+        const stored = JSON.parse(localStorage.getItem(RENDER_KEY) || 'null');
+        if (!stored || typeof stored !== 'object') return;
+        if (typeof stored.hud === 'boolean') renderSettings.hud = stored.hud;
+        if (stored.pixelRatioCap === null || stored.pixelRatioCap > 0) renderSettings.pixelRatioCap = stored.pixelRatioCap;
+        if (typeof stored.interpolation === 'boolean') renderSettings.interpolation = stored.interpolation;
+        if (typeof stored.freezeWhenHidden === 'boolean') renderSettings.freezeWhenHidden = stored.freezeWhenHidden;
     } catch {
-        return false;
+        // ignore
     }
 }
 
-function resizeCanvasToDisplaySize() {
-    const dpr = Math.max(1, window.devicePixelRatio || 1);
-    const rect = canvas.getBoundingClientRect();
-    const width = Math.max(1, Math.round(rect.width * dpr));
-    const height = Math.max(1, Math.round(rect.height * dpr));
-    if (canvas.width !== width || canvas.height !== height) {
-        canvas.width = width;
-        canvas.height = height;
+function applyRenderSettingsTo(controller) {
+    controller.setPixelRatioCap(renderSettings.pixelRatioCap);
+    controller.setFrameInterpolation(renderSettings.interpolation);
+    controller.setFreezeWhenHidden(renderSettings.freezeWhenHidden);
+}
+
+function applyRenderSettings(changes, { persist = true } = {}) {
+    renderSettings = { ...renderSettings, ...changes };
+    applyRenderSettingsTo(eyes);
+    if (compareEyes) applyRenderSettingsTo(compareEyes);
+    // A new pixel ratio changes the canvas size, and with it a zoomed viewport.
+    setStageView(stageView);
+    if (perfHud) perfHud.hidden = !renderSettings.hud;
+    perfPanel?.setSettings(renderSettings);
+    if (persist) {
+        try {
+            localStorage.setItem(RENDER_KEY, JSON.stringify(renderSettings));
+        } catch {
+            // ignore
+        }
     }
+    updatePerfLoop();
 }
 
-function recomputeStageSize() {
-    if (!layout || !leftCol || !stage) return;
+function updatePerfLoop() {
+    const wanted = renderSettings.hud || Boolean(benchmarkAbort);
+    if (wanted && !perfFrame) {
+        frameStats.reset();
+        lastSampledFrame = null;
+        perfFrame = requestAnimationFrame(samplePerf);
+    } else if (!wanted && perfFrame) {
+        cancelAnimationFrame(perfFrame);
+        perfFrame = 0;
+    }
+}
 
-    const leftRect = leftCol.getBoundingClientRect();
-    const stageMaxByLeftHeight = leftRect.height;
+// Paused, frozen or hidden time is left out, so it doesn't count as dropped frames.
+function samplePerf(now) {
+    const player = eyes.player;
+    if (player && eyes.isLoaded && player.isPlaying && !eyes.frozen && !document.hidden) {
+        frameStats.tick(now);
+        const frame = player.currentFrame;
+        if (frame !== lastSampledFrame) frameStats.render(now);
+        lastSampledFrame = frame;
+    } else {
+        frameStats.gap();
+    }
+    if (renderSettings.hud && perfHud && now - hudDrawnAt >= HUD_REFRESH_MS) {
+        hudDrawnAt = now;
+        renderHud(perfHud, readPerf(now));
+    }
+    perfFrame = requestAnimationFrame(samplePerf);
+}
 
-    // Available height is the `.top` region (already excludes footer)
-    const availableH = Math.max(240, (topEl ? topEl.getBoundingClientRect().height : window.innerHeight));
+function readPerf(now = performance.now()) {
+    const memory = eyes.wasmMemory;
+    if (memory != null) memoryBaseline ??= memory;
+    const rect = canvas.getBoundingClientRect();
+    return {
+        ...frameStats.stats(now),
+        canvas: { width: canvas.width, height: canvas.height },
+        pixelRatio: rect.width ? canvas.width / rect.width : 1,
+        memory,
+        memoryGrowth: memory != null && memoryBaseline != null ? memory - memoryBaseline : null,
+    };
+}
 
-    // Available width for stage in the layout
-    const layoutRect = layout.getBoundingClientRect();
-    const availableW = Math.max(240, layoutRect.width - leftRect.width - 80); // 80 ~= gap + slack
+// Request every control value of the open file in turn, through the tiles' request path.
+// Sequences and replays are stopped first so they don't make requests of their own.
+async function startBenchmark() {
+    const states = eyes.model.values;
+    if (benchmarkAbort || !states.length) {
+        if (!states.length) perfPanel?.setStatus('This file has no states to request.');
+        return;
+    }
+    stopReplay();
+    sequencePlayer.stop();
+    const abort = new AbortController();
+    benchmarkAbort = abort;
+    const file = currentSource.fileName || '(unnamed)';
+    const startedAt = new Date().toISOString();
+    perfPanel?.setBenchmark({ running: true, canExport: false });
+    perfPanel?.setResults(null);
+    updatePerfLoop();
+    try {
+        const summary = await runBenchmark({
+            states,
+            request: (value) => requestState(value),
+            reset: () => {
+                frameStats.reset();
+                lastSampledFrame = null;
+            },
+            read: () => readPerf(),
+            signal: abort.signal,
+            onProgress: ({ index, state }) => perfPanel?.setStatus(`Measuring ${state} (${index + 1} of ${states.length})…`),
+        });
+        benchmarkResult = { file, startedAt, pixelRatioCap: renderSettings.pixelRatioCap, interpolation: renderSettings.interpolation, summary };
+        perfPanel?.setResults(formatBenchmark(summary));
+        perfPanel?.setStatus(summary.aborted ? 'Stopped.' : `Done: ${states.length} states of ${file}.`);
+    } catch (error) {
+        perfPanel?.setStatus(`The benchmark failed: ${error?.message || error}`);
+    } finally {
+        benchmarkAbort = null;
+        perfPanel?.setBenchmark({ running: false, canExport: Boolean(benchmarkResult) });
+        updatePerfLoop();
+    }
+}
 
-    const next = Math.floor(Math.max(240, Math.min(stageMaxByLeftHeight, availableH, availableW)));
-    layout.style.setProperty('--stage-size', `${next}px`);
+function exportBenchmark() {
+    if (!benchmarkResult) return;
+    const stamp = benchmarkResult.startedAt.replace(/[:.]/g, '-');
+    downloadJson(benchmarkResult, `${baseName(benchmarkResult.file)}-benchmark-${stamp}.json`);
+}
+
+// Freeze a canvas that can't be seen (when the setting is on; the controller checks).
+watchVisibility(canvas, (visible) => eyes.setVisible(visible));
+if (compareCanvas) watchVisibility(compareCanvas, (visible) => compareEyes?.setVisible(visible));
+
+// Animation & state machine: which of the manifest's animations and machines A shows, or plain
+// playback without a machine. The choice is remembered per file name (in localStorage) and used
+// whenever a file of that name is opened; ids it doesn't have fall back to the first.
+const SELECTION_KEY = 'lottieViewer.selection';
+const scenePanel = scenePanelEl
+    ? createScenePanel(scenePanelEl, {
+        onAnimation: (id) => chooseScene(() => eyes.setAnimation(id), { animation: id }),
+        onStateMachine: (id) => chooseScene(() => eyes.setStateMachine(id), { stateMachine: id }),
+    })
+    : null;
+
+// { [fileName]: { animation, stateMachine } }
+function readSelections() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SELECTION_KEY) || 'null');
+        return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch {
+        return {};
+    }
 }
 
-// Initialize DotLottie
-async function initLottie({ src, data, fileName } = {}) {
-    clearDebug();
+// { animation, stateMachine } for `fileName`, null where nothing was chosen.
+function rememberedSelection(fileName) {
+    const stored = fileName ? readSelections()[fileName] : null;
+    return {
+        animation: typeof stored?.animation === 'string' ? stored.animation : null,
+        stateMachine: typeof stored?.stateMachine === 'string' ? stored.stateMachine : null,
+    };
+}
 
-    // Ask the runtime (if supported) to load WASM from our local copy.
-    // Some builds request `DotLottiePlayer.wasm` by name, so we ship that file too.
+function rememberSelection(fileName, selection) {
+    if (!fileName) return;
+    const selections = readSelections();
+    selections[fileName] = { ...rememberedSelection(fileName), ...selection };
     try {
-        if (typeof DotLottie.setWasmUrl === 'function') {
-            DotLottie.setWasmUrl(new URL('./vendor/DotLottiePlayer.wasm', import.meta.url).toString());
-        }
+        localStorage.setItem(SELECTION_KEY, JSON.stringify(selections));
     } catch {
         // ignore
     }
+}
 
-    // Clean up existing instance
-    if (dotLottie) {
-        dotLottie.destroy();
+// Switch with `apply()` (false if the file can't). Timeline mode, sequences, replays and the
+// benchmark drive the machine being replaced, so they end first.
+function chooseScene(apply, selection) {
+    if (timelineActive) exitTimeline(null);
+    stopReplay();
+    sequencePlayer.stop();
+    benchmarkAbort?.abort();
+    if (!apply()) {
+        renderScenePanel();
+        return;
     }
+    rememberSelection(currentSource.fileName, selection);
+    traceRecorder.record('scene', { animation: eyes.animationId, stateMachine: eyes.stateMachineId });
+    scheduleLinkUpdate();
+}
 
-    resizeCanvasToDisplaySize();
-    showLoading(true);
+function renderScenePanel() {
+    const manifest = eyes.player?.manifest;
+    scenePanel?.setOptions({
+        animations: manifest?.animations || [],
+        stateMachines: manifest?.stateMachines || [],
+        animationId: eyes.animationId,
+        stateMachineId: eyes.stateMachineId,
+    });
+    scenePanel?.setStatus(eyes.machineStatus);
+}
 
-    try {
-        dotLottie = new DotLottie({
-            canvas: canvas,
-            ...(src ? { src } : {}),
-            ...(data ? { data } : {}),
-            autoplay: true,
-            loop: true,
-            ...(bgMode === 'solid' ? { backgroundColor: bgColor } : {}),
-            // Some versions support passing a wasm url via config; harmless if ignored.
-            wasmUrl: 'vendor/DotLottiePlayer.wasm',
-        });
+for (const type of ['suspend', 'resume', 'statechange']) {
+    eyes.addEventListener(type, () => scenePanel?.setStatus(eyes.machineStatus));
+}
+eyes.addEventListener('modelchange', () => renderScenePanel());
+
+// State machine editor (src/machine-editor.js): edits a copy of the machine in use, checked as
+// it changes. Apply runs it through eyes.setStateMachineData, which keeps the animation on stage
+// and survives crash reloads; Download packs it into the .lottie in place of the file's machine.
+// The history lasts while the same load and machine stay open; swapping images keeps it.
+const machineEditorPanel = machineEditorEl
+    ? createMachineEditorPanel(machineEditorEl, {
+        onEdit: (def) => editMachine(def),
+        onJson: (text) => editMachineJson(text),
+        onUndo: () => showMachineEdit(machineEdit.history?.undo()),
+        onRedo: () => showMachineEdit(machineEdit.history?.redo()),
+        onApply: () => applyMachineEdit(),
+        onLive: (live) => {
+            machineEdit.live = live;
+            if (live) applyMachineEdit();
+            renderMachineEditControls();
+        },
+        onRevert: () => revertMachineEdit(),
+        onDownload: () => downloadEditedMachine(),
+    })
+    : null;
+const machineEdit = {
+    loads: 0, // fresh loads so far; part of the key
+    reopening: false, // the next load is the same file with other images
+    key: null,
+    history: null,
+    applied: null, // the definition the runtime is running
+    markersOf: () => null,
+    issues: [],
+    live: false,
+};
+
+eyes.addEventListener('loadstart', ({ detail }) => {
+    if (!detail.recovering && !machineEdit.reopening) machineEdit.loads += 1;
+    machineEdit.reopening = false;
+});
 
-        dotLottie.addEventListener('ready', () => {
-            // `ready` means the WASM engine is initialized (not that the animation is loaded).
-            console.log('DotLottie engine ready');
-        });
+eyes.addEventListener('modelchange', ({ detail }) => {
+    const key = detail.hasStateMachine && eyes.stateMachineId ? `${machineEdit.loads}:${eyes.stateMachineId}` : null;
+    if (key === machineEdit.key) {
+        renderMachineEditControls();
+        return;
+    }
+    machineEdit.key = key;
+    machineEdit.markersOf = () => null;
+    if (!key || !detail.definition) {
+        machineEdit.history = null;
+        machineEdit.applied = null;
+        machineEditorPanel?.setDefinition(null, { reset: true });
+        machineEditorPanel?.setIssues([]);
+        machineEditorPanel?.setStatus('Open a file with a state machine to edit it.');
+        renderMachineEditControls();
+        return;
+    }
+    const def = structuredClone(detail.definition);
+    machineEdit.history = createEditHistory(def);
+    machineEdit.applied = def;
+    machineEditorPanel?.setDefinition(def, { reset: true });
+    machineEditorPanel?.setStatus(`Editing ${eyes.stateMachineId}.`);
+    checkMachineEdit();
+
+    // Segments are checked against the animations' markers once the file has been read.
+    const source = currentSource;
+    readSourceBytes(source)
+        .then((bytes) => (typeof bytes === 'string' ? null : readMarkerNames(bytes, eyes.animationId)))
+        .then((markersOf) => {
+            if (!markersOf || machineEdit.key !== key) return;
+            machineEdit.markersOf = markersOf;
+            checkMachineEdit();
+        })
+        .catch((error) => console.warn('Could not read markers for the state machine editor:', error));
+});
 
-        dotLottie.addEventListener('load', () => {
-            showLoading(false);
-            console.log('Animation loaded successfully');
+function checkMachineEdit() {
+    const def = machineEdit.history?.current();
+    machineEdit.issues = def ? checkMachine(def, { id: eyes.stateMachineId, markersOf: machineEdit.markersOf }) : [];
+    machineEditorPanel?.setIssues(machineEdit.issues);
+    renderMachineEditControls();
+}
 
-            // Apply background again after load (some versions reset internal background state)
-            applyBackground(bgMode, bgColor);
+const machineEditValid = () => Boolean(machineEdit.history) && !machineEdit.issues.some((issue) => issue.severity === 'error');
+
+function renderMachineEditControls() {
+    const history = machineEdit.history;
+    machineEditorPanel?.setControls({
+        canUndo: Boolean(history?.canUndo()),
+        canRedo: Boolean(history?.canRedo()),
+        canApply: machineEditValid() && history.current() !== machineEdit.applied,
+        canRevert: eyes.stateMachineData != null,
+        canDownload: machineEditValid(),
+        live: machineEdit.live,
+    });
+}
 
-            // Try to load + start the first state machine from the manifest (if present).
-            try {
-                const manifest = dotLottie.manifest;
-                const candidateId = manifest?.stateMachines?.[0]?.id;
-                if (candidateId && typeof dotLottie.stateMachineLoad === 'function') {
-                    dotLottie.stateMachineLoad(candidateId);
-                }
-                if (typeof dotLottie.stateMachineStart === 'function') {
-                    dotLottie.stateMachineStart();
-                }
-            } catch (e) {
-                console.warn('State machine auto-start failed:', e);
-            }
+function editMachine(def) {
+    if (!machineEdit.history) return;
+    showMachineEdit(machineEdit.history.push(def));
+}
 
-            // Apply any state selection made before load finished.
-            const desired =
-                pendingState ||
-                document.querySelector('input[name="state"]:checked')?.value ||
-                null;
-            pendingState = null;
-            if (desired) {
-                setStateMachineInput(desired);
-            }
-        });
+function editMachineJson(text) {
+    let def;
+    try {
+        def = JSON.parse(text);
+    } catch (error) {
+        machineEditorPanel?.setStatus(`Not valid JSON: ${error.message}`);
+        return;
+    }
+    editMachine(def);
+}
 
-        // Keep the UI selection in sync with actual state machine state.
-        // This is critical for Wink-like states that auto-transition back to Base.
-        dotLottie.addEventListener('stateMachineStateEntered', (evt) => {
-            if (evt?.state) {
-                syncStateUI(evt.state);
-            }
-        });
-        dotLottie.addEventListener('stateMachineTransition', (evt) => {
-            if (evt?.toState) {
-                syncStateUI(evt.toState);
-            }
-        });
-        dotLottie.addEventListener('stateMachineStringInputValueChange', (evt) => {
-            // If the machine updates the "State" input internally, reflect it too.
-            if (evt?.inputName === 'State' && typeof evt?.newValue === 'string') {
-                syncStateUI(evt.newValue);
-            }
-        });
+// After an edit, undo or redo (`def` null: nothing to undo or redo).
+function showMachineEdit(def) {
+    if (!def) return;
+    machineEditorPanel?.setDefinition(def);
+    machineEditorPanel?.setStatus('');
+    checkMachineEdit();
+    if (machineEdit.live) applyMachineEdit();
+}
 
-        dotLottie.addEventListener('loadError', (evt) => {
-            console.error('Error loading Lottie:', evt);
-            const hint = fileName ? `\n\nFile: ${fileName}` : '';
-            showDebug(`Load error:\n${formatUnknownError(evt)}${hint}`);
-            showLoading(false);
-        });
+function applyMachineEdit() {
+    const def = machineEdit.history?.current();
+    if (!def || !machineEditValid() || def === machineEdit.applied) return;
+    if (timelineActive) exitTimeline(null);
+    stopReplay();
+    sequencePlayer.stop();
+    if (!eyes.setStateMachineData(def)) {
+        machineEditorPanel?.setStatus('The runtime did not accept this machine; the last applied one is still running.');
+        renderMachineEditControls();
+        return;
+    }
+    machineEdit.applied = def;
+    traceRecorder.record('machine-edit', { stateMachine: eyes.stateMachineId, edited: true });
+    machineEditorPanel?.setStatus('Applied.');
+    renderMachineEditControls();
+}
 
-        dotLottie.addEventListener('stateMachineError', (evt) => {
-            console.error('State machine error:', evt);
-            showDebug(`State machine error:\n${formatUnknownError(evt)}`);
-        });
+// Back to the file's machine. The edits stay in the history.
+function revertMachineEdit() {
+    if (eyes.stateMachineData == null) return;
+    if (timelineActive) exitTimeline(null);
+    stopReplay();
+    sequencePlayer.stop();
+    eyes.setStateMachineData(null);
+    machineEdit.applied = null;
+    traceRecorder.record('machine-edit', { stateMachine: eyes.stateMachineId, edited: false });
+    machineEditorPanel?.setStatus('Running the file\'s state machine again.');
+    renderMachineEditControls();
+}
 
+async function downloadEditedMachine() {
+    const def = machineEdit.history?.current();
+    if (!def || !machineEditValid()) return;
+    try {
+        const bytes = await readSourceBytes(currentSource);
+        if (!bytes || typeof bytes === 'string') throw new Error('Only .lottie files carry a state machine.');
+        const packed = await repackMachine(bytes, eyes.stateMachineId, def);
+        downloadBlob(new Blob([packed], { type: 'application/zip' }), `${baseName(currentSource.fileName)}-edited.lottie`);
+        machineEditorPanel?.setStatus('Downloaded.');
     } catch (error) {
-        console.error('Failed to initialize Lottie:', error);
-        showDebug(`Init error:\n${formatUnknownError(error)}`);
-        showLoading(false);
+        console.error('Edited .lottie export failed:', error);
+        machineEditorPanel?.setStatus(`Download failed: ${error?.message || error}`);
     }
 }
 
-// Set state machine input
-function setStateMachineInput(state, options = {}) {
-    if (!dotLottie) return;
+// Session traces: export / import / replay
+function exportTrace() {
+    const trace = traceRecorder.toJSON();
+    const stamp = trace.startedAt.replace(/[:.]/g, '-');
+    downloadJson(trace, `trace-${baseName(trace.file?.name)}-${stamp}.json`);
+}
 
+async function importTrace(file) {
     try {
-        const { retryAttempt = 0, isRetry = false } = options;
-
-        // If the user made a new selection, cancel any pending retries for older values.
-        if (!isRetry && scheduledStateRetry) {
-            clearTimeout(scheduledStateRetry);
-            scheduledStateRetry = null;
-            scheduledStateRetryFor = null;
-        }
+        importedTrace = parseTrace(await file.text());
+        const actions = importedTrace.entries.length;
+        tracePanel?.setStatus(
+            `Imported ${file.name}: ${actions} entries recorded against "${importedTrace.file?.name || '?'}". ` +
+            'Replay reloads the file and re-issues its actions.'
+        );
+    } catch (error) {
+        importedTrace = null;
+        showDebug(`Could not import trace:\n${error?.message || error}`);
+    }
+}
 
-        // Track the last desired state so we can recover gracefully if the WASM engine crashes.
-        if (!isRetry) lastRequestedState = state;
-
-        const requestedUiState = normalizeUiStateFromMachineState(state);
-        // Pin the UI highlight to the *requested* state until we actually reach it (or timeout).
-        // This prevents flicker when the machine briefly enters previousState_*_Loop_Out states.
-        const lockMode = (requestedUiState === 'Wink' || requestedUiState === 'Boot') ? 'leave' : 'stable';
-        // Transitions can be long (especially Think which uses internal `load_*` states),
-        // so keep the lock alive long enough that previous-state `*_Loop_Out` doesn't
-        // steal the highlight mid-transition.
-        uiHighlightLock = { state: requestedUiState, expiresAt: Date.now() + 8000, reachedAt: null, mode: lockMode };
-
-        // dotlottie-web@0.58.x uses `stateMachineSet*Input` APIs.
-        // Your input name is "State" (case-sensitive).
-        if (typeof dotLottie.isLoaded === 'boolean' && !dotLottie.isLoaded) {
-            pendingState = state;
-            throw new Error('Animation not loaded yet. Applying as soon as it finishes loading…');
-        }
+async function startReplay(trace) {
+    stopReplay();
+    const sha256 = await currentSourceHash;
+    const mismatch = describeFileMismatch(trace, { name: currentSource.fileName, sha256 });
+    if (mismatch) showDebug(`Replaying anyway, but it may not reproduce:\n${mismatch}`);
+
+    tracePanel?.setReplaying(true);
+    tracePanel?.setStatus('Reloading file for replay…');
+    // The `modelchange` handler picks this up and calls beginReplay once the file is fresh.
+    pendingReplay = trace;
+    openSource(currentSource, { initialState: null });
+}
 
-        if (typeof dotLottie.stateMachineSetStringInput === 'function') {
-            // Ensure a state machine is running if the file contains one.
-            // If a stateMachineId exists in the manifest, prefer it; otherwise start the default.
-            if (typeof dotLottie.stateMachineGetActiveId === 'function' && typeof dotLottie.stateMachineStart === 'function') {
-                const isRunning = typeof dotLottie.isStateMachineRunning === 'boolean' ? dotLottie.isStateMachineRunning : false;
-                if (!isRunning) {
-                    const manifest = dotLottie.manifest;
-                    const candidateId = manifest?.stateMachines?.[0]?.id;
-                    if (candidateId && typeof dotLottie.stateMachineLoad === 'function') {
-                        dotLottie.stateMachineLoad(candidateId);
-                    }
-                    dotLottie.stateMachineStart();
-                }
-            }
+function beginReplay(trace) {
+    tracePanel?.setStatus(`Replaying ${trace.entries.length} entries…`);
+    cancelReplay = replayTrace(trace, {
+        perform: performTraceEntry,
+        onDone: () => {
+            cancelReplay = null;
+            tracePanel?.setReplaying(false);
+            tracePanel?.setStatus('Replay finished. The timeline below is the replayed run; export it to compare.');
+        },
+    });
+}
 
-            const ok = dotLottie.stateMachineSetStringInput('State', state);
-            if (ok === false) {
-                // Some files/runtime versions temporarily reject inputs during transitions.
-                // Instead of failing immediately, retry a few times with backoff.
-                const MAX_RETRIES = 8;
-                if (retryAttempt < MAX_RETRIES) {
-                    const delay = Math.min(900, Math.round(90 * Math.pow(1.55, retryAttempt)));
-                    scheduledStateRetryFor = state;
-                    scheduledStateRetry = setTimeout(() => {
-                        // Only retry if we haven't been superseded by another selection.
-                        if (scheduledStateRetryFor === state) {
-                            setStateMachineInput(state, { retryAttempt: retryAttempt + 1, isRetry: true });
-                        }
-                    }, delay);
-                    return;
-                }
+function stopReplay() {
+    pendingReplay = null;
+    if (cancelReplay) {
+        cancelReplay();
+        cancelReplay = null;
+        tracePanel?.setStatus('Replay stopped.');
+    }
+    tracePanel?.setReplaying(false);
+}
 
-                // Provide a more useful error showing available inputs if possible.
-                if (typeof dotLottie.stateMachineGetInputs === 'function') {
-                    const inputs = dotLottie.stateMachineGetInputs();
-                    const activeId = typeof dotLottie.stateMachineGetActiveId === 'function' ? dotLottie.stateMachineGetActiveId() : '(unknown)';
-                    const status = typeof dotLottie.stateMachineGetStatus === 'function' ? dotLottie.stateMachineGetStatus() : '(unknown)';
-                    const running = typeof dotLottie.isStateMachineRunning === 'boolean' ? String(dotLottie.isStateMachineRunning) : '(unknown)';
-                    throw new Error(
-                        `State machine rejected input.\n` +
-                        `Active stateMachineId: ${activeId}\n` +
-                        `Running: ${running}\n` +
-                        `Status: ${status}\n` +
-                        `Available inputs: ${JSON.stringify(inputs)}`
-                    );
-                }
-                throw new Error('State machine rejected input (returned false).');
-            }
-        } else if (typeof dotLottie.stateMachineSetNumericInput === 'function' || typeof dotLottie.stateMachineSetBooleanInput === 'function') {
-            throw new Error('State machine API present, but no string-input setter found. Is your "State" input actually numeric/boolean?');
-        } else {
-            // Legacy fallback attempts (older dotlottie-web versions)
-            if (typeof dotLottie.setStateMachineStringInput === 'function') {
-                dotLottie.setStateMachineStringInput('State', state);
-            } else if (typeof dotLottie.setStateMachineInput === 'function') {
-                dotLottie.setStateMachineInput('State', state);
-            } else if (typeof dotLottie.setStateMachineInputValue === 'function') {
-                dotLottie.setStateMachineInputValue('State', state);
-            } else {
-                // Dump prototype keys to help debug quickly
-                const protoKeys = Object.getOwnPropertyNames(Object.getPrototypeOf(dotLottie)).sort();
-                throw new Error(`No known state-machine input setter found. DotLottie methods: ${protoKeys.join(', ')}`);
+function performTraceEntry(entry) {
+    const player = eyes.player;
+    if (!player) return;
+    try {
+        switch (entry.kind) {
+            case 'request':
+                requestState(entry.value, { origin: entry.origin });
+                break;
+            case 'set-input': {
+                statusFeed.forgetSent();
+                traceRecorder.record('set-input', { name: entry.name, inputType: entry.inputType, value: entry.value });
+                const ok = writeInput(player, entry.name, entry.inputType, entry.value);
+                if (ok === false) showDebug(`Replay: machine rejected ${entry.name} = ${JSON.stringify(entry.value)}.`);
+                mirrorInput(entry.name, entry.inputType, entry.value);
+                break;
             }
+            case 'override':
+                overrideMachineState(entry.state);
+                break;
+            case 'fire':
+                traceRecorder.record('fire', { event: entry.event });
+                player.stateMachineFireEvent(entry.event);
+                mirrorEvent(entry.event);
+                break;
+            default:
+                break;
         }
-        syncStateUI(state);
-        console.log(`State changed to: ${state}`);
     } catch (error) {
-        console.error('Error setting state:', error);
-        // dotlottie-web is WASM-backed; occasionally it can crash with a memory OOB error.
-        // When that happens, the instance may be corrupted. Stop retries and reload once.
-        const msg = String(error?.message || error || '');
-        if (/memory access out of bounds/i.test(msg)) {
-            if (scheduledStateRetry) {
-                clearTimeout(scheduledStateRetry);
-                scheduledStateRetry = null;
-                scheduledStateRetryFor = null;
-            }
-            pendingAfterTransientState = null;
-
-            const now = Date.now();
-            const COOLDOWN_MS = 10_000;
-            if (now - lastWasmRecoveryAt >= COOLDOWN_MS) {
-                lastWasmRecoveryAt = now;
-                // Re-apply after reload using the existing "pendingState" mechanism.
-                pendingState = lastRequestedState || null;
-                showDebug(`Renderer crashed (WASM memory OOB). Reloading animation…`);
-                try {
-                    initLottie({ src: './CSM.lottie', fileName: 'CSM.lottie' });
-                    return;
-                } catch (e) {
-                    console.error('Recovery reload failed:', e);
-                }
-            }
-        }
-        showDebug(`State set error: ${error?.message || error}`);
+        console.error('Replay step failed:', entry, error);
+        showDebug(`Replay step failed (${entry.kind} at +${entry.t}ms):\n${error?.message || error}`);
     }
 }
 
@@ -495,26 +2674,71 @@ function showLoading(show) {
     }
 }
 
-// Handle state toggle changes
-stateRadios.forEach(radio => {
-    radio.addEventListener('change', (e) => {
-        if (e.target.checked) {
-            const requested = e.target.value;
-            const requestedUi = normalizeUiStateFromMachineState(requested);
+// Handle state toggle changes (delegated: the tiles are re-rendered per file)
+if (stateTogglesEl) {
+    stateTogglesEl.addEventListener('change', (e) => {
+        const radio = e.target;
+        if (!(radio instanceof HTMLInputElement) || radio.name !== 'state' || !radio.checked) return;
 
-            // If Boot/Wink is in progress and the machine auto-returns to Base,
-            // queue the user's selection so it gets applied after that return.
-            if ((lastObservedUiState === 'Boot' || lastObservedUiState === 'Wink') && requestedUi !== lastObservedUiState) {
-                pendingAfterTransientState = requested;
-            } else {
-                pendingAfterTransientState = null;
-            }
-            setStateMachineInput(requested);
-        }
+        requestState(radio.value);
     });
+}
+
+// Keyboard shortcuts. The help dialog is modal: only `?` (and Esc, natively) work while it is open.
+document.addEventListener('keydown', (e) => {
+    const shortcut = shortcutFor(e);
+    if (!shortcut || (shortcutHelp?.open && shortcut.action !== 'help')) return;
+    e.preventDefault();
+    runShortcut(shortcut);
 });
+shortcutHelp?.querySelector('[data-role="list"]')?.append(...SHORTCUTS.flatMap(({ keys, description }) => {
+    const term = document.createElement('dt');
+    term.textContent = keys;
+    const detail = document.createElement('dd');
+    detail.textContent = description;
+    return [term, detail];
+}));
+shortcutHelpButton?.addEventListener('click', () => toggleShortcutHelp());
+
+// File picker
+if (fileInput) {
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files?.[0];
+        if (file) openFile(file);
+        // Reset so picking the same file again still fires `change`.
+        fileInput.value = '';
+    });
+}
+
+// Drag-and-drop onto the stage
+if (stage) {
+    let dragDepth = 0;
+    stage.addEventListener('dragenter', (e) => {
+        e.preventDefault();
+        dragDepth += 1;
+        stage.classList.add('drag-over');
+    });
+    stage.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        if (e.dataTransfer) e.dataTransfer.dropEffect = 'copy';
+    });
+    stage.addEventListener('dragleave', () => {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) stage.classList.remove('drag-over');
+    });
+    stage.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dragDepth = 0;
+        stage.classList.remove('drag-over');
+        const file = e.dataTransfer?.files?.[0];
+        if (file) openFile(file);
+    });
+}
+
+// A file dropped outside the stage would otherwise navigate away from the viewer.
+window.addEventListener('dragover', (e) => e.preventDefault());
+window.addEventListener('drop', (e) => e.preventDefault());
 
-// No file picker / drag-drop: this viewer is locked to CSM.lottie.
 // Initial state: show loading overlay until the default animation loads.
 showLoading(true);
 
@@ -522,10 +2746,7 @@ showLoading(true);
 window.addEventListener('resize', () => {
     try {
         recomputeStageSize();
-        resizeCanvasToDisplaySize();
-        if (dotLottie && typeof dotLottie.resize === 'function') {
-            dotLottie.resize();
-        }
+        setStageView(stageView);
     } catch {
         // ignore
     }
@@ -564,8 +2785,35 @@ if (bgColorInput) {
 }
 applyBackground(bgMode, bgColor);
 
-// Auto-load the bundled file by default
-initLottie({ src: './CSM.lottie', fileName: 'CSM.lottie' });
+// Motion: the stored setting, else follow the system.
+try {
+    const storedMotion = localStorage.getItem(MOTION_KEY);
+    if (MOTION_SETTINGS.includes(storedMotion)) motionSetting = storedMotion;
+} catch {
+    // ignore
+}
+motionRadios.forEach((r) => {
+    r.addEventListener('change', (e) => {
+        if (e.target.checked) applyMotion(e.target.value);
+    });
+});
+reducedMotionQuery?.addEventListener('change', () => {
+    if (motionSetting === 'auto') applyMotion('auto', { persist: false });
+});
+applyMotion(motionSetting, { persist: false });
+
+readRenderSettings();
+applyRenderSettings({}, { persist: false });
+
+// Open what the link in the hash describes: its src, else `?src=<url>`, else the bundled file.
+const startLink = parseViewLink(window.location.hash);
+applyViewLink(startLink.link, startLink.errors);
+window.addEventListener('hashchange', () => {
+    // Our own updates use replaceState, which doesn't fire this.
+    const { link, errors } = parseViewLink(window.location.hash);
+    applyViewLink(link, errors);
+});
+copyLinkButton?.addEventListener('click', () => copyViewLink());
 
 // Stage sizing: make the square match the left column height and keep everything centered.
 recomputeStageSize();
@@ -573,4 +2821,3 @@ if (typeof ResizeObserver !== 'undefined' && leftCol) {
     const ro = new ResizeObserver(() => recomputeStageSize());
     ro.observe(leftCol);
 }
-
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+// A stand-in for an agent's status feed, for trying the viewer's Live feed panel offline.
+//
+//   node scripts/mock-status-feed.mjs                 # ws://localhost:8787/ws and http://localhost:8787/events
+//   node scripts/mock-status-feed.mjs --port 9000
+//   node scripts/mock-status-feed.mjs --speed 2       # twice as fast
+//
+// Every connection gets the same scripted run, over and over: start, working, a burst of
+// streaming tokens (to exercise the debouncing), done, and every third run an error. Messages
+// are JSON like {"status":"working","run":3}, which the panel's default mapping understands.
+// Ctrl+C stops it. No dependencies: the WebSocket side speaks just enough of RFC 6455.
+
+import { createHash } from 'node:crypto';
+import { createServer } from 'node:http';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const i = args.indexOf(name);
+    return i === -1 ? fallback : Number(args[i + 1]);
+};
+if (args.includes('--help')) {
+    console.error('Usage: node scripts/mock-status-feed.mjs [--port 8787] [--speed 1]');
+    process.exit(0);
+}
+const port = option('--port', 8787);
+const speed = option('--speed', 1);
+if (!Number.isInteger(port) || port <= 0 || !(speed > 0)) {
+    console.error('--port must be a port number and --speed a positive number.');
+    process.exit(2);
+}
+
+// One run of the agent: [delay before the message in ms, message].
+function script(run) {
+    const steps = [[1500, { status: 'start' }], [1200, { status: 'working' }]];
+    for (let i = 0; i < 3; i++) steps.push([1000, { status: 'working', step: `tool call ${i + 1}` }]);
+    if (run % 3 === 0) return [...steps, [800, { status: 'error', message: 'The tool call failed.' }], [3000, { status: 'done' }]];
+    for (let i = 0; i < 40; i++) steps.push([i === 0 ? 800 : 60, { status: 'streaming', token: `token ${i + 1}` }]);
+    return [...steps, [600, { status: 'done' }]];
+}
+
+// Plays runs to `send(text)` until stop() is called.
+function play(send) {
+    let timer = null;
+    let run = 0;
+    let steps = [];
+    function next() {
+        if (!steps.length) steps = script(++run);
+        const [delay, message] = steps.shift();
+        timer = setTimeout(() => {
+            send(JSON.stringify({ ...message, run }));
+            next();
+        }, delay / speed);
+    }
+    next();
+    return () => clearTimeout(timer);
+}
+
+// WebSocket text frame from the server (unmasked). The messages here are all well under 64 KB.
+function textFrame(text) {
+    const payload = Buffer.from(text);
+    const header = payload.length < 126
+        ? Buffer.from([0x81, payload.length])
+        : Buffer.from([0x81, 126, payload.length >> 8, payload.length & 0xff]);
+    return Buffer.concat([header, payload]);
+}
+
+const server = createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== '/events') {
+        res.writeHead(404, { 'Content-Type': 'text/plain', 'Access-Control-Allow-Origin': '*' });
+        res.end('Try /events (Server-Sent Events) or a WebSocket on /ws.\n');
+        return;
+    }
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'Access-Control-Allow-Origin': '*',
+    });
+    res.write(': mock status feed\n\n');
+    console.log('SSE client connected');
+    const stop = play((text) => res.write(`data: ${text}\n\n`));
+    req.on('close', () => {
+        stop();
+        console.log('SSE client left');
+    });
+});
+
+server.on('upgrade', (req, socket) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const key = req.headers['sec-websocket-key'];
+    if (pathname !== '/ws' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = createHash('sha1').update(`${key}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`).digest('base64');
+    socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    console.log('WebSocket client connected');
+    const stop = play((text) => socket.write(textFrame(text)));
+    // The client only ever sends control frames here; a close frame (opcode 8) ends it.
+    socket.on('data', (data) => {
+        if ((data[0] & 0x0f) === 0x8) socket.end(Buffer.from([0x88, 0]));
+    });
+    socket.on('close', () => {
+        stop();
+        console.log('WebSocket client left');
+    });
+    socket.on('error', () => socket.destroy());
+});
+
+server.listen(port, () => {
+    console.log(`Mock status feed on ws://localhost:${port}/ws and http://localhost:${port}/events`);
+});
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+// Lint .lottie files (or plain Lottie JSON) from the command line or CI.
+//
+//   node scripts/validate-lottie.mjs CSM.lottie other.lottie
+//   node scripts/validate-lottie.mjs --json CSM.lottie > report.json
+//   node scripts/validate-lottie.mjs --strict CSM.lottie   # warnings fail too
+//
+// Exits 1 when any file has errors (or warnings, with --strict), 2 on bad usage.
+// The checks live in src/lottie-validator.js and are the same ones the viewer runs.
+
+import { readFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { formatReport, validateLottieBytes } from '../src/lottie-validator.js';
+
+const args = process.argv.slice(2);
+const flags = new Set(args.filter((arg) => arg.startsWith('--')));
+const files = args.filter((arg) => !arg.startsWith('--'));
+const unknown = [...flags].filter((flag) => !['--json', '--strict', '--help'].includes(flag));
+
+if (flags.has('--help') || !files.length || unknown.length) {
+    if (unknown.length) console.error(`Unknown option: ${unknown.join(', ')}`);
+    console.error('Usage: node scripts/validate-lottie.mjs [--json] [--strict] <file.lottie|file.json>...');
+    process.exit(flags.has('--help') && !unknown.length ? 0 : 2);
+}
+
+const reports = [];
+for (const path of files) {
+    let bytes;
+    try {
+        bytes = await readFile(path);
+    } catch (error) {
+        reports.push({
+            file: path,
+            ok: false,
+            errors: 1,
+            warnings: 0,
+            issues: [{ severity: 'error', code: 'unreadable', message: error.message, where: path }],
+        });
+        continue;
+    }
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    const report = await validateLottieBytes(buffer, { fileName: basename(path) });
+    reports.push({ ...report, file: path });
+}
+
+const failed = reports.some((r) => r.errors > 0 || (flags.has('--strict') && r.warnings > 0));
+if (flags.has('--json')) {
+    console.log(JSON.stringify({ ok: !failed, strict: flags.has('--strict'), reports }, null, 2));
+} else {
+    console.log(reports.map(formatReport).join('\n\n'));
+}
+process.exit(failed ? 1 : 0);
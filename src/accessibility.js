@@ -0,0 +1,96 @@
+// Keyboard shortcuts and screen-reader announcements for the viewer. Nothing in here touches
+// the DOM; app.js wires the keydown listener, the help dialog and the live region.
+
+import { SYSTEM_CLOCK } from './clock.js';
+
+// Listed in the help dialog, in this order.
+export const SHORTCUTS = [
+    { keys: '1 – 9', description: 'Pick the state tile with that number' },
+    { keys: '← →  ↑ ↓', description: 'Previous / next state' },
+    { keys: 'Space', description: 'Pause or play' },
+    { keys: '?', description: 'Show or hide this list' },
+    { keys: 'Esc', description: 'Close this list' },
+];
+
+// The highlight has to stay put this long before it is announced, so a request passing through
+// other states (an old state's `*_Loop_Out`, Boot on the way back to Base) is read out once.
+export const ANNOUNCE_DELAY_MS = 700;
+
+// Input types that take key presses as values (a range takes the arrows).
+const NON_TYPING_INPUTS = new Set(['radio', 'checkbox', 'button', 'submit', 'reset', 'file', 'color']);
+// Elements that do something with Space or the arrows themselves.
+const KEY_HANDLING_TAGS = new Set(['INPUT', 'BUTTON', 'SELECT', 'TEXTAREA', 'SUMMARY', 'A', 'DIALOG']);
+
+function isTyping(target) {
+    if (!target) return false;
+    if (target.isContentEditable) return true;
+    if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+    return target.tagName === 'INPUT' && !NON_TYPING_INPUTS.has(String(target.type).toLowerCase());
+}
+
+const STEPS = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1 };
+
+// The shortcut a keydown stands for, or null: { action: 'state', index } (0-based tile),
+// { action: 'step', delta }, { action: 'pause' } or { action: 'help' }. Keys typed into a field,
+// chords with Ctrl/Alt/Meta, and Space or arrows on a control that uses them are left alone.
+export function shortcutFor(event) {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return null;
+    const { key, target } = event;
+    if (isTyping(target)) return null;
+
+    if (key === '?') return { action: 'help' };
+    if (/^[1-9]$/.test(key)) return { action: 'state', index: Number(key) - 1 };
+
+    if (KEY_HANDLING_TAGS.has(target?.tagName)) return null;
+    if (key === ' ') return { action: 'pause' };
+    if (key in STEPS) return { action: 'step', delta: STEPS[key] };
+    return null;
+}
+
+// The value `delta` places after `current` in `values`, wrapping around. From a value that is not
+// in the list, forward starts at the first and back at the last.
+export function stepValue(values, current, delta) {
+    if (!values.length) return null;
+    const index = values.indexOf(current);
+    if (index < 0) return delta > 0 ? values[0] : values.at(-1);
+    return values[(((index + delta) % values.length) + values.length) % values.length];
+}
+
+// Feeds a live region through `say(text)`. `settle(text)` announces once the text has stayed the
+// same for `delay` ms and differs from the last settled announcement; `now(text)` announces
+// right away (pause, play, a new file). `reset()` forgets what was said, for a new file.
+export function createAnnouncer(say, { clock = SYSTEM_CLOCK, delay = ANNOUNCE_DELAY_MS } = {}) {
+    let timer = null;
+    let pending = null;
+    let last = null;
+
+    function cancel() {
+        if (timer != null) clock.clearTimeout(timer);
+        timer = null;
+        pending = null;
+    }
+
+    function settle(text) {
+        if (text === pending) return;
+        cancel();
+        if (!text || text === last) return;
+        pending = text;
+        timer = clock.setTimeout(() => {
+            timer = null;
+            pending = null;
+            last = text;
+            say(text);
+        }, delay);
+    }
+
+    function now(text) {
+        say(text);
+    }
+
+    function reset() {
+        cancel();
+        last = null;
+    }
+
+    return { settle, now, reset };
+}
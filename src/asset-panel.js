@@ -0,0 +1,122 @@
+// Panel for the open file's images (src/lottie-assets.js): a thumbnail, size, weight and the
+// layers using each one, its warnings, and replacing one by dropping a PNG or WebP on it (or
+// picking one). The page reloads the file and does the export through callbacks.
+
+import { mimeType } from './lottie-assets.js';
+import { formatBytes } from './perf-monitor.js';
+
+export function createAssetPanel(root, { onReplace, onDownload, onRevert }) {
+    const list = root.querySelector('[data-role="assets"]');
+    const summary = root.querySelector('[data-role="summary"]');
+    const status = root.querySelector('[data-role="status"]');
+    const buttons = {
+        download: root.querySelector('[data-action="download"]'),
+        revert: root.querySelector('[data-action="revert"]'),
+    };
+    let objectUrls = [];
+
+    buttons.download?.addEventListener('click', () => onDownload());
+    buttons.revert?.addEventListener('click', () => onRevert());
+
+    // A PNG or WebP dropped on a row replaces that image.
+    list?.addEventListener('dragover', (e) => {
+        const row = e.target.closest?.('[data-path]');
+        if (!row) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        row.classList.add('is-drop-target');
+    });
+    list?.addEventListener('dragleave', (e) => {
+        const row = e.target.closest?.('[data-path]');
+        if (row && !row.contains(e.relatedTarget)) row.classList.remove('is-drop-target');
+    });
+    list?.addEventListener('drop', (e) => {
+        const row = e.target.closest?.('[data-path]');
+        if (!row) return;
+        e.preventDefault();
+        row.classList.remove('is-drop-target');
+        const file = e.dataTransfer.files?.[0];
+        if (file) onReplace(row.dataset.path, file);
+    });
+    list?.addEventListener('change', (e) => {
+        const input = e.target;
+        const row = input.closest?.('[data-path]');
+        const file = input.files?.[0];
+        input.value = '';
+        if (row && file) onReplace(row.dataset.path, file);
+    });
+
+    function text(tag, className, content) {
+        const el = document.createElement(tag);
+        el.className = className;
+        el.textContent = content;
+        return el;
+    }
+
+    function row(image) {
+        const item = document.createElement('li');
+        item.className = image.issues.length ? 'asset has-issues' : 'asset';
+        if (image.path && image.bytes) item.dataset.path = image.path;
+
+        const thumb = document.createElement('img');
+        thumb.className = 'asset-thumb';
+        thumb.alt = '';
+        if (image.bytes && image.format) {
+            const url = URL.createObjectURL(new Blob([image.bytes], { type: mimeType(image.format) }));
+            objectUrls.push(url);
+            thumb.src = url;
+        }
+
+        const info = document.createElement('div');
+        info.className = 'asset-info';
+        const name = image.path ?? `inline image (${image.uses[0].assetId})`;
+        const pixels = image.width ? `${image.width}×${image.height} px` : 'unknown size';
+        const drawn = image.uses.find((use) => use.width > 0);
+        const facts = [image.format?.toUpperCase() ?? 'not an image', pixels, formatBytes(image.size)];
+        if (drawn && (drawn.width !== image.width || drawn.height !== image.height)) facts.push(`drawn at ${drawn.width}×${drawn.height}`);
+        info.append(text('span', 'asset-name', name), text('span', 'asset-facts', facts.join(' · ')));
+
+        const layers = image.uses.flatMap((use) => use.layers.map((layer) => (layer.hidden ? `${layer.name} (hidden)` : layer.name)));
+        info.append(text('span', 'asset-layers', layers.length ? `Used by ${layers.join(', ')}` : 'Not used by any layer'));
+        for (const issue of image.issues) info.append(text('span', 'asset-issue', issue.message));
+
+        item.append(thumb, info);
+        if (item.dataset.path) {
+            const picker = document.createElement('label');
+            picker.className = 'tool-button file-button-inline';
+            picker.textContent = 'Replace…';
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = 'image/png,image/webp';
+            input.setAttribute('aria-label', `Replace ${image.path}`);
+            picker.append(input);
+            item.append(picker);
+        }
+        return item;
+    }
+
+    // A readImageAssets() report, or null when there is nothing to show. `edited` (an image has
+    // been replaced) enables saving the result and going back to the file as opened.
+    function render(report, { edited = false } = {}) {
+        for (const url of objectUrls) URL.revokeObjectURL(url);
+        objectUrls = [];
+        list?.replaceChildren(...(report?.images || []).map((image) => row(image)));
+        if (summary) {
+            if (!report) summary.textContent = '';
+            else if (!report.images.length) summary.textContent = 'This file has no images.';
+            else {
+                const count = `${report.images.length} image${report.images.length === 1 ? '' : 's'}`;
+                const warnings = report.issues.length ? `, ${report.issues.length} warning${report.issues.length === 1 ? '' : 's'}` : '';
+                summary.textContent = `${count}, ${formatBytes(report.totalBytes)} in a ${formatBytes(report.fileBytes)} file${warnings}.`;
+            }
+        }
+        if (buttons.download) buttons.download.disabled = !edited;
+        if (buttons.revert) buttons.revert.disabled = !edited;
+    }
+
+    function setStatus(message) {
+        if (status) status.textContent = message;
+    }
+
+    return { render, setStatus };
+}
@@ -0,0 +1,53 @@
+// Timers for everything that takes a `clock` ({ now, setTimeout, clearTimeout }): the real one,
+// and a virtual one for tests and the simulator. Nothing in here touches the DOM.
+
+export const SYSTEM_CLOCK = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (id) => clearTimeout(id),
+};
+
+// Timers that only fire when the test says time has passed. `advance(ms)` runs everything due
+// in that window in time order (timers scheduled by callbacks included) and leaves `now()` at
+// the end of it. Delays are rounded up to whole milliseconds, as real timers effectively are;
+// fractional ones could make "wait for the rest of the window" loops spin at one instant.
+export function createVirtualClock(start = 0) {
+    let now = start;
+    let nextId = 1;
+    const timers = new Map(); // id → { at, fn }
+
+    function nextDue(until) {
+        let found = null;
+        for (const [id, timer] of timers) {
+            if (timer.at > until) continue;
+            if (!found || timer.at < found.timer.at || (timer.at === found.timer.at && id < found.id)) {
+                found = { id, timer };
+            }
+        }
+        return found;
+    }
+
+    return {
+        now: () => now,
+        setTimeout(fn, ms = 0) {
+            const id = nextId++;
+            timers.set(id, { at: now + Math.max(0, Math.ceil(Number(ms) || 0)), fn });
+            return id;
+        },
+        clearTimeout(id) {
+            timers.delete(id);
+        },
+        advance(ms = 0) {
+            const until = now + Math.max(0, ms);
+            for (let due = nextDue(until); due; due = nextDue(until)) {
+                timers.delete(due.id);
+                now = due.timer.at;
+                due.timer.fn();
+            }
+            now = until;
+        },
+        get pending() {
+            return timers.size;
+        },
+    };
+}
@@ -0,0 +1,80 @@
+// Panel for compare mode: open a second version (B) of the animation, pick side-by-side or
+// onion-skin view, lock B's frames to A's and toggle the pixel diff. Lists what the two files
+// disagree on (src/lottie-compare.js). The page does the work through callbacks.
+
+export function createComparePanel(root, { onOpenFile, onSetView, onOpacity, onLockFrames, onPixelDiff, onClose }) {
+    const fileInput = root.querySelector('[data-role="file"]');
+    const viewSelect = root.querySelector('[data-role="view"]');
+    const opacityInput = root.querySelector('[data-role="opacity"]');
+    const lockInput = root.querySelector('[data-role="lock"]');
+    const pixelsInput = root.querySelector('[data-role="pixels"]');
+    const diffList = root.querySelector('[data-role="diffs"]');
+    const status = root.querySelector('[data-role="status"]');
+    const pixelStatus = root.querySelector('[data-role="pixel-status"]');
+    const closeButton = root.querySelector('[data-action="close"]');
+
+    fileInput?.addEventListener('change', () => {
+        const file = fileInput.files?.[0];
+        fileInput.value = '';
+        if (file) onOpenFile(file);
+    });
+    viewSelect?.addEventListener('change', () => {
+        update();
+        onSetView(viewSelect.value);
+    });
+    opacityInput?.addEventListener('input', () => onOpacity(Number(opacityInput.value)));
+    lockInput?.addEventListener('change', () => onLockFrames(lockInput.checked));
+    pixelsInput?.addEventListener('change', () => onPixelDiff(pixelsInput.checked));
+    closeButton?.addEventListener('click', () => onClose());
+
+    let open = false;
+
+    function update() {
+        for (const el of [viewSelect, lockInput, pixelsInput, closeButton]) {
+            if (el) el.disabled = !open;
+        }
+        if (opacityInput) opacityInput.disabled = !open || viewSelect?.value !== 'onion';
+    }
+
+    // `fileName` of B, or null once compare mode is closed (which also resets the toggles).
+    function setOpen(fileName) {
+        open = Boolean(fileName);
+        if (!open) {
+            if (lockInput) lockInput.checked = false;
+            if (pixelsInput) pixelsInput.checked = false;
+            setDifferences(null);
+            setPixelStatus('');
+        }
+        update();
+    }
+
+    // `lines`: one readable line per difference (describeDifferences), or null before B loads.
+    function setDifferences(lines) {
+        diffList?.replaceChildren();
+        if (!lines) return;
+        if (!lines.length) {
+            const item = document.createElement('li');
+            item.className = 'compare-diff is-same';
+            item.textContent = 'Same states, inputs and markers.';
+            diffList?.append(item);
+            return;
+        }
+        for (const line of lines) {
+            const item = document.createElement('li');
+            item.className = 'compare-diff';
+            item.textContent = line;
+            diffList?.append(item);
+        }
+    }
+
+    function setStatus(message) {
+        if (status) status.textContent = message;
+    }
+
+    function setPixelStatus(message) {
+        if (pixelStatus) pixelStatus.textContent = message;
+    }
+
+    update();
+    return { setOpen, setDifferences, setStatus, setPixelStatus };
+}
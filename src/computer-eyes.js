@@ -0,0 +1,202 @@
+// <computer-eyes src="CSM.lottie" state="Think" background="#eee5ff"></computer-eyes>
+//
+// A self-contained player for the eyes, built on EyesController. Each element owns its
+// own canvas, player and controller, so any number of them can live on one page.
+//
+// Attributes:
+//   src         URL of a .lottie or Lottie JSON file
+//   state       control value to request (e.g. "Think"); changing it requests the new value
+//   background  "checker", "transparent" (default) or a CSS color
+//
+// Methods:
+//   await el.setState('Think')    resolves once the machine settles there, rejects with EyesStateError
+//   el.overrideState('Peek_Loop') jump straight to a machine state
+//   await el.load(fileOrSource)   open a File/Blob or a { src } / { data, fileName } source
+//
+// The controller's events (statechange, transition, settle, machineerror, … see
+// src/eyes-controller.js) are re-dispatched from the element. Scrolled out of view or in a
+// hidden tab, the element freezes its render loop (el.controller.setFreezeWhenHidden(false)
+// keeps it running).
+
+import { EYES_EVENTS, EyesController, EyesStateError } from './eyes-controller.js';
+import { fileNameFromUrl, sourceFromFile } from './lottie-source.js';
+import { overridesForFile } from './state-model.js';
+import { watchVisibility } from './perf-monitor.js';
+
+const HEX_COLOR = /^#(?:[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+const TEMPLATE = `
+<style>
+    :host {
+        display: inline-block;
+        position: relative;
+        width: 240px;
+        height: 240px;
+    }
+    :host([hidden]) {
+        display: none;
+    }
+    .surface {
+        position: absolute;
+        inset: 0;
+        background: var(--computer-eyes-bg, transparent);
+    }
+    :host([background="checker"]) .surface {
+        background:
+            linear-gradient(45deg, rgba(0,0,0,0.08) 25%, transparent 25%),
+            linear-gradient(-45deg, rgba(0,0,0,0.08) 25%, transparent 25%),
+            linear-gradient(45deg, transparent 75%, rgba(0,0,0,0.08) 75%),
+            linear-gradient(-45deg, transparent 75%, rgba(0,0,0,0.08) 75%);
+        background-size: 22px 22px;
+        background-position: 0 0, 0 11px, 11px -11px, -11px 0px;
+        background-color: #eee5ff;
+    }
+    canvas {
+        display: block;
+        width: 100%;
+        height: 100%;
+    }
+</style>
+<div class="surface" part="surface"><canvas part="canvas"></canvas></div>
+`;
+
+export class ComputerEyes extends HTMLElement {
+    static observedAttributes = ['src', 'state', 'background'];
+
+    // State-model overrides keyed by file name, like the viewer's #state-config block.
+    stateConfig = {};
+
+    #controller = null;
+    #resizeObserver = null;
+    #unwatchVisibility = null;
+    #surface;
+    #canvas;
+
+    constructor() {
+        super();
+        const shadow = this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = TEMPLATE;
+        this.#surface = shadow.querySelector('.surface');
+        this.#canvas = shadow.querySelector('canvas');
+    }
+
+    get controller() {
+        return this.#controller;
+    }
+
+    get player() {
+        return this.#controller?.player ?? null;
+    }
+
+    get model() {
+        return this.#controller?.model ?? null;
+    }
+
+    // The machine's current state name (e.g. "Peek_Loop").
+    get currentState() {
+        return this.#controller?.currentState ?? null;
+    }
+
+    // The control value the eyes are in (or are being moved to).
+    get state() {
+        return this.#controller?.highlightedState ?? this.getAttribute('state');
+    }
+
+    set state(value) {
+        this.setAttribute('state', value);
+    }
+
+    get src() {
+        return this.getAttribute('src');
+    }
+
+    set src(value) {
+        this.setAttribute('src', value);
+    }
+
+    connectedCallback() {
+        if (this.#controller) return;
+
+        const controller = new EyesController(this.#canvas, {
+            getOverrides: (fileName) => overridesForFile(this.stateConfig, fileName),
+        });
+        for (const type of EYES_EVENTS) {
+            controller.addEventListener(type, (e) => {
+                this.dispatchEvent(new CustomEvent(type, { detail: e.detail }));
+            });
+        }
+        this.#controller = controller;
+        this.#applyBackground();
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.#resizeObserver = new ResizeObserver(() => controller.resize());
+            this.#resizeObserver.observe(this);
+        }
+        this.#unwatchVisibility = watchVisibility(this, (visible) => controller.setVisible(visible));
+
+        if (this.src) this.#loadSrc();
+    }
+
+    disconnectedCallback() {
+        // Moving the element around the DOM reconnects it right away; keep the player then.
+        queueMicrotask(() => {
+            if (this.isConnected || !this.#controller) return;
+            this.#resizeObserver?.disconnect();
+            this.#resizeObserver = null;
+            this.#unwatchVisibility?.();
+            this.#unwatchVisibility = null;
+            this.#controller.destroy();
+            this.#controller = null;
+        });
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (!this.#controller || oldValue === value) return;
+
+        if (name === 'src') {
+            if (value) this.#loadSrc();
+        } else if (name === 'state') {
+            // Failures are also reported through the `machineerror` event.
+            if (value && this.#controller.source) this.setState(value).catch(() => {});
+        } else if (name === 'background') {
+            this.#applyBackground();
+        }
+    }
+
+    setState(value, options) {
+        if (!this.#controller) {
+            return Promise.reject(new EyesStateError('<computer-eyes> is not connected to a document.', { code: 'unloaded', state: value }));
+        }
+        return this.#controller.setState(value, options);
+    }
+
+    overrideState(stateName) {
+        return this.#controller ? this.#controller.overrideState(stateName) : false;
+    }
+
+    async load(source) {
+        if (!this.#controller) throw new Error('<computer-eyes> is not connected to a document.');
+        const resolved = source instanceof Blob ? await sourceFromFile(source) : source;
+        this.#controller.load(resolved, { initialState: this.getAttribute('state') || undefined });
+    }
+
+    #loadSrc() {
+        const src = this.src;
+        this.#controller.load(
+            { src: new URL(src, document.baseURI).href, fileName: fileNameFromUrl(src, document.baseURI) },
+            { initialState: this.getAttribute('state') || undefined },
+        );
+    }
+
+    #applyBackground() {
+        const background = (this.getAttribute('background') || 'transparent').trim();
+        const solid = background !== 'checker' && background !== 'transparent';
+        this.#surface.style.setProperty('--computer-eyes-bg', solid ? background : 'transparent');
+        // The player itself only understands hex colors; the surface paints anything else.
+        this.#controller?.setBackgroundColor(solid && HEX_COLOR.test(background) ? background : null);
+    }
+}
+
+if (!customElements.get('computer-eyes')) {
+    customElements.define('computer-eyes', ComputerEyes);
+}
@@ -0,0 +1,237 @@
+// Reading .lottie archives (ZIP) without the renderer: the manifest, animations, state machines
+// and themes as plain JSON, plus every other file as bytes. writeZip() packs them back up.
+//
+// Works in browsers and in Node 20+ ((De)CompressionStream('deflate-raw')). Only what dotLottie
+// tooling writes is supported: stored or deflated entries, no ZIP64, no encryption.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// Where each kind of file lives: v2 archives use a/, s/, t/; v1 used long folder names.
+const LOCATIONS = {
+    animation: ['a/', 'animations/'],
+    stateMachine: ['s/', 'states/', 'state-machines/'],
+    theme: ['t/', 'themes/'],
+};
+
+async function inflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function deflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time words, as stored in ZIP headers.
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+function findEndOfCentralDirectory(view) {
+    // The EOCD record is at least 22 bytes and may be followed by a comment of up to 64 KiB.
+    const stop = Math.max(0, view.byteLength - 22 - 0xffff);
+    for (let offset = view.byteLength - 22; offset >= stop; offset--) {
+        if (view.getUint32(offset, true) === EOCD_SIGNATURE) return offset;
+    }
+    throw new Error('Not a ZIP archive (no end of central directory record).');
+}
+
+// Returns [{ name, method, size, compressedSize, data }] with `data` uncompressed.
+export async function readZipEntries(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const eocd = findEndOfCentralDirectory(view);
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    if (offset === 0xffffffff) throw new Error('ZIP64 archives are not supported.');
+
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+            throw new Error(`Corrupt ZIP central directory (entry ${i}).`);
+        }
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (flags & 0x1) throw new Error(`"${name}" is encrypted.`);
+        if (name.endsWith('/')) continue;
+
+        if (view.getUint32(localOffset, true) !== LOCAL_SIGNATURE) {
+            throw new Error(`Corrupt ZIP local header for "${name}".`);
+        }
+        const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const raw = bytes.subarray(start, start + compressedSize);
+
+        let data;
+        if (method === 0) data = raw.slice();
+        else if (method === 8) data = await inflateRaw(raw);
+        else throw new Error(`"${name}" uses unsupported ZIP compression method ${method}.`);
+        if (data.length !== size) throw new Error(`"${name}" decompressed to ${data.length} bytes, expected ${size}.`);
+
+        entries.push({ name, method, size, compressedSize, data });
+    }
+    return entries;
+}
+
+// Packs [{ name, data }] (data: Uint8Array or string) into a ZIP. Entries are deflated unless that
+// doesn't make them smaller (images usually), in which case they are stored.
+export async function writeZip(files, { date = new Date() } = {}) {
+    const encoder = new TextEncoder();
+    const { time, day } = dosDateTime(date);
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const deflated = await deflateRaw(data);
+        const method = deflated.length < data.length ? 8 : 0;
+        const body = method === 8 ? deflated : data;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_SIGNATURE, true);
+        local.setUint16(4, 20, true); // version needed: 2.0
+        local.setUint16(6, 0x800, true); // UTF-8 names
+        local.setUint16(8, method, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, body.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        locals.push(new Uint8Array(local.buffer), name, body);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, CENTRAL_SIGNATURE, true);
+        central.setUint16(4, 20, true); // version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x800, true);
+        central.setUint16(10, method, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, day, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, body.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centrals.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + body.length;
+    }
+
+    const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+    const eocd = new DataView(new ArrayBuffer(22));
+    eocd.setUint32(0, EOCD_SIGNATURE, true);
+    eocd.setUint16(8, centrals.length / 2, true);
+    eocd.setUint16(10, centrals.length / 2, true);
+    eocd.setUint32(12, centralSize, true);
+    eocd.setUint32(16, offset, true);
+
+    const parts = [...locals, ...centrals, new Uint8Array(eocd.buffer)];
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let at = 0;
+    for (const part of parts) {
+        out.set(part, at);
+        at += part.length;
+    }
+    return out;
+}
+
+// Opens a .lottie archive. Nothing is parsed eagerly except the manifest; `manifestError`
+// is set (and `manifest` is null) when it is missing or invalid.
+export async function readDotLottie(buffer) {
+    const entries = await readZipEntries(buffer);
+    const files = new Map(entries.map((entry) => [entry.name, entry.data]));
+    const decoder = new TextDecoder();
+
+    function readText(path) {
+        const data = files.get(path);
+        return data ? decoder.decode(data) : null;
+    }
+
+    function readJson(path) {
+        const text = readText(path);
+        return text == null ? null : JSON.parse(text);
+    }
+
+    // Path of the JSON file for `id` of a kind (animation | stateMachine | theme), or null.
+    function pathOf(kind, id) {
+        for (const folder of LOCATIONS[kind]) {
+            const path = `${folder}${id}.json`;
+            if (files.has(path)) return path;
+        }
+        return null;
+    }
+
+    let manifest = null;
+    let manifestError = null;
+    try {
+        manifest = readJson('manifest.json');
+    } catch (error) {
+        manifestError = `manifest.json is not valid JSON: ${error.message}`;
+    }
+    if (!manifestError && (!manifest || typeof manifest !== 'object' || Array.isArray(manifest))) {
+        manifestError = manifest == null ? 'The archive has no manifest.json.' : 'manifest.json is not a JSON object.';
+        manifest = null;
+    }
+
+    return { entries, files, manifest, manifestError, readText, readJson, pathOf };
+}
+
+// Rebuilds a .lottie with some files changed. `changes` maps a path to its new content (an
+// object is written as JSON, null removes the file); `editManifest(manifest)` returns the
+// manifest to write. Entry order is kept, with new files appended.
+export async function repackDotLottie(buffer, { changes = {}, editManifest } = {}) {
+    const archive = await readDotLottie(buffer);
+    if (archive.manifestError) throw new Error(archive.manifestError);
+    const encode = (value) => (value instanceof Uint8Array || typeof value === 'string' ? value : JSON.stringify(value));
+    const pending = new Map(Object.entries(changes));
+    if (editManifest) pending.set('manifest.json', editManifest(structuredClone(archive.manifest)));
+
+    const files = [];
+    for (const { name, data } of archive.entries) {
+        if (!pending.has(name)) {
+            files.push({ name, data });
+            continue;
+        }
+        const value = pending.get(name);
+        pending.delete(name);
+        if (value != null) files.push({ name, data: encode(value) });
+    }
+    for (const [name, value] of pending) {
+        if (value != null) files.push({ name, data: encode(value) });
+    }
+    return writeZip(files);
+}
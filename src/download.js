@@ -0,0 +1,21 @@
+// Save a Blob through a temporary <a download> link.
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.append(a);
+    a.click();
+    a.remove();
+    // Give the browser a moment to start the download before revoking.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function downloadJson(value, fileName) {
+    downloadBlob(new Blob([JSON.stringify(value, null, 2)], { type: 'application/json' }), fileName);
+}
+
+// "CSM.lottie" -> "CSM"
+export function baseName(fileName) {
+    return String(fileName || 'animation').replace(/\.[^.]+$/, '') || 'animation';
+}
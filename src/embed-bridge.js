@@ -0,0 +1,198 @@
+// postMessage bridge for driving the viewer from a host page when it runs in an iframe.
+//
+// Every message is an object tagged with `protocol` and `version`:
+//
+//   host → viewer  { protocol, version, type: 'command', id, command, params }
+//   viewer → host  { protocol, version, type: 'ack', id, ok: true, result }
+//                  { protocol, version, type: 'ack', id, ok: false, error: { code, message } }
+//                  { protocol, version, type: 'event', event, data }
+//
+// Only messages from an allowlisted origin are accepted, and replies only go to those
+// origins. A command with a newer major version is refused with `unsupported-version`.
+
+export const PROTOCOL = 'computer-eyes';
+export const VERSION = 1;
+
+export class BridgeError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'BridgeError';
+        this.code = code;
+    }
+}
+
+function isProtocolMessage(data) {
+    return Boolean(data) && typeof data === 'object' && data.protocol === PROTOCOL;
+}
+
+// `origins` are exact origins ("https://chat.example.com"); "*" accepts any (development only).
+export function normalizeOrigins(origins) {
+    const out = new Set();
+    for (const origin of origins || []) {
+        if (origin === '*') {
+            out.add('*');
+            continue;
+        }
+        try {
+            out.add(new URL(origin).origin);
+        } catch {
+            console.warn(`Ignoring invalid embed origin ${JSON.stringify(origin)}.`);
+        }
+    }
+    return [...out];
+}
+
+// Origins added through `?embedOrigin=` in the iframe URL. Whoever writes that URL picks them,
+// so only exact https origins are taken from it; "*" and plain http belong in the page's own
+// configuration.
+export function originsFromQuery(search) {
+    const out = [];
+    for (const origin of new URLSearchParams(search).getAll('embedOrigin')) {
+        let url = null;
+        try {
+            url = new URL(origin);
+        } catch {
+            // reported below
+        }
+        if (url?.protocol === 'https:') out.push(url.origin);
+        else console.warn(`Ignoring embedOrigin ${JSON.stringify(origin)}: only https origins can be added from the URL.`);
+    }
+    return out;
+}
+
+// Viewer side. `commands` maps a command name to `(params) => result` (may be async;
+// throwing a BridgeError sets the ack's error code).
+export function createEmbedBridge({ allowedOrigins, commands, host = window.parent, self = window }) {
+    const origins = normalizeOrigins(allowedOrigins);
+    const allowAny = origins.includes('*');
+    let hostOrigin = null; // learned from the first accepted command
+
+    function isAllowed(origin) {
+        return allowAny || origins.includes(origin);
+    }
+
+    function post(message, origin) {
+        try {
+            host.postMessage({ protocol: PROTOCOL, version: VERSION, ...message }, origin);
+        } catch (e) {
+            console.warn('Embed bridge: postMessage failed:', e);
+        }
+    }
+
+    // Until a host has spoken, notify every allowed origin; the browser drops the ones
+    // that don't match the parent.
+    function broadcast(message) {
+        if (hostOrigin) {
+            post(message, hostOrigin);
+            return;
+        }
+        for (const origin of origins) post(message, origin);
+    }
+
+    function ack(id, origin, outcome) {
+        post({ type: 'ack', id, ...outcome }, origin);
+    }
+
+    async function onMessage(event) {
+        if (event.source !== host || !isProtocolMessage(event.data)) return;
+        if (!isAllowed(event.origin)) {
+            console.warn(`Embed bridge: ignoring message from ${event.origin} (not in the allowlist).`);
+            return;
+        }
+
+        const { type, id, command, params, version } = event.data;
+        if (type !== 'command') return;
+        const origin = event.origin;
+        hostOrigin = origin;
+
+        if (!Number.isInteger(version) || version > VERSION || version < 1) {
+            ack(id, origin, {
+                ok: false,
+                error: { code: 'unsupported-version', message: `This viewer speaks version ${VERSION}; got ${JSON.stringify(version)}.` },
+            });
+            return;
+        }
+        const handler = Object.hasOwn(commands, command) ? commands[command] : null;
+        if (!handler) {
+            ack(id, origin, {
+                ok: false,
+                error: { code: 'unknown-command', message: `Unknown command ${JSON.stringify(command)}. Known: ${Object.keys(commands).join(', ')}.` },
+            });
+            return;
+        }
+
+        try {
+            const result = await handler(params && typeof params === 'object' ? params : {});
+            ack(id, origin, { ok: true, result: result ?? null });
+        } catch (error) {
+            ack(id, origin, {
+                ok: false,
+                error: { code: error?.code || 'failed', message: String(error?.message || error) },
+            });
+        }
+    }
+
+    self.addEventListener('message', onMessage);
+
+    return {
+        notify(event, data = {}) {
+            broadcast({ type: 'event', event, data });
+        },
+        destroy() {
+            self.removeEventListener('message', onMessage);
+        },
+    };
+}
+
+// Host side: `const viewer = connectToViewer(iframe, { origin: 'https://eyes.example.com' })`,
+// then `await viewer.send('setState', { state: 'Think' })` and `viewer.on('stateEntered', fn)`.
+export function connectToViewer(iframe, { origin, timeout = 15_000 } = {}) {
+    if (!origin) throw new Error('connectToViewer needs the viewer origin.');
+    const pending = new Map(); // id -> { resolve, reject, timer }
+    const listeners = new Map(); // event -> Set<fn>
+    let nextId = 1;
+
+    function onMessage(event) {
+        if (event.origin !== origin || event.source !== iframe.contentWindow || !isProtocolMessage(event.data)) return;
+        const message = event.data;
+        if (message.type === 'ack') {
+            const entry = pending.get(message.id);
+            if (!entry) return;
+            pending.delete(message.id);
+            clearTimeout(entry.timer);
+            if (message.ok) entry.resolve(message.result);
+            else entry.reject(new BridgeError(message.error?.code || 'failed', message.error?.message || 'Command failed.'));
+        } else if (message.type === 'event') {
+            for (const fn of listeners.get(message.event) || []) fn(message.data);
+        }
+    }
+
+    window.addEventListener('message', onMessage);
+
+    return {
+        send(command, params = {}) {
+            const id = `${Date.now().toString(36)}-${nextId++}`;
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    pending.delete(id);
+                    reject(new BridgeError('timeout', `No acknowledgement for ${command} within ${timeout} ms.`));
+                }, timeout);
+                pending.set(id, { resolve, reject, timer });
+                iframe.contentWindow.postMessage({ protocol: PROTOCOL, version: VERSION, type: 'command', id, command, params }, origin);
+            });
+        },
+        on(event, fn) {
+            if (!listeners.has(event)) listeners.set(event, new Set());
+            listeners.get(event).add(fn);
+            return () => listeners.get(event)?.delete(fn);
+        },
+        close() {
+            window.removeEventListener('message', onMessage);
+            for (const { reject, timer } of pending.values()) {
+                clearTimeout(timer);
+                reject(new BridgeError('closed', 'Connection closed.'));
+            }
+            pending.clear();
+        },
+    };
+}
@@ -0,0 +1,115 @@
+// Panel for exports (src/frame-export.js): PNG snapshot, marker segments as a sprite sheet or
+// animated GIF/WebP, and WebM recording of the live canvas. The page does the work through callbacks.
+
+export const EXPORT_FORMATS = [
+    { value: 'sheet', label: 'Sprite sheet + JSON' },
+    { value: 'gif', label: 'Animated GIF' },
+    { value: 'webp', label: 'Animated WebP' },
+];
+
+export const EXPORT_FRAME_RATES = [12, 15, 24, 30, 60];
+
+export function createExportPanel(root, { onSnapshot, onExportSegment, onCancel, onStartRecording, onStopRecording }) {
+    const sizeInput = root.querySelector('[data-role="size"]');
+    const segmentSelect = root.querySelector('[data-role="segment"]');
+    const fpsSelect = root.querySelector('[data-role="fps"]');
+    const formatSelect = root.querySelector('[data-role="format"]');
+    const status = root.querySelector('[data-role="status"]');
+    const buttons = {
+        snapshot: root.querySelector('[data-action="snapshot"]'),
+        render: root.querySelector('[data-action="render"]'),
+        cancel: root.querySelector('[data-action="cancel"]'),
+        record: root.querySelector('[data-action="record"]'),
+        stopRecording: root.querySelector('[data-action="stop-recording"]'),
+    };
+
+    let busy = false;
+    let recording = false;
+
+    if (formatSelect) {
+        for (const format of EXPORT_FORMATS) {
+            const option = document.createElement('option');
+            option.value = format.value;
+            option.textContent = format.label;
+            formatSelect.append(option);
+        }
+    }
+    if (fpsSelect) {
+        for (const fps of EXPORT_FRAME_RATES) {
+            const option = document.createElement('option');
+            option.value = String(fps);
+            option.textContent = `${fps} fps`;
+            fpsSelect.append(option);
+        }
+        fpsSelect.value = '30';
+    }
+
+    function readSize() {
+        const size = Math.round(Number(sizeInput?.value));
+        const min = Number(sizeInput?.min) || 16;
+        const max = Number(sizeInput?.max) || 4096;
+        if (!Number.isFinite(size) || size < min || size > max) {
+            throw new Error(`Size must be between ${min} and ${max} px.`);
+        }
+        return size;
+    }
+
+    function withSize(fn) {
+        try {
+            fn(readSize());
+        } catch (error) {
+            setStatus(error.message);
+        }
+    }
+
+    buttons.snapshot?.addEventListener('click', () => withSize((size) => onSnapshot({ size })));
+    buttons.render?.addEventListener('click', () => withSize((size) => onExportSegment({
+        size,
+        segment: segmentSelect?.value || '',
+        fps: Number(fpsSelect?.value) || 30,
+        format: formatSelect?.value || 'sheet',
+    })));
+    buttons.cancel?.addEventListener('click', () => onCancel());
+    buttons.record?.addEventListener('click', () => onStartRecording({ fps: Number(fpsSelect?.value) || 30 }));
+    buttons.stopRecording?.addEventListener('click', () => onStopRecording());
+
+    function update() {
+        if (buttons.snapshot) buttons.snapshot.disabled = busy;
+        if (buttons.render) buttons.render.disabled = busy || !segmentSelect?.options.length;
+        if (buttons.cancel) buttons.cancel.disabled = !busy;
+        if (buttons.record) buttons.record.disabled = recording;
+        if (buttons.stopRecording) buttons.stopRecording.disabled = !recording;
+    }
+
+    // `segments`: [{ name, label }]; name '' stands for the whole animation.
+    function setSegments(segments) {
+        if (!segmentSelect) return;
+        const previous = segmentSelect.value;
+        segmentSelect.replaceChildren();
+        for (const segment of segments) {
+            const option = document.createElement('option');
+            option.value = segment.name;
+            option.textContent = segment.label;
+            segmentSelect.append(option);
+        }
+        if (segments.some((s) => s.name === previous)) segmentSelect.value = previous;
+        update();
+    }
+
+    function setBusy(value) {
+        busy = value;
+        update();
+    }
+
+    function setRecording(value) {
+        recording = value;
+        update();
+    }
+
+    function setStatus(message) {
+        if (status) status.textContent = message;
+    }
+
+    update();
+    return { setSegments, setBusy, setRecording, setStatus };
+}
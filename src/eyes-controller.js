@@ -0,0 +1,1555 @@
+// Drives one dotLottie player and its state machine: loading, state requests with
+// backoff retries, the highlight lock, queuing behind transient states (Boot/Wink)
+// and recovering from renderer crashes.
+//
+// Crashes are WASM errors thrown by the runtime, exceptions in its render loop, a lost canvas
+// context, or rendering that stops while the animation is playing (the watchdog). Recovery
+// reloads the file and restores the session: animation, machine, input values, machine state
+// (through stateMachineOverrideState), background, speed, theme, layout and viewport.
+//
+// A .lottie can hold several animations and machines. load() takes the ids to use, and
+// setAnimation / setStateMachine switch while the file is open. NO_STATE_MACHINE plays the
+// animation without a machine. setStateMachineData runs an edited definition in place of the
+// file's (stateMachineLoadData) without reloading the animation.
+//
+// Reduced motion (setMotion): `slow` plays everything at half the speed; `still` pauses on the
+// first frame of each looping state and lets the next state entry start playback again.
+//
+// Power saving: the canvas resolution can be capped (setPixelRatioCap), frame interpolation
+// turned off (setFrameInterpolation), and a canvas the page reports as out of sight
+// (setVisible) is frozen while setFreezeWhenHidden is on. The runtime's own offscreen freeze is
+// switched off so the two don't fight.
+//
+// All state lives on the instance, so several controllers (or <computer-eyes>
+// elements, see src/computer-eyes.js) can share a page. The viewer page (app.js)
+// is just another client: it listens to the events below and renders its own UI.
+//
+// Events (CustomEvent, payload in `detail`):
+//   loadstart    { fileName, recovering }
+//   load         { fileName, recovered, state, animationId, switched }
+//                                                      animation loaded, machine not started yet;
+//                                                      `switched`: another animation of the open file
+//   modelchange  { definition, model, hasStateMachine, recovered }
+//   loaderror    { source, message, fileName }
+//   statechange  { state, bucket, highlighted }        after every observed machine state
+//   stateenter   { state }
+//   transition   { from, to }
+//   inputchange  { name, inputType, from, to }
+//   request      { inputName, value, origin, retryAttempt }
+//   retry        { value, attempt, delay }
+//   override     { state }
+//   settle       { value, state }                      a setState() request settled
+//   crash        { kind, message, crashes, recovering }  kind: wasm | frozen | render | context
+//   recovery     { reason, kind, state }              reloading after a crash
+//   machineerror { source, message }
+//   suspend      { state }                            machine stopped for manual playback
+//   resume       { state }                            machine restarted; `state` is re-requested
+
+import { DotLottie } from '../vendor/dotlottie-web.js';
+import { SYSTEM_CLOCK } from './clock.js';
+import { buildStateModel, parseRuntimeInputs, parseStateMachineJson } from './state-model.js';
+
+export const EYES_EVENTS = [
+    'loadstart',
+    'load',
+    'modelchange',
+    'loaderror',
+    'statechange',
+    'stateenter',
+    'transition',
+    'inputchange',
+    'request',
+    'retry',
+    'override',
+    'settle',
+    'crash',
+    'recovery',
+    'machineerror',
+    'suspend',
+    'resume',
+];
+
+const WASM_URL = new URL('../vendor/DotLottiePlayer.wasm', import.meta.url).toString();
+
+// Unlock the highlight (and settle a request) only after the machine has stayed in the
+// requested bucket this long; old-state `*_Loop_Out` states would bounce it back otherwise.
+const STABLE_MS = 650;
+// Transitions can be long (Think runs through internal `load_*` states).
+const LOCK_MS = 8000;
+const SETTLE_TIMEOUT_MS = 10_000;
+const MAX_RETRIES = 8;
+// The watchdog looks every WATCHDOG_MS; a playing animation that shows no new frame for
+// FROZEN_MS counts as frozen.
+const WATCHDOG_MS = 1000;
+const FROZEN_MS = 3000;
+// After this many crash reloads within the window, recovery gives up.
+const MAX_RECOVERIES = 3;
+const RECOVERY_WINDOW_MS = 60_000;
+
+export const CRASH_KINDS = ['wasm', 'frozen', 'render', 'context'];
+
+// Longest side of the canvas backing store. A zoomed-in canvas is laid out larger than the
+// stage; past this it is rendered at a lower pixel density instead of growing further.
+export const MAX_CANVAS_SIDE = 2048;
+
+// stateMachineId for plain playback: no machine, the animation loops on its own.
+export const NO_STATE_MACHINE = '';
+
+export const MOTION_MODES = ['full', 'slow', 'still'];
+// Speed factor of the `slow` motion mode.
+const SLOW_MOTION = 0.5;
+
+// Why a setState() promise was rejected: `code` is one of
+//   rejected          the machine kept refusing the input after all retries
+//   timeout           the input was accepted but the machine never settled in the bucket
+//   superseded        another request replaced this one
+//   unloaded          a different file was loaded, or the controller was destroyed
+//   no-state-machine  the loaded file has no string input to drive
+//   suspended         the machine is stopped for manual playback (see suspend())
+//   unknown-state     the value is not one of the machine's control values
+//   failed            the runtime threw
+export class EyesStateError extends Error {
+    constructor(message, { code, state, cause } = {}) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = 'EyesStateError';
+        this.code = code;
+        this.state = state;
+    }
+}
+
+export function getMachineStateName(machineState) {
+    if (typeof machineState === 'string') return machineState;
+    if (machineState && typeof machineState === 'object') {
+        // Common event payload shapes across runtimes:
+        // { name: 'Load_Loop_Out' }, { id: 'Think_Loop' }, etc.
+        if (typeof machineState.name === 'string') return machineState.name;
+        if (typeof machineState.id === 'string') return machineState.id;
+        if (typeof machineState.state === 'string') return machineState.state;
+    }
+    return String(machineState || '');
+}
+
+export function formatUnknownError(err) {
+    try {
+        // dotlottie-web often emits an event object like { type: 'loadError', error: Error(...) }
+        const underlying = err && typeof err === 'object' && 'error' in err ? err.error : err;
+
+        if (underlying instanceof Error) {
+            return underlying.stack || underlying.message || String(underlying);
+        }
+
+        if (typeof underlying === 'string') return underlying;
+
+        if (underlying && typeof underlying === 'object') {
+            try {
+                return JSON.stringify(underlying, null, 2);
+            } catch {
+                // fallback for circular structures
+                return Object.prototype.toString.call(underlying);
+            }
+        }
+
+        return String(underlying);
+    } catch (e) {
+        return `Unknown error (failed to format): ${String(e)}`;
+    }
+}
+
+export class EyesController extends EventTarget {
+    #canvas;
+    #getOverrides;
+    #createPlayer;
+    #clock;
+    #player = null;
+    #source = null;
+    #definition = null;
+    // Built from the loaded file's state machine (see src/state-model.js). Until then nothing maps.
+    #model = buildStateModel({ states: [] });
+    #backgroundColor = null; // null = transparent
+    #pendingState = null; // applied once the current load finishes
+    #skipInitialState = false;
+    #isRecoveryLoad = false; // the next `load` is a crash-recovery reload, not a new file
+    #uiHighlightLock = null; // { state: <control value>, expiresAt, reachedAt, mode: 'stable' | 'leave' | 'reach' }
+    #lastObservedUiState = null;
+    #highlighted = null;
+    #pendingAfterTransientState = null; // value to re-apply after a transient state returns to the default
+    #scheduledStateRetry = null; // timeout id
+    #scheduledStateRetryFor = null;
+    #lastRequestedState = null;
+    #waiter = null; // the setState() request being waited on
+    #enteredState = null; // last `stateMachineStateEntered`; the runtime reports "" mid-transition
+    #suspended = false; // machine stopped while something else drives playback
+    #stateMachineId = null; // machine chosen; null = the manifest's first, NO_STATE_MACHINE = none
+    #animationId = null; // animation chosen; null = the manifest's first
+    #switchingAnimation = false; // the next `load` is setAnimation's, not a new file
+    #machineData = null; // edited definition (JSON text) run instead of the file's machine
+    #speed = 1;
+    #motion = 'full';
+    #held = false; // `still` motion: paused on a looping state until the next entry
+    #theme = null; // { id, data } set through setTheme / setThemeData
+    #layout = null; // { fit, align } for the runtime; null = its default (contain, centered)
+    #pixelRatioCap = null; // highest devicePixelRatio to render at; null = the device's
+    #frameInterpolation = true;
+    #freezeWhenHidden = true;
+    #visible = true; // as reported by the page (setVisible)
+    #viewport = null; // { x, y, width, height } in canvas pixels; null = the whole canvas
+    #inputValues = new Map(); // input name → { type, value }, from the runtime's change events
+    #session = null; // what a recovery reload restores (see #recover)
+    #watchdog = null; // { timer, activity, frame, stillSince }
+    #activity = 0; // render-loop events from the current player (see #startWatchdog)
+    #forcedFreeze = false; // forceCrash('frozen'): the watchdog sees no new frames
+    #contextLost = false;
+    #recoveries = []; // times of recent crash reloads
+    #crashes = { total: 0, recovered: 0, byKind: Object.fromEntries(CRASH_KINDS.map((kind) => [kind, 0])), last: null };
+    #destroyed = false;
+
+    // `getOverrides(fileName)` returns state-model overrides (see overridesForFile).
+    // `createPlayer(config)` and `clock` ({ now, setTimeout, clearTimeout }) default to DotLottie
+    // and real time; tests swap in src/state-machine-sim.js and the virtual clock from src/clock.js.
+    constructor(canvas, {
+        getOverrides = () => ({}),
+        backgroundColor = null,
+        createPlayer = (config) => new DotLottie(config),
+        clock = SYSTEM_CLOCK,
+    } = {}) {
+        super();
+        this.#canvas = canvas;
+        this.#getOverrides = getOverrides;
+        this.#backgroundColor = backgroundColor;
+        this.#createPlayer = createPlayer;
+        this.#clock = clock;
+
+        // A lost context is recovered from once the browser restores it.
+        if (typeof canvas?.addEventListener === 'function') {
+            for (const type of ['contextlost', 'webglcontextlost']) {
+                canvas.addEventListener(type, (e) => {
+                    e.preventDefault();
+                    this.#onContextLost();
+                });
+            }
+            for (const type of ['contextrestored', 'webglcontextrestored']) {
+                canvas.addEventListener(type, () => this.#onContextRestored());
+            }
+        }
+    }
+
+    get player() {
+        return this.#player;
+    }
+
+    get source() {
+        return this.#source;
+    }
+
+    get definition() {
+        return this.#definition;
+    }
+
+    get model() {
+        return this.#model;
+    }
+
+    get isLoaded() {
+        if (!this.#player) return false;
+        return typeof this.#player.isLoaded === 'boolean' ? this.#player.isLoaded : true;
+    }
+
+    // The machine's current state name (e.g. "Peek_Loop").
+    get currentState() {
+        return this.#readMachineState();
+    }
+
+    // The control value the UI should highlight (pinned to the request while it settles).
+    get highlightedState() {
+        return this.#highlighted;
+    }
+
+    get isSuspended() {
+        return this.#suspended;
+    }
+
+    // Id of the state machine in use (or about to be, while loading); NO_STATE_MACHINE for plain
+    // playback.
+    get stateMachineId() {
+        if (this.#stateMachineId === NO_STATE_MACHINE) return NO_STATE_MACHINE;
+        return (this.#player && this.#machineIdFor(this.#player)) || null;
+    }
+
+    // The edited definition run in place of the file's machine (JSON text), or null.
+    get stateMachineData() {
+        return this.#machineData;
+    }
+
+    // Id of the animation in use (or requested, while loading).
+    get animationId() {
+        const animations = this.#player?.manifest?.animations;
+        if (!animations) return this.#animationId;
+        if (animations.some((animation) => animation.id === this.#animationId)) return this.#animationId;
+        return this.#player.activeAnimationId || null;
+    }
+
+    // What the runtime reports about its state machine: { id, status }, with status "Running",
+    // "Stopped" (loaded, not started) or "" (none, or stopped after running).
+    get machineStatus() {
+        const player = this.#player;
+        try {
+            return {
+                id: (typeof player?.stateMachineGetActiveId === 'function' && player.stateMachineGetActiveId()) || null,
+                status: (typeof player?.stateMachineGetStatus === 'function' && player.stateMachineGetStatus()) || '',
+            };
+        } catch {
+            return { id: null, status: '' };
+        }
+    }
+
+    get speed() {
+        return this.#speed;
+    }
+
+    get motion() {
+        return this.#motion;
+    }
+
+    get pixelRatioCap() {
+        return this.#pixelRatioCap;
+    }
+
+    get frameInterpolation() {
+        return this.#frameInterpolation;
+    }
+
+    get freezeWhenHidden() {
+        return this.#freezeWhenHidden;
+    }
+
+    // True while the render loop is frozen because the canvas is out of sight.
+    get frozen() {
+        return Boolean(this.#player?.isFrozen);
+    }
+
+    // Size of the renderer's WebAssembly memory in bytes (shared by every player on the page),
+    // or null before a file is loaded.
+    get wasmMemory() {
+        try {
+            return this.#player?.buffer?.buffer?.byteLength ?? null;
+        } catch {
+            return null;
+        }
+    }
+
+    // Crashes since the controller was created: { total, recovered, byKind, last }, where
+    // `last` is { kind, message, at } or null.
+    get crashes() {
+        return structuredClone(this.#crashes);
+    }
+
+    // Open a new file. `initialState` picks the first request: a value, `null` for none,
+    // or (by default) the current highlight if the new machine has it, else its default.
+    // `stateMachineId` and `animationId` pick from the manifest (default: the first of each;
+    // NO_STATE_MACHINE for plain playback). Ids the file doesn't have fall back to the first.
+    // `stateMachineData` runs an edited definition in place of that machine, as
+    // setStateMachineData() would, for reloading a file without losing the edit.
+    load(source, { initialState, stateMachineId, animationId, stateMachineData = null } = {}) {
+        if (this.#destroyed) return;
+        this.#cancelRetry();
+        this.#finishWaiter(new EyesStateError('A different file was loaded.', { code: 'unloaded', state: this.#waiter?.value }));
+        this.#source = source;
+        this.#suspended = false;
+        this.#pendingAfterTransientState = null;
+        this.#uiHighlightLock = null;
+        this.#isRecoveryLoad = false;
+        this.#skipInitialState = initialState === null;
+        this.#pendingState = typeof initialState === 'string' ? initialState : null;
+        this.#stateMachineId = stateMachineId ?? null;
+        this.#animationId = animationId || null;
+        this.#machineData = stateMachineData == null || typeof stateMachineData === 'string' ? stateMachineData : JSON.stringify(stateMachineData);
+        this.#theme = null;
+        this.#inputValues.clear();
+        this.#recoveries = [];
+        this.#init(source);
+    }
+
+    // Show another of the manifest's animations. The player loads it (`load` fires again, with
+    // `switched`) and the chosen machine starts over on it. Returns false if the file has no
+    // such animation.
+    setAnimation(animationId) {
+        const player = this.#player;
+        if (this.#destroyed || !player || !this.isLoaded || typeof player.loadAnimation !== 'function') return false;
+        if (!(player.manifest?.animations || []).some((animation) => animation.id === animationId)) return false;
+        if (animationId === player.activeAnimationId) return true;
+
+        this.#cancelRetry();
+        this.#finishWaiter(new EyesStateError('A different animation was loaded.', { code: 'unloaded', state: this.#waiter?.value }));
+        this.#stopMachineState();
+        this.#animationId = animationId;
+        this.#switchingAnimation = true;
+        this.#emit('loadstart', { fileName: this.#source?.fileName, recovering: false });
+        try {
+            player.loadAnimation(animationId);
+        } catch (error) {
+            this.#switchingAnimation = false;
+            this.#emit('loaderror', { source: 'loadAnimation', message: formatUnknownError(error), fileName: this.#source?.fileName });
+            return false;
+        }
+        return true;
+    }
+
+    // Switch to another of the manifest's machines, or to plain playback with NO_STATE_MACHINE.
+    // The machine starts from its initial state and is sent the current highlight if it has
+    // that state. Returns false if the file has no such machine.
+    setStateMachine(stateMachineId) {
+        const player = this.#player;
+        if (this.#destroyed || !player || !this.isLoaded) return false;
+        const ids = (player.manifest?.stateMachines || []).map((sm) => sm.id);
+        if (stateMachineId !== NO_STATE_MACHINE && !ids.includes(stateMachineId)) return false;
+
+        this.#cancelRetry();
+        this.#finishWaiter(new EyesStateError('A different state machine was loaded.', { code: 'unloaded', state: this.#waiter?.value }));
+        this.#stopMachineState();
+        this.#stateMachineId = stateMachineId;
+        this.#machineData = null;
+        try {
+            if (typeof player.stateMachineStop === 'function') player.stateMachineStop();
+        } catch (error) {
+            console.warn('Could not stop the state machine:', error);
+        }
+        this.#startMachine(player, this.#source?.fileName);
+        return true;
+    }
+
+    // Run an edited definition of the current machine (JSON text or an object) in its place,
+    // through stateMachineLoadData. The animation keeps playing and the highlight is requested
+    // from the new definition. The edit survives crash reloads and animation switches; load()
+    // (unless it is passed to load()) and setStateMachine() drop it, as does `null`. Returns
+    // false (and keeps what ran before) if the runtime won't load or start it.
+    setStateMachineData(data) {
+        const player = this.#player;
+        if (this.#destroyed || !player || !this.isLoaded || !this.#machineIdFor(player)) return false;
+        if (data != null && typeof player.stateMachineLoadData !== 'function') return false;
+        const text = data == null || typeof data === 'string' ? data ?? null : JSON.stringify(data);
+        const previous = this.#machineData;
+        const fileName = this.#source?.fileName;
+
+        this.#cancelRetry();
+        this.#finishWaiter(new EyesStateError('The state machine was replaced.', { code: 'unloaded', state: this.#waiter?.value }));
+        this.#stopMachineState();
+        this.#machineData = text;
+        let running = false;
+        try {
+            if (typeof player.stateMachineStop === 'function') player.stateMachineStop();
+            running = this.#runMachine(player, this.#machineIdFor(player));
+        } catch (error) {
+            console.warn('Could not run the edited state machine:', error);
+        }
+        if (!running) {
+            this.#machineData = previous;
+            this.#emit('machineerror', { source: 'machineData', message: 'The runtime would not load or start the edited state machine.' });
+        }
+        this.#startMachine(player, fileName, { running });
+        return running;
+    }
+
+    // Request a control value (e.g. "Think"). Resolves with { value, state } once the machine
+    // has settled in that bucket; rejects with an EyesStateError otherwise.
+    //
+    // `origin` says who asked (user | load | requeue | override | recovery | resume); only `user`
+    // requests queue behind a running transient state.
+    setState(value, { origin = 'user', timeout = SETTLE_TIMEOUT_MS } = {}) {
+        if (this.#destroyed) {
+            return Promise.reject(new EyesStateError('The controller was destroyed.', { code: 'unloaded', state: value }));
+        }
+        if (this.#suspended) {
+            return Promise.reject(new EyesStateError('The state machine is suspended; resume() it first.', { code: 'suspended', state: value }));
+        }
+        if (this.isLoaded && !this.#model.inputName) {
+            return Promise.reject(new EyesStateError('The loaded file has no state machine input to drive.', { code: 'no-state-machine', state: value }));
+        }
+        if (this.isLoaded && !this.#model.values.includes(value)) {
+            return Promise.reject(new EyesStateError(
+                `"${value}" is not a state of this machine (expected one of ${this.#model.values.join(', ')}).`,
+                { code: 'unknown-state', state: value },
+            ));
+        }
+
+        const promise = this.#wait(value, timeout);
+        if (origin === 'user') this.#requestState(value);
+        else this.#setStateMachineInput(value, { origin });
+        return promise;
+    }
+
+    // Stop the state machine and pause playback so the caller can drive frames, segments and
+    // speed directly (the viewer's timeline). Pending requests reject with `suspended`.
+    suspend() {
+        const player = this.#player;
+        if (this.#suspended || !player || !this.isLoaded) return false;
+
+        this.#cancelRetry();
+        this.#finishWaiter(new EyesStateError('The state machine was suspended.', { code: 'suspended', state: this.#waiter?.value }));
+        this.#pendingAfterTransientState = null;
+        this.#uiHighlightLock = null;
+        this.#suspended = true;
+        this.#held = false;
+        try {
+            if (typeof player.stateMachineStop === 'function') player.stateMachineStop();
+            player.pause();
+        } catch (error) {
+            console.warn('Could not stop the state machine:', error);
+        }
+        this.#emit('suspend', { state: this.#readMachineState() });
+        return true;
+    }
+
+    // Restart the machine from its initial state and request `value` (by default the last
+    // requested one). Returns the setState() promise for that request.
+    resume(value = this.#lastRequestedState || this.#highlighted || this.#model.defaultValue) {
+        if (!this.#suspended) return this.setState(value);
+        this.#suspended = false;
+
+        const player = this.#player;
+        try {
+            const candidateId = this.#machineIdFor(player);
+            if (!candidateId) {
+                if (player) this.#playWithoutMachine(player);
+            } else {
+                this.#runMachine(player, candidateId);
+            }
+        } catch (error) {
+            console.warn('Could not restart the state machine:', error);
+        }
+        this.#enteredState = null;
+        this.#lastObservedUiState = this.#model.defaultValue;
+        this.#emit('resume', { state: value });
+        if (!value || !this.#model.inputName) return Promise.resolve({ value: null, state: this.#readMachineState() });
+        return this.setState(value, { origin: 'resume' });
+    }
+
+    // Jump straight to a machine state. Returns false if the machine refused.
+    overrideState(stateName) {
+        const player = this.#player;
+        if (this.#suspended) return false;
+        if (!player || typeof player.stateMachineOverrideState !== 'function') {
+            this.#emit('machineerror', { source: 'override', message: 'This runtime has no stateMachineOverrideState().' });
+            return false;
+        }
+
+        try {
+            this.#emit('override', { state: stateName });
+            const ok = player.stateMachineOverrideState(stateName, true);
+            if (ok === false) {
+                this.#emit('machineerror', { source: 'override', message: `State machine refused to jump to ${JSON.stringify(stateName)}.` });
+                return false;
+            }
+            console.log(`Jumped to: ${stateName}`);
+            this.#syncState(stateName);
+
+            // Point the control input at the state's bucket, otherwise guards like
+            // `State != "Peek"` would pull the machine right back out of Peek_Loop.
+            const bucket = this.#model.bucketOf(stateName);
+            if (bucket && this.#model.inputName && bucket !== this.#lastRequestedState) {
+                this.#pendingAfterTransientState = null;
+                this.#setStateMachineInput(bucket, { origin: 'override' });
+            }
+            return true;
+        } catch (error) {
+            console.error('Error overriding state:', error);
+            this.#emit('machineerror', { source: 'override', message: String(error?.message || error) });
+            return false;
+        }
+    }
+
+    // `color` is a hex color, or null for a transparent canvas.
+    setBackgroundColor(color) {
+        this.#backgroundColor = color;
+        // If the renderer supports it, also set the player background color (helps when animation uses transparency).
+        try {
+            if (this.#player && typeof this.#player.setBackgroundColor === 'function') {
+                this.#player.setBackgroundColor(color || '#00000000');
+            }
+        } catch {
+            // ignore
+        }
+    }
+
+    // Playback speed multiplier, kept across state changes and reloads. The runtime resets the
+    // speed to 1 each time the machine enters a state, so it is put back after every entry.
+    setSpeed(speed) {
+        if (!(speed > 0)) return false;
+        this.#speed = speed;
+        if (this.#player && typeof this.#player.setSpeed === 'function') this.#player.setSpeed(this.#playbackSpeed());
+        return true;
+    }
+
+    // One of MOTION_MODES, kept across loads like the speed. Returns false for an unknown mode.
+    setMotion(mode) {
+        if (!MOTION_MODES.includes(mode)) return false;
+        this.#motion = mode;
+        const player = this.#player;
+        if (!player || !this.isLoaded) return true;
+        if (typeof player.setSpeed === 'function') player.setSpeed(this.#playbackSpeed());
+        const state = this.#readMachineState();
+        if (state) this.#applyMotion(player, getMachineStateName(state), player.currentFrame);
+        return true;
+    }
+
+    // Render at no more than `cap` device pixels per CSS pixel (null: the device's ratio). Kept
+    // across loads; returns false for anything but a positive number or null.
+    setPixelRatioCap(cap) {
+        if (cap !== null && !(cap > 0)) return false;
+        this.#pixelRatioCap = cap;
+        this.resize();
+        return true;
+    }
+
+    // Tween between the animation's frames on every display frame (the runtime's default), or
+    // draw only its own frames. Kept across loads.
+    setFrameInterpolation(enabled) {
+        this.#frameInterpolation = Boolean(enabled);
+        const player = this.#player;
+        if (!player || typeof player.setUseFrameInterpolation !== 'function') return false;
+        try {
+            player.setUseFrameInterpolation(this.#frameInterpolation);
+            return true;
+        } catch (error) {
+            console.warn('Could not set frame interpolation:', error);
+            return false;
+        }
+    }
+
+    // Freeze the render loop while the canvas is out of sight (see setVisible). On by default.
+    setFreezeWhenHidden(enabled) {
+        this.#freezeWhenHidden = Boolean(enabled);
+        this.#applyFreeze();
+    }
+
+    // Whether the canvas can be seen: the page is shown and the canvas is scrolled into view.
+    // The controller doesn't watch the page itself (watchVisibility in src/perf-monitor.js does).
+    setVisible(visible) {
+        this.#visible = Boolean(visible);
+        this.#applyFreeze();
+    }
+
+    // Fit and alignment of the animation on the canvas ({ fit, align }, see the runtime's
+    // Layout), kept across loads. Returns false if the player refused.
+    setLayout(layout) {
+        this.#layout = layout ? { ...layout } : null;
+        const player = this.#player;
+        if (!player || typeof player.setLayout !== 'function') return false;
+        try {
+            player.setLayout(this.#layout || { fit: 'contain', align: [0.5, 0.5] });
+            this.#redraw(player);
+            return true;
+        } catch (error) {
+            console.warn('Could not set the layout:', error);
+            return false;
+        }
+    }
+
+    // Render only this part of the canvas ({ x, y, width, height } in canvas pixels), or all of
+    // it for null. Kept across loads and resizes; the caller keeps it inside the canvas.
+    setViewport(viewport) {
+        this.#viewport = viewport ? { ...viewport } : null;
+        return this.#applyViewport();
+    }
+
+    // Apply one of the manifest's themes, or the file's own colors for null. Kept across crash
+    // reloads; a new file starts without one. Returns false if the player refused.
+    setTheme(id) {
+        this.#theme = id ? { id, data: null } : null;
+        const player = this.#player;
+        if (!player) return false;
+        try {
+            return Boolean(id ? player.setTheme(id) : player.resetTheme());
+        } catch (error) {
+            console.warn('Could not apply the theme:', error);
+            return false;
+        }
+    }
+
+    // Apply theme data (a theme JSON string) on top of the manifest theme, if any.
+    setThemeData(data) {
+        this.#theme = { id: this.#theme?.id ?? null, data };
+        const player = this.#player;
+        if (!player) return false;
+        try {
+            return Boolean(player.setThemeData(data));
+        } catch (error) {
+            console.warn('Could not apply the theme data:', error);
+            return false;
+        }
+    }
+
+    // Testing hook: fake a crash of `kind` (see CRASH_KINDS) and go through the same detection
+    // and recovery as a real one. `frozen` stops the frame count, so the watchdog notices within
+    // FROZEN_MS; the others recover right away. Returns false for an unknown kind or no player.
+    forceCrash(kind = 'wasm') {
+        if (!CRASH_KINDS.includes(kind) || !this.#player || this.#destroyed) return false;
+        switch (kind) {
+            case 'frozen':
+                this.#forcedFreeze = true;
+                return true;
+            case 'render':
+                this.#onRenderError(this.#player, new Error('Forced render error.'));
+                return true;
+            case 'context':
+                this.#onContextLost();
+                this.#onContextRestored();
+                return true;
+            default:
+                return this.#recover('wasm', 'Forced crash: memory access out of bounds.');
+        }
+    }
+
+    // Match the canvas backing store to its laid-out size. The runtime's resize() sizes the
+    // canvas again from its renderConfig, so that gets the same (capped) pixel ratio.
+    resize() {
+        const rect = this.#canvas.getBoundingClientRect();
+        const dpr = this.#pixelRatio(rect);
+        const width = Math.max(1, Math.round(rect.width * dpr));
+        const height = Math.max(1, Math.round(rect.height * dpr));
+        if (this.#canvas.width !== width || this.#canvas.height !== height) {
+            this.#canvas.width = width;
+            this.#canvas.height = height;
+        }
+        const player = this.#player;
+        try {
+            if (player && typeof player.setRenderConfig === 'function' && player.renderConfig?.devicePixelRatio !== dpr) {
+                player.setRenderConfig({ ...player.renderConfig, devicePixelRatio: dpr, freezeOnOffscreen: false });
+            }
+            if (player && typeof player.resize === 'function') player.resize();
+        } catch {
+            // ignore
+        }
+        this.#applyViewport();
+    }
+
+    destroy() {
+        if (this.#destroyed) return;
+        this.#destroyed = true;
+        this.#cancelRetry();
+        this.#stopWatchdog();
+        this.#finishWaiter(new EyesStateError('The controller was destroyed.', { code: 'unloaded', state: this.#waiter?.value }));
+        try {
+            this.#player?.destroy();
+        } catch {
+            // ignore
+        }
+        this.#player = null;
+    }
+
+    #emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    #readMachineState() {
+        try {
+            if (this.#player && typeof this.#player.stateMachineGetCurrentState === 'function') {
+                const state = this.#player.stateMachineGetCurrentState();
+                if (state) return state;
+            }
+        } catch {
+            // ignore
+        }
+        return this.#enteredState;
+    }
+
+    // Forget everything about the running machine before another one (or none) takes over. The
+    // highlight is kept to be requested from the new one (starting it enters its initial state).
+    #stopMachineState() {
+        this.#pendingState = this.#highlighted;
+        this.#skipInitialState = false;
+        this.#suspended = false;
+        this.#held = false;
+        this.#pendingAfterTransientState = null;
+        this.#uiHighlightLock = null;
+        this.#enteredState = null;
+        this.#inputValues.clear();
+    }
+
+    // The requested machine if the file has it, else the manifest's first (undefined for none,
+    // or for plain playback).
+    #machineIdFor(player) {
+        if (this.#stateMachineId === NO_STATE_MACHINE) return undefined;
+        const ids = (player?.manifest?.stateMachines || []).map((sm) => sm.id);
+        return ids.includes(this.#stateMachineId) ? this.#stateMachineId : ids[0];
+    }
+
+    // Read the definition of the active state machine of the loaded file (null if there is none).
+    #readActiveStateMachine() {
+        const player = this.#player;
+        if (!player || typeof player.stateMachineGet !== 'function') return null;
+        // A stopped machine stays the runtime's active one.
+        if (this.#stateMachineId === NO_STATE_MACHINE) return null;
+        if (this.#machineData != null) return parseStateMachineJson(this.#machineData);
+
+        const activeId =
+            (typeof player.stateMachineGetActiveId === 'function' && player.stateMachineGetActiveId()) ||
+            this.#machineIdFor(player);
+        if (!activeId) return null;
+
+        return parseStateMachineJson(player.stateMachineGet(activeId));
+    }
+
+    #loadStateModel(def, fileName) {
+        if (!def) return buildStateModel({ states: [] });
+
+        const runtimeInputs = typeof this.#player.stateMachineGetInputs === 'function'
+            ? parseRuntimeInputs(this.#player.stateMachineGetInputs())
+            : [];
+        return buildStateModel(def, { runtimeInputs, overrides: this.#getOverrides(fileName) || {} });
+    }
+
+    #init({ src, data, fileName } = {}) {
+        const recovering = this.#isRecoveryLoad;
+        this.#emit('loadstart', { fileName, recovering });
+
+        // Ask the runtime (if supported) to load WASM from our local copy.
+        // Some builds request `DotLottiePlayer.wasm` by name, so we ship that file too.
+        try {
+            if (typeof DotLottie.setWasmUrl === 'function') {
+                DotLottie.setWasmUrl(WASM_URL);
+            }
+        } catch {
+            // ignore
+        }
+
+        // Clean up existing instance (a crashed one may have destroyed itself already)
+        this.#enteredState = null;
+        this.#held = false;
+        this.#stopWatchdog();
+        this.#activity = 0;
+        this.#forcedFreeze = false;
+        if (this.#player) {
+            try {
+                this.#player.destroy();
+            } catch (error) {
+                console.warn('Could not destroy the previous player:', error);
+            }
+            this.#player = null;
+        }
+
+        this.resize();
+
+        let player;
+        try {
+            player = this.#createPlayer({
+                canvas: this.#canvas,
+                ...(src ? { src } : {}),
+                ...(data ? { data } : {}),
+                autoplay: true,
+                loop: true,
+                ...(this.#backgroundColor ? { backgroundColor: this.#backgroundColor } : {}),
+                ...(this.#layout ? { layout: this.#layout } : {}),
+                useFrameInterpolation: this.#frameInterpolation,
+                renderConfig: {
+                    devicePixelRatio: this.#pixelRatio(this.#canvas.getBoundingClientRect()),
+                    freezeOnOffscreen: false,
+                },
+                // Some versions support passing a wasm url via config; harmless if ignored.
+                wasmUrl: WASM_URL,
+            });
+        } catch (error) {
+            console.error('Failed to initialize Lottie:', error);
+            this.#emit('loaderror', { source: 'init', message: formatUnknownError(error), fileName });
+            return;
+        }
+        this.#player = player;
+
+        player.addEventListener('load', () => {
+            if (this.#player !== player) return;
+            console.log('Animation loaded successfully');
+            this.#onLoad(player, fileName);
+        });
+
+        // Keep the highlight in sync with the actual machine state.
+        // This is critical for Wink-like states that auto-transition back to the default state.
+        player.addEventListener('stateMachineStateEntered', (evt) => {
+            // Not from inside the handler: setting the speed there hangs the runtime.
+            if (this.#playbackSpeed() !== 1 && typeof player.setSpeed === 'function') {
+                this.#clock.setTimeout(() => {
+                    if (this.#player === player) player.setSpeed(this.#playbackSpeed());
+                }, 0);
+            }
+            if (evt?.state && (this.#motion === 'still' || this.#held)) {
+                const frame = player.currentFrame;
+                this.#clock.setTimeout(() => this.#applyMotion(player, evt.state, frame), 0);
+            }
+            if (evt?.state) {
+                this.#enteredState = evt.state;
+                this.#emit('stateenter', { state: evt.state });
+                this.#syncState(evt.state);
+            }
+        });
+        player.addEventListener('stateMachineTransition', (evt) => {
+            if (evt?.toState) {
+                this.#emit('transition', { from: evt.fromState, to: evt.toState });
+                this.#syncState(evt.toState);
+            }
+        });
+        player.addEventListener('stateMachineStringInputValueChange', (evt) => {
+            // If the machine updates the control input internally, reflect it too.
+            if (evt?.inputName === this.#model.inputName && typeof evt?.newValue === 'string') {
+                this.#syncState(evt.newValue);
+            }
+        });
+        for (const [type, inputType] of [
+            ['stateMachineStringInputValueChange', 'String'],
+            ['stateMachineNumericInputValueChange', 'Numeric'],
+            ['stateMachineBooleanInputValueChange', 'Boolean'],
+        ]) {
+            player.addEventListener(type, (evt) => {
+                if (typeof evt?.inputName === 'string') this.#inputValues.set(evt.inputName, { type: inputType, value: evt.newValue });
+                if (this.#held) this.#clock.setTimeout(() => this.#release(player), 0);
+                this.#emit('inputchange', { name: evt?.inputName, inputType, from: evt?.oldValue, to: evt?.newValue });
+            });
+        }
+
+        for (const type of ['frame', 'loop', 'complete', 'stateMachineStateEntered']) {
+            player.addEventListener(type, () => {
+                if (this.#player === player && !this.#forcedFreeze) this.#activity += 1;
+            });
+        }
+        player.addEventListener('renderError', (evt) => this.#onRenderError(player, evt?.error ?? evt));
+        // play() restarts the render loop; a hidden canvas goes back to sleep.
+        player.addEventListener('play', () => {
+            if (this.#player === player) this.#applyFreeze();
+        });
+
+        player.addEventListener('loadError', (evt) => {
+            console.error('Error loading Lottie:', evt);
+            this.#emit('loaderror', { source: 'loadError', message: formatUnknownError(evt), fileName });
+        });
+
+        player.addEventListener('stateMachineError', (evt) => {
+            console.error('State machine error:', evt);
+            this.#emit('machineerror', { source: 'stateMachineError', message: formatUnknownError(evt) });
+        });
+    }
+
+    #onLoad(player, fileName) {
+        // The runtime won't load a file at all for an animation id it doesn't have, so one other
+        // than the first is switched to once the manifest is known.
+        const animationId = this.#animationId;
+        if (
+            animationId &&
+            animationId !== player.activeAnimationId &&
+            typeof player.loadAnimation === 'function' &&
+            (player.manifest?.animations || []).some((animation) => animation.id === animationId)
+        ) {
+            player.loadAnimation(animationId);
+            return;
+        }
+
+        const recovered = this.#isRecoveryLoad;
+        this.#isRecoveryLoad = false;
+        const session = recovered ? this.#session : null;
+        this.#session = null;
+        if (recovered) this.#crashes.recovered += 1;
+        const switched = this.#switchingAnimation;
+        this.#switchingAnimation = false;
+        this.#emit('load', { fileName, recovered, state: this.#pendingState, animationId: this.animationId, switched });
+
+        // Apply background again after load (some versions reset internal background state)
+        this.setBackgroundColor(this.#backgroundColor);
+        if (this.#playbackSpeed() !== 1) this.setSpeed(this.#speed);
+        if (this.#viewport) this.#applyViewport();
+        this.#applyFreeze();
+        if (this.#theme) {
+            try {
+                if (this.#theme.id) player.setTheme(this.#theme.id);
+                if (this.#theme.data) player.setThemeData(this.#theme.data);
+            } catch (error) {
+                console.warn('Could not re-apply the theme:', error);
+            }
+        }
+        this.#startWatchdog(player);
+        this.#startMachine(player, fileName, { recovered, session });
+    }
+
+    // Load and start the chosen machine (or set up plain playback), rebuild the state model and
+    // make the first request: the session's after a crash, else the pending or highlighted state.
+    // `running`: the machine has been started already.
+    #startMachine(player, fileName, { recovered = false, session = null, running = false } = {}) {
+        const candidateId = this.#machineIdFor(player);
+        const hasStateMachine = Boolean(candidateId);
+        try {
+            if (!candidateId) this.#playWithoutMachine(player);
+            else if (!running && !this.#runMachine(player, candidateId) && this.#machineData != null) {
+                // An edit the runtime refuses on (re)load gives way to the file's own machine.
+                this.#machineData = null;
+                this.#emit('machineerror', { source: 'machineData', message: 'The runtime would not load or start the edited state machine.' });
+                this.#runMachine(player, candidateId);
+            }
+        } catch (e) {
+            console.warn('State machine auto-start failed:', e);
+        }
+
+        this.#definition = null;
+        try {
+            this.#definition = this.#readActiveStateMachine();
+            this.#model = this.#loadStateModel(this.#definition, fileName);
+        } catch (e) {
+            console.error('Could not read the state machine:', e);
+            this.#emit('machineerror', { source: 'model', message: formatUnknownError(e) });
+            this.#model = buildStateModel({ states: [] });
+        }
+        const model = this.#model;
+        this.#lastObservedUiState = model.defaultValue;
+        if (!model.values.includes(this.#highlighted)) this.#highlighted = model.defaultValue;
+        this.#emit('modelchange', { definition: this.#definition, model, hasStateMachine, recovered });
+
+        if (session) {
+            this.#restoreSession(player, session);
+            return;
+        }
+        const skip = this.#skipInitialState;
+        this.#skipInitialState = false;
+        let desired = skip ? null : (this.#pendingState || this.#highlighted);
+        this.#pendingState = null;
+        // An initial state this machine doesn't have (a stale link, say) falls back to its default.
+        if (desired && !model.values.includes(desired)) desired = model.defaultValue;
+
+        if (!model.inputName) {
+            this.#finishWaiter(new EyesStateError('The loaded file has no state machine input to drive.', { code: 'no-state-machine', state: this.#waiter?.value }));
+        }
+        // Plain Lottie JSON (or a .lottie without a machine) has nothing to drive.
+        if (desired && hasStateMachine && model.inputName) {
+            this.#setStateMachineInput(desired, { origin: recovered ? 'recovery' : 'load' });
+        }
+    }
+
+    // Load and start machine `id`, or the edited definition in its place. False if the runtime
+    // refused either step.
+    #runMachine(player, id) {
+        let loaded = true;
+        if (this.#machineData != null && typeof player.stateMachineLoadData === 'function') {
+            loaded = player.stateMachineLoadData(this.#machineData);
+        } else if (typeof player.stateMachineLoad === 'function') {
+            loaded = player.stateMachineLoad(id);
+        }
+        const started = typeof player.stateMachineStart === 'function' ? player.stateMachineStart() : true;
+        return loaded !== false && started !== false;
+    }
+
+    // Without a machine the whole animation loops forward, as a plain player would show it.
+    #playWithoutMachine(player) {
+        if (typeof player.setMarker === 'function') player.setMarker('');
+        if (typeof player.setSegment === 'function' && player.totalFrames > 0) player.setSegment(0, player.totalFrames - 1);
+        if (typeof player.setLoop === 'function') player.setLoop(true);
+        if (typeof player.setMode === 'function') player.setMode('forward');
+        if (!player.isPlaying) player.play();
+    }
+
+    #syncState(state) {
+        if (!state) return;
+
+        // Keep the highlight stable by mapping multiple internal states to one control value.
+        const uiState = this.#model.bucketOf(getMachineStateName(state));
+        this.#lastObservedUiState = uiState;
+        // The lock is judged by where the machine is, not by the value just written to the
+        // control input: that already says "Wink" while the machine is still in Peek_Loop.
+        const machineState = this.#readMachineState();
+        const machineUiState = machineState ? this.#model.bucketOf(getMachineStateName(machineState)) : uiState;
+
+        const now = this.#clock.now();
+        let lock = this.#uiHighlightLock;
+        if (lock && now > lock.expiresAt) {
+            lock = null;
+        }
+
+        // When a new state is requested, keep the highlight pinned to that bucket while the
+        // machine runs transient states (ex: previousState_Loop_Out).
+        //
+        // Mode:
+        // - stable: unlock only after the machine has stayed in the requested bucket for
+        //   STABLE_MS continuously (prevents "bounce back" highlighting the old state).
+        // - leave: once the requested bucket is reached, unlock as soon as we *leave* it
+        //   (useful for transient states like Boot/Wink that auto-return to Base).
+        // - reach: unlock immediately once the requested bucket is reached at least once.
+        if (lock) {
+            if (machineUiState === lock.state) {
+                if (lock.reachedAt == null) lock.reachedAt = now;
+                if (lock.mode === 'reach') {
+                    lock = null;
+                } else if (lock.mode === 'stable' && now - lock.reachedAt >= STABLE_MS) {
+                    lock = null;
+                }
+            } else {
+                // If we haven't reached the requested bucket yet, keep waiting.
+                // If we *did* reach it but left before the stable window, keep the lock
+                // so old-state loop_out transitions can't steal highlight.
+                if (lock.mode === 'stable') {
+                    lock.reachedAt = null;
+                }
+
+                // For transient states, once we've reached the requested bucket, unlock
+                // immediately upon leaving it so the UI can reflect the next real state.
+                if (lock.mode === 'leave' && lock.reachedAt != null) {
+                    lock = null;
+                }
+            }
+        }
+        this.#uiHighlightLock = lock;
+
+        // While locked, always highlight the requested state (not the transient machine state).
+        this.#highlighted = lock ? lock.state : uiState;
+        this.#emit('statechange', { state: getMachineStateName(state), bucket: uiState, highlighted: this.#highlighted });
+
+        // If a different state was requested while a transient state (Boot/Wink) was running,
+        // the machine may force the control input back to its default at the end of the animation.
+        // Re-apply the request once we observe the machine back in the default bucket.
+        if (this.#pendingAfterTransientState && uiState === this.#model.defaultValue) {
+            const next = this.#pendingAfterTransientState;
+            this.#pendingAfterTransientState = null;
+            this.#setStateMachineInput(next, { origin: 'requeue' });
+        }
+
+        this.#checkSettled();
+    }
+
+    // A state selection made by a person (tile click, replayed trace, element attribute).
+    #requestState(requested) {
+        const requestedUi = this.#model.bucketOf(requested);
+        // Ask the machine where it is: the last synced value may be an earlier request
+        // that the transient state is about to overwrite.
+        const machineState = this.#readMachineState();
+        const observed = machineState ? this.#model.bucketOf(machineState) : this.#lastObservedUiState;
+
+        // If a transient state (Boot/Wink) is in progress and the machine auto-returns to
+        // the default, queue the selection so it gets applied after that return.
+        if (this.#model.isTransient(observed) && requestedUi !== observed) {
+            this.#pendingAfterTransientState = requested;
+        } else {
+            this.#pendingAfterTransientState = null;
+        }
+        this.#setStateMachineInput(requested);
+    }
+
+    #cancelRetry() {
+        if (this.#scheduledStateRetry) {
+            this.#clock.clearTimeout(this.#scheduledStateRetry);
+            this.#scheduledStateRetry = null;
+            this.#scheduledStateRetryFor = null;
+        }
+    }
+
+    #setStateMachineInput(state, options = {}) {
+        const { retryAttempt = 0, isRetry = false } = options;
+        // `origin` says who asked; traces replay only user/load requests and let the rest regenerate.
+        const origin = isRetry ? 'retry' : (options.origin || 'user');
+
+        // A new request supersedes the one being waited on.
+        if (!isRetry && this.#waiter && this.#waiter.value !== state) {
+            this.#finishWaiter(new EyesStateError(`Superseded by a request for "${state}".`, { code: 'superseded', state: this.#waiter.value }));
+        }
+
+        const player = this.#player;
+        if (!player) {
+            this.#pendingState = state;
+            return;
+        }
+
+        try {
+            // If a new selection was made, cancel any pending retries for older values.
+            if (!isRetry) this.#cancelRetry();
+
+            // Track the last desired state so we can recover gracefully if the WASM engine crashes.
+            if (!isRetry) this.#lastRequestedState = state;
+
+            const requestedUiState = this.#model.bucketOf(state);
+            // Pin the highlight to the *requested* state until we actually reach it (or timeout).
+            // This prevents flicker when the machine briefly enters previousState_*_Loop_Out states.
+            const lockMode = this.#model.isTransient(requestedUiState) ? 'leave' : 'stable';
+            this.#uiHighlightLock = { state: requestedUiState, expiresAt: this.#clock.now() + LOCK_MS, reachedAt: null, mode: lockMode };
+
+            // dotlottie-web@0.58.x uses `stateMachineSet*Input` APIs.
+            // The input name comes from the state model ("State" in CSM.lottie, case-sensitive).
+            const inputName = this.#model.inputName || 'State';
+            this.#emit('request', { inputName, value: state, origin, retryAttempt });
+            if (!this.isLoaded) {
+                // Applied as soon as the animation finishes loading.
+                this.#pendingState = state;
+                return;
+            }
+
+            if (typeof player.stateMachineSetStringInput === 'function') {
+                // Ensure a state machine is running if the file contains one.
+                // If a stateMachineId exists in the manifest, prefer it; otherwise start the default.
+                if (typeof player.stateMachineGetActiveId === 'function' && typeof player.stateMachineStart === 'function') {
+                    const isRunning = typeof player.isStateMachineRunning === 'boolean' ? player.isStateMachineRunning : false;
+                    if (!isRunning) {
+                        const candidateId = this.#machineIdFor(player);
+                        if (candidateId) this.#runMachine(player, candidateId);
+                        else player.stateMachineStart();
+                    }
+                }
+
+                const ok = player.stateMachineSetStringInput(inputName, state);
+                if (ok === false) {
+                    // Some files/runtime versions temporarily reject inputs during transitions.
+                    // Instead of failing immediately, retry a few times with backoff.
+                    if (retryAttempt < MAX_RETRIES) {
+                        const delay = Math.min(900, Math.round(90 * Math.pow(1.55, retryAttempt)));
+                        this.#emit('retry', { value: state, attempt: retryAttempt + 1, delay });
+                        this.#scheduledStateRetryFor = state;
+                        this.#scheduledStateRetry = this.#clock.setTimeout(() => {
+                            // Only retry if we haven't been superseded by another selection.
+                            if (this.#scheduledStateRetryFor === state && this.#player === player) {
+                                this.#setStateMachineInput(state, { retryAttempt: retryAttempt + 1, isRetry: true });
+                            }
+                        }, delay);
+                        return;
+                    }
+
+                    // Provide a more useful error showing available inputs if possible.
+                    let message = 'State machine rejected input (returned false).';
+                    if (typeof player.stateMachineGetInputs === 'function') {
+                        const inputs = player.stateMachineGetInputs();
+                        const activeId = typeof player.stateMachineGetActiveId === 'function' ? player.stateMachineGetActiveId() : '(unknown)';
+                        const status = typeof player.stateMachineGetStatus === 'function' ? player.stateMachineGetStatus() : '(unknown)';
+                        const running = typeof player.isStateMachineRunning === 'boolean' ? String(player.isStateMachineRunning) : '(unknown)';
+                        message =
+                            `State machine rejected input.\n` +
+                            `Active stateMachineId: ${activeId}\n` +
+                            `Running: ${running}\n` +
+                            `Status: ${status}\n` +
+                            `Available inputs: ${JSON.stringify(inputs)}`;
+                    }
+                    this.#emit('machineerror', { source: 'setState', message });
+                    if (this.#waiter?.value === state) {
+                        this.#finishWaiter(new EyesStateError(`${message}\n(gave up after ${MAX_RETRIES} retries)`, { code: 'rejected', state }));
+                    }
+                    return;
+                }
+            } else if (typeof player.stateMachineSetNumericInput === 'function' || typeof player.stateMachineSetBooleanInput === 'function') {
+                throw new Error('State machine API present, but no string-input setter found. Is your "State" input actually numeric/boolean?');
+            } else {
+                // Legacy fallback attempts (older dotlottie-web versions)
+                if (typeof player.setStateMachineStringInput === 'function') {
+                    player.setStateMachineStringInput(inputName, state);
+                } else if (typeof player.setStateMachineInput === 'function') {
+                    player.setStateMachineInput(inputName, state);
+                } else if (typeof player.setStateMachineInputValue === 'function') {
+                    player.setStateMachineInputValue(inputName, state);
+                } else {
+                    // Dump prototype keys to help debug quickly
+                    const protoKeys = Object.getOwnPropertyNames(Object.getPrototypeOf(player)).sort();
+                    throw new Error(`No known state-machine input setter found. DotLottie methods: ${protoKeys.join(', ')}`);
+                }
+            }
+            console.log(`State changed to: ${state}`);
+            if (this.#waiter?.value === state) this.#armWaiter();
+            this.#syncState(state);
+        } catch (error) {
+            console.error('Error setting state:', error);
+            const msg = String(error?.message || error || '');
+            if (/memory access out of bounds/i.test(msg) && this.#recover('wasm', msg)) return;
+            this.#emit('machineerror', { source: 'setState', message: msg });
+            if (this.#waiter?.value === state) {
+                this.#finishWaiter(new EyesStateError(msg, { code: 'failed', state, cause: error }));
+            }
+        }
+    }
+
+    // The device's pixel ratio, capped by setPixelRatioCap and by MAX_CANVAS_SIDE for this size.
+    #pixelRatio(rect) {
+        return Math.min(
+            Math.max(1, globalThis.devicePixelRatio || 1),
+            this.#pixelRatioCap ?? Infinity,
+            MAX_CANVAS_SIDE / Math.max(1, rect.width, rect.height),
+        );
+    }
+
+    // Freeze a hidden canvas, unfreeze a visible one. freeze() only takes a running render loop,
+    // so a paused player stays as it is.
+    #applyFreeze() {
+        const player = this.#player;
+        if (!player || !this.isLoaded || typeof player.freeze !== 'function') return;
+        const freeze = this.#freezeWhenHidden && !this.#visible;
+        try {
+            if (freeze && !player.isFrozen) player.freeze();
+            else if (!freeze && player.isFrozen) player.unfreeze();
+        } catch (error) {
+            console.warn('Could not freeze or unfreeze the player:', error);
+        }
+    }
+
+    // Give the player the stored viewport, or the whole canvas (a resize changes its size).
+    #applyViewport() {
+        const player = this.#player;
+        if (!player || typeof player.setViewport !== 'function' || !this.isLoaded) return false;
+        const { x, y, width, height } = this.#viewport || { x: 0, y: 0, width: this.#canvas.width, height: this.#canvas.height };
+        try {
+            const ok = Boolean(player.setViewport(x, y, width, height));
+            this.#redraw(player);
+            return ok;
+        } catch (error) {
+            console.warn('Could not set the viewport:', error);
+            return false;
+        }
+    }
+
+    // A paused player only draws when its frame changes: step off the frame and back.
+    #redraw(player) {
+        if (player.isPlaying || typeof player.setFrame !== 'function') return;
+        const frame = player.currentFrame;
+        if (!Number.isFinite(frame)) return;
+        player.setFrame(frame > 0 ? frame - 0.001 : frame + 0.001);
+        player.setFrame(frame);
+    }
+
+    #playbackSpeed() {
+        return this.#motion === 'slow' ? this.#speed * SLOW_MOTION : this.#speed;
+    }
+
+    // `still` motion: hold a looping state on the first frame of its segment (else `frame`, where
+    // it was entered); any other state, or another mode, plays. Pausing also stops the machine,
+    // which only runs from the render loop, so the next input write lets go (see #release).
+    // A loop with a loopCount counts only if it re-enters itself (CSM's `*_Loop` states do);
+    // otherwise it ends by itself and is left to play.
+    #applyMotion(player, stateName, frame) {
+        if (this.#player !== player || this.#suspended) return;
+        const state = this.#definition?.states?.find((s) => s?.name === stateName);
+        const repeats = !(state?.loopCount > 0)
+            || (Array.isArray(state.transitions) && state.transitions.some((t) => t?.toState === stateName));
+        try {
+            if (this.#motion === 'still' && state?.loop && repeats) {
+                const marker = typeof player.markers === 'function'
+                    ? player.markers().find((m) => m.name === state.segment)
+                    : null;
+                const still = marker ? marker.time : frame;
+                player.pause();
+                if (typeof player.setFrame === 'function' && Number.isFinite(still)) player.setFrame(still);
+                this.#held = true;
+            } else {
+                this.#release(player);
+            }
+        } catch (error) {
+            console.warn('Could not apply the motion mode:', error);
+        }
+    }
+
+    // Play again after a hold: the machine has to run for a loop to finish and move on.
+    #release(player) {
+        if (!this.#held || this.#player !== player) return;
+        this.#held = false;
+        try {
+            player.play();
+        } catch (error) {
+            console.warn('Could not resume playback:', error);
+        }
+    }
+
+    // Reload after a crash and restore the session. Returns true if a reload was started; after
+    // MAX_RECOVERIES within RECOVERY_WINDOW_MS it gives up and reports a machine error instead.
+    #recover(kind, message) {
+        if (this.#destroyed || !this.#source) return false;
+        const now = this.#clock.now();
+        this.#crashes.total += 1;
+        this.#crashes.byKind[kind] += 1;
+        this.#crashes.last = { kind, message, at: now };
+        this.#cancelRetry();
+        this.#pendingAfterTransientState = null;
+        this.#stopWatchdog();
+
+        this.#recoveries = this.#recoveries.filter((at) => now - at < RECOVERY_WINDOW_MS);
+        const recovering = this.#recoveries.length < MAX_RECOVERIES;
+        this.#emit('crash', { kind, message, crashes: this.crashes, recovering });
+        if (!recovering) {
+            this.#emit('machineerror', {
+                source: 'recovery',
+                message: `Gave up after ${MAX_RECOVERIES} crash reloads within ${RECOVERY_WINDOW_MS / 1000} s. Last crash (${kind}): ${message}`,
+            });
+            return false;
+        }
+        this.#recoveries.push(now);
+
+        // A crash during a recovery reload keeps the session that reload was going to restore.
+        if (!this.#isRecoveryLoad || !this.#session) this.#session = this.#captureSession();
+        const { machineState } = this.#session;
+        const state = machineState ? this.#model.bucketOf(machineState) : this.#lastRequestedState;
+        this.#emit('recovery', { reason: message, kind, state });
+        this.#isRecoveryLoad = true;
+        this.#init(this.#source);
+        return true;
+    }
+
+    // Everything a recovery reload restores that the reload itself doesn't. Input values come
+    // from change events, so nothing here depends on the crashed runtime still answering.
+    #captureSession() {
+        let frame = null;
+        try {
+            frame = this.#player?.currentFrame ?? null;
+        } catch {
+            // ignore
+        }
+        return {
+            inputs: new Map(this.#inputValues),
+            machineState: this.#readMachineState(),
+            frame,
+            suspended: this.#suspended,
+            waiting: this.#waiter?.value ?? null,
+        };
+    }
+
+    // Put the inputs back and jump to the state the machine was in, then pick up where it left
+    // off: a request still in flight is made again, a suspended machine is stopped on its frame.
+    #restoreSession(player, { inputs, machineState, frame, suspended, waiting }) {
+        let restored = false;
+        try {
+            for (const [name, { type, value }] of inputs) {
+                const setter = player[`stateMachineSet${type}Input`];
+                if (typeof setter === 'function') setter.call(player, name, value);
+            }
+            const known = (this.#definition?.states || []).some((state) => state.name === machineState);
+            if (known && typeof player.stateMachineOverrideState === 'function') {
+                restored = player.stateMachineOverrideState(machineState, true) !== false;
+                if (restored) this.#syncState(machineState);
+            }
+        } catch (error) {
+            console.warn('Could not restore the state machine session:', error);
+        }
+
+        if (suspended) {
+            try {
+                if (typeof player.stateMachineStop === 'function') player.stateMachineStop();
+                player.pause();
+                if (frame != null && typeof player.setFrame === 'function') player.setFrame(frame);
+            } catch (error) {
+                console.warn('Could not restore the paused frame:', error);
+            }
+            return;
+        }
+        const again = waiting || (restored ? null : this.#lastRequestedState || this.#model.defaultValue);
+        if (again && this.#model.inputName) this.#setStateMachineInput(again, { origin: 'recovery' });
+    }
+
+    // The runtime's render loop threw; it destroys itself after a WASM RuntimeError. Reload from
+    // a fresh task rather than from inside its loop.
+    #onRenderError(player, error) {
+        if (this.#player !== player) return;
+        const message = formatUnknownError(error);
+        const kind = /memory access out of bounds|RuntimeError/i.test(message) ? 'wasm' : 'render';
+        this.#clock.setTimeout(() => {
+            if (this.#player === player) this.#recover(kind, message);
+        }, 0);
+    }
+
+    #onContextLost() {
+        if (!this.#player || this.#contextLost) return;
+        this.#contextLost = true;
+        this.#stopWatchdog();
+    }
+
+    #onContextRestored() {
+        if (!this.#contextLost) return;
+        this.#contextLost = false;
+        this.#recover('context', 'The canvas lost its rendering context.');
+    }
+
+    // The runtime ticks the animation and the state machine from its render loop, so `frame`,
+    // `loop`, `complete` and state-entry events all show the loop is alive. currentFrame alone
+    // isn't enough: a one-frame loop reads the same frame at every look.
+    #startWatchdog(player) {
+        this.#stopWatchdog();
+        const watch = { timer: null, activity: this.#activity, frame: null, stillSince: null };
+        const tick = () => {
+            if (this.#watchdog !== watch || this.#player !== player) return;
+            this.#checkRendering(player, watch);
+            if (this.#watchdog === watch) watch.timer = this.#clock.setTimeout(tick, WATCHDOG_MS);
+        };
+        this.#watchdog = watch;
+        watch.timer = this.#clock.setTimeout(tick, WATCHDOG_MS);
+    }
+
+    #stopWatchdog() {
+        if (this.#watchdog) this.#clock.clearTimeout(this.#watchdog.timer);
+        this.#watchdog = null;
+    }
+
+    #checkRendering(player, watch) {
+        let frame;
+        let playing;
+        try {
+            frame = player.currentFrame;
+            playing = player.isPlaying !== false && !player.isFrozen;
+        } catch (error) {
+            this.#recover('wasm', formatUnknownError(error));
+            return;
+        }
+        const moved = !this.#forcedFreeze && (this.#activity !== watch.activity || frame !== watch.frame);
+        watch.activity = this.#activity;
+        watch.frame = frame;
+        // Hidden tabs get no animation frames; that's not a crash.
+        const watching = playing && !this.#contextLost && !globalThis.document?.hidden;
+        // Timed from the first look that saw nothing new: the stall began after the one before.
+        const now = this.#clock.now();
+        watch.stillSince = watching && !moved ? (watch.stillSince ?? now) : null;
+        if (watch.stillSince != null && now - watch.stillSince >= FROZEN_MS) {
+            this.#recover('frozen', `No new frame for ${FROZEN_MS / 1000} s while playing (stuck on frame ${Math.round(frame)}).`);
+        }
+    }
+
+    #wait(value, timeout) {
+        if (this.#waiter && this.#waiter.value !== value) {
+            this.#finishWaiter(new EyesStateError(`Superseded by a request for "${value}".`, { code: 'superseded', state: this.#waiter.value }));
+        }
+        if (!this.#waiter) {
+            this.#waiter = { value, timeout, armed: false, reachedAt: null, deadline: null, stableTimer: null, settlers: [] };
+        }
+        const waiter = this.#waiter;
+        return new Promise((resolve, reject) => waiter.settlers.push({ resolve, reject }));
+    }
+
+    // Called once the machine accepted the input: from here on, wait for it to settle.
+    #armWaiter() {
+        const waiter = this.#waiter;
+        if (!waiter || waiter.armed) return;
+        waiter.armed = true;
+        waiter.deadline = this.#clock.setTimeout(() => {
+            if (this.#waiter !== waiter) return;
+            const state = this.#readMachineState();
+            this.#finishWaiter(new EyesStateError(
+                `The machine did not settle in "${waiter.value}" within ${waiter.timeout} ms (now in ${state || 'an unknown state'}).`,
+                { code: 'timeout', state: waiter.value },
+            ));
+        }, waiter.timeout);
+    }
+
+    #checkSettled() {
+        const waiter = this.#waiter;
+        if (!waiter || !waiter.armed) return;
+
+        // Judge by the machine's own state, not the value we just wrote.
+        const machineState = this.#readMachineState();
+        const bucket = machineState ? this.#model.bucketOf(machineState) : this.#lastObservedUiState;
+        if (bucket !== waiter.value) {
+            waiter.reachedAt = null;
+            this.#clock.clearTimeout(waiter.stableTimer);
+            return;
+        }
+
+        // Transient states return to the default by themselves; reaching them is enough.
+        const now = this.#clock.now();
+        if (waiter.reachedAt == null) waiter.reachedAt = now;
+        const remaining = STABLE_MS - (now - waiter.reachedAt);
+        if (this.#model.isTransient(waiter.value) || remaining <= 0) {
+            this.#emit('settle', { value: waiter.value, state: machineState });
+            this.#finishWaiter(null, { value: waiter.value, state: machineState });
+            return;
+        }
+        this.#clock.clearTimeout(waiter.stableTimer);
+        waiter.stableTimer = this.#clock.setTimeout(() => this.#checkSettled(), remaining);
+    }
+
+    #finishWaiter(error, result) {
+        const waiter = this.#waiter;
+        if (!waiter) return;
+        this.#waiter = null;
+        this.#clock.clearTimeout(waiter.deadline);
+        this.#clock.clearTimeout(waiter.stableTimer);
+        for (const { resolve, reject } of waiter.settlers) {
+            if (error) reject(error);
+            else resolve(result);
+        }
+    }
+}
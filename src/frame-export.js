@@ -0,0 +1,209 @@
+// Offline frame rendering for the export panel.
+//
+// Exports never read the visible canvas: a second, hidden DotLottie instance loads the same file at
+// the requested size and is stepped with setSegment/setFrame, so the live state machine keeps running
+// and every frame is rendered at full resolution. The player only paints the animation itself (its
+// background color is CSS on a real canvas), so a solid background is composited here.
+
+import { DotLottie } from '../vendor/dotlottie-web.js';
+
+export const MAX_EXPORT_FRAMES = 600;
+export const MAX_CANVAS_SIDE = 16384;
+
+// Loads `source` ({ src } or { data }) into a detached canvas of width × height.
+// `themeData` (a theme JSON string) is applied on top of `themeId`, for unsaved theme edits.
+// The WASM URL is already configured by EyesController, which always loads first.
+export function createFrameRenderer(source, { width, height, animationId, themeId, themeData } = {}) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    return new Promise((resolve, reject) => {
+        let player;
+        try {
+            player = new DotLottie({
+                canvas,
+                ...(source.src ? { src: source.src } : {}),
+                ...(source.data ? { data: source.data } : {}),
+                ...(animationId ? { animationId } : {}),
+                ...(themeId ? { themeId } : {}),
+                autoplay: false,
+                loop: false,
+                renderConfig: { autoResize: false, freezeOnOffscreen: false, devicePixelRatio: 1 },
+            });
+        } catch (error) {
+            reject(error);
+            return;
+        }
+
+        player.addEventListener('loadError', (event) => {
+            player.destroy();
+            reject(event?.error || new Error('The export renderer could not load the file.'));
+        });
+
+        player.addEventListener('load', () => {
+            if (themeData) player.setThemeData(themeData);
+            const fps = player.duration > 0 ? player.totalFrames / player.duration : 30;
+            resolve({
+                canvas,
+                fps,
+                totalFrames: player.totalFrames,
+                markers: () => player.markers?.() || [],
+                setSegment(start, end) {
+                    if (typeof player.setSegment === 'function') player.setSegment(start, end);
+                },
+                // setFrame only redraws when the frame actually changes, so step away first if needed.
+                render(frame) {
+                    if (Math.abs(player.currentFrame - frame) < 1e-3) {
+                        player.setFrame(frame >= 1 ? frame - 1 : frame + 1);
+                    }
+                    player.setFrame(frame);
+                    return canvas;
+                },
+                destroy: () => player.destroy(),
+            });
+        });
+    });
+}
+
+// Output size for a "longest side" request, keeping the animation's aspect ratio.
+export function fitSize(animationSize, longestSide) {
+    const width = Math.max(1, animationSize?.width || 1);
+    const height = Math.max(1, animationSize?.height || 1);
+    const scale = longestSide / Math.max(width, height);
+    return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+// Frame numbers for one pass over a marker (or the whole animation) at `fps`.
+// The end frame is excluded so the result loops seamlessly.
+export function segmentFrames({ start, end }, { nativeFps, fps }) {
+    const span = Math.max(0, end - start);
+    const count = Math.max(1, Math.round((span / nativeFps) * fps));
+    if (count > MAX_EXPORT_FRAMES) {
+        throw new Error(`That segment is ${count} frames at ${fps} fps; the limit is ${MAX_EXPORT_FRAMES}. Lower the frame rate.`);
+    }
+    return Array.from({ length: count }, (_, i) => start + (span * i) / count);
+}
+
+// Copies `source` onto a new canvas, filling `background` (a CSS color) first. null keeps transparency.
+export function compositeFrame(source, background) {
+    const out = document.createElement('canvas');
+    out.width = source.width;
+    out.height = source.height;
+    const ctx = out.getContext('2d');
+    if (background) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, out.width, out.height);
+    }
+    ctx.drawImage(source, 0, 0);
+    return out;
+}
+
+export function canvasToBlob(canvas, type = 'image/png', quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error(`This browser could not encode ${type}.`))), type, quality);
+    });
+}
+
+// Lays frames out in a near-square grid. Returns the sheet canvas and a TexturePacker-style
+// "hash" atlas ({ frames: { name: { frame, duration } }, meta }).
+export function buildSpriteSheet(frames, { names, duration, meta = {} }) {
+    const { width, height } = frames[0];
+    const columns = Math.ceil(Math.sqrt(frames.length));
+    const rows = Math.ceil(frames.length / columns);
+    if (columns * width > MAX_CANVAS_SIDE || rows * height > MAX_CANVAS_SIDE) {
+        throw new Error(`A ${columns}×${rows} sheet of ${width}×${height} frames is too large. Lower the size or frame rate.`);
+    }
+
+    const sheet = document.createElement('canvas');
+    sheet.width = columns * width;
+    sheet.height = rows * height;
+    const ctx = sheet.getContext('2d');
+
+    const atlasFrames = {};
+    frames.forEach((frame, i) => {
+        const x = (i % columns) * width;
+        const y = Math.floor(i / columns) * height;
+        ctx.drawImage(frame, x, y);
+        atlasFrames[names[i]] = {
+            frame: { x, y, w: width, h: height },
+            rotated: false,
+            trimmed: false,
+            spriteSourceSize: { x: 0, y: 0, w: width, h: height },
+            sourceSize: { w: width, h: height },
+            duration,
+        };
+    });
+
+    return {
+        canvas: sheet,
+        atlas: {
+            frames: atlasFrames,
+            meta: { ...meta, format: 'RGBA8888', size: { w: sheet.width, h: sheet.height }, scale: '1' },
+        },
+    };
+}
+
+// Pick a MediaRecorder container/codec this browser can write, preferring ones with alpha support.
+export function pickWebmMimeType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    const candidates = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+    return candidates.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+// Records `source` (the live canvas) to WebM. Each animation frame is copied onto a recording canvas
+// so the current background setting is baked in: `getBackground()` returns a CSS color, or null for
+// transparent (VP8/VP9 keep alpha where the browser supports it).
+export function createCanvasRecorder(source, { fps = 30, getBackground = () => null } = {}) {
+    const mimeType = pickWebmMimeType();
+    if (!mimeType || typeof HTMLCanvasElement.prototype.captureStream !== 'function') {
+        throw new Error('This browser cannot record canvas video (MediaRecorder with WebM is unavailable).');
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const ctx = canvas.getContext('2d');
+    let raf = 0;
+    const draw = () => {
+        if (canvas.width !== source.width || canvas.height !== source.height) {
+            canvas.width = source.width;
+            canvas.height = source.height;
+        }
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const background = getBackground();
+        if (background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        ctx.drawImage(source, 0, 0);
+        raf = requestAnimationFrame(draw);
+    };
+    draw();
+
+    const stream = canvas.captureStream(fps);
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8_000_000 });
+    const chunks = [];
+    recorder.addEventListener('dataavailable', (event) => {
+        if (event.data?.size) chunks.push(event.data);
+    });
+    const stopped = new Promise((resolve) => {
+        recorder.addEventListener('stop', () => {
+            cancelAnimationFrame(raf);
+            stream.getTracks().forEach((track) => track.stop());
+            resolve(new Blob(chunks, { type: 'video/webm' }));
+        });
+    });
+    recorder.start(1000);
+    const startedAt = performance.now();
+
+    return {
+        mimeType,
+        elapsed: () => performance.now() - startedAt,
+        // Resolves with the recorded WebM Blob.
+        stop() {
+            if (recorder.state !== 'inactive') recorder.stop();
+            return stopped;
+        },
+    };
+}
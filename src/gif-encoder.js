@@ -0,0 +1,250 @@
+// Minimal animated GIF encoder (GIF89a, one global palette, LZW).
+//
+// Frames are RGBA buffers of the same size. Pixels with alpha < 128 become the transparent
+// index when `transparent` is set; everything else is matched against a median-cut palette
+// built from all frames, so colors stay stable across the loop.
+
+const MAX_COLORS = 256;
+const MAX_PALETTE_SAMPLES = 250_000;
+
+// Median cut over a sample of opaque pixels; returns [[r, g, b], …].
+export function buildPalette(frames, maxColors) {
+    let total = 0;
+    for (const frame of frames) total += frame.length / 4;
+    const stride = Math.max(1, Math.floor(total / MAX_PALETTE_SAMPLES));
+
+    const samples = [];
+    let n = 0;
+    for (const frame of frames) {
+        for (let i = 0; i < frame.length; i += 4, n++) {
+            if (n % stride !== 0 || frame[i + 3] < 128) continue;
+            samples.push((frame[i] << 16) | (frame[i + 1] << 8) | frame[i + 2]);
+        }
+    }
+    if (samples.length === 0) return [[0, 0, 0]];
+
+    const channel = (c, shift) => (c >> shift) & 0xff;
+    let boxes = [samples];
+    while (boxes.length < maxColors) {
+        // Split the box with the widest channel range.
+        let best = null;
+        for (const box of boxes) {
+            if (box.length < 2) continue;
+            for (const shift of [16, 8, 0]) {
+                let lo = 255;
+                let hi = 0;
+                for (const c of box) {
+                    const v = channel(c, shift);
+                    if (v < lo) lo = v;
+                    if (v > hi) hi = v;
+                }
+                if (!best || hi - lo > best.range) best = { box, shift, range: hi - lo };
+            }
+        }
+        if (!best || best.range === 0) break;
+
+        best.box.sort((a, b) => channel(a, best.shift) - channel(b, best.shift));
+        const mid = best.box.length >> 1;
+        boxes = boxes.filter((box) => box !== best.box);
+        boxes.push(best.box.slice(0, mid), best.box.slice(mid));
+    }
+
+    return boxes.map((box) => {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        for (const c of box) {
+            r += channel(c, 16);
+            g += channel(c, 8);
+            b += channel(c, 0);
+        }
+        return [Math.round(r / box.length), Math.round(g / box.length), Math.round(b / box.length)];
+    });
+}
+
+function createColorMatcher(palette) {
+    const cache = new Map();
+    return (r, g, b) => {
+        const key = (r << 16) | (g << 8) | b;
+        let index = cache.get(key);
+        if (index !== undefined) return index;
+        let bestDistance = Infinity;
+        for (let i = 0; i < palette.length; i++) {
+            const [pr, pg, pb] = palette[i];
+            const d = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+            if (d < bestDistance) {
+                bestDistance = d;
+                index = i;
+            }
+        }
+        cache.set(key, index);
+        return index;
+    };
+}
+
+class ByteWriter {
+    constructor() {
+        this.chunks = [];
+        this.buffer = new Uint8Array(1 << 16);
+        this.length = 0;
+    }
+
+    byte(value) {
+        if (this.length === this.buffer.length) this.flush();
+        this.buffer[this.length++] = value;
+    }
+
+    word(value) {
+        this.byte(value & 0xff);
+        this.byte((value >> 8) & 0xff);
+    }
+
+    bytes(values) {
+        for (const value of values) this.byte(value);
+    }
+
+    flush() {
+        this.chunks.push(this.buffer.slice(0, this.length));
+        this.length = 0;
+    }
+
+    toUint8Array() {
+        this.flush();
+        const out = new Uint8Array(this.chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of this.chunks) {
+            out.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return out;
+    }
+}
+
+// LZW-compress palette indices into GIF image data sub-blocks.
+function writeLzw(writer, indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const block = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    function emit(code, size) {
+        bitBuffer |= code << bitCount;
+        bitCount += size;
+        while (bitCount >= 8) {
+            block.push(bitBuffer & 0xff);
+            bitBuffer >>= 8;
+            bitCount -= 8;
+            if (block.length === 255) {
+                writer.byte(255);
+                writer.bytes(block);
+                block.length = 0;
+            }
+        }
+    }
+
+    let dictionary = new Map();
+    let nextCode = endCode + 1;
+    let codeSize = minCodeSize + 1;
+    emit(clearCode, codeSize);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const existing = dictionary.get(key);
+        if (existing !== undefined) {
+            prefix = existing;
+            continue;
+        }
+        emit(prefix, codeSize);
+        if (nextCode < 4096) {
+            dictionary.set(key, nextCode++);
+            if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+        } else {
+            emit(clearCode, codeSize);
+            dictionary = new Map();
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        }
+        prefix = k;
+    }
+    emit(prefix, codeSize);
+    emit(endCode, codeSize);
+    if (bitCount > 0) block.push(bitBuffer & 0xff);
+    if (block.length) {
+        writer.byte(block.length);
+        writer.bytes(block);
+    }
+    writer.byte(0);
+}
+
+// `frames`: Uint8ClampedArray RGBA buffers, each width × height × 4.
+// `delays`: per-frame delay in ms (or one number for all). `loop`: 0 = forever.
+export function encodeGif(frames, { width, height, delays = 100, loop = 0, transparent = false }) {
+    if (!frames.length) throw new Error('Nothing to encode: no frames.');
+    if (width > 0xffff || height > 0xffff) throw new Error('GIF frames are limited to 65535 px.');
+
+    const palette = buildPalette(frames, transparent ? MAX_COLORS - 1 : MAX_COLORS);
+    const transparentIndex = transparent ? palette.length : -1;
+    const colorCount = palette.length + (transparent ? 1 : 0);
+    const sizeBits = Math.max(1, Math.ceil(Math.log2(colorCount)));
+    const tableSize = 1 << sizeBits;
+    const match = createColorMatcher(palette);
+
+    const writer = new ByteWriter();
+    writer.bytes([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]); // GIF89a
+    writer.word(width);
+    writer.word(height);
+    writer.byte(0x80 | ((sizeBits - 1) << 4) | (sizeBits - 1)); // global color table
+    writer.byte(0); // background color index
+    writer.byte(0); // pixel aspect ratio
+    for (let i = 0; i < tableSize; i++) {
+        const [r, g, b] = palette[i] || [0, 0, 0];
+        writer.bytes([r, g, b]);
+    }
+
+    // NETSCAPE2.0 looping extension
+    writer.bytes([0x21, 0xff, 0x0b]);
+    writer.bytes([...'NETSCAPE2.0'].map((c) => c.charCodeAt(0)));
+    writer.bytes([0x03, 0x01]);
+    writer.word(loop);
+    writer.byte(0);
+
+    const indices = new Uint8Array(width * height);
+    // GIF delays are in centiseconds; carry the rounding so the loop keeps its total length.
+    let elapsedMs = 0;
+    let writtenCs = 0;
+    frames.forEach((frame, f) => {
+        for (let p = 0, i = 0; p < indices.length; p++, i += 4) {
+            indices[p] = transparent && frame[i + 3] < 128
+                ? transparentIndex
+                : match(frame[i], frame[i + 1], frame[i + 2]);
+        }
+
+        elapsedMs += Array.isArray(delays) ? delays[f] : delays;
+        const delayCs = Math.max(2, Math.round(elapsedMs / 10) - writtenCs);
+        writtenCs += delayCs;
+        // Graphics control: restore to background between frames so transparent areas stay clear.
+        writer.bytes([0x21, 0xf9, 0x04]);
+        writer.byte((transparent ? 2 << 2 : 1 << 2) | (transparent ? 1 : 0));
+        writer.word(delayCs);
+        writer.byte(transparent ? transparentIndex : 0);
+        writer.byte(0);
+
+        // Image descriptor (full frame, no local table)
+        writer.byte(0x2c);
+        writer.word(0);
+        writer.word(0);
+        writer.word(width);
+        writer.word(height);
+        writer.byte(0);
+
+        const minCodeSize = Math.max(2, sizeBits);
+        writer.byte(minCodeSize);
+        writeLzw(writer, indices, minCodeSize);
+    });
+
+    writer.byte(0x3b); // trailer
+    return writer.toUint8Array();
+}
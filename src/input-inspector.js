@@ -0,0 +1,227 @@
+// Live inspector/editor for every state machine input.
+//
+// Lists what `stateMachineGetInputs()` reports, keeps values current from the
+// `stateMachine*InputValueChange` events and writes edits back with the matching
+// `stateMachineSet{String,Numeric,Boolean}Input` call. Event inputs get a "Fire" button.
+
+const INPUT_EVENTS = [
+    'stateMachineBooleanInputValueChange',
+    'stateMachineNumericInputValueChange',
+    'stateMachineStringInputValueChange',
+];
+
+// Normalize a runtime input type ("String", "Numeric", …) to the names writeInput takes.
+export function kindOf(type) {
+    const t = String(type).toLowerCase();
+    if (t.includes('bool')) return 'Boolean';
+    if (t.includes('num')) return 'Numeric';
+    if (t.includes('string')) return 'String';
+    if (t.includes('event')) return 'Event';
+    return type;
+}
+
+// Inputs the exporter generates for OnComplete bookkeeping (`___Wink_completed`).
+function isInternalInput(name) {
+    return name.startsWith('___');
+}
+
+// Write one input with the setter matching its type. Returns the setter's result
+// (`false` means the machine rejected the value).
+export function writeInput(player, name, kind, value) {
+    if (kind === 'Boolean') return player.stateMachineSetBooleanInput(name, Boolean(value));
+    if (kind === 'Numeric') return player.stateMachineSetNumericInput(name, Number(value));
+    if (kind === 'String') return player.stateMachineSetStringInput(name, String(value));
+    throw new Error(`Unknown input type "${kind}" for ${name}.`);
+}
+
+export function createInputInspector(root, {
+    onError = () => {},
+    getSuggestions = () => [],
+    onWrite = () => {},
+    onFire = () => {},
+} = {}) {
+    const list = root.querySelector('[data-role="inputs"]');
+    const eventForm = root.querySelector('[data-role="fire-event"]');
+    const emptyNote = root.querySelector('[data-role="empty"]');
+
+    let player = null;
+    let rows = new Map(); // name -> { kind, editor, row }
+    const listeners = [];
+
+    function readValue(name, kind) {
+        try {
+            if (kind === 'Boolean') return player.stateMachineGetBooleanInput(name);
+            if (kind === 'Numeric') return player.stateMachineGetNumericInput(name);
+            if (kind === 'String') return player.stateMachineGetStringInput(name);
+        } catch (e) {
+            console.warn(`Could not read input ${name}:`, e);
+        }
+        return undefined;
+    }
+
+    function writeValue(name, kind, value) {
+        if (!player) return;
+        let ok;
+        onWrite(name, kind, value);
+        try {
+            ok = writeInput(player, name, kind, value);
+        } catch (e) {
+            onError(`Setting ${name} failed:\n${e?.message || e}`);
+            return;
+        }
+        if (ok === false) {
+            onError(`State machine rejected ${kind} input ${name} = ${JSON.stringify(value)}.`);
+        }
+        // The setter may be refused or clamped; show what the machine actually holds.
+        showValue(name, readValue(name, kind));
+    }
+
+    function showValue(name, value, { flash = false } = {}) {
+        const entry = rows.get(name);
+        if (!entry || value === undefined) return;
+        const { kind, editor, row } = entry;
+
+        // Don't clobber a field the user is typing into.
+        if (document.activeElement !== editor) {
+            if (kind === 'Boolean') editor.checked = Boolean(value);
+            else editor.value = String(value);
+        }
+        if (flash) {
+            row.classList.remove('is-changed');
+            // Restart the highlight animation.
+            void row.offsetWidth;
+            row.classList.add('is-changed');
+        }
+    }
+
+    function createEditor(name, kind) {
+        if (kind === 'Boolean') {
+            const editor = document.createElement('input');
+            editor.type = 'checkbox';
+            editor.addEventListener('change', () => writeValue(name, kind, editor.checked));
+            return editor;
+        }
+
+        if (kind === 'Numeric') {
+            const editor = document.createElement('input');
+            editor.type = 'number';
+            editor.step = 'any';
+            editor.addEventListener('change', () => {
+                const value = Number(editor.value);
+                if (editor.value.trim() === '' || !Number.isFinite(value)) {
+                    onError(`${name}: "${editor.value}" is not a number.`);
+                    showValue(name, readValue(name, kind));
+                    return;
+                }
+                writeValue(name, kind, value);
+            });
+            return editor;
+        }
+
+        if (kind === 'String') {
+            const editor = document.createElement('input');
+            editor.type = 'text';
+            editor.spellcheck = false;
+            const suggestions = getSuggestions(name);
+            if (suggestions.length) {
+                const datalist = document.createElement('datalist');
+                datalist.id = `inspector-values-${name.replace(/[^\w-]/g, '_')}`;
+                for (const value of suggestions) {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    datalist.append(option);
+                }
+                editor.setAttribute('list', datalist.id);
+                root.append(datalist);
+            }
+            editor.addEventListener('change', () => writeValue(name, kind, editor.value));
+            return editor;
+        }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'tool-button';
+        button.textContent = 'Fire';
+        button.addEventListener('click', () => fireEvent(name));
+        return button;
+    }
+
+    function fireEvent(name) {
+        if (!player || !name) return;
+        onFire(name);
+        try {
+            player.stateMachineFireEvent(name);
+        } catch (e) {
+            onError(`Firing event ${name} failed:\n${e?.message || e}`);
+        }
+    }
+
+    function render(inputs) {
+        list.replaceChildren();
+        for (const stale of root.querySelectorAll('datalist')) stale.remove();
+        rows = new Map();
+
+        for (const { name, type } of inputs) {
+            const kind = kindOf(type);
+            const row = document.createElement('div');
+            row.className = 'inspector-row';
+            row.classList.toggle('is-internal', isInternalInput(name));
+
+            const label = document.createElement('span');
+            label.className = 'inspector-name';
+            label.textContent = name;
+            label.title = name;
+
+            const typeEl = document.createElement('span');
+            typeEl.className = 'inspector-type';
+            typeEl.textContent = kind;
+
+            const editor = createEditor(name, kind);
+            editor.setAttribute('aria-label', `${name} (${kind})`);
+
+            row.append(label, typeEl, editor);
+            list.append(row);
+            rows.set(name, { kind, editor, row });
+            showValue(name, readValue(name, kind));
+        }
+
+        if (emptyNote) emptyNote.hidden = inputs.length > 0;
+    }
+
+    function onValueChange(evt) {
+        if (evt?.inputName) showValue(evt.inputName, evt.newValue, { flash: true });
+    }
+
+    function detach() {
+        for (const [type, listener] of listeners.splice(0)) {
+            try {
+                player?.removeEventListener(type, listener);
+            } catch {
+                // ignore (instance may already be destroyed)
+            }
+        }
+        player = null;
+    }
+
+    // `inputs` is the parsed `stateMachineGetInputs()` list: [{ name, type }].
+    function attach(nextPlayer, inputs) {
+        detach();
+        player = nextPlayer;
+        for (const type of INPUT_EVENTS) {
+            player.addEventListener(type, onValueChange);
+            listeners.push([type, onValueChange]);
+        }
+        render(inputs || []);
+    }
+
+    if (eventForm) {
+        eventForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const field = eventForm.elements.namedItem('event');
+            const name = field?.value.trim();
+            if (name) fireEvent(name);
+        });
+    }
+
+    return { attach, detach };
+}
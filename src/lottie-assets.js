@@ -0,0 +1,245 @@
+// Raster image assets of a .lottie (or plain Lottie JSON): what each image is, where it's used
+// and what it weighs, plus swapping one for another image. Nothing in here touches the DOM.
+//
+// An image asset is an entry of an animation's `assets` with a file name `p`: either a file in
+// the archive (`u` "/i/", `p` "1.webp" → i/1.webp) or, with `e: 1`, a data: URL in the JSON.
+// Image layers (ty 2) point at one by `refId`, from the root or from inside a precomp.
+
+import { readDotLottie, repackDotLottie } from './dotlottie-archive.js';
+import { looksLikeZipDotLottie } from './lottie-source.js';
+import { formatBytes } from './perf-monitor.js';
+
+// Above this an image is flagged as heavy.
+export const ASSET_WARN_BYTES = 100 * 1024;
+// Pixels beyond this many times the size the animation draws the image at (2× covers high-DPI
+// screens) are flagged as wasted.
+export const OVERSIZE_FACTOR = 2;
+// Formats a replacement may have.
+export const REPLACEMENT_FORMATS = ['png', 'webp'];
+
+const IMAGE_FOLDERS = ['i/', 'images/'];
+const EXTENSIONS = { png: 'png', webp: 'webp', jpeg: 'jpg', gif: 'gif' };
+const MIME_TYPES = { png: 'image/png', webp: 'image/webp', jpeg: 'image/jpeg', gif: 'image/gif' };
+
+export function mimeType(format) {
+    return MIME_TYPES[format] ?? 'application/octet-stream';
+}
+
+// { format, width, height } read from the file header; format null (and no size) for anything
+// that isn't PNG, WebP, JPEG or GIF.
+export function imageInfo(bytes) {
+    const u8 = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const view = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+    const ascii = (offset, length) => String.fromCharCode(...u8.subarray(offset, offset + length));
+    const unknown = { format: null, width: null, height: null };
+
+    if (u8.length >= 24 && u8[0] === 0x89 && ascii(1, 3) === 'PNG') {
+        return { format: 'png', width: view.getUint32(16), height: view.getUint32(20) };
+    }
+    if (u8.length >= 30 && ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') {
+        const chunk = ascii(12, 4);
+        if (chunk === 'VP8X') {
+            const width = 1 + (u8[24] | (u8[25] << 8) | (u8[26] << 16));
+            const height = 1 + (u8[27] | (u8[28] << 8) | (u8[29] << 16));
+            return { format: 'webp', width, height };
+        }
+        if (chunk === 'VP8L') {
+            const bits = view.getUint32(21, true);
+            return { format: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8 ') {
+            return { format: 'webp', width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+        }
+        return { ...unknown, format: 'webp' };
+    }
+    if (u8.length >= 10 && ascii(0, 4) === 'GIF8') {
+        return { format: 'gif', width: view.getUint16(6, true), height: view.getUint16(8, true) };
+    }
+    if (u8.length >= 4 && u8[0] === 0xff && u8[1] === 0xd8) {
+        // Walk the segments to the first start-of-frame marker.
+        let offset = 2;
+        while (offset + 9 < u8.length && u8[offset] === 0xff) {
+            const marker = u8[offset + 1];
+            const length = view.getUint16(offset + 2);
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { format: 'jpeg', width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+            }
+            offset += 2 + length;
+        }
+        return { ...unknown, format: 'jpeg' };
+    }
+    return unknown;
+}
+
+function decodeDataUrl(url) {
+    const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(url);
+    if (!match) return null;
+    if (!match[2]) return new TextEncoder().encode(decodeURIComponent(match[3]));
+    const binary = atob(match[3]);
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+const isImageAsset = (asset) => typeof asset?.p === 'string' && !Array.isArray(asset.layers) && asset.ty !== 3;
+
+// Archive path of a file asset ("/i/" + "1.webp" → "i/1.webp").
+function assetPath(asset) {
+    return `${asset.u ?? ''}${asset.p}`.replace(/^\/+/, '');
+}
+
+// The image layers using each asset id: [{ name, hidden }], named "Precomp › Layer" from inside
+// precomps. Hidden layers (`hd`, e.g. guide layers) are never drawn.
+function layersByAsset(animation) {
+    const out = new Map();
+    const precompNames = new Map((animation.assets || []).filter((a) => Array.isArray(a?.layers)).map((a) => [a.id, a.nm || a.id]));
+    const visit = (layers, where) => {
+        for (const layer of Array.isArray(layers) ? layers : []) {
+            if (layer?.ty !== 2 || layer.refId == null) continue;
+            const name = layer.nm || `layer ${layer.ind ?? '?'}`;
+            if (!out.has(layer.refId)) out.set(layer.refId, []);
+            out.get(layer.refId).push({ name: where ? `${where} › ${name}` : name, hidden: layer.hd === true });
+        }
+    };
+    visit(animation.layers, '');
+    for (const asset of animation.assets || []) {
+        if (Array.isArray(asset?.layers)) visit(asset.layers, precompNames.get(asset.id));
+    }
+    return out;
+}
+
+// Everything the panel shows about a file's images:
+//   { images: [{ path, inline, bytes, size, format, width, height, uses, issues }], totalBytes,
+//     fileBytes, issues }
+// `uses` are [{ animationId, assetId, width, height, layers }]: the size the animation draws it at
+// and the layers as from layersByAsset. `issues` are { severity: 'warning', code, message, where }
+// as in src/lottie-validator.js.
+export async function readImageAssets(buffer) {
+    const fileBytes = buffer.byteLength;
+    const animations = [];
+    let files = new Map();
+    if (looksLikeZipDotLottie(buffer)) {
+        const archive = await readDotLottie(buffer);
+        files = archive.files;
+        const ids = (archive.manifest?.animations || []).map((a) => a?.id).filter((id) => typeof id === 'string');
+        for (const id of ids) {
+            const path = archive.pathOf('animation', id);
+            if (!path) continue;
+            try {
+                animations.push({ id, path, json: archive.readJson(path) });
+            } catch {
+                // the validator reports it
+            }
+        }
+    } else {
+        animations.push({ id: '', path: null, json: JSON.parse(new TextDecoder().decode(buffer)) });
+    }
+
+    const images = new Map(); // path (or "animation#asset" for inline ones) → image
+    const imageFor = (key, init) => {
+        if (!images.has(key)) images.set(key, { ...init, uses: [], issues: [] });
+        return images.get(key);
+    };
+    for (const animation of animations) {
+        const layers = layersByAsset(animation.json);
+        for (const asset of animation.json?.assets || []) {
+            if (!isImageAsset(asset)) continue;
+            const use = { animationId: animation.id, assetId: asset.id, width: asset.w ?? null, height: asset.h ?? null, layers: layers.get(asset.id) || [] };
+            if (asset.e === 1 || asset.p.startsWith('data:')) {
+                const bytes = decodeDataUrl(asset.p);
+                const key = `${animation.id}#${asset.id}`;
+                imageFor(key, { path: null, inline: true, bytes, size: bytes?.length ?? 0, ...(bytes ? imageInfo(bytes) : {}), key }).uses.push(use);
+                continue;
+            }
+            const path = assetPath(asset);
+            const bytes = files.get(path) ?? null;
+            const image = imageFor(path, { path, inline: false, bytes, size: bytes?.length ?? 0, ...(bytes ? imageInfo(bytes) : {}), key: path });
+            image.uses.push(use);
+        }
+    }
+    // Images in the archive no asset points at.
+    for (const [path, bytes] of files) {
+        if (!IMAGE_FOLDERS.some((folder) => path.startsWith(folder)) || images.has(path)) continue;
+        imageFor(path, { path, inline: false, bytes, size: bytes.length, ...imageInfo(bytes), key: path });
+    }
+
+    const list = [...images.values()];
+    const seen = new Map(); // content → first path with it
+    for (const image of list) {
+        const where = image.path ?? `${image.uses[0].animationId} › asset ${image.uses[0].assetId}`;
+        const warn = (code, message) => image.issues.push({ severity: 'warning', code, message, where });
+        if (!image.bytes) {
+            warn('missing', `The animation points at ${image.path}, which is not in the file.`);
+            continue;
+        }
+        if (!image.uses.length) warn('unused', `No animation uses ${image.path}; removing it saves ${formatBytes(image.size)}.`);
+        else if (!image.uses.some((use) => use.layers.length)) warn('unused', `No layer shows this image; removing it saves ${formatBytes(image.size)}.`);
+        else if (image.uses.every((use) => use.layers.every((layer) => layer.hidden))) {
+            warn('hidden', `Only hidden layers use this image, so it is never drawn; removing it saves ${formatBytes(image.size)}.`);
+        }
+        if (image.size > ASSET_WARN_BYTES) warn('heavy', `${formatBytes(image.size)} is over the ${formatBytes(ASSET_WARN_BYTES)} budget for one image.`);
+        const drawn = image.uses.filter((use) => use.width > 0 && use.height > 0);
+        if (image.width && drawn.length) {
+            const widest = Math.max(...drawn.map((use) => use.width));
+            const tallest = Math.max(...drawn.map((use) => use.height));
+            if (image.width > widest * OVERSIZE_FACTOR || image.height > tallest * OVERSIZE_FACTOR) {
+                warn('oversized', `${image.width}×${image.height} px is more than ${OVERSIZE_FACTOR}× the ${widest}×${tallest} px it is drawn at.`);
+            } else if (Math.abs(image.width / image.height - widest / tallest) > 0.01) {
+                warn('aspect', `${image.width}×${image.height} px has another shape than the ${widest}×${tallest} px it is drawn at, so it will look stretched.`);
+            }
+        }
+        const content = fingerprint(image.bytes);
+        if (seen.has(content) && sameBytes(images.get(seen.get(content)).bytes, image.bytes)) {
+            warn('duplicate', `Same image as ${seen.get(content)}; the animation could use that one and drop ${formatBytes(image.size)}.`);
+        } else if (!seen.has(content)) {
+            seen.set(content, image.key);
+        }
+    }
+
+    return {
+        images: list,
+        totalBytes: list.filter((image) => !image.inline).reduce((sum, image) => sum + image.size, 0),
+        fileBytes,
+        issues: list.flatMap((image) => image.issues),
+    };
+}
+
+function fingerprint(bytes) {
+    let hash = 2166136261;
+    for (let i = 0; i < bytes.length; i++) hash = Math.imul(hash ^ bytes[i], 16777619);
+    return `${bytes.length}:${hash >>> 0}`;
+}
+
+function sameBytes(a, b) {
+    return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+// The .lottie `buffer` with the image at `path` replaced by `bytes` (PNG or WebP). A file of the
+// same format keeps its name, so only that entry changes; another format gets the matching
+// extension and the assets pointing at it are updated.
+export async function replaceImageAsset(buffer, path, bytes) {
+    const u8 = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const { format } = imageInfo(u8);
+    if (!REPLACEMENT_FORMATS.includes(format)) throw new Error('The replacement must be a PNG or WebP image.');
+    if (!looksLikeZipDotLottie(buffer)) throw new Error('Only images in a .lottie archive can be replaced.');
+    const archive = await readDotLottie(buffer);
+    if (!archive.files.has(path)) throw new Error(`The file has no ${path}.`);
+
+    const extension = EXTENSIONS[format];
+    const renamed = path.replace(/(\.[^./]*)?$/, `.${extension}`);
+    if (renamed === path) return repackDotLottie(buffer, { changes: { [path]: u8 } });
+    if (archive.files.has(renamed)) throw new Error(`The file already has a ${renamed}.`);
+
+    const changes = { [path]: null, [renamed]: u8 };
+    for (const { id } of archive.manifest?.animations || []) {
+        const animationPath = typeof id === 'string' && archive.pathOf('animation', id);
+        if (!animationPath) continue;
+        const animation = archive.readJson(animationPath);
+        let changed = false;
+        for (const asset of animation?.assets || []) {
+            if (!isImageAsset(asset) || asset.e === 1 || assetPath(asset) !== path) continue;
+            asset.p = renamed.slice(renamed.lastIndexOf('/') + 1);
+            changed = true;
+        }
+        if (changed) changes[animationPath] = animation;
+    }
+    return repackDotLottie(buffer, { changes });
+}
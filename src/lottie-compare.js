@@ -0,0 +1,87 @@
+// Compare mode helpers: what two versions of an animation disagree on (machine states, inputs,
+// markers) and a per-pixel diff of two rendered frames. Nothing in here touches the DOM.
+
+// Default per-channel difference (0–255) below which two pixels count as equal; absorbs
+// anti-aliasing noise between renderer builds.
+export const DIFF_THRESHOLD = 16;
+
+// Overlay color for differing pixels (RGBA).
+const DIFF_COLOR = [255, 0, 96, 220];
+
+function byName(items) {
+    return new Map(items.map((item) => [typeof item === 'string' ? item : item.name, item]));
+}
+
+function splitNames(a, b) {
+    return {
+        onlyA: [...a.keys()].filter((name) => !b.has(name)),
+        onlyB: [...b.keys()].filter((name) => !a.has(name)),
+    };
+}
+
+// What files `a` and `b` disagree on. Each is { states: [name], inputs: [{ name, type }],
+// markers: [{ name, time, duration }] }. Inputs with the same name but another type, and
+// markers with the same name but other frames, are listed as `changed` ({ name, a, b }).
+export function compareFiles(a, b) {
+    const states = splitNames(byName(a.states || []), byName(b.states || []));
+
+    const inputsA = byName(a.inputs || []);
+    const inputsB = byName(b.inputs || []);
+    const inputs = {
+        ...splitNames(inputsA, inputsB),
+        changed: [...inputsA.keys()]
+            .filter((name) => inputsB.has(name) && inputsA.get(name).type !== inputsB.get(name).type)
+            .map((name) => ({ name, a: inputsA.get(name).type, b: inputsB.get(name).type })),
+    };
+
+    const markersA = byName(a.markers || []);
+    const markersB = byName(b.markers || []);
+    const span = (m) => `${m.time}–${m.time + m.duration}`;
+    const markers = {
+        ...splitNames(markersA, markersB),
+        changed: [...markersA.keys()]
+            .filter((name) => markersB.has(name) && span(markersA.get(name)) !== span(markersB.get(name)))
+            .map((name) => ({ name, a: span(markersA.get(name)), b: span(markersB.get(name)) })),
+    };
+
+    const same = [states, inputs, markers].every((group) => Object.values(group).every((list) => !list.length));
+    return { states, inputs, markers, same };
+}
+
+// One readable line per difference, e.g. `State "Dance" only in B`.
+export function describeDifferences(diff) {
+    const lines = [];
+    const groups = [['states', 'State'], ['inputs', 'Input'], ['markers', 'Marker']];
+    for (const [key, label] of groups) {
+        const group = diff[key];
+        for (const name of group.onlyA) lines.push(`${label} "${name}" only in A`);
+        for (const name of group.onlyB) lines.push(`${label} "${name}" only in B`);
+        for (const change of group.changed || []) {
+            const what = key === 'inputs' ? 'type' : 'frames';
+            lines.push(`${label} "${change.name}": ${what} ${change.a} in A, ${change.b} in B`);
+        }
+    }
+    return lines;
+}
+
+// Compare two RGBA buffers of the same size. Returns { mask, changed, total }: `mask` is an
+// RGBA overlay with differing pixels colored and the rest transparent. Two fully transparent
+// pixels are equal whatever their color channels say.
+export function diffPixels(a, b, { threshold = DIFF_THRESHOLD } = {}) {
+    if (a.length !== b.length) throw new Error('diffPixels needs two buffers of the same size.');
+    const mask = new Uint8ClampedArray(a.length);
+    let changed = 0;
+    for (let i = 0; i < a.length; i += 4) {
+        if (a[i + 3] === 0 && b[i + 3] === 0) continue;
+        const delta = Math.max(
+            Math.abs(a[i] - b[i]),
+            Math.abs(a[i + 1] - b[i + 1]),
+            Math.abs(a[i + 2] - b[i + 2]),
+            Math.abs(a[i + 3] - b[i + 3]),
+        );
+        if (delta <= threshold) continue;
+        changed += 1;
+        mask.set(DIFF_COLOR, i);
+    }
+    return { mask, changed, total: a.length / 4 };
+}
@@ -0,0 +1,59 @@
+// Turning files, URLs and bytes into sources for EyesController.load()
+// ({ src } or { data }, plus a display fileName).
+
+export function looksLikeZipDotLottie(arrayBuffer) {
+    try {
+        const u8 = new Uint8Array(arrayBuffer, 0, 4);
+        // ZIP local file header: PK\x03\x04
+        return u8[0] === 0x50 && u8[1] === 0x4b && u8[2] === 0x03 && u8[3] === 0x04;
+    } catch {
+        return false;
+    }
+}
+
+// Zipped dotLottie archives are passed through as-is; anything else has to be a plain
+// Lottie JSON document.
+export function sourceFromArrayBuffer(arrayBuffer, fileName) {
+    if (!arrayBuffer || arrayBuffer.byteLength === 0) {
+        throw new Error(`"${fileName}" is empty.`);
+    }
+
+    if (looksLikeZipDotLottie(arrayBuffer)) {
+        return { data: arrayBuffer, fileName };
+    }
+
+    let text;
+    try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(arrayBuffer);
+    } catch {
+        throw new Error(`"${fileName}" is not a zipped .lottie (no PK header) and not UTF-8 text either.`);
+    }
+
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`"${fileName}" is not a zipped .lottie and not valid JSON:\n${e.message}`);
+    }
+
+    // Minimal shape check so we fail here with a readable message instead of deep inside the renderer.
+    if (!json || typeof json !== 'object' || !Array.isArray(json.layers)) {
+        throw new Error(`"${fileName}" is JSON, but not a Lottie animation (no "layers" array).`);
+    }
+
+    return { data: text, fileName };
+}
+
+export async function sourceFromFile(file) {
+    return sourceFromArrayBuffer(await file.arrayBuffer(), file.name);
+}
+
+export function fileNameFromUrl(url, base = globalThis.location?.href) {
+    try {
+        const { pathname } = new URL(url, base);
+        const last = pathname.split('/').filter(Boolean).pop();
+        return last ? decodeURIComponent(last) : url;
+    } catch {
+        return url;
+    }
+}
@@ -0,0 +1,192 @@
+// Themes and slots for the Theme panel: what a file lets you recolor, edits as theme data, and
+// .lottie exports with a theme embedded.
+//
+// A dotLottie theme is `{ rules: [{ id, type, value }] }`. Each rule targets a slot: a property
+// tagged with a `sid` and declared in the animation's top-level `slots`. Only static Color and
+// Scalar slots are edited here; image, text and animated slots are left alone.
+//
+// Files without slots can't be themed as they are. slotifyColors() turns their solid fill and
+// stroke colors into slots (one per distinct color), which is the fallback the panel offers.
+
+import { readDotLottie, repackDotLottie, writeZip } from './dotlottie-archive.js';
+import { looksLikeZipDotLottie } from './lottie-source.js';
+
+const GENERATOR = 'computer-eyes viewer';
+
+export function rgbToHex(value) {
+    return `#${value.slice(0, 3).map((c) => Math.round(Math.min(1, Math.max(0, c)) * 255).toString(16).padStart(2, '0')).join('')}`;
+}
+
+export function hexToRgb(hex) {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+    if (!match) throw new Error(`"${hex}" is not a #rrggbb color.`);
+    return match.slice(1).map((part) => Math.round((parseInt(part, 16) / 255) * 1000) / 1000);
+}
+
+function isColor(k) {
+    return Array.isArray(k) && (k.length === 3 || k.length === 4) && k.every((c) => typeof c === 'number');
+}
+
+// The animation's editable slots: [{ id, type: 'Color' | 'Scalar', value }] in declaration order.
+export function listSlots(animation) {
+    const slots = [];
+    for (const [id, slot] of Object.entries(animation?.slots || {})) {
+        const prop = slot?.p;
+        if (!prop || prop.a) continue;
+        if (isColor(prop.k)) slots.push({ id, type: 'Color', value: prop.k.slice() });
+        else if (typeof prop.k === 'number') slots.push({ id, type: 'Scalar', value: prop.k });
+    }
+    return slots;
+}
+
+// Visits every solid fill and stroke color of visible layers, including those in precomps.
+// Hidden layers and shapes are skipped: the renderer doesn't build them, and a slot pointing
+// into one crashes it on load.
+function forEachColorProp(animation, visit) {
+    const walkShapes = (shapes) => {
+        for (const shape of shapes || []) {
+            if (!shape || shape.hd) continue;
+            if (shape.ty === 'gr') walkShapes(shape.it);
+            else if ((shape.ty === 'fl' || shape.ty === 'st') && shape.c && !shape.c.a && isColor(shape.c.k)) visit(shape.c, shape);
+        }
+    };
+    const walkLayers = (layers) => {
+        for (const layer of layers || []) {
+            if (layer && !layer.hd && layer.ty === 4) walkShapes(layer.shapes);
+        }
+    };
+    walkLayers(animation?.layers);
+    for (const asset of animation?.assets || []) walkLayers(asset.layers);
+}
+
+// Distinct solid colors not already bound to a slot: [{ hex, value, count }], most used first.
+export function detectColors(animation) {
+    const byHex = new Map();
+    forEachColorProp(animation, (prop) => {
+        if (prop.sid) return;
+        const hex = rgbToHex(prop.k);
+        const entry = byHex.get(hex) || { hex, value: hexToRgb(hex), count: 0 };
+        entry.count += 1;
+        byHex.set(hex, entry);
+    });
+    return [...byHex.values()].sort((a, b) => b.count - a.count);
+}
+
+// A copy of `animation` where every detected color is a Color slot named after it
+// (`color_1a2b3c`), defaulting to the original color. Returns null when there is nothing to slot.
+export function slotifyColors(animation) {
+    if (!detectColors(animation).length) return null;
+    const copy = structuredClone(animation);
+    const slots = { ...(copy.slots || {}) };
+    forEachColorProp(copy, (prop) => {
+        if (prop.sid) return;
+        const id = `color_${rgbToHex(prop.k).slice(1)}`;
+        prop.sid = id;
+        slots[id] ??= { p: { a: 0, k: prop.k.slice(0, 3) } };
+    });
+    copy.slots = slots;
+    return copy;
+}
+
+function sameValue(a, b) {
+    return Array.isArray(a) ? rgbToHex(a) === rgbToHex(b) : a === b;
+}
+
+// Theme data for `values` (slot id → value). Only slots whose value differs from the default
+// get a rule, unless `all` is set.
+export function themeFromValues(slots, values, { all = false } = {}) {
+    const rules = [];
+    for (const slot of slots) {
+        if (!(slot.id in values)) continue;
+        const value = values[slot.id];
+        if (!all && sameValue(value, slot.value)) continue;
+        rules.push({ id: slot.id, type: slot.type, value: Array.isArray(value) ? value.slice() : value });
+    }
+    return { rules };
+}
+
+// Slot values after applying a theme's static rules (animated or unknown rules are ignored).
+export function valuesFromTheme(slots, theme) {
+    const values = Object.fromEntries(slots.map((slot) => [slot.id, slot.value]));
+    for (const rule of theme?.rules || []) {
+        const slot = slots.find((s) => s.id === rule.id);
+        if (!slot || rule.keyframes) continue;
+        if (slot.type === 'Color' && isColor(rule.value)) values[slot.id] = rule.value.slice();
+        else if (slot.type === 'Scalar' && typeof rule.value === 'number') values[slot.id] = rule.value;
+    }
+    return values;
+}
+
+function decodeJsonSource(data) {
+    return typeof data === 'string' ? data : new TextDecoder().decode(data);
+}
+
+// What the Theme panel needs from an open file (a .lottie ArrayBuffer or Lottie JSON):
+// { animation, animationId, themes: [{ id, theme }] }. `animationId` defaults to the first one.
+export async function readThemeSource(data, animationId) {
+    if (typeof data !== 'string' && looksLikeZipDotLottie(data)) {
+        const archive = await readDotLottie(data);
+        if (archive.manifestError) throw new Error(archive.manifestError);
+        const id = animationId || archive.manifest.animations?.[0]?.id;
+        const path = id ? archive.pathOf('animation', id) : null;
+        if (!path) throw new Error(`The archive has no animation "${id}".`);
+        const themes = (archive.manifest.themes || []).map(({ id: themeId }) => {
+            const themePath = archive.pathOf('theme', themeId);
+            let theme = null;
+            try {
+                theme = themePath ? archive.readJson(themePath) : null;
+            } catch {
+                // Listed but unreadable: still selectable, the player decides.
+            }
+            return { id: themeId, theme };
+        });
+        return { animation: archive.readJson(path), animationId: id, themes };
+    }
+    return { animation: JSON.parse(decodeJsonSource(data)), animationId: null, themes: [] };
+}
+
+// The open file with its colors slotted (see slotifyColors), in the same form it came in.
+// Returns null when there is nothing to slot.
+export async function slotifySource(data, animationId) {
+    const { animation, animationId: id } = await readThemeSource(data, animationId);
+    const slotted = slotifyColors(animation);
+    if (!slotted) return null;
+    if (id === null) return JSON.stringify(slotted);
+
+    const archive = await readDotLottie(data);
+    const bytes = await repackDotLottie(data, { changes: { [archive.pathOf('animation', id)]: slotted } });
+    return bytes.buffer;
+}
+
+// A .lottie of the open file with `theme` stored as `themeId` and made the animation's initial
+// theme. Raw JSON gets wrapped in a new archive.
+export async function packThemedLottie(data, { animationId, themeId, theme }) {
+    if (typeof data !== 'string' && looksLikeZipDotLottie(data)) {
+        const archive = await readDotLottie(data);
+        const id = animationId || archive.manifest?.animations?.[0]?.id;
+        const v1 = archive.pathOf('animation', id)?.startsWith('animations/');
+        return repackDotLottie(data, {
+            changes: { [`${v1 ? 'themes/' : 't/'}${themeId}.json`]: theme },
+            editManifest(manifest) {
+                manifest.themes = [...(manifest.themes || []).filter((t) => t.id !== themeId), { id: themeId }];
+                manifest.animations = (manifest.animations || []).map((a) => (a.id === id ? { ...a, initialTheme: themeId } : a));
+                return manifest;
+            },
+        });
+    }
+
+    const id = animationId || 'animation';
+    return writeZip([
+        {
+            name: 'manifest.json',
+            data: JSON.stringify({
+                version: '2',
+                generator: GENERATOR,
+                animations: [{ id, initialTheme: themeId }],
+                themes: [{ id: themeId }],
+            }),
+        },
+        { name: `a/${id}.json`, data: decodeJsonSource(data) },
+        { name: `t/${themeId}.json`, data: JSON.stringify(theme) },
+    ]);
+}
@@ -0,0 +1,368 @@
+// Static checks for a .lottie (or plain Lottie JSON): the manifest, each state machine and the
+// animations' markers. Used by the viewer's Validate panel and by scripts/validate-lottie.mjs.
+//
+// Each issue is { severity: 'error' | 'warning', code, message, where, …context }. Codes:
+//   invalid-archive      the ZIP itself can't be read
+//   manifest-missing     no (valid) manifest.json
+//   unresolved-id        a manifest id has no matching file
+//   duplicate-id         the same id is listed twice in the manifest
+//   unlisted-file        an animation/state machine/theme file the manifest doesn't list
+//   invalid-json         a file that should be JSON isn't
+//   missing-initial      the machine's initial state doesn't exist
+//   missing-target       a transition or interaction names a state that doesn't exist
+//   unreachable-state    no path from the initial state (global transitions included)
+//   dead-end             a reachable state with no way out
+//   undefined-input      a guard or action uses an input the machine doesn't declare
+//   guard-type-mismatch  a guard's type differs from its input's declared type
+//   unknown-animation    a state plays an animation id that isn't in the archive
+//   unknown-segment      a state's segment matches no marker of its animation
+//   placeholder-name     a marker keeps a default name ("Segment name 1") but is in use
+//   marker-out-of-range  a marker extends past the animation's in/out points
+//   name-whitespace      a state, input or marker name has leading/trailing whitespace
+//   duplicate-name       two states, inputs or markers share a name
+//   duplicate-interaction  the same interaction is declared more than once
+
+import { looksLikeZipDotLottie } from './lottie-source.js';
+import { readDotLottie } from './dotlottie-archive.js';
+
+const PLACEHOLDER_MARKER = /^Segment name \d+$/;
+
+function issue(severity, code, message, context = {}) {
+    return { severity, code, message, where: context.where || '', ...context };
+}
+
+function markerName(marker) {
+    return typeof marker?.cm === 'string' ? marker.cm : String(marker?.cm ?? '');
+}
+
+// Markers of one animation as [{ name, time, duration }].
+export function readMarkers(animation) {
+    return (Array.isArray(animation?.markers) ? animation.markers : []).map((m) => ({
+        name: markerName(m),
+        time: Number(m?.tm) || 0,
+        duration: Number(m?.dr) || 0,
+    }));
+}
+
+// Whitespace and duplicate checks shared by states, inputs and markers.
+function checkNames(names, kind, where) {
+    const Kind = kind[0].toUpperCase() + kind.slice(1);
+    const issues = [];
+    const seen = new Map();
+    for (const name of names) {
+        seen.set(name, (seen.get(name) || 0) + 1);
+        if (name !== name.trim()) {
+            issues.push(issue('warning', 'name-whitespace',
+                `${Kind} ${JSON.stringify(name)} has leading or trailing whitespace.`,
+                { where: `${where} › ${kind} ${JSON.stringify(name)}` }));
+        }
+    }
+    for (const [name, count] of seen) {
+        if (count > 1) {
+            issues.push(issue(kind === 'marker' ? 'warning' : 'error', 'duplicate-name',
+                `${count} ${kind}s are named ${JSON.stringify(name)}.`,
+                { where: `${where} › ${kind} ${JSON.stringify(name)}` }));
+        }
+    }
+    return issues;
+}
+
+// "did you mean" for names that only differ by surrounding whitespace.
+function whitespaceHint(name, candidates) {
+    const trimmed = String(name).trim();
+    const match = candidates.find((c) => c !== name && c.trim() === trimmed);
+    return match == null ? '' : ` (${JSON.stringify(match)} exists; the names differ only in whitespace)`;
+}
+
+export function validateAnimation(animation, { id = 'animation', usedMarkers = new Set() } = {}) {
+    const where = `animation ${JSON.stringify(id)}`;
+    const markers = readMarkers(animation);
+    const issues = checkNames(markers.map((m) => m.name), 'marker', where);
+
+    const inPoint = Number(animation?.ip) || 0;
+    const outPoint = Number(animation?.op) || 0;
+    for (const marker of markers) {
+        if (PLACEHOLDER_MARKER.test(marker.name) && usedMarkers.has(marker.name)) {
+            issues.push(issue('warning', 'placeholder-name',
+                `Marker ${JSON.stringify(marker.name)} keeps its default name but state machines play it; give it a meaningful name.`,
+                { where: `${where} › marker ${JSON.stringify(marker.name)}`, animation: id, marker: marker.name }));
+        }
+        if (outPoint > inPoint && (marker.time < inPoint || marker.time + marker.duration > outPoint)) {
+            issues.push(issue('warning', 'marker-out-of-range',
+                `Marker ${JSON.stringify(marker.name)} (frames ${marker.time}–${marker.time + marker.duration}) is outside the animation (${inPoint}–${outPoint}).`,
+                { where: `${where} › marker ${JSON.stringify(marker.name)}`, animation: id, marker: marker.name }));
+        }
+    }
+    return issues;
+}
+
+// `markersOf(animationId)` returns that animation's marker names ('' = the default animation),
+// or null if the animation doesn't exist.
+export function validateStateMachine(def, { id = 'state machine', markersOf = () => null } = {}) {
+    const where = `state machine ${JSON.stringify(id)}`;
+    const issues = [];
+    const states = Array.isArray(def?.states) ? def.states : [];
+    const stateNames = states.map((s) => (typeof s?.name === 'string' ? s.name : ''));
+    const stateSet = new Set(stateNames);
+    const inputs = Array.isArray(def?.inputs) ? def.inputs : [];
+    const inputTypes = new Map(inputs.map((input) => [input?.name, input?.type]));
+    const at = (state) => `${where} › state ${JSON.stringify(state)}`;
+
+    issues.push(...checkNames(stateNames, 'state', where));
+    issues.push(...checkNames(inputs.map((input) => String(input?.name ?? '')), 'input', where));
+
+    if (!stateSet.has(def?.initial)) {
+        issues.push(issue('error', 'missing-initial',
+            `Initial state ${JSON.stringify(def?.initial)} does not exist${whitespaceHint(def?.initial, stateNames)}.`,
+            { where, stateMachine: id }));
+    }
+
+    // `subject` starts the message ("Transition 2 of …"); `context` locates it.
+    const checkInput = (name, subject, context, guardType) => {
+        if (typeof name !== 'string') return;
+        if (!inputTypes.has(name)) {
+            issues.push(issue('error', 'undefined-input',
+                `${subject} uses input ${JSON.stringify(name)}, which is not declared${whitespaceHint(name, [...inputTypes.keys()])}.`,
+                { where: context, stateMachine: id, input: name }));
+        } else if (guardType && inputTypes.get(name) !== guardType) {
+            issues.push(issue('warning', 'guard-type-mismatch',
+                `${subject} compares ${JSON.stringify(name)} as ${guardType}, but it is declared ${inputTypes.get(name)}.`,
+                { where: context, stateMachine: id, input: name }));
+        }
+    };
+
+    const globals = states.filter((s) => s?.type === 'GlobalState');
+    for (const [index, state] of states.entries()) {
+        const name = stateNames[index];
+        const transitions = Array.isArray(state?.transitions) ? state.transitions : [];
+        for (const [t, transition] of transitions.entries()) {
+            const context = `${at(name)} › transition ${t + 1}`;
+            if (!stateSet.has(transition?.toState)) {
+                issues.push(issue('error', 'missing-target',
+                    `Transition ${t + 1} of ${JSON.stringify(name)} goes to ${JSON.stringify(transition?.toState)}, which does not exist${whitespaceHint(transition?.toState, stateNames)}.`,
+                    { where: context, stateMachine: id, state: name }));
+            }
+            for (const guard of Array.isArray(transition?.guards) ? transition.guards : []) {
+                checkInput(guard?.inputName, `Transition ${t + 1} of ${JSON.stringify(name)}`, context, guard?.type);
+            }
+        }
+        for (const key of ['entryActions', 'exitActions']) {
+            for (const action of Array.isArray(state?.[key]) ? state[key] : []) {
+                const kind = key === 'entryActions' ? 'An entry' : 'An exit';
+                checkInput(action?.inputName, `${kind} action of ${JSON.stringify(name)}`, `${at(name)} › ${key}`);
+            }
+        }
+
+        if (state?.type === 'PlaybackState') {
+            const animationId = typeof state.animation === 'string' ? state.animation : '';
+            const markers = markersOf(animationId);
+            if (markers == null) {
+                issues.push(issue('error', 'unknown-animation',
+                    `State ${JSON.stringify(name)} plays animation ${JSON.stringify(animationId)}, which is not in the file.`,
+                    { where: at(name), stateMachine: id, state: name }));
+            } else if (typeof state.segment === 'string' && state.segment !== '' && !markers.includes(state.segment)) {
+                issues.push(issue('error', 'unknown-segment',
+                    `State ${JSON.stringify(name)} plays segment ${JSON.stringify(state.segment)}, but no marker has that name${whitespaceHint(state.segment, markers)}.`,
+                    { where: at(name), stateMachine: id, state: name, marker: state.segment }));
+            }
+        }
+    }
+
+    const interactionKeys = new Map();
+    for (const [i, interaction] of (Array.isArray(def?.interactions) ? def.interactions : []).entries()) {
+        const context = `${where} › interaction ${i + 1} (${interaction?.type || '?'})`;
+        if (typeof interaction?.stateName === 'string' && !stateSet.has(interaction.stateName)) {
+            issues.push(issue('error', 'missing-target',
+                `Interaction ${i + 1} (${interaction.type}) listens to state ${JSON.stringify(interaction.stateName)}, which does not exist${whitespaceHint(interaction.stateName, stateNames)}.`,
+                { where: context, stateMachine: id, state: interaction.stateName }));
+        }
+        for (const action of Array.isArray(interaction?.actions) ? interaction.actions : []) {
+            checkInput(action?.inputName, `Interaction ${i + 1} (${interaction.type})`, context);
+        }
+        const key = JSON.stringify(interaction);
+        const seen = interactionKeys.get(key);
+        if (seen) seen.count += 1;
+        else interactionKeys.set(key, { count: 1, index: i, interaction });
+    }
+    for (const { count, index, interaction } of interactionKeys.values()) {
+        if (count < 2) continue;
+        const target = interaction?.stateName ? ` on ${JSON.stringify(interaction.stateName)}` : '';
+        issues.push(issue('warning', 'duplicate-interaction',
+            `Interaction ${index + 1} (${interaction?.type}${target}) is declared ${count} times with identical actions.`,
+            { where: `${where} › interaction ${index + 1}`, stateMachine: id }));
+    }
+
+    // Reachability: global transitions can fire from anywhere, so their targets count as reachable.
+    const byName = new Map(states.map((s, i) => [stateNames[i], s]));
+    const reachable = new Set();
+    const queue = [];
+    const visit = (name) => {
+        if (!byName.has(name) || reachable.has(name)) return;
+        reachable.add(name);
+        queue.push(name);
+    };
+    visit(def?.initial);
+    for (const global of globals) {
+        visit(global.name);
+        for (const transition of global.transitions || []) visit(transition?.toState);
+    }
+    while (queue.length) {
+        for (const transition of byName.get(queue.shift())?.transitions || []) visit(transition?.toState);
+    }
+
+    const hasGlobalExits = globals.some((g) => (g.transitions || []).length > 0);
+    for (const [index, state] of states.entries()) {
+        const name = stateNames[index];
+        if (state?.type === 'GlobalState') continue;
+        if (!reachable.has(name)) {
+            issues.push(issue('warning', 'unreachable-state',
+                `State ${JSON.stringify(name)} cannot be reached from the initial state ${JSON.stringify(def?.initial)}.`,
+                { where: at(name), stateMachine: id, state: name }));
+            continue;
+        }
+        const exits = (state?.transitions || []).filter((t) => t?.toState !== name && stateSet.has(t?.toState));
+        if (!exits.length && !hasGlobalExits) {
+            issues.push(issue('warning', 'dead-end',
+                `State ${JSON.stringify(name)} has no transition to another state; the machine stays there for good.`,
+                { where: at(name), stateMachine: id, state: name }));
+        }
+    }
+
+    return issues;
+}
+
+function checkManifestIds(archive, kind, list, label) {
+    const issues = [];
+    const seen = new Set();
+    for (const entry of Array.isArray(list) ? list : []) {
+        const id = entry?.id;
+        if (seen.has(id)) {
+            issues.push(issue('warning', 'duplicate-id', `The manifest lists ${label} ${JSON.stringify(id)} twice.`, { where: 'manifest.json' }));
+        }
+        seen.add(id);
+        if (typeof id !== 'string' || !archive.pathOf(kind, id)) {
+            issues.push(issue('error', 'unresolved-id',
+                `The manifest lists ${label} ${JSON.stringify(id)}, but the archive has no file for it.`,
+                { where: 'manifest.json' }));
+        }
+    }
+    return { issues, ids: seen };
+}
+
+export function validateArchive(archive) {
+    const issues = [];
+    const { manifest } = archive;
+    if (!manifest) {
+        issues.push(issue('error', 'manifest-missing', archive.manifestError || 'The archive has no manifest.json.', { where: 'manifest.json' }));
+    }
+
+    const animationsCheck = checkManifestIds(archive, 'animation', manifest?.animations, 'animation');
+    const machinesCheck = checkManifestIds(archive, 'stateMachine', manifest?.stateMachines, 'state machine');
+    const themesCheck = checkManifestIds(archive, 'theme', manifest?.themes, 'theme');
+    issues.push(...animationsCheck.issues, ...machinesCheck.issues, ...themesCheck.issues);
+
+    const initial = manifest?.initial || {};
+    if (initial.animation && !animationsCheck.ids.has(initial.animation)) {
+        issues.push(issue('error', 'unresolved-id', `manifest.initial.animation ${JSON.stringify(initial.animation)} is not a listed animation.`, { where: 'manifest.json' }));
+    }
+    if (initial.stateMachine && !machinesCheck.ids.has(initial.stateMachine)) {
+        issues.push(issue('error', 'unresolved-id', `manifest.initial.stateMachine ${JSON.stringify(initial.stateMachine)} is not a listed state machine.`, { where: 'manifest.json' }));
+    }
+    if (manifest?.activeAnimationId && !animationsCheck.ids.has(manifest.activeAnimationId)) {
+        issues.push(issue('error', 'unresolved-id', `manifest.activeAnimationId ${JSON.stringify(manifest.activeAnimationId)} is not a listed animation.`, { where: 'manifest.json' }));
+    }
+
+    // Files the manifest doesn't mention are never loaded.
+    const listed = {
+        animation: animationsCheck.ids,
+        stateMachine: machinesCheck.ids,
+        theme: themesCheck.ids,
+    };
+    for (const name of archive.files.keys()) {
+        const match = /^(a|animations|s|states|state-machines|t|themes)\/(.+)\.json$/.exec(name);
+        if (!match || !manifest) continue;
+        const kind = { a: 'animation', animations: 'animation', t: 'theme', themes: 'theme' }[match[1]] || 'stateMachine';
+        if (!listed[kind].has(match[2])) {
+            issues.push(issue('warning', 'unlisted-file', `${name} is not listed in the manifest, so it is never used.`, { where: name }));
+        }
+    }
+
+    // Parse animations once; state machines check their segments against these markers.
+    const animations = new Map();
+    for (const id of animationsCheck.ids) {
+        const path = typeof id === 'string' && archive.pathOf('animation', id);
+        if (!path) continue;
+        try {
+            animations.set(id, archive.readJson(path));
+        } catch (error) {
+            issues.push(issue('error', 'invalid-json', `${path} is not valid JSON: ${error.message}`, { where: path }));
+        }
+    }
+    const defaultAnimationId = initial.animation || manifest?.activeAnimationId || manifest?.animations?.[0]?.id;
+    const markersOf = (animationId) => {
+        const animation = animations.get(animationId || defaultAnimationId);
+        return animation ? readMarkers(animation).map((m) => m.name) : null;
+    };
+
+    const usedMarkers = new Map(); // animation id → Set of segment names
+    for (const id of machinesCheck.ids) {
+        const path = typeof id === 'string' && archive.pathOf('stateMachine', id);
+        if (!path) continue;
+        let def;
+        try {
+            def = archive.readJson(path);
+        } catch (error) {
+            issues.push(issue('error', 'invalid-json', `${path} is not valid JSON: ${error.message}`, { where: path }));
+            continue;
+        }
+        issues.push(...validateStateMachine(def, { id, markersOf }));
+        for (const state of Array.isArray(def?.states) ? def.states : []) {
+            if (typeof state?.segment !== 'string') continue;
+            const animationId = state.animation || defaultAnimationId;
+            if (!usedMarkers.has(animationId)) usedMarkers.set(animationId, new Set());
+            usedMarkers.get(animationId).add(state.segment);
+        }
+    }
+
+    for (const [id, animation] of animations) {
+        issues.push(...validateAnimation(animation, { id, usedMarkers: usedMarkers.get(id) }));
+    }
+    return issues;
+}
+
+function buildReport(file, issues) {
+    const order = { error: 0, warning: 1 };
+    const sorted = [...issues].sort((a, b) => order[a.severity] - order[b.severity]);
+    const errors = sorted.filter((i) => i.severity === 'error').length;
+    return { file, ok: errors === 0, errors, warnings: sorted.length - errors, issues: sorted };
+}
+
+// Validate a file's bytes: a zipped .lottie, or plain Lottie JSON (markers only).
+export async function validateLottieBytes(buffer, { fileName = null } = {}) {
+    if (looksLikeZipDotLottie(buffer)) {
+        let archive;
+        try {
+            archive = await readDotLottie(buffer);
+        } catch (error) {
+            return buildReport(fileName, [issue('error', 'invalid-archive', `Could not read the archive: ${error.message}`, { where: fileName || '' })]);
+        }
+        return buildReport(fileName, validateArchive(archive));
+    }
+
+    let animation;
+    try {
+        animation = JSON.parse(new TextDecoder().decode(buffer));
+    } catch (error) {
+        return buildReport(fileName, [issue('error', 'invalid-json', `Not a .lottie archive and not valid JSON: ${error.message}`, { where: fileName || '' })]);
+    }
+    return buildReport(fileName, validateAnimation(animation, { id: fileName || 'animation' }));
+}
+
+export function formatReport(report) {
+    const counts = `${report.errors} error${report.errors === 1 ? '' : 's'}, ${report.warnings} warning${report.warnings === 1 ? '' : 's'}`;
+    const lines = [`${report.file || 'File'}: ${counts}`];
+    for (const { severity, code, message } of report.issues) {
+        lines.push(`  ${severity.padEnd(7)} ${code.padEnd(21)} ${message}`);
+    }
+    return lines.join('\n');
+}
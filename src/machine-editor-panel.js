@@ -0,0 +1,293 @@
+// Panel for the state machine editor (src/machine-editor.js): a form over the definition's
+// states, transitions, guards and entry/exit actions, a JSON view of all of it, the check's
+// issues and the undo/redo, apply and download buttons. The page keeps the definition and its
+// history; edits come back through callbacks as whole new definitions.
+
+import {
+    ACTION_LISTS,
+    ACTION_TYPES,
+    CONDITION_TYPES,
+    STATE_TYPES,
+    TRANSITION_TYPES,
+    actionUsesInput,
+    actionValueType,
+    addAction,
+    addGuard,
+    addState,
+    addTransition,
+    coerceValue,
+    removeAt,
+    removeState,
+    renameState,
+    setActionType,
+    setAt,
+    setGuardInput,
+} from './machine-editor.js';
+
+const ACTION_LIST_LABELS = { entryActions: 'Entry actions', exitActions: 'Exit actions' };
+
+export function createMachineEditorPanel(root, { onEdit, onJson, onUndo, onRedo, onApply, onLive, onRevert, onDownload }) {
+    const form = root.querySelector('[data-role="form"]');
+    const json = root.querySelector('[data-role="json"]');
+    const issueList = root.querySelector('[data-role="issues"]');
+    const status = root.querySelector('[data-role="status"]');
+    const liveInput = root.querySelector('[data-role="live"]');
+    const viewButtons = [...root.querySelectorAll('[data-view]')];
+    const buttons = {
+        undo: root.querySelector('[data-action="undo"]'),
+        redo: root.querySelector('[data-action="redo"]'),
+        apply: root.querySelector('[data-action="apply"]'),
+        revert: root.querySelector('[data-action="revert"]'),
+        download: root.querySelector('[data-action="download"]'),
+    };
+
+    let def = null;
+    let view = 'form';
+    const openStates = new Set(); // indices of the states shown expanded
+
+    buttons.undo?.addEventListener('click', () => onUndo());
+    buttons.redo?.addEventListener('click', () => onRedo());
+    buttons.apply?.addEventListener('click', () => onApply());
+    buttons.revert?.addEventListener('click', () => onRevert());
+    buttons.download?.addEventListener('click', () => onDownload());
+    liveInput?.addEventListener('change', () => onLive(liveInput.checked));
+    for (const button of viewButtons) button.addEventListener('click', () => setView(button.dataset.view));
+    json?.addEventListener('change', () => onJson(json.value));
+
+    // Form edits: each control carries the JSON path it edits and how to read its value.
+    form?.addEventListener('change', (e) => {
+        const control = e.target;
+        if (!def || !control?.dataset?.path) return;
+        const path = JSON.parse(control.dataset.path);
+        try {
+            onEdit(editFor(control, path));
+        } catch (error) {
+            setStatus(error?.message || String(error));
+            render();
+        }
+    });
+    form?.addEventListener('click', (e) => {
+        const button = e.target.closest?.('button[data-op]');
+        if (!def || !button) return;
+        const path = JSON.parse(button.dataset.path || '[]');
+        const op = button.dataset.op;
+        if (op === 'add-state') {
+            openStates.add(def.states.length);
+            onEdit(addState(def));
+        } else if (op === 'remove-state') {
+            openStates.clear();
+            onEdit(removeState(def, path[1]));
+        } else if (op === 'add-transition') {
+            onEdit(addTransition(def, path[1]));
+        } else if (op === 'add-guard') {
+            onEdit(addGuard(def, path));
+        } else if (op === 'add-action') {
+            onEdit(addAction(def, path));
+        } else if (op === 'remove') {
+            onEdit(removeAt(def, path));
+        }
+    });
+    form?.addEventListener('toggle', (e) => {
+        const index = Number(e.target?.dataset?.state);
+        if (!Number.isInteger(index)) return;
+        if (e.target.open) openStates.add(index);
+        else openStates.delete(index);
+    }, true);
+
+    function inputNamed(name) {
+        return (def.inputs || []).find((input) => input?.name === name);
+    }
+
+    // The definition after the change on `control`.
+    function editFor(control, path) {
+        const read = control.dataset.read;
+        if (read === 'rename') return renameState(def, path[1], control.value);
+        if (read === 'bool') return setAt(def, path, control.checked);
+        if (read === 'guard-input') return setGuardInput(def, path, inputNamed(control.value) ?? { name: control.value });
+        if (read === 'action-type') return setActionType(def, path, control.value);
+        if (read?.startsWith('value:')) {
+            const type = read.slice('value:'.length);
+            return setAt(def, path, coerceValue(type, control.value));
+        }
+        return setAt(def, path, control.value);
+    }
+
+    function node(tag, props = {}, children = []) {
+        const el = document.createElement(tag);
+        for (const [key, value] of Object.entries(props)) {
+            if (key === 'dataset') Object.assign(el.dataset, value);
+            else if (key === 'ariaLabel') { if (value) el.setAttribute('aria-label', value); }
+            else if (value !== undefined) el[key] = value;
+        }
+        el.append(...children);
+        return el;
+    }
+
+    const pathData = (path, read) => ({ path: JSON.stringify(path), ...(read ? { read } : {}) });
+
+    function select(path, options, value, { read, label } = {}) {
+        const el = node('select', { className: 'tool-field', dataset: pathData(path, read), ariaLabel: label });
+        el.append(...options.map((option) => new Option(option, option)));
+        // A value the lists don't know (a typo in the file) stays visible.
+        if (!options.includes(value)) el.append(new Option(String(value ?? ''), String(value ?? '')));
+        el.value = String(value ?? '');
+        return el;
+    }
+
+    function text(path, value, { read, label } = {}) {
+        return node('input', { className: 'tool-field', type: 'text', value: value ?? '', spellcheck: false, ariaLabel: label, dataset: pathData(path, read) });
+    }
+
+    function checkbox(path, checked, label) {
+        return node('label', { className: 'tool-label' }, [
+            node('input', { type: 'checkbox', checked: Boolean(checked), dataset: pathData(path, 'bool') }),
+            label,
+        ]);
+    }
+
+    function valueField(path, type, value, label) {
+        if (type === 'Boolean') return select(path, ['true', 'false'], String(value), { read: 'value:Boolean', label });
+        return text(path, value === undefined ? '' : String(value), { read: `value:${type}`, label });
+    }
+
+    function button(op, path, label, { remove = false } = {}) {
+        return node('button', {
+            className: remove ? 'tool-button editor-remove' : 'tool-button',
+            type: 'button',
+            textContent: remove ? '×' : label,
+            ariaLabel: remove ? label : undefined,
+            title: remove ? label : undefined,
+            dataset: { op, path: JSON.stringify(path) },
+        });
+    }
+
+    function guardRow(path, guard, inputNames) {
+        const row = node('li', { className: 'editor-row' }, [
+            select([...path], inputNames, guard.inputName, { read: 'guard-input', label: 'Guard input' }),
+        ]);
+        if (guard.type !== 'Event') {
+            row.append(
+                select([...path, 'conditionType'], CONDITION_TYPES, guard.conditionType, { label: 'Condition' }),
+                valueField([...path, 'compareTo'], guard.type, guard.compareTo, 'Compare to'),
+            );
+        }
+        row.append(button('remove', path, 'Remove guard', { remove: true }));
+        return row;
+    }
+
+    function actionRow(path, action, inputNames) {
+        const row = node('li', { className: 'editor-row' }, [
+            select([...path], ACTION_TYPES, action.type, { read: 'action-type', label: 'Action' }),
+        ]);
+        if ('inputName' in action || actionUsesInput(action.type)) {
+            row.append(select([...path, 'inputName'], inputNames, action.inputName, { label: 'Input' }));
+        }
+        const valueType = actionValueType(action.type);
+        if (valueType) row.append(valueField([...path, 'value'], valueType, action.value, 'Value'));
+        row.append(button('remove', path, 'Remove action', { remove: true }));
+        return row;
+    }
+
+    function stateSection(state, index, stateNames, inputNames) {
+        const at = ['states', index];
+        const summary = node('summary', { textContent: `${state?.name ?? '(unnamed)'}${state?.type === 'GlobalState' ? ' (global)' : ''}` });
+        const fields = node('div', { className: 'tool-row' }, [
+            node('label', { className: 'tool-label' }, ['Name', text(at, state?.name, { read: 'rename' })]),
+            node('label', { className: 'tool-label' }, ['Type', select([...at, 'type'], STATE_TYPES, state?.type)]),
+        ]);
+        if (state?.type !== 'GlobalState') {
+            fields.append(
+                node('label', { className: 'tool-label' }, ['Segment', text([...at, 'segment'], state?.segment)]),
+                checkbox([...at, 'loop'], state?.loop, 'Loop'),
+                checkbox([...at, 'autoplay'], state?.autoplay, 'Autoplay'),
+            );
+        }
+        fields.append(button('remove-state', at, 'Remove state'));
+
+        const transitions = node('ol', { className: 'editor-list' });
+        for (const [t, transition] of (state?.transitions || []).entries()) {
+            const tAt = [...at, 'transitions', t];
+            const guards = node('ul', { className: 'editor-list' });
+            for (const [g, guard] of (transition?.guards || []).entries()) guards.append(guardRow([...tAt, 'guards', g], guard, inputNames));
+            transitions.append(node('li', { className: 'editor-transition' }, [
+                node('div', { className: 'editor-row' }, [
+                    '→',
+                    select([...tAt, 'toState'], stateNames, transition?.toState, { label: 'Target state' }),
+                    select([...tAt, 'type'], TRANSITION_TYPES, transition?.type, { label: 'Transition type' }),
+                    button('add-guard', tAt, 'Add guard'),
+                    button('remove', tAt, 'Remove transition', { remove: true }),
+                ]),
+                guards,
+            ]));
+        }
+
+        const section = node('details', { className: 'editor-state', open: openStates.has(index), dataset: { state: String(index) } }, [
+            summary,
+            fields,
+            node('h4', { textContent: 'Transitions' }),
+            transitions,
+            button('add-transition', at, 'Add transition'),
+        ]);
+        for (const key of ACTION_LISTS) {
+            const actions = node('ul', { className: 'editor-list' });
+            for (const [a, action] of (state?.[key] || []).entries()) actions.append(actionRow([...at, key, a], action, inputNames));
+            section.append(node('h4', { textContent: ACTION_LIST_LABELS[key] }), actions, button('add-action', [...at, key], 'Add action'));
+        }
+        return section;
+    }
+
+    function render() {
+        if (json && document.activeElement !== json) json.value = def ? JSON.stringify(def, null, 2) : '';
+        if (!form) return;
+        form.replaceChildren();
+        if (!def || !Array.isArray(def.states)) return;
+        const stateNames = def.states.map((state) => state?.name).filter((name) => typeof name === 'string');
+        const inputNames = (def.inputs || []).map((input) => input?.name).filter((name) => typeof name === 'string');
+        form.append(
+            node('div', { className: 'tool-row' }, [
+                node('label', { className: 'tool-label' }, ['Initial state', select(['initial'], stateNames, def.initial)]),
+                button('add-state', ['states'], 'Add state'),
+            ]),
+            ...def.states.map((state, index) => stateSection(state, index, stateNames, inputNames)),
+        );
+    }
+
+    function setView(next) {
+        view = next === 'json' ? 'json' : 'form';
+        if (form) form.hidden = view !== 'form';
+        if (json) json.hidden = view !== 'json';
+        for (const b of viewButtons) b.setAttribute('aria-pressed', String(b.dataset.view === view));
+    }
+
+    // The definition to show (null when nothing is open); `reset` forgets which states were open.
+    function setDefinition(next, { reset = false } = {}) {
+        def = next;
+        if (reset) openStates.clear();
+        render();
+    }
+
+    // Issues as from checkSchema / validateStateMachine.
+    function setIssues(issues) {
+        issueList?.replaceChildren(...issues.map((issue) => node('li', {
+            className: `editor-issue is-${issue.severity}`,
+            textContent: `${issue.severity === 'error' ? 'Error' : 'Warning'}: ${issue.message}`,
+        })));
+    }
+
+    // { canUndo, canRedo, canApply, canRevert, canDownload, live }
+    function setControls({ canUndo, canRedo, canApply, canRevert, canDownload, live }) {
+        if (buttons.undo) buttons.undo.disabled = !canUndo;
+        if (buttons.redo) buttons.redo.disabled = !canRedo;
+        if (buttons.apply) buttons.apply.disabled = !canApply;
+        if (buttons.revert) buttons.revert.disabled = !canRevert;
+        if (buttons.download) buttons.download.disabled = !canDownload;
+        if (liveInput) liveInput.checked = live;
+    }
+
+    function setStatus(message) {
+        if (status) status.textContent = message;
+    }
+
+    setView('form');
+    return { setDefinition, setIssues, setControls, setStatus };
+}
@@ -0,0 +1,392 @@
+// State machine editing for the editor panel: a structural check of a definition against the
+// dotLottie state machine format, edits that return a new definition, an undo/redo history and
+// re-packing the edited machine into its .lottie. Nothing in here touches the DOM.
+//
+// Edits address parts of the definition by path, e.g. ['states', 0, 'transitions', 2, 'guards',
+// 0, 'compareTo'], and never change the definition they are given.
+
+import { readDotLottie, repackDotLottie } from './dotlottie-archive.js';
+import { readMarkers, validateStateMachine } from './lottie-validator.js';
+
+export const STATE_TYPES = ['PlaybackState', 'GlobalState'];
+export const TRANSITION_TYPES = ['Transition', 'Tweened'];
+export const INPUT_TYPES = ['Numeric', 'String', 'Boolean', 'Event'];
+export const CONDITION_TYPES = ['Equal', 'NotEqual', 'GreaterThan', 'GreaterThanOrEqual', 'LessThan', 'LessThanOrEqual'];
+export const ACTION_TYPES = [
+    'SetNumeric', 'SetString', 'SetBoolean', 'Increment', 'Decrement', 'Toggle', 'Reset', 'Fire',
+    'SetFrame', 'SetProgress', 'SetTheme', 'OpenUrl', 'FireCustomEvent',
+];
+export const INTERACTION_TYPES = ['PointerDown', 'PointerUp', 'PointerEnter', 'PointerExit', 'PointerMove', 'Click', 'OnComplete', 'OnLoopComplete'];
+// Keys of a state that hold action lists.
+export const ACTION_LISTS = ['entryActions', 'exitActions'];
+
+// Undo steps kept by createEditHistory.
+export const HISTORY_LIMIT = 100;
+
+// The value type each action's `value` has (the rest take none, or a free-form one).
+const ACTION_VALUE_TYPES = { SetNumeric: 'Numeric', SetString: 'String', SetBoolean: 'Boolean', Increment: 'Numeric', Decrement: 'Numeric', SetFrame: 'Numeric', SetProgress: 'Numeric' };
+// Actions that work on an input.
+const INPUT_ACTIONS = new Set(['SetNumeric', 'SetString', 'SetBoolean', 'Increment', 'Decrement', 'Toggle', 'Reset', 'Fire']);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function matchesType(type, value) {
+    if (type === 'Numeric') return typeof value === 'number' && Number.isFinite(value);
+    if (type === 'String') return typeof value === 'string';
+    if (type === 'Boolean') return typeof value === 'boolean';
+    return true;
+}
+
+export function formatPath(path) {
+    return path.reduce((out, key) => (typeof key === 'number' ? `${out}[${key}]` : out ? `${out}.${key}` : key), '');
+}
+
+// Structural problems, in the validator's issue shape ({ severity: 'error', code: 'schema',
+// message, where }). The runtime refuses definitions like these, or silently ignores the part.
+// What the parts mean together (targets, reachability, inputs) is lottie-validator's job.
+export function checkSchema(def) {
+    const issues = [];
+    const fail = (path, message) => issues.push({ severity: 'error', code: 'schema', message: `${formatPath(path) || 'The definition'} ${message}`, where: formatPath(path) });
+    const oneOf = (value, allowed, path) => {
+        if (!allowed.includes(value)) fail(path, `must be one of ${allowed.join(', ')} (got ${JSON.stringify(value)}).`);
+    };
+    const string = (value, path) => {
+        if (typeof value !== 'string') fail(path, `must be a string (got ${JSON.stringify(value)}).`);
+    };
+    const list = (value, path, required = false) => {
+        if (value === undefined && !required) return [];
+        if (!Array.isArray(value)) {
+            fail(path, 'must be an array.');
+            return [];
+        }
+        return value;
+    };
+    const checkActions = (actions, path) => {
+        for (const [i, action] of list(actions, path).entries()) {
+            const at = [...path, i];
+            if (!isObject(action)) {
+                fail(at, 'must be an object.');
+                continue;
+            }
+            oneOf(action.type, ACTION_TYPES, [...at, 'type']);
+            if (INPUT_ACTIONS.has(action.type)) string(action.inputName, [...at, 'inputName']);
+            const valueType = ACTION_VALUE_TYPES[action.type];
+            if (valueType && action.value !== undefined && !matchesType(valueType, action.value)) {
+                fail([...at, 'value'], `must be ${valueType} for ${action.type} (got ${JSON.stringify(action.value)}).`);
+            }
+        }
+    };
+
+    if (!isObject(def)) {
+        fail([], 'must be a JSON object.');
+        return issues;
+    }
+    string(def.initial, ['initial']);
+
+    for (const [i, input] of list(def.inputs, ['inputs']).entries()) {
+        const at = ['inputs', i];
+        if (!isObject(input)) {
+            fail(at, 'must be an object.');
+            continue;
+        }
+        string(input.name, [...at, 'name']);
+        oneOf(input.type, INPUT_TYPES, [...at, 'type']);
+        if (input.type !== 'Event' && input.value !== undefined && !matchesType(input.type, input.value)) {
+            fail([...at, 'value'], `must be ${input.type} (got ${JSON.stringify(input.value)}).`);
+        }
+    }
+
+    for (const [i, state] of list(def.states, ['states'], true).entries()) {
+        const at = ['states', i];
+        if (!isObject(state)) {
+            fail(at, 'must be an object.');
+            continue;
+        }
+        string(state.name, [...at, 'name']);
+        oneOf(state.type, STATE_TYPES, [...at, 'type']);
+        if (state.segment !== undefined) string(state.segment, [...at, 'segment']);
+        for (const key of ['loop', 'autoplay']) {
+            if (state[key] !== undefined && typeof state[key] !== 'boolean') fail([...at, key], 'must be true or false.');
+        }
+        for (const [t, transition] of list(state.transitions, [...at, 'transitions']).entries()) {
+            const tAt = [...at, 'transitions', t];
+            if (!isObject(transition)) {
+                fail(tAt, 'must be an object.');
+                continue;
+            }
+            oneOf(transition.type, TRANSITION_TYPES, [...tAt, 'type']);
+            string(transition.toState, [...tAt, 'toState']);
+            for (const [g, guard] of list(transition.guards, [...tAt, 'guards']).entries()) {
+                const gAt = [...tAt, 'guards', g];
+                if (!isObject(guard)) {
+                    fail(gAt, 'must be an object.');
+                    continue;
+                }
+                oneOf(guard.type, INPUT_TYPES, [...gAt, 'type']);
+                string(guard.inputName, [...gAt, 'inputName']);
+                if (guard.type === 'Event') continue;
+                oneOf(guard.conditionType, CONDITION_TYPES, [...gAt, 'conditionType']);
+                if (!matchesType(guard.type, guard.compareTo)) {
+                    fail([...gAt, 'compareTo'], `must be ${guard.type} (got ${JSON.stringify(guard.compareTo)}).`);
+                }
+            }
+        }
+        for (const key of ACTION_LISTS) checkActions(state[key], [...at, key]);
+    }
+
+    for (const [i, interaction] of list(def.interactions, ['interactions']).entries()) {
+        const at = ['interactions', i];
+        if (!isObject(interaction)) {
+            fail(at, 'must be an object.');
+            continue;
+        }
+        oneOf(interaction.type, INTERACTION_TYPES, [...at, 'type']);
+        checkActions(interaction.actions, [...at, 'actions']);
+    }
+    return issues;
+}
+
+// A form field's text as the value `type` (an input type) takes: a number, true/false or the
+// text itself. Throws for text that isn't one.
+export function coerceValue(type, text) {
+    if (type === 'Numeric') {
+        const value = Number(text);
+        if (String(text).trim() === '' || !Number.isFinite(value)) throw new Error(`"${text}" is not a number.`);
+        return value;
+    }
+    if (type === 'Boolean') {
+        if (text === true || text === 'true') return true;
+        if (text === false || text === 'false') return false;
+        throw new Error(`"${text}" is not true or false.`);
+    }
+    return String(text);
+}
+
+// The value type of an action's `value` (null when it takes none).
+export function actionValueType(actionType) {
+    return ACTION_VALUE_TYPES[actionType] ?? null;
+}
+
+export function actionUsesInput(actionType) {
+    return INPUT_ACTIONS.has(actionType);
+}
+
+function defaultValue(type) {
+    if (type === 'Numeric') return 0;
+    if (type === 'Boolean') return false;
+    return '';
+}
+
+function parentOf(def, path) {
+    let node = def;
+    for (const key of path.slice(0, -1)) {
+        if (node?.[key] === undefined) throw new Error(`${formatPath(path)} does not exist.`);
+        node = node[key];
+    }
+    return node;
+}
+
+export function getAt(def, path) {
+    return path.reduce((node, key) => node?.[key], def);
+}
+
+// `value` undefined removes the key.
+export function setAt(def, path, value) {
+    const next = structuredClone(def);
+    const parent = parentOf(next, path);
+    const key = path.at(-1);
+    if (value === undefined) delete parent[key];
+    else parent[key] = value;
+    return next;
+}
+
+// Append `item` to the array at `path` (created if it's missing).
+export function insertAt(def, path, item) {
+    const next = structuredClone(def);
+    const parent = parentOf(next, path);
+    const key = path.at(-1);
+    if (parent[key] === undefined) parent[key] = [];
+    if (!Array.isArray(parent[key])) throw new Error(`${formatPath(path)} is not a list.`);
+    parent[key].push(item);
+    return next;
+}
+
+// Remove the array element at `path`.
+export function removeAt(def, path) {
+    const next = structuredClone(def);
+    const list = parentOf(next, path);
+    if (!Array.isArray(list)) throw new Error(`${formatPath(path)} is not in a list.`);
+    list.splice(path.at(-1), 1);
+    return next;
+}
+
+// A new, unused state name like "State_2".
+function freshStateName(def) {
+    const names = new Set((def.states || []).map((state) => state?.name));
+    let n = (def.states || []).length + 1;
+    while (names.has(`State_${n}`)) n += 1;
+    return `State_${n}`;
+}
+
+export function addState(def, { name = freshStateName(def), type = 'PlaybackState', segment = '' } = {}) {
+    const state = type === 'GlobalState'
+        ? { name, type, transitions: [] }
+        : { name, type, animation: '', segment, autoplay: true, loop: false, transitions: [] };
+    return insertAt(def, ['states'], state);
+}
+
+// Also drops the transitions into the state and the interactions that listen to it, which would
+// only point at nothing. The initial state is left alone: the check reports it.
+export function removeState(def, index) {
+    const name = def.states?.[index]?.name;
+    const next = removeAt(def, ['states', index]);
+    for (const state of next.states) {
+        if (Array.isArray(state?.transitions)) state.transitions = state.transitions.filter((t) => t?.toState !== name);
+    }
+    if (Array.isArray(next.interactions)) next.interactions = next.interactions.filter((i) => i?.stateName !== name);
+    return next;
+}
+
+// Renames the state and everything that refers to it: the initial state, transitions and
+// interactions.
+export function renameState(def, index, name) {
+    const from = def.states?.[index]?.name;
+    const next = setAt(def, ['states', index, 'name'], name);
+    if (next.initial === from) next.initial = name;
+    for (const state of next.states) {
+        for (const transition of Array.isArray(state?.transitions) ? state.transitions : []) {
+            if (transition?.toState === from) transition.toState = name;
+        }
+    }
+    for (const interaction of Array.isArray(next.interactions) ? next.interactions : []) {
+        if (interaction?.stateName === from) interaction.stateName = name;
+    }
+    return next;
+}
+
+// A transition from state `index` back to itself, without guards, to be pointed elsewhere.
+export function addTransition(def, index, toState = def.states?.[index]?.name) {
+    return insertAt(def, ['states', index, 'transitions'], { type: 'Transition', toState, guards: [] });
+}
+
+// A guard on the first declared input (`input` to pick another), comparing to its type's default.
+export function addGuard(def, transitionPath, input = def.inputs?.[0]) {
+    const type = input?.type ?? 'String';
+    const guard = type === 'Event'
+        ? { type, inputName: input.name }
+        : { type, inputName: input?.name ?? '', conditionType: 'Equal', compareTo: defaultValue(type) };
+    return insertAt(def, [...transitionPath, 'guards'], guard);
+}
+
+// An action on the first declared input that sets it to its type's default. `listPath` is the
+// path of the list: a state's entryActions/exitActions or an interaction's actions.
+export function addAction(def, listPath, input = def.inputs?.[0]) {
+    const type = input?.type === 'Event' ? 'Fire' : `Set${input?.type ?? 'Numeric'}`;
+    const action = type === 'Fire'
+        ? { type, inputName: input.name }
+        : { type, inputName: input?.name ?? '', value: defaultValue(input?.type ?? 'Numeric') };
+    return insertAt(def, listPath, action);
+}
+
+// Points the guard at `path` to another input. A guard compares as its input's type, so the
+// condition and value are reset to fit it.
+export function setGuardInput(def, path, input) {
+    const type = input?.type ?? 'String';
+    const guard = type === 'Event'
+        ? { type, inputName: input?.name ?? '' }
+        : { type, inputName: input?.name ?? '', conditionType: getAt(def, path)?.conditionType ?? 'Equal', compareTo: defaultValue(type) };
+    return setAt(def, path, guard);
+}
+
+// Changes the type of the action at `path`, keeping its input and resetting its value to the
+// new type's default.
+export function setActionType(def, path, type) {
+    const { inputName } = getAt(def, path) ?? {};
+    const action = { type };
+    if (INPUT_ACTIONS.has(type)) action.inputName = inputName ?? def.inputs?.[0]?.name ?? '';
+    const valueType = actionValueType(type);
+    if (valueType) action.value = defaultValue(valueType);
+    return setAt(def, path, action);
+}
+
+// The check the editor shows: the structure first, then (once that holds) the validator's lint
+// of states, transitions and inputs. `markersOf` as for validateStateMachine.
+export function checkMachine(def, { id, markersOf } = {}) {
+    const issues = checkSchema(def);
+    if (issues.some((issue) => issue.severity === 'error')) return issues;
+    return [...issues, ...validateStateMachine(def, { id, markersOf })];
+}
+
+// markersOf for checkMachine from the .lottie `data`: marker names per animation id, '' being
+// `defaultAnimationId` (the animation playing).
+export async function readMarkerNames(data, defaultAnimationId) {
+    const archive = await readDotLottie(data);
+    const names = new Map();
+    for (const { id } of archive.manifest?.animations || []) {
+        const path = typeof id === 'string' && archive.pathOf('animation', id);
+        if (!path) continue;
+        try {
+            names.set(id, readMarkers(archive.readJson(path)).map((m) => m.name));
+        } catch {
+            // the validator reports it
+        }
+    }
+    const fallback = defaultAnimationId || archive.manifest?.activeAnimationId || archive.manifest?.animations?.[0]?.id;
+    return (animationId) => names.get(animationId || fallback) ?? null;
+}
+
+// Undo/redo over whole definitions. `push(def)` records an edit (dropping what could be redone);
+// undo() and redo() return the definition to show, or null at either end.
+export function createEditHistory(initial, { limit = HISTORY_LIMIT } = {}) {
+    let past = [];
+    let present = initial;
+    let future = [];
+
+    function push(def) {
+        past.push(present);
+        if (past.length > limit) past.shift();
+        present = def;
+        future = [];
+        return present;
+    }
+
+    function undo() {
+        if (!past.length) return null;
+        future.push(present);
+        present = past.pop();
+        return present;
+    }
+
+    function redo() {
+        if (!future.length) return null;
+        past.push(present);
+        present = future.pop();
+        return present;
+    }
+
+    function reset(def) {
+        past = [];
+        present = def;
+        future = [];
+    }
+
+    return {
+        push,
+        undo,
+        redo,
+        reset,
+        current: () => present,
+        canUndo: () => past.length > 0,
+        canRedo: () => future.length > 0,
+    };
+}
+
+// The .lottie `data` with machine `id` replaced by `def`. Every other entry (animations,
+// images, themes, the manifest) is kept byte for byte.
+export async function repackMachine(data, id, def) {
+    const archive = await readDotLottie(data);
+    if (archive.manifestError) throw new Error(archive.manifestError);
+    const path = archive.pathOf('stateMachine', id);
+    if (!path) throw new Error(`The file has no state machine ${JSON.stringify(id)}.`);
+    return repackDotLottie(data, { changes: { [path]: def } });
+}
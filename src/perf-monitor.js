@@ -0,0 +1,209 @@
+// Render performance for the HUD and the state benchmark: frame statistics, the benchmark run
+// and its summary, and whether an element can be seen (for freezing it when it can't).
+// watchVisibility is the only part that touches the DOM.
+
+import { SYSTEM_CLOCK } from './clock.js';
+
+// The HUD's fps and frame time cover this much of the recent past.
+export const STATS_WINDOW_MS = 1000;
+// How long the benchmark measures each state once its request has settled.
+export const BENCHMARK_DWELL_MS = 3000;
+
+// A display frame that took this many times the usual interval skipped the frames in between.
+const DROP_FACTOR = 1.5;
+// The usual display interval is the shortest of this many recent ones.
+const INTERVAL_SAMPLES = 30;
+
+// Frame statistics fed from a requestAnimationFrame loop: `tick(t)` for every display frame,
+// `render(t)` when the player drew a new frame, and `gap()` when measuring stops for a while
+// (paused, frozen, hidden) so the pause isn't counted as dropped frames. `stats(t)` →
+//   { fps, frameTime, worstFrameTime, dropped, renders, elapsed }
+// fps and frameTime (mean ms between rendered frames) cover the last `window` ms; the rest
+// count from the last reset(t). Times are in ms, frameTime and worstFrameTime null until known.
+export function createFrameStats({ window = STATS_WINDOW_MS } = {}) {
+    let startedAt = null;
+    let recent = []; // render times within the window
+    let renders = 0;
+    let lastRender = null;
+    let worstFrameTime = 0;
+    let lastTick = null;
+    let intervals = [];
+    let dropped = 0;
+
+    function reset(now = null) {
+        startedAt = now;
+        recent = [];
+        renders = 0;
+        lastRender = null;
+        worstFrameTime = 0;
+        lastTick = null;
+        intervals = [];
+        dropped = 0;
+    }
+
+    function tick(now) {
+        startedAt ??= now;
+        if (lastTick != null) {
+            const interval = now - lastTick;
+            intervals.push(interval);
+            if (intervals.length > INTERVAL_SAMPLES) intervals.shift();
+            const usual = Math.min(...intervals);
+            if (usual > 0 && interval > usual * DROP_FACTOR) dropped += Math.round(interval / usual) - 1;
+        }
+        lastTick = now;
+    }
+
+    function render(now) {
+        startedAt ??= now;
+        if (lastRender != null) worstFrameTime = Math.max(worstFrameTime, now - lastRender);
+        lastRender = now;
+        renders += 1;
+        recent.push(now);
+    }
+
+    function gap() {
+        lastTick = null;
+        lastRender = null;
+    }
+
+    function stats(now) {
+        while (recent.length && recent[0] <= now - window) recent.shift();
+        const elapsed = startedAt == null ? 0 : now - startedAt;
+        const span = Math.min(window, elapsed);
+        return {
+            fps: span > 0 ? (recent.length * 1000) / span : 0,
+            frameTime: recent.length > 1 ? (recent.at(-1) - recent[0]) / (recent.length - 1) : null,
+            worstFrameTime: worstFrameTime || null,
+            dropped,
+            renders,
+            elapsed,
+        };
+    }
+
+    return { reset, tick, render, gap, stats };
+}
+
+function sleep(ms, clock, signal) {
+    return new Promise((resolve) => {
+        const done = () => {
+            clock.clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            resolve();
+        };
+        const timer = clock.setTimeout(done, ms);
+        signal?.addEventListener('abort', done, { once: true });
+    });
+}
+
+// Request every state in `states` in turn and measure each for `dwell` ms after it settles:
+//   request(state) → Promise     the page's request path; a rejection is noted and the run goes on
+//   reset()                      start measuring afresh
+//   read() → { ...stats, memory } createFrameStats().stats() plus WASM memory in bytes (or null)
+// `onProgress({ index, state })` fires as each state starts. Resolves with the summary
+// (summarizeBenchmark); aborting `signal` ends the run early with `aborted: true`.
+export async function runBenchmark({ states, request, reset, read, clock = SYSTEM_CLOCK, dwell = BENCHMARK_DWELL_MS, signal, onProgress = () => {} }) {
+    const rows = [];
+    const memoryAtStart = read().memory ?? null;
+    for (const [index, state] of states.entries()) {
+        if (signal?.aborted) break;
+        onProgress({ index, state });
+        let error = null;
+        let onAbort = null;
+        try {
+            await Promise.race([
+                request(state),
+                new Promise((resolve) => {
+                    onAbort = resolve;
+                    signal?.addEventListener('abort', resolve, { once: true });
+                }),
+            ]);
+        } catch (e) {
+            error = String(e?.message || e);
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+        }
+        if (signal?.aborted) break;
+        reset();
+        await sleep(dwell, clock, signal);
+        if (signal?.aborted) break;
+        const { renders, elapsed, worstFrameTime, dropped, memory } = read();
+        rows.push({
+            state,
+            fps: elapsed > 0 ? (renders * 1000) / elapsed : 0,
+            frameTime: renders > 0 ? elapsed / renders : null,
+            worstFrameTime,
+            dropped,
+            memory: memory ?? null,
+            error,
+        });
+    }
+    return summarizeBenchmark(rows, { memoryAtStart, aborted: Boolean(signal?.aborted) });
+}
+
+// Totals over the per-state rows: the mean fps, the slowest state, the worst frame time, all
+// dropped frames and how much the WASM memory grew during the run.
+export function summarizeBenchmark(rows, { memoryAtStart = null, aborted = false } = {}) {
+    const measured = rows.filter((row) => row.fps > 0);
+    const slowest = measured.reduce((a, b) => (b.fps < a.fps ? b : a), measured[0] ?? null);
+    const memoryAtEnd = rows.at(-1)?.memory ?? null;
+    return {
+        states: rows,
+        fps: measured.length ? measured.reduce((sum, row) => sum + row.fps, 0) / measured.length : 0,
+        slowest: slowest?.state ?? null,
+        worstFrameTime: rows.reduce((worst, row) => Math.max(worst, row.worstFrameTime ?? 0), 0) || null,
+        dropped: rows.reduce((sum, row) => sum + row.dropped, 0),
+        memoryGrowth: memoryAtStart != null && memoryAtEnd != null ? memoryAtEnd - memoryAtStart : null,
+        failed: rows.filter((row) => row.error).map((row) => row.state),
+        aborted,
+    };
+}
+
+export function formatBytes(bytes) {
+    if (bytes == null) return '—';
+    const sign = bytes < 0 ? '−' : '';
+    const size = Math.abs(bytes);
+    if (size < 1024) return `${sign}${size} B`;
+    if (size < 1024 * 1024) return `${sign}${(size / 1024).toFixed(1)} KB`;
+    return `${sign}${(size / 1024 / 1024).toFixed(1)} MB`;
+}
+
+const ms = (value) => (value == null ? '—' : `${value.toFixed(1)} ms`);
+
+// One readable line per state, then the totals.
+export function formatBenchmark(summary) {
+    const lines = summary.states.map((row) => {
+        const parts = [`${row.fps.toFixed(1)} fps`, `${ms(row.frameTime)} per frame`, `worst ${ms(row.worstFrameTime)}`, `${row.dropped} dropped`];
+        if (row.error) parts.push(`request failed: ${row.error}`);
+        return `${row.state}: ${parts.join(' · ')}`;
+    });
+    const growth = summary.memoryGrowth == null ? '—' : `${summary.memoryGrowth > 0 ? '+' : ''}${formatBytes(summary.memoryGrowth)}`;
+    lines.push(`All: ${summary.fps.toFixed(1)} fps on average · slowest ${summary.slowest ?? '—'} · worst ${ms(summary.worstFrameTime)} · ${summary.dropped} dropped · memory ${growth}`);
+    if (summary.aborted) lines.push('Stopped before every state was measured.');
+    return lines;
+}
+
+// Call `onChange(visible)` whenever `element` scrolls into or out of the viewport or the page is
+// hidden or shown (and once right away). Returns a function that stops watching.
+export function watchVisibility(element, onChange) {
+    let inView = true;
+    let last = null;
+    const update = () => {
+        const visible = inView && !document.hidden;
+        if (visible === last) return;
+        last = visible;
+        onChange(visible);
+    };
+    const observer = typeof IntersectionObserver === 'function'
+        ? new IntersectionObserver((entries) => {
+            inView = entries.at(-1).isIntersecting;
+            update();
+        }, { threshold: 0 })
+        : null;
+    observer?.observe(element);
+    document.addEventListener('visibilitychange', update);
+    update();
+    return () => {
+        observer?.disconnect();
+        document.removeEventListener('visibilitychange', update);
+    };
+}
@@ -0,0 +1,76 @@
+// Panel for render performance (src/perf-monitor.js): the HUD toggle, power-saving render
+// settings and the state benchmark, plus the HUD's readouts on the stage. The page does the
+// work through callbacks.
+
+import { formatBytes } from './perf-monitor.js';
+
+// Pixel ratio caps offered, as option value → cap ('' is the device's own ratio).
+const PIXEL_RATIO_CAPS = { '': null, 2: 2, 1.5: 1.5, 1: 1, 0.75: 0.75, 0.5: 0.5 };
+
+export function createPerfPanel(root, { onHud, onPixelRatioCap, onInterpolation, onFreeze, onRunBenchmark, onStopBenchmark, onExportBenchmark }) {
+    const hudInput = root.querySelector('[data-role="hud"]');
+    const capSelect = root.querySelector('[data-role="pixel-ratio"]');
+    const interpolationInput = root.querySelector('[data-role="interpolation"]');
+    const freezeInput = root.querySelector('[data-role="freeze"]');
+    const runButton = root.querySelector('[data-action="run"]');
+    const stopButton = root.querySelector('[data-action="stop"]');
+    const exportButton = root.querySelector('[data-action="export"]');
+    const status = root.querySelector('[data-role="status"]');
+    const results = root.querySelector('[data-role="results"]');
+
+    capSelect?.replaceChildren(...Object.keys(PIXEL_RATIO_CAPS).map((value) => new Option(value ? `${value}×` : 'Device', value)));
+
+    hudInput?.addEventListener('change', () => onHud(hudInput.checked));
+    capSelect?.addEventListener('change', () => onPixelRatioCap(PIXEL_RATIO_CAPS[capSelect.value] ?? null));
+    interpolationInput?.addEventListener('change', () => onInterpolation(interpolationInput.checked));
+    freezeInput?.addEventListener('change', () => onFreeze(freezeInput.checked));
+    runButton?.addEventListener('click', () => onRunBenchmark());
+    stopButton?.addEventListener('click', () => onStopBenchmark());
+    exportButton?.addEventListener('click', () => onExportBenchmark());
+
+    // { hud, pixelRatioCap, interpolation, freezeWhenHidden }
+    function setSettings({ hud, pixelRatioCap, interpolation, freezeWhenHidden }) {
+        if (hudInput) hudInput.checked = hud;
+        if (capSelect) capSelect.value = pixelRatioCap == null ? '' : String(pixelRatioCap);
+        if (interpolationInput) interpolationInput.checked = interpolation;
+        if (freezeInput) freezeInput.checked = freezeWhenHidden;
+    }
+
+    // `running`: a benchmark is in progress; `canExport`: there are results to save.
+    function setBenchmark({ running, canExport }) {
+        if (runButton) runButton.disabled = running;
+        if (stopButton) stopButton.disabled = !running;
+        if (exportButton) exportButton.disabled = running || !canExport;
+    }
+
+    function setStatus(message) {
+        if (status) status.textContent = message;
+    }
+
+    // `lines` from formatBenchmark, or null to clear them.
+    function setResults(lines) {
+        results?.replaceChildren(...(lines || []).map((line) => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            return item;
+        }));
+    }
+
+    setBenchmark({ running: false, canExport: false });
+    return { setSettings, setBenchmark, setStatus, setResults };
+}
+
+// Fill the HUD's readouts: { fps, frameTime, dropped, canvas: { width, height }, pixelRatio,
+// memory, memoryGrowth } (frame statistics as from createFrameStats, memory in bytes).
+export function renderHud(root, { fps, frameTime, dropped, canvas, pixelRatio, memory, memoryGrowth }) {
+    const set = (role, text) => {
+        const el = root.querySelector(`[data-role="${role}"]`);
+        if (el) el.textContent = text;
+    };
+    set('fps', fps.toFixed(0));
+    set('frame-time', frameTime == null ? '—' : `${frameTime.toFixed(1)} ms`);
+    set('dropped', String(dropped));
+    set('canvas', `${canvas.width}×${canvas.height} @${pixelRatio.toFixed(2)}`);
+    const growth = memoryGrowth ? ` (${memoryGrowth > 0 ? '+' : ''}${formatBytes(memoryGrowth)})` : '';
+    set('memory', `${formatBytes(memory)}${growth}`);
+}
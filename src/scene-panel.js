@@ -0,0 +1,48 @@
+// Panel for picking which of the manifest's animations and state machines to show, with "None"
+// for plain playback, and what the runtime reports about its machine. The page does the work
+// through callbacks.
+
+import { NO_STATE_MACHINE } from './eyes-controller.js';
+
+// Runtime machine statuses, as shown.
+const STATUS_LABELS = { Running: 'running', Stopped: 'loaded, not started', '': 'stopped' };
+
+export function createScenePanel(root, { onAnimation, onStateMachine }) {
+    const animationSelect = root.querySelector('[data-role="animation"]');
+    const machineSelect = root.querySelector('[data-role="state-machine"]');
+    const status = root.querySelector('[data-role="status"]');
+
+    animationSelect?.addEventListener('change', () => onAnimation(animationSelect.value));
+    machineSelect?.addEventListener('change', () => onStateMachine(machineSelect.value));
+
+    const label = ({ id, name }) => (name && name !== id ? `${name} (${id})` : id);
+
+    // `animations` and `stateMachines` as in the manifest ([{ id, name? }]); the ids in use are
+    // selected (stateMachineId NO_STATE_MACHINE for "None").
+    function setOptions({ animations = [], stateMachines = [], animationId = null, stateMachineId = null }) {
+        if (animationSelect) {
+            animationSelect.replaceChildren(...animations.map((animation) => new Option(label(animation), animation.id)));
+            animationSelect.value = animationId ?? animations[0]?.id ?? '';
+            animationSelect.disabled = animations.length < 2;
+        }
+        if (machineSelect) {
+            machineSelect.replaceChildren(
+                ...stateMachines.map((machine) => new Option(label(machine), machine.id)),
+                new Option('None (plain playback)', NO_STATE_MACHINE),
+            );
+            machineSelect.value = stateMachineId ?? stateMachines[0]?.id ?? NO_STATE_MACHINE;
+            machineSelect.disabled = stateMachines.length === 0;
+        }
+    }
+
+    // { id, status } from the runtime (stateMachineGetActiveId / stateMachineGetStatus). A machine
+    // loaded from data (the editor's) has no id.
+    function setStatus({ id, status: machineStatus }) {
+        if (!status) return;
+        status.textContent = id || machineStatus
+            ? `Runtime: ${id || 'edited machine'}, ${STATUS_LABELS[machineStatus] ?? machineStatus}.`
+            : 'Runtime: no state machine loaded.';
+    }
+
+    return { setOptions, setStatus };
+}
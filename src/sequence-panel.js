@@ -0,0 +1,137 @@
+// Panel for the sequence player (src/sequence-player.js): presets, file/URL loading,
+// transport buttons and the step list with per-step results.
+
+import { describeStep } from './sequence-player.js';
+
+export function createSequencePanel(root, { presets, onPreset, onLoadFile, onLoadUrl, onPlay, onPause, onStep, onStop }) {
+    const presetSelect = root.querySelector('[data-role="preset"]');
+    const fileInput = root.querySelector('[data-role="file"]');
+    const urlForm = root.querySelector('[data-role="url-form"]');
+    const stepsList = root.querySelector('[data-role="steps"]');
+    const status = root.querySelector('[data-role="status"]');
+    const buttons = {
+        play: root.querySelector('[data-action="play"]'),
+        pause: root.querySelector('[data-action="pause"]'),
+        step: root.querySelector('[data-action="step"]'),
+        stop: root.querySelector('[data-action="stop"]'),
+    };
+
+    let renderedSequence = null;
+    let rows = [];
+
+    if (presetSelect) {
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Built-in sequences…';
+        presetSelect.append(placeholder);
+        presets.forEach((preset, i) => {
+            const option = document.createElement('option');
+            option.value = String(i);
+            option.textContent = preset.name;
+            presetSelect.append(option);
+        });
+        presetSelect.addEventListener('change', () => {
+            if (presetSelect.value !== '') onPreset(Number(presetSelect.value));
+        });
+    }
+
+    fileInput?.addEventListener('change', () => {
+        const file = fileInput.files?.[0];
+        fileInput.value = '';
+        if (file) onLoadFile(file);
+    });
+
+    urlForm?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const url = urlForm.elements.namedItem('url')?.value.trim();
+        if (url) onLoadUrl(url);
+    });
+
+    buttons.play?.addEventListener('click', () => onPlay());
+    buttons.pause?.addEventListener('click', () => onPause());
+    buttons.step?.addEventListener('click', () => onStep());
+    buttons.stop?.addEventListener('click', () => onStop());
+
+    function renderSteps(sequence) {
+        renderedSequence = sequence;
+        stepsList.replaceChildren();
+        rows = (sequence?.program || []).map((step) => {
+            const row = document.createElement('li');
+            row.className = 'sequence-step';
+
+            const id = document.createElement('span');
+            id.className = 'sequence-step-id';
+            id.textContent = step.pass ? `${step.id} (${step.pass})` : step.id;
+
+            const text = document.createElement('span');
+            text.className = 'sequence-step-text';
+            text.textContent = describeStep(step);
+
+            const result = document.createElement('span');
+            result.className = 'sequence-step-result';
+
+            row.append(id, text, result);
+            stepsList.append(row);
+            return { row, result };
+        });
+    }
+
+    function describeStatus(snapshot) {
+        const { sequence, status: state, index, iteration, timedOut } = snapshot;
+        if (!sequence) return 'Pick a built-in sequence, or load one from a file or URL.';
+
+        const total = sequence.program.length;
+        const loop = sequence.loop ? ` (loop ${iteration})` : '';
+        let text;
+        if (state === 'playing') text = `Playing step ${Math.min(index + 1, total)}/${total}${loop}…`;
+        else if (state === 'paused') text = `Paused before step ${Math.min(index + 1, total)}/${total}${loop}.`;
+        else if (state === 'done') text = `Finished "${sequence.name}".`;
+        else text = `"${sequence.name}": ${total} steps${sequence.loop ? ', loops until stopped' : ''}.`;
+
+        if (timedOut.length) {
+            const list = timedOut.map((r) => `#${r.step.id} ${describeStep(r.step)}`).join('; ');
+            text += ` ${timedOut.length} step${timedOut.length === 1 ? '' : 's'} timed out: ${list}.`;
+        }
+        return text;
+    }
+
+    function render(snapshot) {
+        if (snapshot.sequence !== renderedSequence) renderSteps(snapshot.sequence);
+
+        // Latest result per step within the current pass of a looping sequence.
+        const latest = new Map();
+        for (const report of snapshot.reports) {
+            if (report.iteration === snapshot.iteration) latest.set(report.step, report);
+        }
+        snapshot.sequence?.program.forEach((step, i) => {
+            const { row, result } = rows[i];
+            const report = latest.get(step);
+            row.classList.toggle('is-current', i === snapshot.index && snapshot.status !== 'done' && snapshot.status !== 'idle');
+            row.classList.toggle('is-ok', report?.status === 'ok');
+            row.classList.toggle('is-timeout', report?.status === 'timeout');
+            row.classList.toggle('is-error', report?.status === 'error');
+            result.textContent = report ? `${report.status} · ${report.ms} ms${report.message ? ` · ${report.message}` : ''}` : '';
+        });
+        // Keep the current step in view without scrolling the page (the list is position: relative).
+        const current = rows[snapshot.index]?.row;
+        if (current) {
+            const top = current.offsetTop;
+            if (top < stepsList.scrollTop || top + current.offsetHeight > stepsList.scrollTop + stepsList.clientHeight) {
+                stepsList.scrollTop = top - stepsList.clientHeight / 2;
+            }
+        }
+
+        const playing = snapshot.status === 'playing';
+        if (buttons.play) buttons.play.disabled = !snapshot.sequence || playing;
+        if (buttons.pause) buttons.pause.disabled = !playing;
+        if (buttons.step) buttons.step.disabled = !snapshot.sequence || snapshot.busy;
+        if (buttons.stop) buttons.stop.disabled = !snapshot.sequence || snapshot.status === 'idle';
+        if (status) status.textContent = describeStatus(snapshot);
+    }
+
+    function setStatus(message) {
+        if (status) status.textContent = message;
+    }
+
+    return { render, setStatus };
+}
@@ -0,0 +1,361 @@
+// Scripted state sequences for demos and QA.
+//
+// A sequence is JSON:
+//
+//   {
+//     "format": "computer-eyes-sequence", "version": 1,
+//     "name": "Think, then reply",
+//     "loop": false,
+//     "steps": [
+//       { "setState": "Think" },
+//       { "wait": 3000 },
+//       { "setState": "Reply" },
+//       { "waitForState": "Reply_Loop", "timeout": 5000 },
+//       { "setInput": "IdleCounter", "value": 600 },
+//       { "repeat": 2, "steps": [{ "setState": "Wink" }, { "waitForState": "Base" }] }
+//     ]
+//   }
+//
+// `setState` goes through the page's normal request path (so Boot/Wink queuing applies)
+// and waits until the machine settles. `waitForState` matches a machine state name
+// ("Peek_Loop") or a control value ("Peek"). Any step may carry a "label".
+
+import { SYSTEM_CLOCK } from './clock.js';
+
+export const SEQUENCE_FORMAT = 'computer-eyes-sequence';
+export const SEQUENCE_VERSION = 1;
+
+const STEP_TYPES = ['setState', 'wait', 'waitForState', 'setInput', 'repeat'];
+const DEFAULT_WAIT_FOR_STATE_MS = 10_000;
+// Repeats are unrolled up front; keep a typo like "repeat": 100000 from freezing the page.
+const MAX_UNROLLED_STEPS = 5000;
+
+function stepTypeOf(step, where) {
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+        throw new Error(`${where}: a step must be an object like { "setState": "Think" }.`);
+    }
+    const types = STEP_TYPES.filter((type) => Object.hasOwn(step, type));
+    if (types.length !== 1) {
+        const keys = Object.keys(step).join(', ') || 'none';
+        throw new Error(`${where}: expected exactly one of ${STEP_TYPES.join(', ')} (got ${keys}).`);
+    }
+    return types[0];
+}
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function parseSteps(steps, where) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+        throw new Error(`${where}: "steps" must be a non-empty array.`);
+    }
+    return steps.map((step, i) => {
+        const at = `${where}[${i}]`;
+        const type = stepTypeOf(step, at);
+        const label = typeof step.label === 'string' ? step.label : undefined;
+
+        switch (type) {
+            case 'setState':
+                if (typeof step.setState !== 'string' || !step.setState) throw new Error(`${at}: "setState" must be a state name.`);
+                return { type, state: step.setState, label };
+            case 'wait':
+                if (!isNonNegativeNumber(step.wait)) throw new Error(`${at}: "wait" must be a number of milliseconds.`);
+                return { type, ms: step.wait, label };
+            case 'waitForState': {
+                if (typeof step.waitForState !== 'string' || !step.waitForState) throw new Error(`${at}: "waitForState" must be a state name.`);
+                const timeout = step.timeout ?? DEFAULT_WAIT_FOR_STATE_MS;
+                if (!isNonNegativeNumber(timeout)) throw new Error(`${at}: "timeout" must be a number of milliseconds.`);
+                return { type, state: step.waitForState, timeout, label };
+            }
+            case 'setInput':
+                if (typeof step.setInput !== 'string' || !step.setInput) throw new Error(`${at}: "setInput" must be an input name.`);
+                if (!['string', 'number', 'boolean'].includes(typeof step.value)) {
+                    throw new Error(`${at}: "value" must be a string, number or boolean.`);
+                }
+                return { type, name: step.setInput, value: step.value, label };
+            case 'repeat':
+                if (!Number.isInteger(step.repeat) || step.repeat < 1) throw new Error(`${at}: "repeat" must be a positive integer.`);
+                return { type, times: step.repeat, steps: parseSteps(step.steps, `${at}.steps`), label };
+            default:
+                throw new Error(`${at}: unknown step type.`);
+        }
+    });
+}
+
+// Validate a sequence (JSON text or an object) and return it normalized.
+export function parseSequence(input) {
+    let json = input;
+    if (typeof input === 'string') {
+        try {
+            json = JSON.parse(input);
+        } catch (e) {
+            throw new Error(`Not valid JSON: ${e.message}`);
+        }
+    }
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        throw new Error('A sequence must be a JSON object with a "steps" array.');
+    }
+    if (json.format !== undefined && json.format !== SEQUENCE_FORMAT) {
+        throw new Error(`Not a sequence (format is ${JSON.stringify(json.format)}, expected "${SEQUENCE_FORMAT}").`);
+    }
+    if (json.version !== undefined && json.version !== SEQUENCE_VERSION) {
+        throw new Error(`Unsupported sequence version ${JSON.stringify(json.version)} (this player reads version ${SEQUENCE_VERSION}).`);
+    }
+
+    const steps = parseSteps(json.steps, 'steps');
+    const program = unrollSteps(steps);
+    return {
+        name: typeof json.name === 'string' && json.name ? json.name : 'Untitled sequence',
+        loop: json.loop === true,
+        steps,
+        program,
+    };
+}
+
+// Flatten repeats into a linear program; each entry keeps its position ("3.1") and pass ("2/3").
+export function unrollSteps(steps, prefix = '', passes = [], out = []) {
+    steps.forEach((step, i) => {
+        const id = `${prefix}${i + 1}`;
+        if (step.type === 'repeat') {
+            for (let pass = 1; pass <= step.times; pass++) {
+                unrollSteps(step.steps, `${id}.`, [...passes, `${pass}/${step.times}`], out);
+            }
+            return;
+        }
+        out.push({ ...step, id, pass: passes.join(' ') });
+        if (out.length > MAX_UNROLLED_STEPS) {
+            throw new Error(`The sequence unrolls to more than ${MAX_UNROLLED_STEPS} steps; use "loop" for endless runs.`);
+        }
+    });
+    return out;
+}
+
+export function describeStep(step) {
+    const text = (() => {
+        switch (step.type) {
+            case 'setState': return `setState ${step.state}`;
+            case 'wait': return `wait ${step.ms} ms`;
+            case 'waitForState': return `waitForState ${step.state} (≤ ${step.timeout} ms)`;
+            case 'setInput': return `setInput ${step.name} = ${JSON.stringify(step.value)}`;
+            default: return step.type;
+        }
+    })();
+    return step.label ? `${step.label}: ${text}` : text;
+}
+
+class StepAborted extends Error {}
+
+function sleep(ms, signal, clock) {
+    return new Promise((resolve, reject) => {
+        const timer = clock.setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        function onAbort() {
+            clock.clearTimeout(timer);
+            reject(new StepAborted());
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+function untilAborted(promise, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new StepAborted());
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+// Resolves true once `matches()` holds, false after `timeout` ms.
+function waitUntil(host, matches, timeout, signal, clock) {
+    return new Promise((resolve, reject) => {
+        let unsubscribe = () => {};
+        const finish = (value) => {
+            clock.clearTimeout(timer);
+            unsubscribe();
+            signal.removeEventListener('abort', onAbort);
+            resolve(value);
+        };
+        const timer = clock.setTimeout(() => finish(false), timeout);
+        function onAbort() {
+            clock.clearTimeout(timer);
+            unsubscribe();
+            reject(new StepAborted());
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+        if (matches()) {
+            finish(true);
+            return;
+        }
+        unsubscribe = host.subscribe(() => {
+            if (matches()) finish(true);
+        });
+    });
+}
+
+// `host` connects the player to a viewer:
+//   setState(value) → Promise      the page's request path (resolves once settled)
+//   setInput(name, value)          throws if the machine refuses
+//   getState() → { state, bucket } the machine's state name and its control value
+//   subscribe(fn) → unsubscribe    fn is called whenever the machine state changes
+//
+// `onChange(snapshot)` fires on every status/step change; `onStep(report)` after each step
+// with { step, status: 'ok' | 'timeout' | 'error', message, ms }. Waits and timeouts run on `clock`.
+export function createSequencePlayer(host, { onChange = () => {}, onStep = () => {}, clock = SYSTEM_CLOCK, now = clock.now } = {}) {
+    let sequence = null;
+    let index = 0;
+    let iteration = 1;
+    let status = 'idle'; // idle | playing | paused | done
+    let busy = false; // a step is running
+    let reports = [];
+    let abortController = null;
+
+    function snapshot() {
+        return {
+            sequence,
+            status,
+            index,
+            iteration,
+            busy,
+            reports,
+            timedOut: reports.filter((report) => report.status === 'timeout'),
+        };
+    }
+
+    function changed() {
+        onChange(snapshot());
+    }
+
+    async function execute(step, signal) {
+        switch (step.type) {
+            case 'setState':
+                try {
+                    await untilAborted(host.setState(step.state), signal);
+                    return { status: 'ok' };
+                } catch (error) {
+                    if (error instanceof StepAborted) throw error;
+                    const status = error?.code === 'timeout' ? 'timeout' : 'error';
+                    return { status, message: String(error?.message || error) };
+                }
+            case 'wait':
+                await sleep(step.ms, signal, clock);
+                return { status: 'ok' };
+            case 'waitForState': {
+                const reached = await waitUntil(host, () => {
+                    const { state, bucket } = host.getState();
+                    return state === step.state || bucket === step.state;
+                }, step.timeout, signal, clock);
+                if (reached) return { status: 'ok' };
+                const { state } = host.getState();
+                return { status: 'timeout', message: `Still in ${state || 'an unknown state'} after ${step.timeout} ms.` };
+            }
+            case 'setInput':
+                host.setInput(step.name, step.value);
+                return { status: 'ok' };
+            default:
+                return { status: 'error', message: `Unknown step type ${step.type}.` };
+        }
+    }
+
+    async function runStep() {
+        if (!sequence || busy || index >= sequence.program.length) return;
+
+        const step = sequence.program[index];
+        const controller = new AbortController();
+        abortController = controller;
+        busy = true;
+        changed();
+
+        const startedAt = now();
+        let outcome;
+        try {
+            outcome = await execute(step, controller.signal);
+        } catch (error) {
+            if (error instanceof StepAborted) return;
+            outcome = { status: 'error', message: String(error?.message || error) };
+        } finally {
+            if (abortController === controller) {
+                abortController = null;
+                busy = false;
+            }
+        }
+        if (controller.signal.aborted) return;
+
+        const report = { step, iteration, ...outcome, ms: now() - startedAt };
+        reports = [...reports, report];
+        index += 1;
+        onStep(report);
+
+        if (index >= sequence.program.length) {
+            if (sequence.loop && status === 'playing') {
+                index = 0;
+                iteration += 1;
+            } else {
+                status = 'done';
+            }
+        }
+        changed();
+        pump();
+    }
+
+    // Keep stepping while playing. A pause takes effect once the running step ends.
+    function pump() {
+        if (status === 'playing' && !busy) runStep();
+    }
+
+    function rewind() {
+        index = 0;
+        iteration = 1;
+        reports = [];
+    }
+
+    function stop() {
+        abortController?.abort();
+        abortController = null;
+        busy = false;
+        status = 'idle';
+        index = 0;
+        iteration = 1;
+        changed();
+    }
+
+    return {
+        load(next) {
+            stop();
+            sequence = next;
+            reports = [];
+            changed();
+        },
+        play() {
+            if (!sequence || status === 'playing') return;
+            if (status === 'idle' || status === 'done') rewind();
+            status = 'playing';
+            changed();
+            pump();
+        },
+        pause() {
+            if (status !== 'playing') return;
+            status = 'paused';
+            changed();
+        },
+        // Run just the next step, then stay paused.
+        step() {
+            if (!sequence || busy) return;
+            if (status === 'idle' || status === 'done') rewind();
+            status = 'paused';
+            changed();
+            runStep().then(() => {
+                if (status === 'paused' && sequence && index >= sequence.program.length) {
+                    status = 'done';
+                    changed();
+                }
+            });
+        },
+        stop,
+        get snapshot() {
+            return snapshot();
+        },
+    };
+}
@@ -0,0 +1,75 @@
+// Built-in sequences for the sequence panel (format: src/sequence-player.js).
+// They use CSM.lottie's control values; other files need their own.
+
+export const SEQUENCE_PRESETS = [
+    {
+        format: 'computer-eyes-sequence',
+        version: 1,
+        name: 'Chat turn',
+        steps: [
+            { setState: 'Boot', label: 'Power on' },
+            { waitForState: 'Base', timeout: 8000 },
+            { setState: 'Think', label: 'Request in flight' },
+            { wait: 3000 },
+            { setState: 'Reply' },
+            { wait: 2500 },
+            { setState: 'Wink' },
+            { waitForState: 'Base', timeout: 5000 },
+        ],
+    },
+    {
+        format: 'computer-eyes-sequence',
+        version: 1,
+        name: 'Failed request',
+        steps: [
+            { setState: 'Think' },
+            { wait: 2000 },
+            { setState: 'Error' },
+            { wait: 3000 },
+            { setState: 'Base' },
+        ],
+    },
+    {
+        format: 'computer-eyes-sequence',
+        version: 1,
+        name: 'Tour of every state',
+        steps: [
+            { setState: 'Peek' },
+            { wait: 2000 },
+            { setState: 'Think' },
+            { wait: 2000 },
+            { setState: 'Reply' },
+            { wait: 2000 },
+            { setState: 'Error' },
+            { wait: 2000 },
+            { setState: 'Wink' },
+            { waitForState: 'Base', timeout: 5000 },
+            { setState: 'Boot' },
+            { waitForState: 'Base', timeout: 8000 },
+        ],
+    },
+    {
+        format: 'computer-eyes-sequence',
+        version: 1,
+        name: 'Wink soak test (loops)',
+        loop: true,
+        steps: [
+            { repeat: 3, steps: [{ setState: 'Wink' }, { waitForState: 'Base', timeout: 5000 }, { wait: 500 }] },
+            { setState: 'Peek' },
+            { wait: 1500 },
+            { setState: 'Base' },
+            { wait: 1000 },
+        ],
+    },
+    {
+        format: 'computer-eyes-sequence',
+        version: 1,
+        name: 'Idle timeout (IdleCounter)',
+        steps: [
+            { setState: 'Base' },
+            { setInput: 'IdleCounter', value: 600, label: 'Skip the idle wait' },
+            { waitForState: 'Idle', timeout: 5000 },
+            { waitForState: 'Eyes_Base', timeout: 10_000 },
+        ],
+    },
+];
@@ -0,0 +1,64 @@
+// Panel for the stage view (src/stage-view.js): fit and alignment, zoom buttons, the pixel grid
+// toggle and one checkbox per named layer to outline it. The page does the work through callbacks.
+
+import { ALIGNMENTS, FITS } from './stage-view.js';
+
+// Outline colors, given to layers in list order.
+export const LAYER_COLORS = ['#ff0060', '#00a3ff', '#14b85a', '#ff8a00', '#a040ff', '#00b8b8', '#e0b000', '#ff4fd8'];
+
+export function createStagePanel(root, { onLayout, onZoom, onReset, onGrid, onToggleLayer }) {
+    const fitSelect = root.querySelector('[data-role="fit"]');
+    const alignSelect = root.querySelector('[data-role="align"]');
+    const zoomLabel = root.querySelector('[data-role="zoom"]');
+    const gridInput = root.querySelector('[data-role="grid"]');
+    const layerList = root.querySelector('[data-role="layers"]');
+    const empty = root.querySelector('[data-role="empty"]');
+
+    fitSelect?.replaceChildren(...FITS.map((fit) => new Option(fit, fit)));
+    alignSelect?.replaceChildren(...Object.keys(ALIGNMENTS).map((name) => new Option(name, name)));
+
+    const readLayout = () => ({ fit: fitSelect?.value || 'contain', align: ALIGNMENTS[alignSelect?.value] || ALIGNMENTS.center });
+    fitSelect?.addEventListener('change', () => onLayout(readLayout()));
+    alignSelect?.addEventListener('change', () => onLayout(readLayout()));
+    root.querySelector('[data-action="zoom-in"]')?.addEventListener('click', () => onZoom(2));
+    root.querySelector('[data-action="zoom-out"]')?.addEventListener('click', () => onZoom(0.5));
+    root.querySelector('[data-action="reset"]')?.addEventListener('click', () => onReset());
+    gridInput?.addEventListener('change', () => onGrid(gridInput.checked));
+    layerList?.addEventListener('change', (e) => {
+        const input = e.target;
+        if (input instanceof HTMLInputElement && input.dataset.layer != null) onToggleLayer(input.dataset.layer, input.checked);
+    });
+
+    function setZoom(zoom) {
+        if (zoomLabel) zoomLabel.textContent = `${Math.round(zoom * 100)}%`;
+    }
+
+    // `layers`: [{ name, inFrame, outFrame }] in the animation's order; `shown`: names outlined.
+    function setLayers(layers, shown = new Set()) {
+        layerList?.replaceChildren();
+        if (empty) empty.hidden = layers.length > 0;
+        layers.forEach(({ name, inFrame, outFrame }, index) => {
+            const item = document.createElement('li');
+            item.className = 'stage-layer';
+            item.style.setProperty('--layer-color', LAYER_COLORS[index % LAYER_COLORS.length]);
+
+            const label = document.createElement('label');
+            label.className = 'tool-label';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.dataset.layer = name;
+            input.checked = shown.has(name);
+            const swatch = document.createElement('span');
+            swatch.className = 'stage-layer-swatch';
+            const frames = document.createElement('span');
+            frames.className = 'stage-layer-frames';
+            frames.textContent = `${Math.round(inFrame)}–${Math.round(outFrame)}`;
+            label.append(input, swatch, name, frames);
+
+            item.append(label);
+            layerList?.append(item);
+        });
+    }
+
+    return { setZoom, setLayers };
+}
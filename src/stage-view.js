@@ -0,0 +1,129 @@
+// Stage view math: fit/align layouts, zoom and pan, the pixel grid and layer outlines. A zoomed
+// canvas is laid out `zoom` times the size of its container and shifted by the pan; the runtime
+// only renders the part inside the container (setViewport). Nothing in here touches the DOM.
+//
+// A view is { zoom, x, y }: x and y place the canvas' top-left corner in its container, in CSS
+// pixels (0 or less, so the canvas always covers the container). Boxes are { width, height }.
+
+export const FITS = ['contain', 'cover', 'fill', 'none'];
+
+// Layout alignments by name, as the runtime's `align` ([x, y], 0–1).
+export const ALIGNMENTS = {
+    center: [0.5, 0.5],
+    top: [0.5, 0],
+    bottom: [0.5, 1],
+    left: [0, 0.5],
+    right: [1, 0.5],
+    'top left': [0, 0],
+    'top right': [1, 0],
+    'bottom left': [0, 1],
+    'bottom right': [1, 1],
+};
+
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 32;
+// The pixel grid shows once an animation pixel is at least this many CSS pixels wide.
+export const GRID_MIN_PX = 8;
+
+export const DEFAULT_VIEW = Object.freeze({ zoom: 1, x: 0, y: 0 });
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Keep the zoom in range and the canvas covering the container.
+export function clampView({ zoom, x, y }, box) {
+    const z = clamp(Number(zoom) || 1, MIN_ZOOM, MAX_ZOOM);
+    return {
+        zoom: z,
+        x: clamp(x, box.width - box.width * z, 0),
+        y: clamp(y, box.height - box.height * z, 0),
+    };
+}
+
+// Zoom by `factor` around `point` ([x, y] in the container), which stays where it is.
+export function zoomAt(view, factor, [px, py], box) {
+    const zoom = clamp(view.zoom * factor, MIN_ZOOM, MAX_ZOOM);
+    const k = zoom / view.zoom;
+    return clampView({ zoom, x: px - (px - view.x) * k, y: py - (py - view.y) * k }, box);
+}
+
+export function panBy(view, dx, dy, box) {
+    return clampView({ zoom: view.zoom, x: view.x + dx, y: view.y + dy }, box);
+}
+
+// Canvas pixels per CSS pixel of the zoomed canvas.
+function density(view, box, canvasSize) {
+    return canvasSize.width / (box.width * view.zoom);
+}
+
+// The part of the canvas inside its container, in canvas (backing store) pixels, for setViewport.
+export function visibleViewport(view, box, canvasSize) {
+    const d = density(view, box, canvasSize);
+    const x = clamp(Math.floor(-view.x * d), 0, canvasSize.width);
+    const y = clamp(Math.floor(-view.y * d), 0, canvasSize.height);
+    const right = clamp(Math.ceil((box.width - view.x) * d), x, canvasSize.width);
+    const bottom = clamp(Math.ceil((box.height - view.y) * d), y, canvasSize.height);
+    return { x, y, width: right - x, height: bottom - y };
+}
+
+// Where the runtime draws an animation of size `animation` on a canvas of `canvasSize` for a
+// layout ({ fit, align }), in canvas pixels: { x, y, width, height }.
+export function layoutRect({ fit = 'contain', align = ALIGNMENTS.center } = {}, canvasSize, animation) {
+    let sx = canvasSize.width / animation.width;
+    let sy = canvasSize.height / animation.height;
+    if (fit === 'contain') sx = sy = Math.min(sx, sy);
+    else if (fit === 'cover') sx = sy = Math.max(sx, sy);
+    else if (fit === 'none') sx = sy = 1;
+    const width = animation.width * sx;
+    const height = animation.height * sy;
+    return {
+        x: (canvasSize.width - width) * align[0],
+        y: (canvasSize.height - height) * align[1],
+        width,
+        height,
+    };
+}
+
+// A point in canvas pixels → CSS pixels in the container.
+export function canvasToStage(view, box, canvasSize, [x, y]) {
+    const d = density(view, box, canvasSize);
+    return [view.x + x / d, view.y + y / d];
+}
+
+// Lines between the animation's pixels, in CSS pixels of the container: { xs, ys, size, bounds }
+// with `size` the width of one animation pixel and `bounds` ({ left, top, right, bottom }) the
+// visible part of the animation. Null while the lines would be closer than GRID_MIN_PX.
+export function pixelGrid(view, box, canvasSize, rect, animation) {
+    const d = density(view, box, canvasSize);
+    const size = rect.width / animation.width / d;
+    if (!(size >= GRID_MIN_PX)) return null;
+
+    const [left, top] = canvasToStage(view, box, canvasSize, [rect.x, rect.y]);
+    const [right, bottom] = canvasToStage(view, box, canvasSize, [rect.x + rect.width, rect.y + rect.height]);
+    const bounds = {
+        left: clamp(left, 0, box.width),
+        top: clamp(top, 0, box.height),
+        right: clamp(right, 0, box.width),
+        bottom: clamp(bottom, 0, box.height),
+    };
+    // Only the lines inside the container, however far the animation reaches past it.
+    const lines = (start, step, from, to) => {
+        const out = [];
+        for (let i = Math.max(0, Math.ceil((from - start) / step)); start + i * step <= to; i += 1) out.push(start + i * step);
+        return out;
+    };
+    return {
+        xs: lines(left, size, bounds.left, bounds.right),
+        ys: lines(top, (bottom - top) / animation.height, bounds.top, bounds.bottom),
+        size,
+        bounds,
+    };
+}
+
+// getLayerBoundingBox() points ([x0, y0, … x3, y3] in canvas pixels) → four [x, y] corners in
+// the container. Null when the layer isn't drawn on this frame (the runtime returns zeros).
+export function layerOutline(points, view, box, canvasSize) {
+    if (!Array.isArray(points) || points.length < 8 || points.every((v) => !v)) return null;
+    const corners = [];
+    for (let i = 0; i < 8; i += 2) corners.push(canvasToStage(view, box, canvasSize, [points[i], points[i + 1]]));
+    return corners;
+}
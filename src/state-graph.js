@@ -0,0 +1,262 @@
+// Node/edge diagram of the loaded state machine, rendered as SVG.
+//
+// States are laid out in columns by their distance from the initial state, transitions are
+// drawn as labelled curves, and the viewer highlights the active state and the edge that was
+// just taken. Clicking a node asks the host to jump there.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const NODE_W = 132;
+const NODE_H = 30;
+const COL_GAP = 250;
+const ROW_GAP = 58;
+const PAD = 40;
+
+const CONDITION_SYMBOLS = {
+    Equal: '==',
+    NotEqual: '!=',
+    GreaterThan: '>',
+    GreaterThanOrEqual: '>=',
+    LessThan: '<',
+    LessThanOrEqual: '<=',
+};
+
+export function describeGuard(guard) {
+    if (!guard || typeof guard !== 'object') return '?';
+    if (guard.type === 'Event') return `on ${guard.inputName}`;
+    const op = CONDITION_SYMBOLS[guard.conditionType] || guard.conditionType || '==';
+    return `${guard.inputName} ${op} ${JSON.stringify(guard.compareTo)}`;
+}
+
+export function describeTransition(transition) {
+    const guards = Array.isArray(transition?.guards) ? transition.guards : [];
+    return guards.length ? guards.map(describeGuard).join(' ∧ ') : 'always';
+}
+
+// Column = BFS depth from the initial state; row = order of discovery within the column.
+// States the BFS never reaches go into one extra column on the right.
+export function layoutStateGraph(def) {
+    const states = Array.isArray(def?.states) ? def.states : [];
+    const byName = new Map(states.map((s) => [s.name, s]));
+    const depth = new Map();
+    const queue = [];
+
+    const start = byName.has(def?.initial) ? def.initial : states[0]?.name;
+    if (start != null) {
+        depth.set(start, 0);
+        queue.push(start);
+    }
+    while (queue.length) {
+        const name = queue.shift();
+        for (const t of byName.get(name)?.transitions || []) {
+            if (byName.has(t.toState) && !depth.has(t.toState)) {
+                depth.set(t.toState, depth.get(name) + 1);
+                queue.push(t.toState);
+            }
+        }
+    }
+
+    const reachableCols = depth.size ? Math.max(...depth.values()) + 1 : 0;
+    const columns = [];
+    for (const [name, col] of depth) (columns[col] ||= []).push(name);
+    const unreachable = states.map((s) => s.name).filter((name) => !depth.has(name));
+    if (unreachable.length) columns[reachableCols] = unreachable;
+
+    const maxRows = Math.max(1, ...columns.map((c) => c?.length || 0));
+    const nodes = new Map();
+    columns.forEach((names, col) => {
+        const offset = ((maxRows - names.length) * ROW_GAP) / 2;
+        names.forEach((name, row) => {
+            nodes.set(name, {
+                name,
+                x: PAD + col * COL_GAP,
+                y: PAD + offset + row * ROW_GAP,
+                reachable: depth.has(name),
+            });
+        });
+    });
+
+    const edges = [];
+    for (const state of states) {
+        (state.transitions || []).forEach((transition, index) => {
+            edges.push({
+                id: `${state.name}→${transition.toState}#${index}`,
+                from: state.name,
+                to: transition.toState,
+                label: describeTransition(transition),
+                missingTarget: !byName.has(transition.toState),
+            });
+        });
+    }
+
+    return {
+        nodes,
+        edges,
+        width: PAD * 2 + Math.max(0, columns.length - 1) * COL_GAP + NODE_W,
+        height: PAD * 2 + (maxRows - 1) * ROW_GAP + NODE_H,
+    };
+}
+
+function svg(tag, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    for (const [key, value] of Object.entries(attrs)) el.setAttribute(key, String(value));
+    return el;
+}
+
+// Returns { d, labelX, labelY } for an edge between two laid-out nodes.
+function edgeGeometry(a, b) {
+    if (a === b) {
+        // Self-loop: a small arc above the node.
+        const x = a.x + NODE_W * 0.65;
+        const y = a.y;
+        return {
+            d: `M ${x - 16} ${y} C ${x - 24} ${y - 34}, ${x + 24} ${y - 34}, ${x + 16} ${y}`,
+            labelX: x,
+            labelY: y - 30,
+        };
+    }
+
+    if (b.x > a.x) {
+        // Forward: right edge of source to left edge of target.
+        const x1 = a.x + NODE_W;
+        const y1 = a.y + NODE_H / 2;
+        const x2 = b.x;
+        const y2 = b.y + NODE_H / 2;
+        const mx = (x1 + x2) / 2;
+        return {
+            d: `M ${x1} ${y1} C ${mx} ${y1}, ${mx} ${y2}, ${x2} ${y2}`,
+            labelX: mx,
+            labelY: (y1 + y2) / 2 - 4,
+        };
+    }
+
+    // Backward or same column: bow out below both nodes so it doesn't cross forward edges.
+    const x1 = a.x + NODE_W / 2;
+    const y1 = a.y + NODE_H;
+    const x2 = b.x + NODE_W / 2;
+    const y2 = b.y + NODE_H;
+    const bulge = 24 + Math.abs(x1 - x2) * 0.12;
+    const cy = Math.max(y1, y2) + bulge;
+    return {
+        d: `M ${x1} ${y1} C ${x1} ${cy}, ${x2} ${cy}, ${x2} ${y2}`,
+        labelX: (x1 + x2) / 2,
+        labelY: cy - bulge * 0.25,
+    };
+}
+
+export function createStateGraph(root, { onSelectState = () => {} } = {}) {
+    const host = root.querySelector('[data-role="graph"]');
+    const emptyNote = root.querySelector('[data-role="empty"]');
+
+    let nodeEls = new Map(); // state name -> <g>
+    let edgeEls = []; // { from, to, el }
+    let activeName = null;
+    let lastEdge = null;
+
+    function render(def) {
+        host.replaceChildren();
+        nodeEls = new Map();
+        edgeEls = [];
+        lastEdge = null;
+
+        const hasStates = Array.isArray(def?.states) && def.states.length > 0;
+        if (emptyNote) emptyNote.hidden = hasStates;
+        if (!hasStates) return;
+
+        const graph = layoutStateGraph(def);
+        const svgRoot = svg('svg', {
+            class: 'state-graph',
+            viewBox: `0 0 ${graph.width} ${graph.height}`,
+            width: graph.width,
+            height: graph.height,
+            role: 'img',
+            'aria-label': 'State machine graph',
+        });
+
+        const defs = svg('defs');
+        const marker = svg('marker', {
+            id: 'state-graph-arrow',
+            viewBox: '0 0 10 10',
+            refX: 9,
+            refY: 5,
+            markerWidth: 7,
+            markerHeight: 7,
+            orient: 'auto-start-reverse',
+        });
+        marker.append(svg('path', { d: 'M 0 0 L 10 5 L 0 10 z', fill: 'context-stroke' }));
+        defs.append(marker);
+        svgRoot.append(defs);
+
+        const edgeLayer = svg('g', { class: 'graph-edges' });
+        const nodeLayer = svg('g', { class: 'graph-nodes' });
+        svgRoot.append(edgeLayer, nodeLayer);
+
+        for (const edge of graph.edges) {
+            const a = graph.nodes.get(edge.from);
+            const b = graph.nodes.get(edge.to);
+            if (!a || !b) continue;
+            const { d, labelX, labelY } = edgeGeometry(a, b);
+
+            const g = svg('g', { class: 'graph-edge' });
+            const title = svg('title');
+            title.textContent = `${edge.from} → ${edge.to}\n${edge.label}`;
+            const path = svg('path', { d, 'marker-end': 'url(#state-graph-arrow)' });
+            const label = svg('text', { x: labelX, y: labelY, 'text-anchor': 'middle' });
+            label.textContent = edge.label;
+            g.append(title, path, label);
+            edgeLayer.append(g);
+            edgeEls.push({ from: edge.from, to: edge.to, el: g });
+        }
+
+        for (const node of graph.nodes.values()) {
+            const g = svg('g', {
+                class: 'graph-node',
+                transform: `translate(${node.x} ${node.y})`,
+                tabindex: 0,
+                role: 'button',
+                'aria-label': `Jump to ${node.name}`,
+            });
+            g.classList.toggle('is-initial', node.name === def.initial);
+            g.classList.toggle('is-unreachable', !node.reachable);
+
+            const title = svg('title');
+            title.textContent = `${JSON.stringify(node.name)} — click to jump here`;
+            const rect = svg('rect', { width: NODE_W, height: NODE_H });
+            const text = svg('text', { x: NODE_W / 2, y: NODE_H / 2, 'text-anchor': 'middle', 'dominant-baseline': 'central' });
+            // Make trailing/leading whitespace in state names visible ("Error_In ").
+            text.textContent = node.name.replace(/^\s+|\s+$/g, (m) => '·'.repeat(m.length));
+            g.append(title, rect, text);
+
+            g.addEventListener('click', () => onSelectState(node.name));
+            g.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    onSelectState(node.name);
+                }
+            });
+            nodeLayer.append(g);
+            nodeEls.set(node.name, g);
+        }
+
+        host.append(svgRoot);
+        if (activeName) setActive(activeName);
+    }
+
+    function setActive(name) {
+        if (activeName && nodeEls.has(activeName)) nodeEls.get(activeName).classList.remove('is-active');
+        activeName = name;
+        nodeEls.get(name)?.classList.add('is-active');
+    }
+
+    function markTransition(from, to) {
+        lastEdge?.classList.remove('is-taken');
+        lastEdge = edgeEls.find((e) => e.from === from && e.to === to)?.el || null;
+        if (lastEdge) {
+            // Restart the pulse if the same edge fires twice in a row (self-loops).
+            void lastEdge.getBoundingClientRect();
+            lastEdge.classList.add('is-taken');
+        }
+    }
+
+    return { render, setActive, markTransition };
+}
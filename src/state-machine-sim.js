@@ -0,0 +1,605 @@
+// A pure-JS interpreter for dotLottie state machines, timed by a virtual clock, and a stand-in
+// for the DotLottie player built on it. With `createPlayer` and `clock` (see EyesController)
+// the viewer's state logic runs headless in Node, without WASM or a canvas; test/ does that.
+//
+// Modelled: PlaybackState and GlobalState; String, Numeric, Boolean and Event guards; entry and
+// exit actions; OnComplete / OnLoopComplete interactions; segment playback (marker length, loop,
+// loopCount, speed, bounce modes) at the animation's frame rate, with the player's `loop` and
+// `complete` events and `isPlaying` turning false once a non-looping segment has ended.
+// Transitions are checked after every input change, state entry and completion, like the
+// runtime does.
+//
+// Not modelled: rendering, pointer interactions, themes, tweened transition timing, and the
+// 0.58 runtime re-entering a just-completed looping state several times in one tick.
+//
+// Deliberate differences from dotlottie-web 0.58, so mistakes show up in tests:
+// setting an input with the wrong type, or overriding to a state that doesn't exist, returns
+// false (the runtime returns true and does nothing).
+
+import { SYSTEM_CLOCK } from './clock.js';
+import { readDotLottie } from './dotlottie-archive.js';
+import { readMarkers } from './lottie-validator.js';
+
+// A chain of transitions longer than this (without time passing) is treated as a cycle.
+const MAX_CHAINED_TRANSITIONS = 64;
+
+function compare(conditionType, actual, expected) {
+    switch (conditionType || 'Equal') {
+        case 'Equal': return actual === expected;
+        case 'NotEqual': return actual !== expected;
+        case 'GreaterThan': return actual > expected;
+        case 'GreaterThanOrEqual': return actual >= expected;
+        case 'LessThan': return actual < expected;
+        case 'LessThanOrEqual': return actual <= expected;
+        default: return false;
+    }
+}
+
+function defaultValueOf(type) {
+    if (type === 'Numeric') return 0;
+    if (type === 'Boolean') return false;
+    if (type === 'String') return '';
+    return null;
+}
+
+function typeMatches(type, value) {
+    if (type === 'Numeric') return typeof value === 'number' && Number.isFinite(value);
+    if (type === 'Boolean') return typeof value === 'boolean';
+    if (type === 'String') return typeof value === 'string';
+    return false;
+}
+
+// Runs one state machine definition. `emit(type, payload)` receives the runtime's event names
+// (stateMachineStateEntered, stateMachineTransition, stateMachine*InputValueChange, …).
+// `markers` are [{ name, time, duration }] in frames.
+export class StateMachineSimulator {
+    #def;
+    #clock;
+    #emit;
+    #markers;
+    #frameRate;
+    #totalFrames;
+    #states = new Map();
+    #globals = [];
+    #inputs = new Map(); // name → { type, value, initial }
+    #status = 'Stopped'; // 'Stopped' (loaded) | 'Running' | '' (stopped after running)
+    #current = '';
+    #playback = null; // { state, timer, startedAt, loopMs, start, frames, loops }
+    #evaluating = false;
+    #events = []; // fired while transitions were being evaluated
+
+    constructor(definition, { clock = SYSTEM_CLOCK, emit = () => {}, markers = [], frameRate = 30, totalFrames = 0 } = {}) {
+        if (!definition || !Array.isArray(definition.states)) {
+            throw new Error('State machine JSON has no "states" array.');
+        }
+        this.#def = definition;
+        this.#clock = clock;
+        this.#emit = emit;
+        this.#markers = markers;
+        this.#frameRate = frameRate > 0 ? frameRate : 30;
+        this.#totalFrames = totalFrames;
+
+        for (const state of definition.states) {
+            if (state?.type === 'GlobalState') this.#globals.push(state);
+            if (typeof state?.name === 'string') this.#states.set(state.name, state);
+        }
+        for (const input of definition.inputs || []) {
+            if (typeof input?.name !== 'string') continue;
+            const initial = input.type === 'Event' ? null : (input.value ?? defaultValueOf(input.type));
+            this.#inputs.set(input.name, { type: input.type, value: initial, initial });
+        }
+    }
+
+    get definition() {
+        return this.#def;
+    }
+
+    get status() {
+        return this.#status;
+    }
+
+    get isRunning() {
+        return this.#status === 'Running';
+    }
+
+    get currentState() {
+        return this.#current;
+    }
+
+    // The frame the current state's segment is on, as far as the clock says.
+    get currentFrame() {
+        const playback = this.#playback;
+        if (!playback) return 0;
+        if (playback.done) return playback.start + playback.frames;
+        const elapsed = this.#clock.now() - playback.startedAt;
+        const progress = playback.loopMs > 0 ? Math.min(1, (elapsed % playback.loopMs) / playback.loopMs) : 0;
+        return playback.start + progress * playback.frames;
+    }
+
+    // The current state's segment has played to its end and stopped (it doesn't loop).
+    get isSegmentDone() {
+        return Boolean(this.#playback?.done);
+    }
+
+    // Like stateMachineGetInputs(): [name, type, name, type, …].
+    inputs() {
+        return [...this.#inputs].flatMap(([name, input]) => [name, input.type]);
+    }
+
+    getInput(name) {
+        return this.#inputs.get(name)?.value;
+    }
+
+    start() {
+        if (this.#status === 'Running') return false;
+        const initial = this.#def.initial;
+        if (!this.#states.has(initial)) {
+            this.#emit('stateMachineError', { error: `Initial state ${JSON.stringify(initial)} does not exist.` });
+            return false;
+        }
+        this.#status = 'Running';
+        this.#emit('stateMachineStart', {});
+        this.#evaluate(() => this.#moveTo(initial));
+        return true;
+    }
+
+    stop() {
+        if (this.#status !== 'Running') return false;
+        this.#stopPlayback();
+        this.#status = '';
+        this.#current = '';
+        this.#events = [];
+        this.#emit('stateMachineStop', {});
+        return true;
+    }
+
+    // Accepted before start() (applied when it starts) and while running; refused after stop().
+    setInput(name, type, value) {
+        const input = this.#inputs.get(name);
+        if (this.#status === '' || !input || input.type !== type || !typeMatches(type, value)) return false;
+        this.#write(name, value);
+        if (this.isRunning) this.#evaluate();
+        return true;
+    }
+
+    fireEvent(name) {
+        if (!this.isRunning) return false;
+        this.#emit('stateMachineInputFired', { inputName: name });
+        this.#events.push(name);
+        this.#evaluate();
+        return true;
+    }
+
+    overrideState(name) {
+        if (!this.isRunning || !this.#states.has(name)) return false;
+        this.#evaluate(() => this.#moveTo(name));
+        return true;
+    }
+
+    #write(name, value) {
+        const input = this.#inputs.get(name);
+        if (!input || input.type === 'Event' || input.value === value) return;
+        const oldValue = input.value;
+        input.value = value;
+        this.#emit(`stateMachine${input.type}InputValueChange`, { inputName: name, oldValue, newValue: value });
+    }
+
+    #runActions(actions) {
+        for (const action of Array.isArray(actions) ? actions : []) {
+            const input = this.#inputs.get(action?.inputName);
+            switch (action?.type) {
+                case 'SetNumeric':
+                case 'SetString':
+                case 'SetBoolean':
+                    if (input && typeMatches(input.type, action.value)) this.#write(action.inputName, action.value);
+                    break;
+                case 'Increment':
+                case 'Decrement':
+                    if (input?.type === 'Numeric') {
+                        const step = typeof action.value === 'number' ? action.value : 1;
+                        this.#write(action.inputName, input.value + (action.type === 'Increment' ? step : -step));
+                    }
+                    break;
+                case 'Toggle':
+                    if (input?.type === 'Boolean') this.#write(action.inputName, !input.value);
+                    break;
+                case 'Reset':
+                    if (input) this.#write(action.inputName, input.initial);
+                    break;
+                case 'Fire':
+                    this.#events.push(action.inputName);
+                    break;
+                default:
+                    // Playback, theme, URL and custom-event actions have nothing to do here.
+                    break;
+            }
+        }
+    }
+
+    // `change` (optional) moves the machine first; then transitions are taken until none
+    // applies. Calls made from event listeners in the meantime just join the running loop.
+    #evaluate(change) {
+        if (this.#evaluating) {
+            change?.();
+            return;
+        }
+        this.#evaluating = true;
+        try {
+            change?.();
+            for (let chained = 0; this.isRunning; chained++) {
+                if (chained >= MAX_CHAINED_TRANSITIONS) {
+                    this.#emit('stateMachineError', {
+                        error: `More than ${MAX_CHAINED_TRANSITIONS} transitions in a row (around ${JSON.stringify(this.#current)}); the guards never settle.`,
+                    });
+                    this.stop();
+                    return;
+                }
+                const event = this.#events.shift() ?? null;
+                const target = this.#pickTransition(event);
+                if (target == null) {
+                    if (this.#events.length) continue;
+                    return;
+                }
+                this.#moveTo(target);
+            }
+        } finally {
+            this.#evaluating = false;
+        }
+    }
+
+    #guardPasses(guard, event) {
+        if (guard?.type === 'Event') return event != null && guard.inputName === event;
+        const input = this.#inputs.get(guard?.inputName);
+        if (!input || input.type !== guard.type) return false;
+        return compare(guard.conditionType, input.value, guard.compareTo);
+    }
+
+    // The first transition of the current state whose guards all pass, then global ones
+    // (except those leading to the state the machine is already in).
+    #pickTransition(event) {
+        const candidates = [
+            ...(this.#states.get(this.#current)?.transitions || []),
+            ...this.#globals.flatMap((state) => state.transitions || []).filter((t) => t?.toState !== this.#current),
+        ];
+        for (const transition of candidates) {
+            if (!this.#states.has(transition?.toState)) continue;
+            const guards = Array.isArray(transition.guards) ? transition.guards : [];
+            // An event-guarded transition needs its event; an unguarded one fires at once.
+            if (!event && guards.some((g) => g?.type === 'Event')) continue;
+            if (event && !guards.some((g) => g?.type === 'Event')) continue;
+            if (guards.every((guard) => this.#guardPasses(guard, event))) return transition.toState;
+        }
+        return null;
+    }
+
+    #moveTo(name) {
+        const from = this.#current;
+        this.#emit('stateMachineTransition', { fromState: from, toState: name });
+        if (from) {
+            this.#runActions(this.#states.get(from)?.exitActions);
+            this.#emit('stateMachineStateExit', { state: from });
+        }
+        this.#enter(name);
+    }
+
+    #enter(name) {
+        const state = this.#states.get(name);
+        this.#stopPlayback();
+        this.#current = name;
+        this.#emit('stateMachineStateEntered', { state: name });
+        this.#runActions(state.entryActions);
+        if (state.type !== 'GlobalState') this.#play(state);
+    }
+
+    #segmentOf(state) {
+        const marker = typeof state.segment === 'string' && state.segment
+            ? this.#markers.find((m) => m.name === state.segment)
+            : null;
+        if (marker) return { start: marker.time, frames: marker.duration };
+        return { start: 0, frames: this.#totalFrames };
+    }
+
+    #play(state) {
+        if (state.autoplay === false) return;
+        const { start, frames } = this.#segmentOf(state);
+        const speed = typeof state.speed === 'number' && state.speed > 0 ? state.speed : 1;
+        const bounce = /bounce/i.test(state.mode || '');
+        const loopMs = Math.max(1, ((Math.max(frames, 1) / this.#frameRate) * 1000 * (bounce ? 2 : 1)) / speed);
+        const playback = { state: state.name, timer: null, startedAt: this.#clock.now(), loopMs, start, frames, loops: 0, done: false };
+        this.#playback = playback;
+
+        const tick = () => {
+            if (this.#playback !== playback) return;
+            playback.timer = null;
+            if (!state.loop) {
+                playback.done = true;
+                this.#emit('complete', {});
+                this.#complete(playback, 'OnComplete');
+                return;
+            }
+            playback.loops += 1;
+            const done = state.loopCount > 0 && playback.loops >= state.loopCount;
+            if (!done) {
+                playback.startedAt = this.#clock.now();
+                playback.timer = this.#clock.setTimeout(tick, loopMs);
+            }
+            this.#emit('loop', { loopCount: playback.loops });
+            this.#complete(playback, 'OnLoopComplete');
+            if (done && this.#playback === playback) {
+                playback.done = true;
+                this.#emit('complete', {});
+                this.#complete(playback, 'OnComplete');
+            }
+        };
+        playback.timer = this.#clock.setTimeout(tick, loopMs);
+    }
+
+    #complete(playback, type) {
+        if (this.#playback !== playback || !this.isRunning) return;
+        this.#evaluate(() => {
+            for (const interaction of this.#def.interactions || []) {
+                if (interaction?.type === type && interaction.stateName === playback.state) {
+                    this.#runActions(interaction.actions);
+                }
+            }
+        });
+    }
+
+    #stopPlayback() {
+        if (this.#playback?.timer != null) this.#clock.clearTimeout(this.#playback.timer);
+        this.#playback = null;
+    }
+}
+
+// The parts of DotLottie (vendor/dotlottie-web.js) that EyesController and the inspector use,
+// backed by StateMachineSimulator. `config` is what the controller passes to `new DotLottie`
+// ({ data } as a .lottie ArrayBuffer or Lottie JSON, or { src }); `load` fires once it is read.
+export class SimulatedPlayer {
+    #clock;
+    #listeners = new Map();
+    #archive = null;
+    #animation = null;
+    #machine = null;
+    #activeId = '';
+    #playing = false;
+    #destroyed = false;
+    isLoaded = false;
+    manifest = null;
+    activeAnimationId = '';
+    layout = null; // what setLayout / setViewport were given (nothing is rendered)
+    viewport = null;
+    useFrameInterpolation = true;
+    isFrozen = false;
+
+    constructor(config = {}, { clock = SYSTEM_CLOCK } = {}) {
+        this.#clock = clock;
+        this.layout = config.layout ?? null;
+        this.useFrameInterpolation = config.useFrameInterpolation ?? true;
+        this.#open(config).then(
+            () => {
+                if (this.#destroyed) return;
+                this.isLoaded = true;
+                this.#playing = config.autoplay !== false;
+                this.#dispatch('load', {});
+            },
+            (error) => {
+                if (!this.#destroyed) this.#dispatch('loadError', { error });
+            },
+        );
+    }
+
+    async #open({ data, src }) {
+        let bytes = data;
+        if (bytes == null && src) bytes = await (await fetch(src)).arrayBuffer();
+        if (typeof bytes === 'string') {
+            this.#animation = JSON.parse(bytes);
+            this.manifest = { animations: [{ id: 'animation' }] };
+            this.activeAnimationId = 'animation';
+            return;
+        }
+        if (bytes == null) throw new Error('Nothing to load (no data or src).');
+        const archive = await readDotLottie(bytes);
+        if (!archive.manifest) throw new Error(archive.manifestError);
+        this.#archive = archive;
+        this.manifest = archive.manifest;
+        this.#readAnimation(archive.manifest.animations?.[0]?.id);
+    }
+
+    #readAnimation(animationId) {
+        const animationPath = animationId == null ? null : this.#archive.pathOf('animation', animationId);
+        if (!animationPath) throw new Error(`Animation ${JSON.stringify(animationId)} is not in the archive.`);
+        this.#animation = this.#archive.readJson(animationPath);
+        this.activeAnimationId = animationId;
+    }
+
+    // Like the runtime: `load` fires again, and the machine keeps running until it is replaced.
+    loadAnimation(animationId) {
+        if (!this.#archive) return;
+        Promise.resolve().then(() => {
+            if (this.#destroyed) return;
+            try {
+                this.#readAnimation(animationId);
+            } catch (error) {
+                this.#dispatch('loadError', { error });
+                return;
+            }
+            this.#dispatch('load', {});
+        });
+    }
+
+    addEventListener(type, listener) {
+        if (!this.#listeners.has(type)) this.#listeners.set(type, new Set());
+        this.#listeners.get(type).add(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.#listeners.get(type)?.delete(listener);
+    }
+
+    #dispatch(type, payload) {
+        for (const listener of [...(this.#listeners.get(type) || [])]) listener({ type, ...payload });
+    }
+
+    get totalFrames() {
+        const animation = this.#animation;
+        return animation ? (Number(animation.op) || 0) - (Number(animation.ip) || 0) : 0;
+    }
+
+    get duration() {
+        return this.totalFrames / (Number(this.#animation?.fr) || 30);
+    }
+
+    get currentFrame() {
+        return this.#machine?.currentFrame ?? 0;
+    }
+
+    get isPlaying() {
+        return this.#playing && !this.#machine?.isSegmentDone;
+    }
+
+    get isStateMachineRunning() {
+        return Boolean(this.#machine?.isRunning);
+    }
+
+    // The simulator behind the active state machine (for tests that want to look inside).
+    get simulator() {
+        return this.#machine;
+    }
+
+    markers() {
+        return readMarkers(this.#animation);
+    }
+
+    play() {
+        this.#playing = true;
+        this.isFrozen = false;
+        this.#dispatch('play', {});
+    }
+
+    pause() {
+        this.#playing = false;
+    }
+
+    setBackgroundColor() {}
+
+    resize() {}
+
+    setLayout(layout) {
+        this.layout = layout;
+        return true;
+    }
+
+    setViewport(x, y, width, height) {
+        this.viewport = { x, y, width, height };
+        return true;
+    }
+
+    setUseFrameInterpolation(enabled) {
+        this.useFrameInterpolation = enabled;
+    }
+
+    // Like the runtime, only a running render loop (a playing player) freezes. The flag is all
+    // there is: the machine keeps running on the clock.
+    freeze() {
+        if (this.#playing) this.isFrozen = true;
+    }
+
+    unfreeze() {
+        this.isFrozen = false;
+    }
+
+    destroy() {
+        this.#destroyed = true;
+        this.#machine?.stop();
+        this.#machine = null;
+        this.#listeners.clear();
+    }
+
+    stateMachineGet(id) {
+        const path = this.#archive?.pathOf('stateMachine', id);
+        return path ? this.#archive.readText(path) : '';
+    }
+
+    stateMachineLoad(id) {
+        const text = this.stateMachineGet(id);
+        if (!text || !this.stateMachineLoadData(text)) return false;
+        this.#activeId = id;
+        return true;
+    }
+
+    stateMachineLoadData(json) {
+        let definition;
+        try {
+            definition = typeof json === 'string' ? JSON.parse(json) : json;
+            this.#machine?.stop();
+            this.#machine = new StateMachineSimulator(definition, {
+                clock: this.#clock,
+                emit: (type, payload) => this.#dispatch(type, payload),
+                markers: this.markers(),
+                frameRate: Number(this.#animation?.fr) || 30,
+                totalFrames: this.totalFrames,
+            });
+        } catch (error) {
+            this.#dispatch('stateMachineError', { error });
+            return false;
+        }
+        this.#activeId = '';
+        return true;
+    }
+
+    stateMachineStart() {
+        return Boolean(this.#machine?.start());
+    }
+
+    stateMachineStop() {
+        return Boolean(this.#machine?.stop());
+    }
+
+    stateMachineGetStatus() {
+        return this.#machine?.status ?? '';
+    }
+
+    stateMachineGetActiveId() {
+        return this.#machine ? this.#activeId : '';
+    }
+
+    stateMachineGetCurrentState() {
+        return this.#machine?.currentState ?? '';
+    }
+
+    stateMachineGetInputs() {
+        return this.#machine?.inputs() ?? [];
+    }
+
+    stateMachineSetStringInput(name, value) {
+        return Boolean(this.#machine?.setInput(name, 'String', value));
+    }
+
+    stateMachineSetNumericInput(name, value) {
+        return Boolean(this.#machine?.setInput(name, 'Numeric', value));
+    }
+
+    stateMachineSetBooleanInput(name, value) {
+        return Boolean(this.#machine?.setInput(name, 'Boolean', value));
+    }
+
+    stateMachineGetStringInput(name) {
+        return this.#machine?.getInput(name);
+    }
+
+    stateMachineGetNumericInput(name) {
+        return this.#machine?.getInput(name);
+    }
+
+    stateMachineGetBooleanInput(name) {
+        return this.#machine?.getInput(name);
+    }
+
+    stateMachineFireEvent(name) {
+        this.#machine?.fireEvent(name);
+    }
+
+    stateMachineOverrideState(name) {
+        return Boolean(this.#machine?.overrideState(name));
+    }
+}
@@ -0,0 +1,234 @@
+// Derives the viewer's state controls from a dotLottie state machine definition.
+//
+// The UI exposes one tile per value of the machine's "control" string input (the `State`
+// input in CSM.lottie). Internal machine states (Loading_In, Peek_Loop, Error_Out, …) are
+// grouped into those values ("buckets") by walking the transition graph, not by guessing
+// from their names. Nothing in here touches the DOM or the renderer.
+
+export function parseStateMachineJson(text) {
+    const def = typeof text === 'string' ? JSON.parse(text) : text;
+    if (!def || typeof def !== 'object' || !Array.isArray(def.states)) {
+        throw new Error('State machine JSON has no "states" array.');
+    }
+    return def;
+}
+
+// `stateMachineGetInputs()` returns a flat list: [name, type, name, type, …].
+export function parseRuntimeInputs(flat) {
+    const out = [];
+    if (!Array.isArray(flat)) return out;
+    for (let i = 0; i + 1 < flat.length; i += 2) {
+        out.push({ name: String(flat[i]), type: String(flat[i + 1]) });
+    }
+    return out;
+}
+
+function stateNameOf(state) {
+    return typeof state?.name === 'string' ? state.name : '';
+}
+
+function guardsOf(transition) {
+    return Array.isArray(transition?.guards) ? transition.guards : [];
+}
+
+function transitionsOf(state) {
+    return Array.isArray(state?.transitions) ? state.transitions : [];
+}
+
+// Every action list in the machine, tagged with the state it runs in (if any).
+function* actionsOf(def) {
+    for (const state of def.states) {
+        for (const key of ['entryActions', 'exitActions']) {
+            for (const action of state[key] || []) yield { stateName: stateNameOf(state), action };
+        }
+    }
+    for (const interaction of def.interactions || []) {
+        for (const action of interaction.actions || []) {
+            yield { stateName: typeof interaction.stateName === 'string' ? interaction.stateName : null, action };
+        }
+    }
+}
+
+function stringInputsOf(def, runtimeInputs) {
+    const names = new Set();
+    for (const input of def.inputs || []) {
+        if (input?.type === 'String' && typeof input.name === 'string') names.add(input.name);
+    }
+    for (const input of runtimeInputs || []) {
+        if (/string/i.test(input.type)) names.add(input.name);
+    }
+    return names;
+}
+
+// The control input is the string input guards compare against most often.
+// `State` wins ties because that's the convention our After Effects exports use.
+export function findControlInputName(def, runtimeInputs = []) {
+    const candidates = stringInputsOf(def, runtimeInputs);
+    const counts = new Map();
+    for (const state of def.states) {
+        for (const transition of transitionsOf(state)) {
+            for (const guard of guardsOf(transition)) {
+                if (guard?.type !== 'String' || typeof guard.inputName !== 'string') continue;
+                if (candidates.size && !candidates.has(guard.inputName)) continue;
+                counts.set(guard.inputName, (counts.get(guard.inputName) || 0) + 1);
+            }
+        }
+    }
+
+    let best = null;
+    let bestCount = 0;
+    for (const [name, count] of counts) {
+        if (count > bestCount || (count === bestCount && name === 'State')) {
+            best = name;
+            bestCount = count;
+        }
+    }
+    if (best) return best;
+    if (candidates.has('State')) return 'State';
+    return candidates.values().next().value || null;
+}
+
+// Values offered as controls, in order of first appearance:
+// the input's default, then everything guards compare it against, then values actions set it to.
+export function collectControlValues(def, inputName) {
+    const values = [];
+    const add = (value) => {
+        if (typeof value === 'string' && value !== '' && !values.includes(value)) values.push(value);
+    };
+
+    const declared = (def.inputs || []).find((input) => input?.name === inputName);
+    add(declared?.value);
+
+    for (const state of def.states) {
+        for (const transition of transitionsOf(state)) {
+            for (const guard of guardsOf(transition)) {
+                if (guard?.inputName === inputName && guard.type === 'String') add(guard.compareTo);
+            }
+        }
+    }
+
+    for (const { action } of actionsOf(def)) {
+        if (action?.type === 'SetString' && action.inputName === inputName) add(action.value);
+    }
+
+    return values;
+}
+
+function equalsGuardValue(transition, inputName) {
+    const guard = guardsOf(transition).find((g) =>
+        g?.inputName === inputName && g.type === 'String' && (g.conditionType || 'Equal') === 'Equal'
+    );
+    return guard ? guard.compareTo : null;
+}
+
+// Assign every machine state to a control value:
+// 1. The initial state belongs to the input's default value.
+// 2. A transition guarded by `<input> == X` puts its target in bucket X.
+// 3. States reached without such a guard inherit the bucket of the state they're reached from
+//    (Loading_In → Loading_Loop → Loading_Out all stay in "Think").
+// First assignment wins; unreachable states fall back to the default value.
+export function buildBucketMap(def, inputName, defaultValue) {
+    const buckets = new Map();
+    const byName = new Map(def.states.map((s) => [stateNameOf(s), s]));
+    const queue = [];
+
+    const assign = (stateName, bucket) => {
+        if (!byName.has(stateName) || buckets.has(stateName)) return;
+        buckets.set(stateName, bucket);
+        queue.push(stateName);
+    };
+
+    if (typeof def.initial === 'string' && defaultValue) assign(def.initial, defaultValue);
+    for (const state of def.states) {
+        for (const transition of transitionsOf(state)) {
+            const value = equalsGuardValue(transition, inputName);
+            if (typeof value === 'string') assign(transition.toState, value);
+        }
+    }
+
+    while (queue.length) {
+        const from = queue.shift();
+        for (const transition of transitionsOf(byName.get(from))) {
+            if (equalsGuardValue(transition, inputName) == null) assign(transition.toState, buckets.get(from));
+        }
+    }
+
+    for (const name of byName.keys()) {
+        if (!buckets.has(name) && defaultValue) buckets.set(name, defaultValue);
+    }
+    return buckets;
+}
+
+// A bucket is transient when the machine itself writes the control input while in it
+// (Wink/Bootup set `State` back to "Base" on complete), so the user's selection won't stick.
+export function findTransientValues(def, inputName, buckets) {
+    const transient = new Set();
+    for (const { stateName, action } of actionsOf(def)) {
+        if (!stateName || action?.type !== 'SetString' || action.inputName !== inputName) continue;
+        const bucket = buckets.get(stateName);
+        if (bucket && bucket !== action.value) transient.add(bucket);
+    }
+    return transient;
+}
+
+// Overrides (all optional):
+//   { input, order: [...values], labels: { value: label }, hidden: [...values],
+//     buckets: { machineState: value }, transient: [...values] }
+export function buildStateModel(def, { runtimeInputs = [], overrides = {} } = {}) {
+    const inputName = overrides.input || findControlInputName(def, runtimeInputs);
+    if (!inputName) {
+        return createStateModel({ inputName: null, values: [], defaultValue: null, buckets: new Map(), transient: new Set() });
+    }
+
+    let values = collectControlValues(def, inputName);
+    const defaultValue = values[0] || null;
+    const buckets = buildBucketMap(def, inputName, defaultValue);
+    for (const [stateName, value] of Object.entries(overrides.buckets || {})) {
+        buckets.set(stateName, value);
+    }
+
+    const transient = Array.isArray(overrides.transient)
+        ? new Set(overrides.transient)
+        : findTransientValues(def, inputName, buckets);
+
+    if (Array.isArray(overrides.order)) {
+        const ordered = overrides.order.filter((v) => values.includes(v));
+        values = [...ordered, ...values.filter((v) => !ordered.includes(v))];
+    }
+    let hidden = [];
+    if (Array.isArray(overrides.hidden)) {
+        hidden = values.filter((v) => overrides.hidden.includes(v));
+        values = values.filter((v) => !hidden.includes(v));
+    }
+
+    return createStateModel({ inputName, values, hidden, defaultValue, buckets, transient, labels: overrides.labels });
+}
+
+// `hidden` values get no tile but are still values of the input, so bucketOf keeps them.
+function createStateModel({ inputName, values, hidden = [], defaultValue, buckets, transient, labels = {} }) {
+    return {
+        inputName,
+        values,
+        defaultValue,
+        buckets,
+        transient,
+        labelOf(value) {
+            return typeof labels[value] === 'string' ? labels[value] : value;
+        },
+        // Map a machine state name (or a control value) to its control value.
+        bucketOf(name) {
+            if (values.includes(name) || hidden.includes(name)) return name;
+            if (buckets.has(name)) return buckets.get(name);
+            return defaultValue;
+        },
+        isTransient(value) {
+            return transient.has(value);
+        },
+    };
+}
+
+// Per-file overrides: { "<fileName>": {...}, "*": {...} }. File-specific keys win.
+export function overridesForFile(config, fileName) {
+    if (!config || typeof config !== 'object') return {};
+    return { ...(config['*'] || {}), ...(config[fileName] || {}) };
+}
@@ -0,0 +1,174 @@
+// Panel for the live status feed (src/status-feed.js): the URL, a connection indicator, the
+// debounce, the mapping table and the last messages received. The page owns the feed and the
+// stored settings and does the work through callbacks.
+
+import { describeRule } from './status-feed.js';
+
+const MESSAGE_LIMIT = 50;
+const TARGET_KINDS = [['state', 'State'], ['input', 'Input'], ['event', 'Event']];
+const STATUS_LABELS = { idle: 'Not connected', connecting: 'Connecting…', open: 'Connected', reconnecting: 'Reconnecting' };
+
+export function createStatusFeedPanel(root, { onConnect, onDisconnect, onMapping, onDebounce }) {
+    const urlForm = root.querySelector('[data-role="url-form"]');
+    const urlInput = urlForm?.elements.namedItem('url');
+    const disconnectButton = root.querySelector('[data-action="disconnect"]');
+    const indicators = [...root.querySelectorAll('[data-role="indicator"]')];
+    const statusText = root.querySelector('[data-role="status"]');
+    const debounceInput = root.querySelector('[data-role="debounce"]');
+    const fieldInput = root.querySelector('[data-role="field"]');
+    const rulesBody = root.querySelector('[data-role="rules"]');
+    const addButton = root.querySelector('[data-action="add-rule"]');
+    const resetButton = root.querySelector('[data-action="reset-rules"]');
+    const messageList = root.querySelector('[data-role="messages"]');
+    const targetLists = {
+        state: root.querySelector('[data-role="state-names"]'),
+        input: root.querySelector('[data-role="input-names"]'),
+    };
+
+    urlForm?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const url = urlInput?.value.trim();
+        if (url) onConnect(url);
+    });
+    disconnectButton?.addEventListener('click', () => onDisconnect());
+    debounceInput?.addEventListener('change', () => onDebounce(Number(debounceInput.value)));
+    fieldInput?.addEventListener('change', () => onMapping(readMapping()));
+    rulesBody?.addEventListener('change', () => onMapping(readMapping()));
+    rulesBody?.addEventListener('click', (e) => {
+        const button = e.target.closest?.('[data-action="remove-rule"]');
+        if (!button) return;
+        button.closest('tr').remove();
+        onMapping(readMapping());
+    });
+    addButton?.addEventListener('click', () => {
+        rulesBody?.append(ruleRow({ when: '', state: '' }));
+        rulesBody?.lastElementChild?.querySelector('input')?.focus();
+    });
+    resetButton?.addEventListener('click', () => onMapping(null));
+
+    function field(type, value, label, list) {
+        const input = document.createElement('input');
+        input.className = 'tool-field';
+        input.type = type;
+        input.value = value ?? '';
+        input.spellcheck = false;
+        input.setAttribute('aria-label', label);
+        if (list) input.setAttribute('list', list);
+        return input;
+    }
+
+    // Input values are typed as JSON where they parse (600, true, "x"), else kept as text.
+    function readValue(text) {
+        try {
+            const value = JSON.parse(text);
+            return ['string', 'number', 'boolean'].includes(typeof value) ? value : text;
+        } catch {
+            return text;
+        }
+    }
+
+    function ruleRow(rule) {
+        const kind = TARGET_KINDS.find(([key]) => Object.hasOwn(rule, key))?.[0] ?? 'state';
+        const row = document.createElement('tr');
+        const kindSelect = document.createElement('select');
+        kindSelect.className = 'tool-field';
+        kindSelect.setAttribute('aria-label', 'Does');
+        kindSelect.dataset.role = 'kind';
+        kindSelect.append(...TARGET_KINDS.map(([key, label]) => new Option(label, key)));
+        kindSelect.value = kind;
+        const listId = targetLists[kind]?.id;
+        const name = field('text', rule[kind], 'Name', listId);
+        name.dataset.role = 'name';
+        const value = field('text', kind === 'input' ? JSON.stringify(rule.value ?? '') : '', 'Value');
+        value.dataset.role = 'value';
+        value.hidden = kind !== 'input';
+        kindSelect.addEventListener('change', () => {
+            value.hidden = kindSelect.value !== 'input';
+            const list = targetLists[kindSelect.value]?.id;
+            if (list) name.setAttribute('list', list);
+            else name.removeAttribute('list');
+        });
+        const when = field('text', rule.when, 'When the field is');
+        when.dataset.role = 'when';
+        const remove = document.createElement('button');
+        remove.className = 'tool-button';
+        remove.type = 'button';
+        remove.dataset.action = 'remove-rule';
+        remove.textContent = '×';
+        remove.title = 'Remove rule';
+        remove.setAttribute('aria-label', 'Remove rule');
+
+        for (const control of [when, kindSelect, name, value, remove]) {
+            const cell = document.createElement('td');
+            cell.append(control);
+            row.append(cell);
+        }
+        return row;
+    }
+
+    // The table as a mapping (not checked; the page parses it).
+    function readMapping() {
+        const rules = [...(rulesBody?.rows || [])].map((row) => {
+            const kind = row.querySelector('[data-role="kind"]').value;
+            const rule = { when: row.querySelector('[data-role="when"]').value.trim(), [kind]: row.querySelector('[data-role="name"]').value.trim() };
+            if (kind === 'input') rule.value = readValue(row.querySelector('[data-role="value"]').value.trim());
+            return rule;
+        });
+        return { field: fieldInput?.value.trim() ?? '', rules };
+    }
+
+    // { url, debounceMs, mapping } as stored.
+    function setConfig({ url, debounceMs, mapping }) {
+        if (urlInput && url != null) urlInput.value = url;
+        if (debounceInput) debounceInput.value = String(debounceMs);
+        if (fieldInput) fieldInput.value = mapping.field;
+        rulesBody?.replaceChildren(...mapping.rules.map((rule) => ruleRow(rule)));
+    }
+
+    // Suggestions for the name column: the machine's control values and input names.
+    function setTargets({ states = [], inputs = [] }) {
+        for (const [kind, names] of [['state', states], ['input', inputs]]) {
+            targetLists[kind]?.replaceChildren(...names.map((name) => new Option(name, name)));
+        }
+    }
+
+    // From the feed's onStatus, or { status: 'idle', error } when connecting failed outright.
+    function setStatus({ status, url, attempt = 0, delay = null, error = null }) {
+        for (const indicator of indicators) {
+            indicator.dataset.status = status;
+            indicator.title = STATUS_LABELS[status] ?? status;
+        }
+        if (disconnectButton) disconnectButton.disabled = status === 'idle';
+        if (!statusText) return;
+        let text = STATUS_LABELS[status] ?? status;
+        if (status === 'open' || status === 'connecting') text += ` to ${url}`;
+        if (status === 'reconnecting' && delay != null) text += ` in ${(delay / 1000).toFixed(1)} s (attempt ${attempt})`;
+        if (error && status !== 'open') text += `. ${error}`;
+        statusText.textContent = text.endsWith('.') ? text : `${text}.`;
+    }
+
+    // From the feed's onMessage. Newest first.
+    function logMessage({ text, rule, error }) {
+        if (!messageList) return;
+        const item = document.createElement('li');
+        item.className = error ? 'feed-message is-error' : rule ? 'feed-message' : 'feed-message is-unmatched';
+        const time = document.createElement('span');
+        time.className = 'feed-message-time';
+        time.textContent = new Date().toLocaleTimeString();
+        const body = document.createElement('span');
+        body.className = 'feed-message-text';
+        body.textContent = text;
+        const result = document.createElement('span');
+        result.className = 'feed-message-result';
+        result.textContent = error ? `${describeRule(rule)}: ${error}` : rule ? `→ ${describeRule(rule)}` : 'no rule';
+        item.append(time, body, result);
+        messageList.prepend(item);
+        while (messageList.children.length > MESSAGE_LIMIT) messageList.lastElementChild.remove();
+    }
+
+    function clearMessages() {
+        messageList?.replaceChildren();
+    }
+
+    return { setConfig, setTargets, setStatus, logMessage, clearMessages, readMapping };
+}
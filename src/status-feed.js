@@ -0,0 +1,317 @@
+// Live status feed: subscribes to a WebSocket (ws:, wss:) or Server-Sent Events (http:, https:)
+// URL and turns its messages into state requests and input writes, so the eyes can follow a
+// running agent.
+//
+// A message is JSON or plain text. The mapping's `field` names the JSON key to read ("status";
+// dots reach nested keys, "" uses the whole text), and the first rule whose `when` equals it
+// (ignoring case) applies:
+//
+//   {
+//     "field": "status",
+//     "rules": [
+//       { "when": "working", "state": "Think" },
+//       { "when": "tokens", "input": "IdleCounter", "value": 0 },
+//       { "when": "ping", "event": "Tap" }
+//     ]
+//   }
+//
+// State requests and input writes are coalesced: the first change to a target opens a window of
+// `debounceMs`, and only the last value asked for in it is sent (and only if it differs from the
+// last one sent). Events are fired as they come. A dropped connection is retried with backoff
+// until disconnect() is called.
+
+import { SYSTEM_CLOCK } from './clock.js';
+
+export const DEFAULT_FEED_MAPPING = {
+    field: 'status',
+    rules: [
+        { when: 'start', state: 'Boot' },
+        { when: 'working', state: 'Think' },
+        { when: 'streaming', state: 'Reply' },
+        { when: 'error', state: 'Error' },
+        { when: 'done', state: 'Base' },
+    ],
+};
+export const DEFAULT_DEBOUNCE_MS = 250;
+// Reconnect delays: RECONNECT_BASE_MS × 2ⁿ, at most RECONNECT_MAX_MS.
+export const RECONNECT_BASE_MS = 500;
+export const RECONNECT_MAX_MS = 30_000;
+
+// Connection statuses reported through onStatus.
+export const FEED_STATUSES = ['idle', 'connecting', 'open', 'reconnecting'];
+
+// Which transport a URL uses: 'websocket', 'sse', or null for anything else.
+export function transportFor(url) {
+    let protocol;
+    try {
+        protocol = new URL(url).protocol;
+    } catch {
+        return null;
+    }
+    if (protocol === 'ws:' || protocol === 'wss:') return 'websocket';
+    if (protocol === 'http:' || protocol === 'https:') return 'sse';
+    return null;
+}
+
+export function reconnectDelay(attempt) {
+    return Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * Math.pow(2, attempt));
+}
+
+const TARGET_KEYS = ['state', 'input', 'event'];
+
+// Checks a mapping (JSON text or an object) and returns it normalized. Throws with the rule at
+// fault.
+export function parseFeedMapping(input) {
+    const json = typeof input === 'string' ? JSON.parse(input) : input;
+    if (!json || typeof json !== 'object' || Array.isArray(json)) throw new Error('A mapping must be an object like { "field": "status", "rules": [...] }.');
+    const field = json.field ?? '';
+    if (typeof field !== 'string') throw new Error('"field" must be a string ("" for the whole message).');
+    if (!Array.isArray(json.rules)) throw new Error('"rules" must be an array.');
+    const rules = json.rules.map((rule, i) => {
+        const at = `rules[${i}]`;
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw new Error(`${at}: a rule must be an object.`);
+        if (typeof rule.when !== 'string' || !rule.when) throw new Error(`${at}: "when" must be the value to match.`);
+        const targets = TARGET_KEYS.filter((key) => Object.hasOwn(rule, key));
+        if (targets.length !== 1) throw new Error(`${at}: expected exactly one of ${TARGET_KEYS.join(', ')}.`);
+        const name = rule[targets[0]];
+        if (typeof name !== 'string' || !name) throw new Error(`${at}: "${targets[0]}" must be a name.`);
+        if (targets[0] === 'input') {
+            if (!['string', 'number', 'boolean'].includes(typeof rule.value)) throw new Error(`${at}: "value" must be a string, number or boolean.`);
+            return { when: rule.when, input: name, value: rule.value };
+        }
+        return { when: rule.when, [targets[0]]: name };
+    });
+    return { field, rules };
+}
+
+// The value a message is matched on (null when the field is missing).
+export function messageKey(text, field) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch {
+        return field ? null : String(text).trim();
+    }
+    if (!field) return typeof json === 'object' && json !== null ? null : String(json);
+    const value = field.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), json);
+    return value == null || typeof value === 'object' ? null : String(value);
+}
+
+export function matchRule(mapping, text) {
+    const key = messageKey(text, mapping.field);
+    if (key == null) return null;
+    const lower = key.toLowerCase();
+    return mapping.rules.find((rule) => rule.when.toLowerCase() === lower) ?? null;
+}
+
+export function describeRule(rule) {
+    if (rule.state) return `state ${rule.state}`;
+    if (rule.input) return `${rule.input} = ${JSON.stringify(rule.value)}`;
+    return `event ${rule.event}`;
+}
+
+// `host` connects the feed to a viewer:
+//   setState(value) → Promise      the page's request path
+//   setInput(name, value)          throws if the machine refuses
+//   fireEvent(name)
+// `onStatus({ status, url, attempt, delay, error })` follows the connection; `onMessage({ text,
+// rule, error })` sees every message (rule null when none matched). `WebSocket`, `EventSource`
+// and `clock` ({ setTimeout, clearTimeout }) can be swapped for tests.
+export function createStatusFeed(host, {
+    onStatus = () => {},
+    onMessage = () => {},
+    mapping = DEFAULT_FEED_MAPPING,
+    debounceMs = DEFAULT_DEBOUNCE_MS,
+    WebSocket = globalThis.WebSocket,
+    EventSource = globalThis.EventSource,
+    clock = SYSTEM_CLOCK,
+} = {}) {
+    let currentMapping = parseFeedMapping(mapping);
+    let url = null;
+    let socket = null; // the open WebSocket or EventSource
+    let attempt = 0;
+    let reconnectTimer = null;
+    let status = 'idle';
+    let lastError = null;
+    // target ('state' or 'input:<name>') → { timer, rule }, and the last value sent to each
+    const pending = new Map();
+    const sent = new Map();
+
+    function setStatus(next, extra = {}) {
+        status = next;
+        onStatus({ status, url, attempt, delay: null, error: lastError, ...extra });
+    }
+
+    function report(text, rule, error) {
+        onMessage({ text, rule, error: error ? error?.message || String(error) : null });
+    }
+
+    function send(target, rule, text) {
+        pending.delete(target);
+        const value = rule.state ?? rule.value;
+        if (sent.has(target) && Object.is(sent.get(target), value)) return;
+        sent.set(target, value);
+        try {
+            const result = rule.state ? host.setState(rule.state) : host.setInput(rule.input, rule.value);
+            // A newer request superseding this one is expected; other rejections are reported, and
+            // the value counts as not sent so the next message asking for it tries again.
+            Promise.resolve(result).catch((error) => {
+                if (error?.code === 'superseded') return;
+                if (Object.is(sent.get(target), value)) sent.delete(target);
+                report(text, rule, error);
+            });
+        } catch (error) {
+            sent.delete(target);
+            report(text, rule, error);
+        }
+    }
+
+    function handle(text) {
+        const rule = matchRule(currentMapping, text);
+        report(text, rule, null);
+        if (!rule) return;
+        if (rule.event) {
+            try {
+                host.fireEvent(rule.event);
+            } catch (error) {
+                report(text, rule, error);
+            }
+            return;
+        }
+        const target = rule.state ? 'state' : `input:${rule.input}`;
+        const waiting = pending.get(target);
+        if (waiting) {
+            waiting.rule = rule;
+            waiting.text = text;
+            return;
+        }
+        if (debounceMs <= 0) {
+            send(target, rule, text);
+            return;
+        }
+        const entry = { rule, text, timer: null };
+        entry.timer = clock.setTimeout(() => send(target, entry.rule, entry.text), debounceMs);
+        pending.set(target, entry);
+    }
+
+    function open() {
+        reconnectTimer = null;
+        const transport = transportFor(url);
+        setStatus(attempt ? 'reconnecting' : 'connecting');
+        try {
+            if (transport === 'websocket') {
+                socket = new WebSocket(url);
+                socket.onmessage = (e) => handle(typeof e.data === 'string' ? e.data : String(e.data));
+                socket.onopen = () => opened();
+                socket.onclose = () => dropped('The connection closed.');
+                socket.onerror = () => {
+                    lastError = 'WebSocket error.';
+                };
+            } else {
+                socket = new EventSource(url);
+                socket.onmessage = (e) => handle(e.data);
+                socket.onopen = () => opened();
+                // EventSource reconnects on its own with a fixed delay; the backoff here replaces that.
+                socket.onerror = () => dropped('The event stream failed or closed.');
+            }
+        } catch (error) {
+            socket = null;
+            dropped(error?.message || String(error));
+        }
+    }
+
+    function opened() {
+        attempt = 0;
+        lastError = null;
+        setStatus('open');
+    }
+
+    function dropped(message) {
+        if (!socket) return;
+        closeSocket();
+        lastError = lastError ?? message;
+        const delay = reconnectDelay(attempt);
+        attempt += 1;
+        setStatus('reconnecting', { delay });
+        reconnectTimer = clock.setTimeout(open, delay);
+    }
+
+    function closeSocket() {
+        if (!socket) return;
+        const closing = socket;
+        socket = null;
+        closing.onmessage = closing.onopen = closing.onclose = closing.onerror = null;
+        try {
+            closing.close();
+        } catch {
+            // ignore
+        }
+    }
+
+    function clearPending() {
+        for (const entry of pending.values()) clock.clearTimeout(entry.timer);
+        pending.clear();
+    }
+
+    // Throws for a URL that is neither WebSocket nor http(s), or a transport this browser lacks.
+    function connect(nextUrl) {
+        const transport = transportFor(nextUrl);
+        if (!transport) throw new Error(`${JSON.stringify(nextUrl)} is not a ws://, wss://, http:// or https:// URL.`);
+        if (transport === 'websocket' && typeof WebSocket !== 'function') throw new Error('This browser has no WebSocket.');
+        if (transport === 'sse' && typeof EventSource !== 'function') throw new Error('This browser has no EventSource.');
+        disconnect();
+        url = nextUrl;
+        open();
+    }
+
+    function disconnect() {
+        if (reconnectTimer !== null) clock.clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        clearPending();
+        sent.clear();
+        closeSocket();
+        attempt = 0;
+        lastError = null;
+        if (url !== null || status !== 'idle') setStatus('idle');
+        url = null;
+    }
+
+    // The last values sent are forgotten too, so the next message is sent even if it repeats one.
+    function setMapping(next) {
+        currentMapping = parseFeedMapping(next);
+        clearPending();
+        sent.clear();
+    }
+
+    // Applies from the next window on.
+    function setDebounce(ms) {
+        if (!Number.isFinite(ms) || ms < 0) throw new Error('The debounce must be a number of milliseconds.');
+        debounceMs = ms;
+    }
+
+    // For when the machine has moved on by other means (a reload, or a state request from anywhere
+    // but this feed): the next message is sent even if it repeats the last one.
+    function forgetSent() {
+        sent.clear();
+    }
+
+    return {
+        connect,
+        disconnect,
+        setMapping,
+        setDebounce,
+        forgetSent,
+        get status() {
+            return status;
+        },
+        get url() {
+            return url;
+        },
+        get mapping() {
+            return currentMapping;
+        },
+        get debounceMs() {
+            return debounceMs;
+        },
+    };
+}
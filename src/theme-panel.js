@@ -0,0 +1,193 @@
+// Panel for theming (src/lottie-theme.js): the manifest's themes, one editor per Color/Scalar
+// slot, saved palettes and theme exports. Files without slots get a list of their detected fill
+// colors and a button to make them editable. The page does the work through callbacks.
+
+import { hexToRgb, rgbToHex } from './lottie-theme.js';
+
+export function createThemePanel(root, {
+    onSelectTheme,
+    onEditSlot,
+    onReset,
+    onSlotify,
+    onApplyPalette,
+    onSavePalette,
+    onDeletePalette,
+    onExportTheme,
+    onExportLottie,
+}) {
+    const themeSelect = root.querySelector('[data-role="theme"]');
+    const slotList = root.querySelector('[data-role="slots"]');
+    const empty = root.querySelector('[data-role="empty"]');
+    const fallback = root.querySelector('[data-role="fallback"]');
+    const detectedList = root.querySelector('[data-role="detected"]');
+    const paletteSelect = root.querySelector('[data-role="palette"]');
+    const paletteForm = root.querySelector('[data-role="palette-form"]');
+    const themeIdInput = root.querySelector('[data-role="theme-id"]');
+    const status = root.querySelector('[data-role="status"]');
+    const buttons = {
+        reset: root.querySelector('[data-action="reset"]'),
+        slotify: root.querySelector('[data-action="slotify"]'),
+        applyPalette: root.querySelector('[data-action="apply-palette"]'),
+        deletePalette: root.querySelector('[data-action="delete-palette"]'),
+        exportTheme: root.querySelector('[data-action="export-theme"]'),
+        exportLottie: root.querySelector('[data-action="export-lottie"]'),
+    };
+
+    const fields = new Map(); // slot id → input
+    let busy = false;
+
+    themeSelect?.addEventListener('change', () => onSelectTheme(themeSelect.value));
+    buttons.reset?.addEventListener('click', () => onReset());
+    buttons.slotify?.addEventListener('click', () => onSlotify());
+    buttons.applyPalette?.addEventListener('click', () => {
+        if (paletteSelect?.value) onApplyPalette(paletteSelect.value);
+    });
+    buttons.deletePalette?.addEventListener('click', () => {
+        if (paletteSelect?.value) onDeletePalette(paletteSelect.value);
+    });
+    paletteForm?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const name = paletteForm.elements.name.value.trim();
+        if (!name) {
+            setStatus('Name the palette first.');
+            return;
+        }
+        onSavePalette(name);
+        paletteForm.reset();
+    });
+
+    function readThemeId() {
+        const id = themeIdInput?.value.trim() || 'custom';
+        if (!/^[\w.-]+$/.test(id)) {
+            setStatus('Theme ids may only use letters, digits, "_", "-" and ".".');
+            return null;
+        }
+        return id;
+    }
+
+    buttons.exportTheme?.addEventListener('click', () => {
+        const id = readThemeId();
+        if (id) onExportTheme(id);
+    });
+    buttons.exportLottie?.addEventListener('click', () => {
+        const id = readThemeId();
+        if (id) onExportLottie(id);
+    });
+
+    function update() {
+        const hasSlots = fields.size > 0;
+        for (const key of ['reset', 'exportTheme', 'exportLottie']) {
+            if (buttons[key]) buttons[key].disabled = busy || !hasSlots;
+        }
+        if (buttons.slotify) buttons.slotify.disabled = busy;
+        if (buttons.applyPalette) buttons.applyPalette.disabled = busy || !hasSlots || !paletteSelect?.options.length;
+        if (buttons.deletePalette) buttons.deletePalette.disabled = busy || !paletteSelect?.options.length;
+    }
+
+    // `themes`: [{ id }] from the manifest; '' selects the file's own colors.
+    function setThemes(themes, activeId = '') {
+        if (!themeSelect) return;
+        themeSelect.replaceChildren();
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = themes.length ? '(none: file colors)' : '(the manifest has no themes)';
+        themeSelect.append(none);
+        for (const theme of themes) {
+            const option = document.createElement('option');
+            option.value = theme.id;
+            option.textContent = theme.id;
+            themeSelect.append(option);
+        }
+        themeSelect.disabled = !themes.length;
+        setActiveTheme(activeId);
+    }
+
+    function setActiveTheme(id) {
+        if (themeSelect) themeSelect.value = id || '';
+    }
+
+    // `slots`: [{ id, type, value }] (see listSlots); `values`: slot id → current value.
+    function setSlots(slots, values = {}) {
+        fields.clear();
+        slotList?.replaceChildren();
+        for (const slot of slots) {
+            const row = document.createElement('label');
+            row.className = 'theme-slot';
+
+            const name = document.createElement('span');
+            name.className = 'theme-slot-name';
+            name.textContent = slot.id;
+            name.title = slot.type;
+
+            const input = document.createElement('input');
+            input.className = 'tool-field';
+            input.setAttribute('aria-label', `${slot.id} (${slot.type})`);
+            if (slot.type === 'Color') {
+                input.type = 'color';
+                input.addEventListener('input', () => onEditSlot(slot.id, hexToRgb(input.value)));
+            } else {
+                input.type = 'number';
+                input.step = 'any';
+                input.addEventListener('change', () => {
+                    const value = Number(input.value);
+                    if (input.value !== '' && Number.isFinite(value)) onEditSlot(slot.id, value);
+                });
+            }
+            fields.set(slot.id, input);
+            row.append(name, input);
+            slotList?.append(row);
+        }
+        setValues(values);
+        if (empty) empty.hidden = slots.length > 0;
+        update();
+    }
+
+    function setValues(values) {
+        for (const [id, input] of fields) {
+            if (!(id in values)) continue;
+            const value = values[id];
+            input.value = Array.isArray(value) ? rgbToHex(value) : String(value);
+        }
+    }
+
+    // `colors`: [{ hex, count }] found in a file without slots, or null to hide the fallback.
+    function setDetected(colors) {
+        if (fallback) fallback.hidden = !colors?.length;
+        detectedList?.replaceChildren();
+        for (const color of colors || []) {
+            const swatch = document.createElement('span');
+            swatch.className = 'theme-swatch';
+            swatch.style.setProperty('--swatch', color.hex);
+            swatch.textContent = `${color.hex} ×${color.count}`;
+            detectedList?.append(swatch);
+        }
+    }
+
+    function setPalettes(names) {
+        if (!paletteSelect) return;
+        const previous = paletteSelect.value;
+        paletteSelect.replaceChildren();
+        for (const name of names) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            paletteSelect.append(option);
+        }
+        if (names.includes(previous)) paletteSelect.value = previous;
+        update();
+    }
+
+    function setBusy(value) {
+        busy = value;
+        update();
+    }
+
+    function setStatus(message) {
+        if (status) status.textContent = message;
+    }
+
+    setThemes([]);
+    setSlots([]);
+    setDetected(null);
+    return { setThemes, setActiveTheme, setSlots, setValues, setDetected, setPalettes, setBusy, setStatus };
+}
@@ -0,0 +1,251 @@
+// Transport bar for timeline mode: a frame scrubber with the file's markers drawn as labelled
+// bands, play/pause, single-frame steps, speed, and marker or A/B segment loops.
+//
+// The panel only renders and reports intent; the page talks to the player (see app.js).
+// While the panel is open it polls `getPlayback()` once per animation frame for the playhead.
+
+export const TIMELINE_SPEEDS = [0.1, 0.25, 0.5, 1, 1.5, 2, 4];
+
+// Assign overlapping markers to separate lanes: [{ marker, lane }], plus the lane count.
+export function layoutMarkerBands(markers) {
+    const laneEnds = [];
+    const bands = [...markers]
+        .sort((a, b) => a.time - b.time || b.duration - a.duration)
+        .map((marker) => {
+            const end = marker.time + Math.max(marker.duration, 1);
+            let lane = laneEnds.findIndex((laneEnd) => laneEnd <= marker.time);
+            if (lane === -1) lane = laneEnds.length;
+            laneEnds[lane] = end;
+            return { marker, lane };
+        });
+    return { bands, lanes: laneEnds.length };
+}
+
+export function createTimelinePanel(root, {
+    getPlayback,
+    onToggleMode,
+    onPlayPause,
+    onStep,
+    onSeek,
+    onSpeed,
+    onLoopMarker,
+    onLoopRange,
+    onClearLoop,
+}) {
+    const details = root.closest('details') || root;
+    const bandsEl = root.querySelector('[data-role="bands"]');
+    const scrubber = root.querySelector('[data-role="scrubber"]');
+    const rangeEl = root.querySelector('[data-role="range"]');
+    const readout = root.querySelector('[data-role="readout"]');
+    const speedSelect = root.querySelector('[data-role="speed"]');
+    const markerSelect = root.querySelector('[data-role="marker"]');
+    const status = root.querySelector('[data-role="status"]');
+    const buttons = {
+        mode: root.querySelector('[data-action="mode"]'),
+        playPause: root.querySelector('[data-action="play-pause"]'),
+        back: root.querySelector('[data-action="step-back"]'),
+        forward: root.querySelector('[data-action="step-forward"]'),
+        setA: root.querySelector('[data-action="set-a"]'),
+        setB: root.querySelector('[data-action="set-b"]'),
+        loopRange: root.querySelector('[data-action="loop-range"]'),
+        clearLoop: root.querySelector('[data-action="clear-loop"]'),
+    };
+
+    let active = false;
+    let totalFrames = 0;
+    let markers = [];
+    let pointA = null;
+    let pointB = null;
+    let scrubbing = false;
+    let raf = 0;
+
+    if (speedSelect) {
+        for (const speed of TIMELINE_SPEEDS) {
+            const option = document.createElement('option');
+            option.value = String(speed);
+            option.textContent = `${speed}×`;
+            speedSelect.append(option);
+        }
+        speedSelect.value = '1';
+        speedSelect.addEventListener('change', () => onSpeed(Number(speedSelect.value)));
+    }
+
+    markerSelect?.addEventListener('change', () => {
+        if (markerSelect.value) onLoopMarker(markerSelect.value);
+    });
+
+    scrubber?.addEventListener('pointerdown', () => {
+        scrubbing = true;
+    });
+    scrubber?.addEventListener('pointerup', () => {
+        scrubbing = false;
+    });
+    scrubber?.addEventListener('input', () => onSeek(Number(scrubber.value)));
+
+    bandsEl?.addEventListener('click', (e) => {
+        const band = e.target.closest('[data-marker]');
+        if (band) onLoopMarker(band.dataset.marker);
+    });
+
+    buttons.mode?.addEventListener('click', () => onToggleMode());
+    buttons.playPause?.addEventListener('click', () => onPlayPause());
+    buttons.back?.addEventListener('click', () => onStep(-1));
+    buttons.forward?.addEventListener('click', () => onStep(1));
+    buttons.setA?.addEventListener('click', () => {
+        pointA = Math.round(getPlayback().frame);
+        renderRange();
+    });
+    buttons.setB?.addEventListener('click', () => {
+        pointB = Math.round(getPlayback().frame);
+        renderRange();
+    });
+    buttons.loopRange?.addEventListener('click', () => {
+        if (pointA == null || pointB == null || pointA === pointB) {
+            setStatus('Set A and B to two different frames first.');
+            return;
+        }
+        onLoopRange(Math.min(pointA, pointB), Math.max(pointA, pointB));
+    });
+    buttons.clearLoop?.addEventListener('click', () => {
+        pointA = null;
+        pointB = null;
+        renderRange();
+        onClearLoop();
+    });
+
+    const percent = (frame) => (totalFrames > 1 ? (frame / (totalFrames - 1)) * 100 : 0);
+
+    function renderRange() {
+        if (!rangeEl) return;
+        const hasA = pointA != null;
+        const hasB = pointB != null;
+        rangeEl.hidden = !hasA && !hasB;
+        if (rangeEl.hidden) return;
+        const start = Math.min(hasA ? pointA : pointB, hasB ? pointB : pointA);
+        const end = Math.max(hasA ? pointA : pointB, hasB ? pointB : pointA);
+        rangeEl.style.left = `${percent(start)}%`;
+        rangeEl.style.width = `${Math.max(0, percent(end) - percent(start))}%`;
+        rangeEl.title = hasA && hasB ? `A/B: frames ${start}–${end}` : `${hasA ? 'A' : 'B'}: frame ${start}`;
+    }
+
+    // Show `speed` in the select, adding it if it isn't one of the presets (e.g. from a link).
+    function setSpeed(speed) {
+        if (!speedSelect) return;
+        const value = String(speed);
+        if (![...speedSelect.options].some((o) => o.value === value)) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `${speed}×`;
+            speedSelect.append(option);
+        }
+        speedSelect.value = value;
+    }
+
+    // `markers`: [{ name, time, duration }] in frames.
+    function setAnimation({ markers: nextMarkers = [], totalFrames: nextTotal = 0 }) {
+        markers = nextMarkers;
+        totalFrames = nextTotal;
+        pointA = null;
+        pointB = null;
+        renderRange();
+
+        if (scrubber) {
+            scrubber.max = String(Math.max(0, totalFrames - 1));
+            scrubber.disabled = totalFrames <= 1;
+        }
+
+        if (bandsEl) {
+            const { bands, lanes } = layoutMarkerBands(markers);
+            bandsEl.style.setProperty('--lanes', String(Math.max(1, lanes)));
+            bandsEl.replaceChildren(...bands.map(({ marker, lane }) => {
+                const band = document.createElement('button');
+                band.type = 'button';
+                band.className = 'timeline-band';
+                band.dataset.marker = marker.name;
+                band.style.left = `${percent(marker.time)}%`;
+                band.style.width = `${percent(marker.time + marker.duration) - percent(marker.time)}%`;
+                band.style.setProperty('--lane', String(lane));
+                band.textContent = marker.name;
+                band.title = `${marker.name}: frames ${marker.time}–${marker.time + marker.duration} (click to loop)`;
+                return band;
+            }));
+        }
+
+        if (markerSelect) {
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = markers.length ? 'Loop a marker…' : 'No markers';
+            markerSelect.replaceChildren(placeholder, ...[...markers]
+                .sort((a, b) => a.time - b.time)
+                .map((marker) => {
+                    const option = document.createElement('option');
+                    option.value = marker.name;
+                    option.textContent = `${marker.name} (${marker.time}–${marker.time + marker.duration})`;
+                    return option;
+                }));
+        }
+        update();
+    }
+
+    function setActive(value) {
+        active = value;
+        details.classList.toggle('is-timeline-active', active);
+        if (buttons.mode) {
+            buttons.mode.textContent = active ? 'Back to state machine' : 'Enter timeline mode';
+            buttons.mode.setAttribute('aria-pressed', String(active));
+        }
+        for (const [name, button] of Object.entries(buttons)) {
+            if (button && name !== 'mode') button.disabled = !active;
+        }
+        if (speedSelect) speedSelect.disabled = !active;
+        if (markerSelect) markerSelect.disabled = !active || !markers.length;
+        if (!active) {
+            if (speedSelect) speedSelect.value = '1';
+            if (markerSelect) markerSelect.value = '';
+            pointA = null;
+            pointB = null;
+            renderRange();
+        }
+        update();
+    }
+
+    // Reflect the active loop: { marker } | { start, end } | null.
+    function setLoop(loop) {
+        if (markerSelect) markerSelect.value = loop?.marker || '';
+        bandsEl?.querySelectorAll('.timeline-band').forEach((band) => {
+            band.classList.toggle('is-looping', band.dataset.marker === loop?.marker);
+        });
+        rangeEl?.classList.toggle('is-looping', Boolean(loop && loop.start != null));
+    }
+
+    function update() {
+        const playback = getPlayback();
+        if (!playback) return;
+        const frame = playback.frame;
+        if (scrubber && !scrubbing) scrubber.value = String(Math.round(frame));
+        if (buttons.playPause) buttons.playPause.textContent = playback.playing ? 'Pause' : 'Play';
+        if (readout) {
+            const inside = markers.filter((m) => frame >= m.time && frame < m.time + Math.max(m.duration, 1));
+            const where = inside.length ? ` · ${inside.map((m) => m.name).join(', ')}` : '';
+            readout.textContent = `Frame ${Math.round(frame)} / ${Math.max(0, totalFrames - 1)}${where}`;
+        }
+    }
+
+    // Poll the playhead only while the panel is open.
+    function tick() {
+        raf = 0;
+        if (!details.open) return;
+        update();
+        raf = requestAnimationFrame(tick);
+    }
+    details.addEventListener('toggle', () => {
+        if (details.open && !raf) raf = requestAnimationFrame(tick);
+    });
+
+    function setStatus(message) {
+        if (status) status.textContent = message;
+    }
+
+    setActive(false);
+    return { setAnimation, setActive, setLoop, setSpeed, setStatus, update };
+}
@@ -0,0 +1,72 @@
+// Timeline panel for the trace recorder (src/trace-recorder.js).
+
+import { describeEntry } from './trace-recorder.js';
+
+// Keep the DOM light during long sessions; the recorder itself keeps more.
+const MAX_ROWS = 2000;
+
+export function createTracePanel(root, { onRestart, onExport, onImport, onReplay, onStop }) {
+    const timeline = root.querySelector('[data-role="timeline"]');
+    const status = root.querySelector('[data-role="status"]');
+    const importInput = root.querySelector('[data-role="import"]');
+    const buttons = {
+        restart: root.querySelector('[data-action="restart"]'),
+        export: root.querySelector('[data-action="export"]'),
+        replay: root.querySelector('[data-action="replay"]'),
+        stop: root.querySelector('[data-action="stop"]'),
+    };
+
+    buttons.restart?.addEventListener('click', () => onRestart());
+    buttons.export?.addEventListener('click', () => onExport());
+    buttons.replay?.addEventListener('click', () => onReplay());
+    buttons.stop?.addEventListener('click', () => onStop());
+    importInput?.addEventListener('change', () => {
+        const file = importInput.files?.[0];
+        importInput.value = '';
+        if (file) onImport(file);
+    });
+
+    function append(entry) {
+        if (!timeline) return;
+        const atBottom = timeline.scrollTop + timeline.clientHeight >= timeline.scrollHeight - 4;
+
+        const row = document.createElement('li');
+        row.className = `trace-entry trace-${entry.kind}`;
+        if (entry.kind === 'request' && entry.origin === 'retry') row.classList.add('is-retry');
+
+        const time = document.createElement('span');
+        time.className = 'trace-time';
+        time.textContent = `+${(entry.t / 1000).toFixed(3)}s`;
+
+        const kind = document.createElement('span');
+        kind.className = 'trace-kind';
+        kind.textContent = entry.kind;
+
+        const detail = document.createElement('span');
+        detail.className = 'trace-detail';
+        detail.textContent = describeEntry(entry);
+
+        row.append(time, kind, detail);
+        timeline.append(row);
+        while (timeline.childElementCount > MAX_ROWS) timeline.firstElementChild.remove();
+
+        if (atBottom) timeline.scrollTop = timeline.scrollHeight;
+    }
+
+    function reset(entries = []) {
+        timeline?.replaceChildren();
+        for (const entry of entries) append(entry);
+    }
+
+    function setStatus(text) {
+        if (status) status.textContent = text;
+    }
+
+    function setReplaying(replaying) {
+        if (buttons.replay) buttons.replay.disabled = replaying;
+        if (buttons.stop) buttons.stop.disabled = !replaying;
+    }
+
+    setReplaying(false);
+    return { append, reset, setStatus, setReplaying };
+}
@@ -0,0 +1,178 @@
+// Session traces: a timestamped log of everything that happened to the state machine,
+// exportable as JSON and replayable against the same file.
+//
+// A trace starts when a file finishes loading. Entries carry `t`, milliseconds since that load,
+// so replaying means "reload the file, then re-issue the recorded actions at the same offsets".
+// Only actions are replayed (requests, input writes, overrides, fired events); everything
+// else (retries, transitions, value changes, errors) is the machine's response and is
+// regenerated by the replay itself.
+
+import { SYSTEM_CLOCK } from './clock.js';
+
+export const TRACE_FORMAT = 'computer-eyes-trace';
+export const TRACE_VERSION = 1;
+
+// Entry kinds that are re-issued on replay.
+export const REPLAYABLE_KINDS = new Set(['request', 'set-input', 'override', 'fire']);
+
+// Requests also come from retries, re-applies after Boot/Wink and crash recovery; only the
+// ones a person (or the initial load) made are actions. The rest get regenerated.
+const REPLAYABLE_ORIGINS = new Set(['user', 'load']);
+
+export function isReplayable(entry) {
+    if (!REPLAYABLE_KINDS.has(entry?.kind)) return false;
+    return entry.kind !== 'request' || REPLAYABLE_ORIGINS.has(entry.origin);
+}
+
+const MAX_ENTRIES = 20000;
+
+export async function sha256Hex(bytes) {
+    if (!globalThis.crypto?.subtle) return null;
+    const data = typeof bytes === 'string' ? new TextEncoder().encode(bytes) : bytes;
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function createTraceRecorder({ now = () => performance.now(), onEntry = () => {} } = {}) {
+    let startedAt = now();
+    let startedAtIso = new Date().toISOString();
+    let file = null;
+    let entries = [];
+    let dropped = 0;
+
+    function start(fileInfo) {
+        startedAt = now();
+        startedAtIso = new Date().toISOString();
+        file = fileInfo ? { ...fileInfo } : null;
+        entries = [];
+        dropped = 0;
+    }
+
+    function setFileHash(sha256) {
+        if (file) file.sha256 = sha256;
+    }
+
+    function record(kind, data = {}) {
+        const entry = { t: Math.round((now() - startedAt) * 10) / 10, kind, ...data };
+        entries.push(entry);
+        if (entries.length > MAX_ENTRIES) {
+            entries.shift();
+            dropped += 1;
+        }
+        onEntry(entry);
+        return entry;
+    }
+
+    function toJSON() {
+        return {
+            format: TRACE_FORMAT,
+            version: TRACE_VERSION,
+            startedAt: startedAtIso,
+            file,
+            ...(dropped ? { droppedEntries: dropped } : {}),
+            entries: entries.slice(),
+        };
+    }
+
+    return {
+        start,
+        setFileHash,
+        record,
+        toJSON,
+        get entries() {
+            return entries;
+        },
+        get file() {
+            return file;
+        },
+    };
+}
+
+export function parseTrace(text) {
+    let trace;
+    try {
+        trace = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Trace is not valid JSON: ${e.message}`);
+    }
+    if (trace?.format !== TRACE_FORMAT) {
+        throw new Error(`Not a trace file (expected "format": "${TRACE_FORMAT}").`);
+    }
+    if (trace.version !== TRACE_VERSION) {
+        throw new Error(`Unsupported trace version ${JSON.stringify(trace.version)} (this viewer reads version ${TRACE_VERSION}).`);
+    }
+    if (!Array.isArray(trace.entries)) {
+        throw new Error('Trace has no "entries" array.');
+    }
+    trace.entries.forEach((entry, i) => {
+        if (typeof entry?.t !== 'number' || typeof entry.kind !== 'string') {
+            throw new Error(`Trace entry #${i} needs a numeric "t" and a string "kind".`);
+        }
+    });
+    if (trace.droppedEntries) {
+        console.warn(`Trace dropped its first ${trace.droppedEntries} entries; replay may not match the original run.`);
+    }
+    return trace;
+}
+
+// Explain why a trace may not reproduce against the currently open file ('' if it should).
+export function describeFileMismatch(trace, fileInfo) {
+    const expected = trace?.file;
+    if (!expected) return 'Trace does not record which file it was made with.';
+    if (!fileInfo) return `Trace was recorded against "${expected.name}", but no file is open.`;
+    if (expected.sha256 && fileInfo.sha256 && expected.sha256 !== fileInfo.sha256) {
+        return `Trace was recorded against a different version of "${expected.name}" (SHA-256 differs).`;
+    }
+    if (!expected.sha256 && expected.name !== fileInfo.name) {
+        return `Trace was recorded against "${expected.name}", the open file is "${fileInfo.name}".`;
+    }
+    return '';
+}
+
+// Schedule the trace's actions at their recorded offsets (call right after the file loads).
+// Returns a cancel function.
+export function replayTrace(trace, { perform, onDone = () => {}, clock = SYSTEM_CLOCK }) {
+    const actions = trace.entries.filter(isReplayable);
+    const timers = [];
+    let remaining = actions.length;
+
+    if (!remaining) {
+        onDone();
+        return () => {};
+    }
+
+    for (const entry of actions) {
+        timers.push(clock.setTimeout(() => {
+            perform(entry);
+            remaining -= 1;
+            if (remaining === 0) onDone();
+        }, Math.max(0, entry.t)));
+    }
+
+    return () => {
+        for (const id of timers) clock.clearTimeout(id);
+        timers.length = 0;
+    };
+}
+
+export function describeEntry(entry) {
+    switch (entry.kind) {
+        case 'load': return `loaded ${entry.fileName}`;
+        case 'request': return entry.origin === 'retry'
+            ? `retry #${entry.retryAttempt} ${entry.inputName} = ${JSON.stringify(entry.value)}`
+            : `request ${entry.inputName} = ${JSON.stringify(entry.value)} (${entry.origin})`;
+        case 'retry-scheduled': return `rejected; retrying ${JSON.stringify(entry.value)} in ${entry.delay}ms (attempt ${entry.attempt})`;
+        case 'transition': return `${entry.from} → ${entry.to}`;
+        case 'state': return `entered ${entry.state}`;
+        case 'input': return `${entry.name}: ${JSON.stringify(entry.from)} → ${JSON.stringify(entry.to)}`;
+        case 'set-input': return `set ${entry.inputType} ${entry.name} = ${JSON.stringify(entry.value)}`;
+        case 'override': return `jump to ${entry.state}`;
+        case 'fire': return `fire event ${entry.event}`;
+        case 'error': return entry.message;
+        case 'crash': return `renderer crash (${entry.kind}): ${entry.message}`;
+        case 'recovery': return `recovery: ${entry.reason}`;
+        case 'suspend': return `state machine suspended for the timeline (in ${entry.state || '?'})`;
+        case 'resume': return `state machine resumed${entry.state ? `; requesting ${JSON.stringify(entry.state)}` : ''}`;
+        default: return JSON.stringify(entry);
+    }
+}
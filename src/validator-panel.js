@@ -0,0 +1,60 @@
+// Panel for the static validator (src/lottie-validator.js): a summary line and one row per issue.
+
+export function createValidatorPanel(root, { onRun, onExport }) {
+    const list = root.querySelector('[data-role="issues"]');
+    const status = root.querySelector('[data-role="status"]');
+    const summary = root.querySelector('summary');
+    const summaryLabel = summary?.textContent || 'Validate';
+    const buttons = {
+        run: root.querySelector('[data-action="run"]'),
+        export: root.querySelector('[data-action="export"]'),
+    };
+
+    buttons.run?.addEventListener('click', () => onRun());
+    buttons.export?.addEventListener('click', () => onExport());
+
+    function render(report) {
+        list.replaceChildren();
+        if (buttons.export) buttons.export.disabled = !report;
+        if (!report) {
+            if (summary) summary.textContent = summaryLabel;
+            return;
+        }
+
+        const counts = [];
+        if (report.errors) counts.push(`${report.errors} error${report.errors === 1 ? '' : 's'}`);
+        if (report.warnings) counts.push(`${report.warnings} warning${report.warnings === 1 ? '' : 's'}`);
+        if (summary) summary.textContent = counts.length ? `${summaryLabel} (${counts.join(', ')})` : summaryLabel;
+        setStatus(counts.length
+            ? `${report.file || 'This file'}: ${counts.join(', ')}.`
+            : `${report.file || 'This file'}: no problems found.`);
+
+        for (const item of report.issues) {
+            const row = document.createElement('li');
+            row.className = `validator-issue is-${item.severity}`;
+
+            const severity = document.createElement('span');
+            severity.className = 'validator-severity';
+            severity.textContent = item.severity;
+
+            const code = document.createElement('span');
+            code.className = 'validator-code';
+            code.textContent = item.code;
+
+            const message = document.createElement('span');
+            message.className = 'validator-message';
+            message.textContent = item.message;
+            if (item.where) message.title = item.where;
+
+            row.append(severity, code, message);
+            list.append(row);
+        }
+    }
+
+    function setStatus(message) {
+        if (status) status.textContent = message;
+    }
+
+    render(null);
+    return { render, setStatus };
+}
@@ -0,0 +1,160 @@
+// Shareable links: the viewer's configuration in the URL hash.
+//
+//   #src=https://example.com/eyes.lottie&anim=dark&sm=dark_sm&state=Think&bg=1e1e2e&speed=0.5&theme=dark
+//   #state=Peek&frame=120                  timeline mode, paused on frame 120
+//   #segment=Peek_In                       timeline mode, looping a marker
+//   #segment=100-220&frame=150             looping frames 100–220 from frame 150
+//
+// Keys:
+//   src      file URL (http/https, or relative to the viewer); omitted for the bundled file
+//   anim     animation id
+//   sm       state machine id
+//   state    control value to request (e.g. Think)
+//   bg       "checker", or a solid background color as rrggbb
+//   speed    playback speed, 0.05–10
+//   frame    frame to pause on (switches to timeline mode)
+//   segment  marker name, or "start-end" frames, to loop (switches to timeline mode)
+//   theme    manifest theme id
+//
+// parseViewLink() only checks the syntax. Whether the file has that animation, machine, state,
+// theme or marker is checked once it has loaded (checkViewLink).
+
+export const VIEW_LINK_KEYS = ['src', 'anim', 'sm', 'state', 'bg', 'speed', 'frame', 'segment', 'theme'];
+export const MIN_SPEED = 0.05;
+export const MAX_SPEED = 10;
+
+const RANGE_PATTERN = /^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/;
+
+// "100-220" → { start: 100, end: 220 }; anything else is a marker name.
+export function parseSegment(value) {
+    const match = RANGE_PATTERN.exec(value);
+    if (!match) return { marker: value };
+    return { start: Number(match[1]), end: Number(match[2]) };
+}
+
+export function formatSegment(segment) {
+    return segment.marker ?? `${Math.round(segment.start)}-${Math.round(segment.end)}`;
+}
+
+// `hash` is location.hash (with or without "#"). Returns { link, errors }: `link` holds the valid
+// parameters only, `errors` a readable line per rejected one.
+export function parseViewLink(hash, { base = globalThis.location?.href } = {}) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const link = {};
+    const errors = [];
+
+    for (const [key, raw] of params) {
+        const value = raw.trim();
+        if (!VIEW_LINK_KEYS.includes(key)) {
+            errors.push(`Unknown parameter "${key}" (expected ${VIEW_LINK_KEYS.join(', ')}).`);
+            continue;
+        }
+        if (!value) {
+            errors.push(`"${key}" is empty.`);
+            continue;
+        }
+
+        switch (key) {
+            case 'src': {
+                let url;
+                try {
+                    url = new URL(value, base);
+                } catch {
+                    errors.push(`src "${value}" is not a URL.`);
+                    break;
+                }
+                if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                    errors.push(`src must be an http(s) URL (got ${url.protocol}).`);
+                    break;
+                }
+                link.src = value;
+                break;
+            }
+            case 'bg': {
+                if (value === 'checker') {
+                    link.bg = { mode: 'checker' };
+                } else if (/^#?[0-9a-f]{6}$/i.test(value)) {
+                    link.bg = { mode: 'solid', color: `#${value.replace('#', '').toLowerCase()}` };
+                } else {
+                    errors.push(`bg must be "checker" or a color like 1e1e2e (got "${value}").`);
+                }
+                break;
+            }
+            case 'speed': {
+                const speed = Number(value);
+                if (!Number.isFinite(speed) || speed < MIN_SPEED || speed > MAX_SPEED) {
+                    errors.push(`speed must be a number from ${MIN_SPEED} to ${MAX_SPEED} (got "${value}").`);
+                } else {
+                    link.speed = speed;
+                }
+                break;
+            }
+            case 'frame': {
+                const frame = Number(value);
+                if (!Number.isFinite(frame) || frame < 0) {
+                    errors.push(`frame must be a frame number, 0 or more (got "${value}").`);
+                } else {
+                    link.frame = frame;
+                }
+                break;
+            }
+            case 'segment': {
+                const segment = parseSegment(value);
+                if (segment.marker == null && segment.start >= segment.end) {
+                    errors.push(`segment ${value} ends before it starts.`);
+                } else {
+                    link.segment = segment;
+                }
+                break;
+            }
+            default:
+                link[key] = value;
+        }
+    }
+    return { link, errors };
+}
+
+// The hash (without "#") for `link`; unset keys are left out.
+export function formatViewLink(link) {
+    const params = new URLSearchParams();
+    for (const key of VIEW_LINK_KEYS) {
+        const value = link[key];
+        if (value == null || value === '') continue;
+        if (key === 'bg') params.set(key, value.mode === 'checker' ? 'checker' : value.color.replace('#', ''));
+        else if (key === 'segment') params.set(key, formatSegment(value));
+        else if (key === 'speed' || key === 'frame') params.set(key, String(Math.round(value * 1000) / 1000));
+        else params.set(key, value);
+    }
+    return params.toString();
+}
+
+// Errors for parameters the loaded file can't honor. `file` describes it: { fileName,
+// animations, stateMachines, states, themes, markers, totalFrames } (ids and names as arrays of
+// strings).
+export function checkViewLink(link, file) {
+    const errors = [];
+    const list = (values) => (values.length ? values.join(', ') : 'none');
+    if (link.anim && !file.animations.includes(link.anim)) {
+        errors.push(`${file.fileName} has no animation "${link.anim}" (it has ${list(file.animations)}).`);
+    }
+    if (link.sm && !file.stateMachines.includes(link.sm)) {
+        errors.push(`${file.fileName} has no state machine "${link.sm}" (it has ${list(file.stateMachines)}).`);
+    }
+    if (link.state && !file.states.includes(link.state)) {
+        errors.push(`"${link.state}" is not a state of this machine (expected one of ${list(file.states)}).`);
+    }
+    if (link.theme && !file.themes.includes(link.theme)) {
+        errors.push(`${file.fileName} has no theme "${link.theme}" (it has ${list(file.themes)}).`);
+    }
+    if (link.segment?.marker != null && !file.markers.includes(link.segment.marker)) {
+        errors.push(`${file.fileName} has no marker "${link.segment.marker}" (it has ${list(file.markers)}).`);
+    }
+    const last = Math.max(0, file.totalFrames - 1);
+    if (link.segment?.end > last) {
+        errors.push(`segment ${formatSegment(link.segment)} runs past the last frame (${last}).`);
+    }
+    if (link.frame > last) {
+        errors.push(`frame ${link.frame} is past the last frame (${last}).`);
+    }
+    return errors;
+}
@@ -0,0 +1,100 @@
+// Muxes still WebP images (as produced by canvas.toBlob('image/webp')) into one animated WebP.
+//
+// No encoding happens here: each still's VP8/VP8L bitstream (plus its ALPH chunk, if any) is wrapped
+// in an ANMF frame, behind a VP8X header with the animation flag and an ANIM chunk.
+
+const VP8X_ALPHA = 0x10;
+const VP8X_ANIMATION = 0x02;
+const ANMF_NO_BLEND = 0x02;
+
+function fourCC(bytes, offset) {
+    return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+function readUint32(bytes, offset) {
+    return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+// Splits a WebP file into [{ id, data }] chunks (data excludes the 8-byte chunk header and padding).
+export function readWebpChunks(bytes) {
+    if (bytes.length < 12 || fourCC(bytes, 0) !== 'RIFF' || fourCC(bytes, 8) !== 'WEBP') {
+        throw new Error('Not a WebP file.');
+    }
+    const end = Math.min(bytes.length, 8 + readUint32(bytes, 4));
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= end) {
+        const id = fourCC(bytes, offset);
+        const size = readUint32(bytes, offset + 4);
+        const data = bytes.subarray(offset + 8, offset + 8 + size);
+        if (data.length !== size) throw new Error(`Truncated WebP chunk ${id}.`);
+        chunks.push({ id, data });
+        offset += 8 + size + (size & 1);
+    }
+    return chunks;
+}
+
+function chunk(id, data) {
+    const padded = data.length + (data.length & 1);
+    const out = new Uint8Array(8 + padded);
+    for (let i = 0; i < 4; i++) out[i] = id.charCodeAt(i);
+    new DataView(out.buffer).setUint32(4, data.length, true);
+    out.set(data, 8);
+    return out;
+}
+
+function uint24(out, offset, value) {
+    out[offset] = value & 0xff;
+    out[offset + 1] = (value >> 8) & 0xff;
+    out[offset + 2] = (value >> 16) & 0xff;
+}
+
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+// `stills`: Uint8Array WebP files, all width × height. `delays`: ms per frame (or one number).
+// `loop`: 0 = forever. `background`: [r, g, b, a] hint for players; frames never blend.
+export function muxAnimatedWebp(stills, { width, height, delays = 100, loop = 0, background = [0, 0, 0, 0] }) {
+    if (!stills.length) throw new Error('Nothing to encode: no frames.');
+
+    let hasAlpha = false;
+    const frames = stills.map((still, index) => {
+        const chunks = readWebpChunks(still);
+        const image = chunks.filter((c) => c.id === 'ALPH' || c.id === 'VP8 ' || c.id === 'VP8L');
+        if (!image.some((c) => c.id !== 'ALPH')) throw new Error(`Frame ${index} has no image data.`);
+        // VP8L carries its own alpha; lossy frames carry it in ALPH.
+        if (image.some((c) => c.id === 'ALPH' || c.id === 'VP8L')) hasAlpha = true;
+
+        const header = new Uint8Array(16);
+        uint24(header, 6, width - 1);
+        uint24(header, 9, height - 1);
+        const delay = Array.isArray(delays) ? delays[index] : delays;
+        uint24(header, 12, Math.max(1, Math.round(delay)));
+        header[15] = ANMF_NO_BLEND;
+        return chunk('ANMF', concat([header, ...image.map((c) => chunk(c.id, c.data))]));
+    });
+
+    const vp8x = new Uint8Array(10);
+    vp8x[0] = VP8X_ANIMATION | (hasAlpha ? VP8X_ALPHA : 0);
+    uint24(vp8x, 4, width - 1);
+    uint24(vp8x, 7, height - 1);
+
+    const anim = new Uint8Array(6);
+    const [r, g, b, a] = background;
+    anim.set([b, g, r, a]);
+    anim[4] = loop & 0xff;
+    anim[5] = (loop >> 8) & 0xff;
+
+    const body = concat([new TextEncoder().encode('WEBP'), chunk('VP8X', vp8x), chunk('ANIM', anim), ...frames]);
+    const header = new Uint8Array(8);
+    header.set(new TextEncoder().encode('RIFF'));
+    new DataView(header.buffer).setUint32(4, body.length, true);
+    return concat([header, body]);
+}
@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ANNOUNCE_DELAY_MS, createAnnouncer, shortcutFor, stepValue } from '../src/accessibility.js';
+import { createVirtualClock } from '../src/clock.js';
+
+const body = { tagName: 'BODY' };
+const key = (k, target = body, extra = {}) => shortcutFor({ key: k, target, ...extra });
+
+describe('shortcutFor', () => {
+    it('maps digits, arrows, Space and ?', () => {
+        assert.deepEqual(key('3'), { action: 'state', index: 2 });
+        assert.deepEqual(key('ArrowLeft'), { action: 'step', delta: -1 });
+        assert.deepEqual(key('ArrowDown'), { action: 'step', delta: 1 });
+        assert.deepEqual(key(' '), { action: 'pause' });
+        assert.deepEqual(key('?', body, { shiftKey: true }), { action: 'help' });
+        assert.equal(key('0'), null);
+        assert.equal(key('a'), null);
+    });
+
+    it('leaves typing, chords and handled events alone', () => {
+        assert.equal(key('1', { tagName: 'INPUT', type: 'text' }), null);
+        assert.equal(key('ArrowLeft', { tagName: 'INPUT', type: 'range' }), null);
+        assert.equal(key('?', { tagName: 'TEXTAREA' }), null);
+        assert.equal(key('2', { tagName: 'DIV', isContentEditable: true }), null);
+        assert.equal(key('1', body, { ctrlKey: true }), null);
+        assert.equal(key('1', body, { defaultPrevented: true }), null);
+    });
+
+    it('lets controls keep Space and the arrows but not digits', () => {
+        const radio = { tagName: 'INPUT', type: 'radio' };
+        assert.equal(key('ArrowRight', radio), null);
+        assert.equal(key(' ', { tagName: 'BUTTON' }), null);
+        assert.deepEqual(key('4', radio), { action: 'state', index: 3 });
+    });
+});
+
+describe('stepValue', () => {
+    const values = ['Base', 'Think', 'Peek'];
+
+    it('wraps around both ends', () => {
+        assert.equal(stepValue(values, 'Peek', 1), 'Base');
+        assert.equal(stepValue(values, 'Base', -1), 'Peek');
+        assert.equal(stepValue(values, 'Base', 1), 'Think');
+    });
+
+    it('starts at an end from an unknown value', () => {
+        assert.equal(stepValue(values, null, 1), 'Base');
+        assert.equal(stepValue(values, 'Idle', -1), 'Peek');
+        assert.equal(stepValue([], 'Base', 1), null);
+    });
+});
+
+describe('createAnnouncer', () => {
+    function announcer() {
+        const clock = createVirtualClock();
+        const said = [];
+        return { clock, said, announce: createAnnouncer((text) => said.push(text), { clock }) };
+    }
+
+    it('announces a settled value once, after ANNOUNCE_DELAY_MS', () => {
+        const { clock, said, announce } = announcer();
+        announce.settle('Think');
+        clock.advance(ANNOUNCE_DELAY_MS - 1);
+        assert.deepEqual(said, []);
+        clock.advance(1);
+        assert.deepEqual(said, ['Think']);
+        announce.settle('Think');
+        clock.advance(ANNOUNCE_DELAY_MS);
+        assert.deepEqual(said, ['Think']);
+    });
+
+    it('skips values passed through on the way', () => {
+        const { clock, said, announce } = announcer();
+        announce.settle('Base');
+        clock.advance(ANNOUNCE_DELAY_MS);
+        announce.settle('Boot');
+        clock.advance(200);
+        announce.settle('Base');
+        clock.advance(ANNOUNCE_DELAY_MS);
+        announce.settle('Peek');
+        clock.advance(300);
+        announce.settle('Peek');
+        clock.advance(ANNOUNCE_DELAY_MS - 300);
+        assert.deepEqual(said, ['Base', 'Peek']);
+    });
+
+    it('says `now` right away and repeats after a reset', () => {
+        const { clock, said, announce } = announcer();
+        announce.settle('Base');
+        clock.advance(ANNOUNCE_DELAY_MS);
+        announce.now('Paused');
+        announce.reset();
+        announce.settle('Base');
+        clock.advance(ANNOUNCE_DELAY_MS);
+        assert.deepEqual(said, ['Base', 'Paused', 'Base']);
+    });
+});
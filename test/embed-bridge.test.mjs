@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+import { createEmbedBridge, originsFromQuery } from '../src/embed-bridge.js';
+
+mock.method(console, 'warn', () => {});
+
+describe('originsFromQuery', () => {
+    it('takes only exact https origins from the iframe URL', () => {
+        const search = '?embedOrigin=*&embedOrigin=http://evil.example&embedOrigin=https://chat.example.com/some/page&embedOrigin=nope';
+        assert.deepEqual(originsFromQuery(search), ['https://chat.example.com']);
+        assert.deepEqual(originsFromQuery(''), []);
+    });
+
+    it('does not let the URL open the bridge to every origin', () => {
+        const posted = [];
+        const host = { postMessage: (message, origin) => posted.push(origin) };
+        const self = { addEventListener() {}, removeEventListener() {} };
+        const bridge = createEmbedBridge({
+            allowedOrigins: ['https://app.example.com', ...originsFromQuery('?embedOrigin=*')],
+            commands: {},
+            host,
+            self,
+        });
+        bridge.notify('ready');
+        assert.deepEqual(posted, ['https://app.example.com']);
+    });
+});
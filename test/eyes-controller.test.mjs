@@ -0,0 +1,585 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { after, afterEach, describe, it, mock } from 'node:test';
+import { NO_STATE_MACHINE } from '../src/eyes-controller.js';
+import { createHarness, readCsm, readLightDark } from './harness.mjs';
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+after(() => mock.restoreAll());
+
+let h;
+afterEach(() => h?.destroy());
+
+async function settleIn(value) {
+    const outcome = h.request(value);
+    await h.advanceUntil(() => outcome.done);
+    assert.equal(outcome.error, undefined, outcome.error?.message);
+    return outcome;
+}
+
+// Make the runtime refuse the next `times` writes to the control input (Infinity: all of them).
+function refuseInputs(player, times) {
+    const original = player.stateMachineSetStringInput.bind(player);
+    let refused = 0;
+    player.stateMachineSetStringInput = (name, value) => {
+        if (refused < times) {
+            refused += 1;
+            return false;
+        }
+        return original(name, value);
+    };
+    return () => refused;
+}
+
+describe('EyesController on the simulator', () => {
+    it('applies the default state on load and exposes the model', async () => {
+        h = await createHarness();
+        assert.equal(h.eyes.model.inputName, 'State');
+        assert.deepEqual(new Set(h.eyes.model.values), new Set(['Base', 'Error', 'Think', 'Peek', 'Reply', 'Wink', 'Boot']));
+        assert.deepEqual([...h.eyes.model.transient].sort(), ['Boot', 'Wink']);
+        const load = h.events.find((e) => e.type === 'request');
+        assert.equal(load.origin, 'load');
+        assert.equal(load.value, 'Base');
+    });
+
+    it('starts in the requested initial state', async () => {
+        h = await createHarness({ initialState: 'Reply' });
+        await h.advanceUntil(() => h.eyes.currentState === 'Reply_Loop');
+        assert.equal(h.eyes.highlightedState, 'Reply');
+    });
+
+    it('falls back to the default for an initial state the machine does not have', async () => {
+        h = await createHarness({ initialState: 'Dance' });
+        const load = h.events.find((e) => e.type === 'request');
+        assert.equal(load.value, 'Base');
+        assert.equal(h.eyes.stateMachineId, 'StateMachine1');
+    });
+
+    it('rejects values the machine does not have', async () => {
+        h = await createHarness();
+        await assert.rejects(h.eyes.setState('Dance'), { code: 'unknown-state' });
+    });
+});
+
+describe('highlight lock', () => {
+    it('stable: settles only after STABLE_MS (650 ms) in the requested bucket', async () => {
+        h = await createHarness();
+        await settleIn('Peek');
+        const mark = h.events.length;
+        await settleIn('Reply');
+
+        const flight = h.events.slice(mark);
+        const arrived = flight.findIndex((e) => e.type === 'stateenter' && e.state === 'Reply_In');
+        const settled = flight.find((e) => e.type === 'settle');
+        assert.ok(settled.t - flight[arrived].t >= 650, `settled ${settled.t - flight[arrived].t} ms after arriving`);
+        // Peek_Loop, Peek_Out and Eyes_Base ran in between, all highlighted as the request.
+        const passedThrough = flight.slice(0, arrived).filter((e) => e.type === 'statechange');
+        assert.ok(passedThrough.some((e) => e.bucket === 'Peek') && passedThrough.some((e) => e.bucket === 'Base'));
+        assert.ok(passedThrough.every((e) => e.highlighted === 'Reply'));
+    });
+
+    it('leave: a transient value settles on arrival and unlocks when the machine leaves it', async () => {
+        h = await createHarness();
+        await settleIn('Base');
+        const outcome = await settleIn('Wink');
+        assert.equal(outcome.value.state, 'Wink');
+        assert.equal(h.eyes.highlightedState, 'Wink');
+
+        await h.advanceUntil(() => h.eyes.currentState === 'Eyes_Base');
+        assert.equal(h.eyes.highlightedState, 'Base');
+    });
+
+    it('leave: is not released by the value just written while the old state winds down', async () => {
+        h = await createHarness();
+        await settleIn('Peek');
+        const mark = h.events.length;
+        await settleIn('Wink');
+        const highlights = h.events.slice(mark).filter((e) => e.type === 'statechange').map((e) => e.highlighted);
+        assert.ok(highlights.every((value) => value === 'Wink'), highlights.join(', '));
+    });
+
+    it('releases after LOCK_MS (8 s) even if the machine never gets there', async () => {
+        h = await createHarness();
+        await settleIn('Base');
+        // Accept the write without letting it reach the machine.
+        h.player.stateMachineSetStringInput = () => true;
+        const outcome = h.request('Reply');
+        h.clock.advance(7000);
+        // Send the machine through Idle (2.3 s): entering it is still covered by the lock,
+        // coming back to Eyes_Base afterwards isn't.
+        h.player.stateMachineSetNumericInput('IdleCounter', 600);
+        assert.equal(h.eyes.currentState, 'Idle');
+        assert.equal(h.eyes.highlightedState, 'Reply');
+        await h.advanceUntil(() => h.eyes.currentState === 'Eyes_Base');
+        assert.equal(h.eyes.highlightedState, 'Base');
+        await h.advanceUntil(() => outcome.done);
+        assert.equal(outcome.error.code, 'timeout');
+    });
+});
+
+describe('retries', () => {
+    it('backs off 90 ms × 1.55ⁿ while the runtime refuses the input', async () => {
+        h = await createHarness();
+        await settleIn('Base');
+        refuseInputs(h.player, 3);
+        const mark = h.events.length;
+        await settleIn('Peek');
+
+        const retries = h.events.slice(mark).filter((e) => e.type === 'retry');
+        assert.deepEqual(retries.map((e) => [e.attempt, e.delay]), [[1, 90], [2, 140], [3, 216]]);
+        const requests = h.events.slice(mark).filter((e) => e.type === 'request');
+        assert.deepEqual(requests.map((e) => e.origin), ['user', 'retry', 'retry', 'retry']);
+        assert.equal(h.eyes.model.bucketOf(h.eyes.currentState), 'Peek');
+    });
+
+    it('gives up after 8 retries (delays capped at 900 ms)', async () => {
+        h = await createHarness();
+        await settleIn('Base');
+        refuseInputs(h.player, Infinity);
+        const mark = h.events.length;
+        const outcome = h.request('Think');
+        await h.advanceUntil(() => outcome.done);
+
+        assert.equal(outcome.error.code, 'rejected');
+        const delays = h.events.slice(mark).filter((e) => e.type === 'retry').map((e) => e.delay);
+        assert.deepEqual(delays, [90, 140, 216, 335, 519, 805, 900, 900]);
+        assert.ok(h.events.slice(mark).some((e) => e.type === 'machineerror' && e.source === 'setState'));
+    });
+
+    it('drops pending retries when a newer request comes in', async () => {
+        h = await createHarness();
+        await settleIn('Base');
+        const refused = refuseInputs(h.player, 1);
+        const first = h.request('Think');
+        const second = h.request('Reply');
+        await h.advanceUntil(() => first.done && second.done);
+
+        assert.equal(refused(), 1);
+        assert.equal(first.error.code, 'superseded');
+        assert.equal(second.value.value, 'Reply');
+        h.clock.advance(2000);
+        assert.equal(h.eyes.model.bucketOf(h.eyes.currentState), 'Reply');
+    });
+});
+
+describe('transient states (Boot/Wink)', () => {
+    for (const [transient, machineState] of [['Wink', 'Wink'], ['Boot', 'Bootup']]) {
+        it(`re-applies a request made during ${transient} once the machine is back in Base`, async () => {
+            h = await createHarness();
+            await settleIn(transient);
+            assert.equal(h.eyes.currentState, machineState);
+
+            const mark = h.events.length;
+            const outcome = h.request('Think');
+            // The machine writes State = "Base" when the transient ends, overwriting Think…
+            await h.advanceUntil(() => outcome.done);
+            assert.equal(outcome.error, undefined);
+            const origins = h.events.slice(mark).filter((e) => e.type === 'request').map((e) => e.origin);
+            // …so the controller asks again.
+            assert.deepEqual(origins, ['user', 'requeue']);
+            h.clock.advance(3000);
+            assert.equal(h.eyes.currentState, 'Loading_Loop');
+        });
+    }
+
+    it('does not queue a request for the transient value itself', async () => {
+        h = await createHarness();
+        await settleIn('Wink');
+        const mark = h.events.length;
+        await settleIn('Wink');
+        assert.ok(!h.events.slice(mark).some((e) => e.type === 'request' && e.origin === 'requeue'));
+    });
+});
+
+describe('requests', () => {
+    it('rejects the older of two requests as superseded', async () => {
+        h = await createHarness();
+        const first = h.request('Peek');
+        const second = h.request('Reply');
+        await h.advanceUntil(() => first.done && second.done);
+        assert.equal(first.error.code, 'superseded');
+        assert.equal(second.value.value, 'Reply');
+    });
+
+    it('times out when the machine does not settle in time', async () => {
+        h = await createHarness();
+        await settleIn('Peek');
+        // Peek_Loop has to finish its 65-frame loop before anything else can start.
+        const outcome = h.request('Think', { timeout: 1000 });
+        await h.advanceUntil(() => outcome.done);
+        assert.equal(outcome.error.code, 'timeout');
+    });
+
+    it('lets an idle Base wander to Idle without changing the highlight', async () => {
+        h = await createHarness();
+        await settleIn('Base');
+        await h.advanceUntil(() => h.eyes.currentState === 'Idle', { limit: 25_000, step: 100 });
+        assert.equal(h.eyes.currentState, 'Idle');
+        assert.equal(h.eyes.highlightedState, 'Base');
+    });
+});
+
+describe('overrideState', () => {
+    it('jumps and points the control input at the state\'s bucket', async () => {
+        h = await createHarness();
+        await settleIn('Base');
+        const mark = h.events.length;
+        assert.equal(h.eyes.overrideState('Reply_Loop'), true);
+        assert.equal(h.eyes.currentState, 'Reply_Loop');
+        const request = h.events.slice(mark).find((e) => e.type === 'request');
+        assert.deepEqual([request.value, request.origin], ['Reply', 'override']);
+        h.clock.advance(5000);
+        assert.equal(h.eyes.currentState, 'Reply_Loop');
+        assert.equal(h.eyes.highlightedState, 'Reply');
+    });
+
+    it('reports a state the machine does not have', async () => {
+        h = await createHarness();
+        assert.equal(h.eyes.overrideState('Nope'), false);
+        assert.ok(h.events.some((e) => e.type === 'machineerror' && e.source === 'override'));
+    });
+});
+
+describe('suspend / resume', () => {
+    it('rejects pending and new requests while suspended', async () => {
+        h = await createHarness();
+        await settleIn('Peek');
+        const pending = h.request('Reply');
+        assert.equal(h.eyes.suspend(), true);
+        await pending.promise;
+        assert.equal(pending.error.code, 'suspended');
+        assert.equal(h.player.isStateMachineRunning, false);
+        await assert.rejects(h.eyes.setState('Think'), { code: 'suspended' });
+    });
+
+    it('restarts the machine in the last requested state', async () => {
+        h = await createHarness();
+        await settleIn('Reply');
+        h.eyes.suspend();
+        h.clock.advance(1000);
+
+        const resumed = h.eyes.resume();
+        const outcome = { done: false };
+        resumed.then((value) => Object.assign(outcome, { done: true, value }), (error) => Object.assign(outcome, { done: true, error }));
+        await h.advanceUntil(() => outcome.done);
+        assert.equal(outcome.error, undefined);
+        assert.equal(outcome.value.value, 'Reply');
+        const request = h.events.filter((e) => e.type === 'request').at(-1);
+        assert.equal(request.origin, 'resume');
+    });
+});
+
+describe('animations and state machines', () => {
+    it('starts on the first of each and reports the runtime status', async () => {
+        h = await createHarness({ data: await readLightDark() });
+        assert.equal(h.eyes.animationId, 'Main Scene');
+        assert.equal(h.eyes.stateMachineId, 'StateMachine1');
+        assert.deepEqual(h.eyes.machineStatus, { id: 'StateMachine1', status: 'Running' });
+    });
+
+    it('opens the requested animation and machine', async () => {
+        h = await createHarness({ data: await readLightDark(), animationId: 'dark', stateMachineId: 'dark_sm' });
+        assert.equal(h.eyes.animationId, 'dark');
+        assert.equal(h.eyes.stateMachineId, 'dark_sm');
+        assert.equal(h.events.filter((e) => e.type === 'load').length, 1);
+        assert.equal(h.events.find((e) => e.type === 'request').value, 'Base');
+    });
+
+    it('falls back to the first animation for an id the file does not have', async () => {
+        h = await createHarness({ animationId: 'dark' });
+        assert.equal(h.eyes.animationId, 'Main Scene');
+        assert.equal(h.eyes.model.inputName, 'State');
+    });
+
+    it('switches the animation and restarts the machine in the highlighted state', async () => {
+        h = await createHarness({ data: await readLightDark() });
+        await settleIn('Reply');
+        const reloaded = once(h.eyes, 'modelchange');
+        assert.equal(h.eyes.setAnimation('dark'), true);
+        await reloaded;
+        assert.equal(h.eyes.animationId, 'dark');
+        assert.equal(h.events.filter((e) => e.type === 'load').at(-1).switched, true);
+        await h.advanceUntil(() => h.eyes.currentState === 'Reply_Loop');
+        assert.equal(h.eyes.highlightedState, 'Reply');
+        assert.equal(h.eyes.setAnimation('light'), false);
+    });
+
+    it('switches the machine in place', async () => {
+        h = await createHarness({ data: await readLightDark() });
+        await settleIn('Peek');
+        const pending = h.request('Reply');
+        assert.equal(h.eyes.setStateMachine('dark_sm'), true);
+        await pending.promise;
+        assert.equal(pending.error.code, 'unloaded');
+        assert.deepEqual(h.eyes.machineStatus, { id: 'dark_sm', status: 'Running' });
+        await h.advanceUntil(() => h.eyes.currentState === 'Peek_Loop');
+        assert.equal(h.eyes.setStateMachine('nope'), false);
+    });
+
+    it('plays without a machine and goes back to one', async () => {
+        h = await createHarness({ data: await readLightDark() });
+        assert.equal(h.eyes.setStateMachine(NO_STATE_MACHINE), true);
+        assert.equal(h.eyes.stateMachineId, NO_STATE_MACHINE);
+        assert.equal(h.eyes.model.inputName, null);
+        assert.equal(h.player.isStateMachineRunning, false);
+        assert.equal(h.player.isPlaying, true);
+        assert.equal(h.events.filter((e) => e.type === 'modelchange').at(-1).hasStateMachine, false);
+        await assert.rejects(h.eyes.setState('Think'), { code: 'no-state-machine' });
+
+        // The timeline's suspend/resume leaves it without one.
+        h.eyes.suspend();
+        await h.eyes.resume();
+        assert.equal(h.player.isStateMachineRunning, false);
+
+        h.eyes.setStateMachine('StateMachine1');
+        assert.equal(h.player.isStateMachineRunning, true);
+        assert.equal(h.eyes.model.inputName, 'State');
+    });
+
+    it('opens a file without a machine when asked to', async () => {
+        h = await createHarness({ stateMachineId: NO_STATE_MACHINE });
+        assert.equal(h.player.isStateMachineRunning, false);
+        assert.equal(h.events.filter((e) => e.type === 'request').length, 0);
+    });
+});
+
+describe('edited state machines', () => {
+    // CSM's machine with Eyes_Base → Idle after `loops` loops instead of 600.
+    function idleAfter(loops) {
+        const def = structuredClone(h.eyes.definition);
+        const guard = def.states.find((s) => s.name === 'Eyes_Base').transitions.find((t) => t.toState === 'Idle').guards[0];
+        guard.compareTo = loops;
+        return def;
+    }
+
+    it('runs the edited machine without reloading the animation', async () => {
+        h = await createHarness();
+        await settleIn('Base');
+        const player = h.player;
+        assert.equal(h.eyes.setStateMachineData(idleAfter(2)), true);
+        assert.equal(h.player, player);
+        assert.equal(h.events.filter((e) => e.type === 'load').length, 1);
+        assert.equal(h.eyes.machineStatus.status, 'Running');
+        assert.equal(JSON.parse(h.eyes.stateMachineData).states.length, h.eyes.definition.states.length);
+        await h.advanceUntil(() => h.eyes.currentState === 'Idle', { limit: 5000, step: 100 });
+        assert.equal(h.eyes.currentState, 'Idle');
+        assert.equal(h.eyes.highlightedState, 'Base');
+    });
+
+    it('keeps the running machine when the runtime refuses the edit', async () => {
+        h = await createHarness();
+        await settleIn('Peek');
+        const def = idleAfter(2);
+        delete def.initial;
+        assert.equal(h.eyes.setStateMachineData(def), false);
+        assert.equal(h.events.filter((e) => e.type === 'machineerror').at(-1).source, 'machineData');
+        assert.equal(h.eyes.stateMachineData, null);
+        assert.deepEqual(h.eyes.machineStatus, { id: 'StateMachine1', status: 'Running' });
+        await h.advanceUntil(() => h.eyes.currentState === 'Peek_Loop');
+    });
+
+    it('survives a crash reload and is dropped by reverting, switching machine or loading', async () => {
+        h = await createHarness({ data: await readLightDark() });
+        await settleIn('Base');
+        h.eyes.setStateMachineData(idleAfter(2));
+        const reloaded = once(h.eyes, 'modelchange');
+        h.eyes.forceCrash('wasm');
+        h.clock.advance(0);
+        await reloaded;
+        assert.notEqual(h.eyes.stateMachineData, null);
+        await h.advanceUntil(() => h.eyes.currentState === 'Idle', { limit: 5000, step: 100 });
+        assert.equal(h.eyes.currentState, 'Idle');
+
+        assert.equal(h.eyes.setStateMachineData(null), true);
+        assert.equal(h.eyes.stateMachineData, null);
+        assert.equal(h.eyes.definition.states.find((s) => s.name === 'Eyes_Base').transitions.find((t) => t.toState === 'Idle').guards[0].compareTo, 600);
+
+        h.eyes.setStateMachineData(idleAfter(2));
+        h.eyes.setStateMachine('dark_sm');
+        assert.equal(h.eyes.stateMachineData, null);
+    });
+});
+
+describe('reloading with an edit', () => {
+    it('keeps running an edited machine across a load that carries it', async () => {
+        h = await createHarness();
+        await settleIn('Base');
+        const def = structuredClone(h.eyes.definition);
+        def.states.find((s) => s.name === 'Eyes_Base').transitions.find((t) => t.toState === 'Idle').guards[0].compareTo = 2;
+        h.eyes.setStateMachineData(def);
+        const edit = h.eyes.stateMachineData;
+
+        // What the viewer does after swapping an image in the file.
+        const reloaded = once(h.eyes, 'modelchange');
+        h.eyes.load({ data: await readCsm(), fileName: 'CSM.lottie' }, { stateMachineData: edit });
+        await reloaded;
+        assert.equal(h.eyes.stateMachineData, edit);
+        await h.advanceUntil(() => h.eyes.currentState === 'Idle', { limit: 5000, step: 100 });
+        assert.equal(h.eyes.currentState, 'Idle');
+    });
+
+    it('falls back to the file\'s machine when the runtime refuses the carried edit', async () => {
+        h = await createHarness();
+        const def = structuredClone(h.eyes.definition);
+        delete def.initial;
+        const reloaded = once(h.eyes, 'modelchange');
+        h.eyes.load({ data: await readCsm(), fileName: 'CSM.lottie' }, { stateMachineData: def });
+        await reloaded;
+        assert.equal(h.eyes.stateMachineData, null);
+        assert.equal(h.events.filter((e) => e.type === 'machineerror').at(-1).source, 'machineData');
+        assert.deepEqual(h.eyes.machineStatus, { id: 'StateMachine1', status: 'Running' });
+    });
+});
+
+describe('crash recovery', () => {
+    async function crashAndReload(kind) {
+        const reloaded = once(h.eyes, 'modelchange');
+        assert.equal(h.eyes.forceCrash(kind), true);
+        h.clock.advance(0);
+        await reloaded;
+    }
+
+    it('reloads and restores the inputs and the machine state', async () => {
+        h = await createHarness();
+        await settleIn('Reply');
+        h.player.stateMachineSetNumericInput('IdleCounter', 3);
+        const crashed = h.player;
+
+        await crashAndReload('wasm');
+        assert.notEqual(h.player, crashed);
+        assert.equal(h.eyes.currentState, 'Reply_Loop');
+        assert.equal(h.eyes.highlightedState, 'Reply');
+        assert.equal(h.player.stateMachineGetStringInput('State'), 'Reply');
+        assert.equal(h.player.stateMachineGetNumericInput('IdleCounter'), 3);
+        const recovery = h.events.find((e) => e.type === 'recovery');
+        assert.deepEqual([recovery.kind, recovery.state], ['wasm', 'Reply']);
+        assert.deepEqual(h.eyes.crashes.byKind, { wasm: 1, frozen: 0, render: 0, context: 0 });
+        assert.equal(h.eyes.crashes.recovered, 1);
+    });
+
+    it('makes a request that was in flight again', async () => {
+        h = await createHarness();
+        await settleIn('Base');
+        const outcome = h.request('Think');
+        await crashAndReload('render');
+        await h.advanceUntil(() => outcome.done);
+        assert.equal(outcome.error, undefined, outcome.error?.message);
+        const origins = h.events.filter((e) => e.type === 'request').map((e) => e.origin);
+        assert.deepEqual(origins.slice(-2), ['user', 'recovery']);
+    });
+
+    it('watchdog: a playing animation with no new frames for FROZEN_MS (3 s) is frozen', async () => {
+        h = await createHarness();
+        await settleIn('Peek');
+        const mark = h.clock.now();
+        const reloaded = once(h.eyes, 'modelchange');
+        h.eyes.forceCrash('frozen');
+        h.clock.advance(2900);
+        assert.equal(h.eyes.crashes.total, 0);
+        h.clock.advance(1100);
+        const crash = h.events.find((e) => e.type === 'crash');
+        assert.equal(crash.kind, 'frozen');
+        assert.ok(crash.t - mark >= 3000 && crash.t - mark <= 4000, `frozen after ${crash.t - mark} ms`);
+        await reloaded;
+        assert.equal(h.eyes.model.bucketOf(h.eyes.currentState), 'Peek');
+    });
+
+    it('watchdog: leaves a paused animation alone', async () => {
+        h = await createHarness();
+        await settleIn('Base');
+        h.eyes.suspend();
+        h.clock.advance(10_000);
+        assert.equal(h.eyes.crashes.total, 0);
+    });
+
+    it('restores the layout and the viewport', async () => {
+        h = await createHarness();
+        const layout = { fit: 'cover', align: [0, 1] };
+        assert.equal(h.eyes.setLayout(layout), true);
+        assert.equal(h.eyes.setViewport({ x: 25, y: 0, width: 50, height: 50 }), true);
+
+        await crashAndReload('context');
+        assert.deepEqual(h.player.layout, layout);
+        assert.deepEqual(h.player.viewport, { x: 25, y: 0, width: 50, height: 50 });
+        h.eyes.setViewport(null);
+        assert.deepEqual(h.player.viewport, { x: 0, y: 0, width: 100, height: 100 });
+    });
+
+    it('gives up after 3 reloads within a minute', async () => {
+        h = await createHarness();
+        await settleIn('Peek');
+        for (const kind of ['wasm', 'render', 'context']) await crashAndReload(kind);
+        assert.equal(h.eyes.forceCrash('wasm'), false);
+        const crashes = h.events.filter((e) => e.type === 'crash');
+        assert.deepEqual(crashes.map((e) => e.recovering), [true, true, true, false]);
+        assert.ok(h.events.some((e) => e.type === 'machineerror' && e.source === 'recovery'));
+        assert.deepEqual(h.eyes.crashes.byKind, { wasm: 2, frozen: 0, render: 1, context: 1 });
+        assert.equal(h.eyes.crashes.recovered, 3);
+    });
+});
+
+describe('reduced motion', () => {
+    it('still: holds a looping state and plays again for the next request', async () => {
+        h = await createHarness();
+        assert.equal(h.eyes.setMotion('still'), true);
+        await settleIn('Peek');
+        await h.advanceUntil(() => h.eyes.currentState === 'Peek_Loop');
+        h.clock.advance(10);
+        assert.equal(h.player.isPlaying, false);
+
+        const outcome = h.request('Think');
+        await h.advanceUntil(() => h.player.isPlaying, { limit: 100 });
+        assert.equal(h.player.isPlaying, true);
+        await h.advanceUntil(() => outcome.done);
+        assert.equal(outcome.error, undefined);
+        await h.advanceUntil(() => h.eyes.currentState === 'Loading_Loop');
+        h.clock.advance(10);
+        assert.equal(h.player.isPlaying, false);
+
+        h.eyes.setMotion('full');
+        assert.equal(h.player.isPlaying, true);
+    });
+
+    it('refuses an unknown mode', async () => {
+        h = await createHarness();
+        assert.equal(h.eyes.setMotion('none'), false);
+        assert.equal(h.eyes.motion, 'full');
+    });
+});
+
+describe('power saving', () => {
+    it('freezes while hidden, unless told not to', async () => {
+        h = await createHarness();
+        h.eyes.setVisible(false);
+        assert.equal(h.eyes.frozen, true);
+        h.eyes.setVisible(true);
+        assert.equal(h.eyes.frozen, false);
+
+        h.eyes.setFreezeWhenHidden(false);
+        h.eyes.setVisible(false);
+        assert.equal(h.eyes.frozen, false);
+        h.eyes.setFreezeWhenHidden(true);
+        assert.equal(h.eyes.frozen, true);
+        // play() restarts the render loop; a hidden canvas goes back to sleep.
+        h.player.play();
+        assert.equal(h.eyes.frozen, true);
+    });
+
+    it('keeps the pixel ratio cap and frame interpolation across reloads', async () => {
+        h = await createHarness();
+        assert.equal(h.eyes.setPixelRatioCap(0.5), true);
+        assert.equal(h.eyes.setPixelRatioCap(0), false);
+        h.eyes.setFrameInterpolation(false);
+        assert.deepEqual([h.canvas.width, h.canvas.height], [50, 50]);
+        assert.equal(h.player.useFrameInterpolation, false);
+
+        const reloaded = once(h.eyes, 'modelchange');
+        h.eyes.forceCrash('wasm');
+        h.clock.advance(0);
+        await reloaded;
+        assert.equal(h.player.useFrameInterpolation, false);
+        assert.equal(h.canvas.width, 50);
+    });
+});
+
@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { MAX_EXPORT_FRAMES, fitSize, segmentFrames } from '../src/frame-export.js';
+
+describe('fitSize', () => {
+    it('scales the longest side to the request and keeps the aspect ratio', () => {
+        assert.deepEqual(fitSize({ width: 400, height: 300 }, 800), { width: 800, height: 600 });
+        assert.deepEqual(fitSize({ width: 300, height: 400 }, 200), { width: 150, height: 200 });
+        assert.deepEqual(fitSize({ width: 1000, height: 3 }, 100), { width: 100, height: 1 });
+    });
+
+    it('treats a missing size as square', () => {
+        assert.deepEqual(fitSize(null, 64), { width: 64, height: 64 });
+        assert.deepEqual(fitSize({ width: 0, height: 0 }, 32), { width: 32, height: 32 });
+    });
+});
+
+describe('segmentFrames', () => {
+    it('resamples a segment to the export frame rate, leaving out the end frame', () => {
+        assert.deepEqual(segmentFrames({ start: 0, end: 30 }, { nativeFps: 30, fps: 5 }), [0, 6, 12, 18, 24]);
+        assert.deepEqual(segmentFrames({ start: 10, end: 20 }, { nativeFps: 60, fps: 24 }), [10, 12.5, 15, 17.5]);
+    });
+
+    it('returns one frame for an empty segment', () => {
+        assert.deepEqual(segmentFrames({ start: 7, end: 7 }, { nativeFps: 30, fps: 30 }), [7]);
+    });
+
+    it('refuses more than the frame limit', () => {
+        const end = MAX_EXPORT_FRAMES + 1;
+        assert.equal(segmentFrames({ start: 0, end: MAX_EXPORT_FRAMES }, { nativeFps: 30, fps: 30 }).length, MAX_EXPORT_FRAMES);
+        assert.throws(() => segmentFrames({ start: 0, end }, { nativeFps: 30, fps: 30 }), new RegExp(`${end} frames at 30 fps; the limit is ${MAX_EXPORT_FRAMES}`));
+    });
+});
@@ -0,0 +1,191 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildPalette, encodeGif } from '../src/gif-encoder.js';
+
+const RED = [220, 30, 40];
+const GREEN = [20, 200, 60];
+const BLUE = [30, 40, 210];
+const WHITE = [255, 255, 255];
+
+// A width × height RGBA frame; `colorAt(x, y)` returns [r, g, b] or null for a clear pixel.
+function frame(width, height, colorAt) {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const color = colorAt(x, y);
+            if (color) rgba.set([...color, 255], (y * width + x) * 4);
+        }
+    }
+    return rgba;
+}
+
+// Variable-width LZW decoding as a GIF reader does it, so the encoder is checked against the
+// format rather than against itself.
+function decodeLzw(data, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    let table = [];
+    let codeSize = minCodeSize + 1;
+    let previous = null;
+    let bits = 0;
+    let bitCount = 0;
+    let offset = 0;
+    const out = [];
+    for (;;) {
+        while (bitCount < codeSize) {
+            assert.ok(offset < data.length, 'image data ends before the end code');
+            bits |= data[offset++] << bitCount;
+            bitCount += 8;
+        }
+        const code = bits & ((1 << codeSize) - 1);
+        bits >>= codeSize;
+        bitCount -= codeSize;
+
+        if (code === clearCode) {
+            table = Array.from({ length: endCode + 1 }, (_, i) => [i]);
+            codeSize = minCodeSize + 1;
+            previous = null;
+            continue;
+        }
+        if (code === endCode) return out;
+        assert.ok(table.length, 'image data must start with a clear code');
+        let entry = table[code];
+        if (!entry) {
+            assert.equal(code, table.length, `code ${code} is not in the table yet`);
+            entry = [...previous, previous[0]];
+        }
+        out.push(...entry);
+        if (previous && table.length < 4096) {
+            table.push([...previous, entry[0]]);
+            if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+        }
+        previous = entry;
+    }
+}
+
+function subBlocks(bytes, offset) {
+    const parts = [];
+    for (let size = bytes[offset++]; size; size = bytes[offset++]) {
+        parts.push(...bytes.subarray(offset, offset + size));
+        offset += size;
+    }
+    return { data: Uint8Array.from(parts), offset };
+}
+
+// Walks the blocks of a GIF89a file the way encodeGif lays them out.
+function readGif(bytes) {
+    const word = (at) => bytes[at] | (bytes[at + 1] << 8);
+    const gif = {
+        signature: String.fromCharCode(...bytes.subarray(0, 6)),
+        width: word(6),
+        height: word(8),
+        flags: bytes[10],
+        palette: [],
+        loop: null,
+        frames: [],
+        trailer: false,
+    };
+    const tableSize = 1 << ((gif.flags & 0x07) + 1);
+    let offset = 13;
+    for (let i = 0; i < tableSize; i++, offset += 3) gif.palette.push([...bytes.subarray(offset, offset + 3)]);
+
+    let control = null;
+    while (offset < bytes.length) {
+        const introducer = bytes[offset];
+        if (introducer === 0x3b) {
+            gif.trailer = offset === bytes.length - 1;
+            break;
+        }
+        if (introducer === 0x21 && bytes[offset + 1] === 0xff) {
+            const app = String.fromCharCode(...bytes.subarray(offset + 3, offset + 14));
+            const { data, offset: next } = subBlocks(bytes, offset + 14);
+            if (app === 'NETSCAPE2.0') gif.loop = data[1] | (data[2] << 8);
+            offset = next;
+        } else if (introducer === 0x21 && bytes[offset + 1] === 0xf9) {
+            const flags = bytes[offset + 3];
+            control = {
+                disposal: (flags >> 2) & 0x07,
+                delay: word(offset + 4),
+                transparentIndex: flags & 1 ? bytes[offset + 6] : null,
+            };
+            offset += 8;
+        } else if (introducer === 0x2c) {
+            const descriptor = { left: word(offset + 1), top: word(offset + 3), width: word(offset + 5), height: word(offset + 7), flags: bytes[offset + 9] };
+            const minCodeSize = bytes[offset + 10];
+            const { data, offset: next } = subBlocks(bytes, offset + 11);
+            gif.frames.push({ ...control, ...descriptor, indices: decodeLzw(data, minCodeSize) });
+            control = null;
+            offset = next;
+        } else {
+            assert.fail(`unexpected block 0x${introducer.toString(16)} at ${offset}`);
+        }
+    }
+    return gif;
+}
+
+// The color each decoded pixel ends up as (null where transparent).
+const pixels = (gif, f) => gif.frames[f].indices.map((i) => (i === gif.frames[f].transparentIndex ? null : gif.palette[i]));
+
+describe('buildPalette', () => {
+    it('keeps every color when there are few enough, and ignores clear pixels', () => {
+        const palette = buildPalette([frame(3, 2, (x, y) => (y ? null : [RED, GREEN, BLUE][x]))], 256);
+        assert.deepEqual(palette.toSorted(), [BLUE, GREEN, RED].toSorted());
+    });
+
+    it('averages colors into at most maxColors entries', () => {
+        const palette = buildPalette([frame(4, 1, (x) => [RED, [224, 30, 40], BLUE, [30, 44, 210]][x])], 2);
+        assert.deepEqual(palette.toSorted(), [[222, 30, 40], [30, 42, 210]].toSorted());
+        assert.deepEqual(buildPalette([frame(2, 2, () => null)], 256), [[0, 0, 0]]);
+    });
+});
+
+describe('encodeGif', () => {
+    const pattern = (x, y) => [RED, GREEN, BLUE, WHITE][(x * 7 + y * 13 + ((x * y) >> 3)) % 4];
+
+    it('writes the header, palette, loop extension and trailer', () => {
+        const bytes = encodeGif([frame(3, 1, (x) => [RED, GREEN, BLUE][x])], { width: 3, height: 1, loop: 2 });
+        const gif = readGif(bytes);
+        assert.equal(gif.signature, 'GIF89a');
+        assert.deepEqual([gif.width, gif.height], [3, 1]);
+        assert.equal(gif.flags, 0x91); // global table of 4 entries
+        assert.deepEqual(gif.palette.slice(0, 3).toSorted(), [BLUE, GREEN, RED].toSorted());
+        assert.deepEqual(gif.palette[3], [0, 0, 0]);
+        assert.equal(gif.loop, 2);
+        assert.equal(gif.trailer, true);
+        assert.equal(bytes.at(-1), 0x3b);
+    });
+
+    it('compresses every frame so it decodes back to its pixels', () => {
+        const frames = [frame(64, 64, pattern), frame(64, 64, (x, y) => pattern(y, x))];
+        const gif = readGif(encodeGif(frames, { width: 64, height: 64 }));
+        assert.equal(gif.frames.length, 2);
+        for (const [f, colorAt] of [[0, pattern], [1, (x, y) => pattern(y, x)]]) {
+            const { left, top, width, height, flags, indices } = gif.frames[f];
+            assert.deepEqual([left, top, width, height, flags], [0, 0, 64, 64, 0]);
+            assert.equal(indices.length, 64 * 64);
+            const expected = Array.from({ length: 64 * 64 }, (_, p) => colorAt(p % 64, Math.floor(p / 64)));
+            assert.deepEqual(pixels(gif, f), expected, `frame ${f}`);
+        }
+    });
+
+    it('keeps the total delay when rounding to centiseconds', () => {
+        const frames = Array.from({ length: 3 }, () => frame(2, 2, () => RED));
+        const gif = readGif(encodeGif(frames, { width: 2, height: 2, delays: [33, 33, 34] }));
+        assert.deepEqual(gif.frames.map((f) => f.delay), [3, 4, 3]);
+        assert.deepEqual(readGif(encodeGif(frames, { width: 2, height: 2, delays: 5 })).frames.map((f) => f.delay), [2, 2, 2]);
+    });
+
+    it('gives clear pixels their own index and clears between frames', () => {
+        const gif = readGif(encodeGif([frame(2, 2, (x, y) => (x === y ? GREEN : null))], { width: 2, height: 2, transparent: true }));
+        const [first] = gif.frames;
+        assert.equal(first.transparentIndex, 1);
+        assert.equal(first.disposal, 2);
+        assert.deepEqual(pixels(gif, 0), [GREEN, null, null, GREEN]);
+        assert.equal(readGif(encodeGif([frame(1, 1, () => GREEN)], { width: 1, height: 1 })).frames[0].disposal, 1);
+    });
+
+    it('refuses empty and oversized input', () => {
+        assert.throws(() => encodeGif([], { width: 1, height: 1 }), /no frames/);
+        assert.throws(() => encodeGif([new Uint8ClampedArray(4)], { width: 70_000, height: 1 }), /limited to 65535 px/);
+    });
+});
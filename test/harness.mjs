@@ -0,0 +1,108 @@
+// Shared setup for the Node tests: an EyesController on CSM.lottie, driven by the state
+// machine simulator (src/state-machine-sim.js) on a virtual clock.
+
+import { once } from 'node:events';
+import { readFile } from 'node:fs/promises';
+import { createVirtualClock } from '../src/clock.js';
+import { readDotLottie, repackDotLottie } from '../src/dotlottie-archive.js';
+import { EYES_EVENTS, EyesController } from '../src/eyes-controller.js';
+import { SimulatedPlayer } from '../src/state-machine-sim.js';
+
+let csmBytes = null;
+
+// CSM.lottie as an ArrayBuffer (read once; callers get their own copy).
+export async function readCsm() {
+    if (!csmBytes) {
+        const file = await readFile(new URL('../CSM.lottie', import.meta.url));
+        csmBytes = file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+    }
+    return csmBytes.slice(0);
+}
+
+// CSM.lottie with a second animation ("dark", 300 px wide) and machine ("dark_sm"), like a file
+// that packs light and dark variants.
+export async function readLightDark() {
+    const archive = await readDotLottie(await readCsm());
+    const animation = archive.readJson(archive.pathOf('animation', archive.manifest.animations[0].id));
+    const machine = archive.readJson(archive.pathOf('stateMachine', archive.manifest.stateMachines[0].id));
+    const bytes = await repackDotLottie(await readCsm(), {
+        changes: { 'a/dark.json': { ...animation, w: 300 }, 's/dark_sm.json': machine },
+        editManifest: (manifest) => ({
+            ...manifest,
+            animations: [...manifest.animations, { id: 'dark' }],
+            stateMachines: [...manifest.stateMachines, { id: 'dark_sm' }],
+        }),
+    });
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+export function fakeCanvas(size = 100) {
+    return {
+        width: size,
+        height: size,
+        getBoundingClientRect: () => ({ width: size, height: size }),
+    };
+}
+
+// A simulated player on CSM.lottie with its machine started (no controller involved).
+export async function openCsmPlayer(clock = createVirtualClock()) {
+    const player = new SimulatedPlayer({ data: await readCsm() }, { clock });
+    await new Promise((resolve) => player.addEventListener('load', resolve));
+    player.stateMachineLoad(player.manifest.stateMachines[0].id);
+    player.stateMachineStart();
+    return { clock, player };
+}
+
+// Loads CSM.lottie (or `data`) into a controller and waits for the state model. Every controller
+// event is kept in `events` as { t, type, ...detail }.
+export async function createHarness({ initialState, overrides = {}, data = null, stateMachineId, animationId } = {}) {
+    const clock = createVirtualClock();
+    const canvas = fakeCanvas();
+    const eyes = new EyesController(canvas, {
+        clock,
+        getOverrides: () => overrides,
+        createPlayer: (config) => new SimulatedPlayer(config, { clock }),
+    });
+    const events = [];
+    for (const type of EYES_EVENTS) {
+        eyes.addEventListener(type, ({ detail }) => events.push({ t: clock.now(), type, ...detail }));
+    }
+
+    const ready = once(eyes, 'modelchange');
+    eyes.load({ data: data ?? (await readCsm()), fileName: 'CSM.lottie' }, { initialState, stateMachineId, animationId });
+    await ready;
+
+    return {
+        clock,
+        eyes,
+        canvas,
+        events,
+        get player() {
+            return eyes.player;
+        },
+        // setState() whose outcome can be inspected after the clock moves:
+        // { done, value, error } (done stays false while it is pending).
+        request(value, options) {
+            const outcome = { done: false, value: undefined, error: undefined };
+            outcome.promise = eyes.setState(value, options).then(
+                (result) => Object.assign(outcome, { done: true, value: result }),
+                (error) => Object.assign(outcome, { done: true, error }),
+            );
+            return outcome;
+        },
+        // Advance in small steps until `predicate()` holds (or `limit` ms pass); resolves
+        // with the elapsed virtual time.
+        async advanceUntil(predicate, { limit = 30_000, step = 10 } = {}) {
+            const start = clock.now();
+            while (!predicate() && clock.now() - start < limit) {
+                clock.advance(step);
+                await Promise.resolve();
+            }
+            await Promise.resolve();
+            return clock.now() - start;
+        },
+        destroy() {
+            eyes.destroy();
+        },
+    };
+}
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { readDotLottie, repackDotLottie } from '../src/dotlottie-archive.js';
+import { ASSET_WARN_BYTES, imageInfo, readImageAssets, replaceImageAsset } from '../src/lottie-assets.js';
+import { readCsm } from './harness.mjs';
+
+// The signature and IHDR chunk of a PNG (enough for imageInfo), padded to `size` bytes.
+function pngHeader(width, height, size = 64) {
+    const bytes = new Uint8Array(size);
+    bytes.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(16, width);
+    view.setUint32(20, height);
+    bytes[size - 1] = size & 0xff; // different sizes, different content
+    return bytes;
+}
+
+const toBuffer = (bytes) => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+
+describe('imageInfo', () => {
+    it('reads PNG and WebP sizes from the header', async () => {
+        assert.deepEqual(imageInfo(pngHeader(351, 200)), { format: 'png', width: 351, height: 200 });
+        const archive = await readDotLottie(await readCsm());
+        assert.deepEqual(imageInfo(archive.files.get('i/1.webp')), { format: 'webp', width: 351, height: 351 });
+        assert.equal(imageInfo(new TextEncoder().encode('{"not":"an image"}')).format, null);
+    });
+});
+
+describe('readImageAssets', () => {
+    it('lists the images in CSM.lottie with the layers that use them', async () => {
+        const report = await readImageAssets(await readCsm());
+        assert.equal(report.images.length, 8);
+        const first = report.images[0];
+        assert.deepEqual([first.path, first.format, first.width, first.height, first.size], ['i/1.webp', 'webp', 351, 351, 5172]);
+        assert.deepEqual(first.uses[0].layers, [{ name: 'blink 2s l › Guide', hidden: true }]);
+        assert.equal(report.totalBytes, 8 * 5172);
+        // All eight are the same picture, each on a hidden guide layer.
+        assert.deepEqual(first.issues.map((i) => i.code), ['hidden']);
+        assert.deepEqual(report.images[1].issues.map((i) => i.code), ['hidden', 'duplicate']);
+        assert.match(report.images[1].issues[1].message, /Same image as i\/1\.webp/);
+    });
+
+    it('warns about unused, heavy and oversized images', async () => {
+        const csm = await readCsm();
+        const archive = await readDotLottie(csm);
+        const animation = archive.readJson('a/Main Scene.json');
+        animation.assets.find((a) => a.id === '1').p = 'big.png';
+        const bytes = await repackDotLottie(csm, {
+            changes: {
+                'a/Main Scene.json': animation,
+                'i/big.png': pngHeader(1200, 1200, ASSET_WARN_BYTES + 1),
+                'i/stray.png': pngHeader(10, 10),
+            },
+        });
+        const report = await readImageAssets(toBuffer(bytes));
+        const codes = (path) => report.images.find((i) => i.path === path).issues.map((i) => i.code);
+        assert.deepEqual(codes('i/big.png'), ['hidden', 'heavy', 'oversized']);
+        assert.deepEqual(codes('i/stray.png'), ['unused']);
+        assert.deepEqual(codes('i/1.webp'), ['unused', 'duplicate']);
+    });
+
+    it('reads images inlined in plain Lottie JSON', async () => {
+        const png = pngHeader(4, 4);
+        const json = {
+            v: '5.7.0', fr: 30, ip: 0, op: 30, w: 4, h: 4,
+            assets: [{ id: 'img', w: 4, h: 4, e: 1, u: '', p: `data:image/png;base64,${Buffer.from(png).toString('base64')}` }],
+            layers: [{ ty: 2, nm: 'Picture', refId: 'img' }],
+        };
+        const report = await readImageAssets(toBuffer(new TextEncoder().encode(JSON.stringify(json))));
+        assert.equal(report.images.length, 1);
+        assert.deepEqual([report.images[0].inline, report.images[0].width, report.images[0].issues], [true, 4, []]);
+    });
+});
+
+describe('replaceImageAsset', () => {
+    it('swaps a WebP for a WebP in place, leaving every other entry alone', async () => {
+        const csm = await readCsm();
+        const before = await readDotLottie(csm);
+        const replacement = before.files.get('i/1.webp').slice();
+        replacement[replacement.length - 1] ^= 0xff;
+        const after = await readDotLottie(await replaceImageAsset(csm, 'i/1_BEyk6oHMoh.webp', replacement));
+        assert.deepEqual([...after.files.keys()], [...before.files.keys()]);
+        for (const [name, bytes] of before.files) {
+            assert.deepEqual(after.files.get(name), name === 'i/1_BEyk6oHMoh.webp' ? replacement : bytes, name);
+        }
+    });
+
+    it('renames the file for another format and points the asset at it', async () => {
+        const csm = await readCsm();
+        const bytes = await replaceImageAsset(csm, 'i/1.webp', pngHeader(351, 351));
+        const after = await readDotLottie(bytes);
+        assert.equal(after.files.has('i/1.webp'), false);
+        assert.equal(after.files.has('i/1.png'), true);
+        assert.equal(after.readJson('a/Main Scene.json').assets.find((a) => a.id === '1').p, '1.png');
+        const report = await readImageAssets(toBuffer(bytes));
+        assert.deepEqual(report.images[0].uses.map((u) => u.assetId), ['1']);
+        assert.equal(report.images[0].path, 'i/1.png');
+    });
+
+    it('refuses anything but PNG or WebP, and paths the file does not have', async () => {
+        const csm = await readCsm();
+        await assert.rejects(replaceImageAsset(csm, 'i/1.webp', new TextEncoder().encode('GIF89a\x01\x00\x01\x00')), /PNG or WebP/);
+        await assert.rejects(replaceImageAsset(csm, 'i/nope.webp', pngHeader(1, 1)), /no i\/nope\.webp/);
+    });
+});
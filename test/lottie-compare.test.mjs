@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { compareFiles, describeDifferences, diffPixels } from '../src/lottie-compare.js';
+
+const shipped = {
+    states: ['Eyes_Base', 'Peek_In', 'Peek_Loop', 'Wink'],
+    inputs: [{ name: 'State', type: 'String' }, { name: 'IdleCounter', type: 'Numeric' }],
+    markers: [{ name: 'Peek_In', time: 100, duration: 20 }, { name: 'Wink', time: 300, duration: 12 }],
+};
+
+describe('compareFiles', () => {
+    it('finds nothing between a file and itself', () => {
+        const diff = compareFiles(shipped, structuredClone(shipped));
+        assert.equal(diff.same, true);
+        assert.deepEqual(describeDifferences(diff), []);
+    });
+
+    it('lists what only one side has and what changed', () => {
+        const next = {
+            states: ['Eyes_Base', 'Peek_In', 'Peek_Loop', 'Dance'],
+            inputs: [{ name: 'State', type: 'String' }, { name: 'IdleCounter', type: 'String' }, { name: 'Tap', type: 'Event' }],
+            markers: [{ name: 'Peek_In', time: 100, duration: 24 }, { name: 'Dance', time: 400, duration: 30 }],
+        };
+        const diff = compareFiles(shipped, next);
+        assert.equal(diff.same, false);
+        assert.deepEqual(diff.states, { onlyA: ['Wink'], onlyB: ['Dance'] });
+        assert.deepEqual(diff.inputs.changed, [{ name: 'IdleCounter', a: 'Numeric', b: 'String' }]);
+        assert.deepEqual(describeDifferences(diff), [
+            'State "Wink" only in A',
+            'State "Dance" only in B',
+            'Input "Tap" only in B',
+            'Input "IdleCounter": type Numeric in A, String in B',
+            'Marker "Wink" only in A',
+            'Marker "Dance" only in B',
+            'Marker "Peek_In": frames 100–120 in A, 100–124 in B',
+        ]);
+    });
+
+    it('treats a file without a state machine as having no states or inputs', () => {
+        const diff = compareFiles(shipped, { markers: shipped.markers });
+        assert.deepEqual(diff.states.onlyA, shipped.states);
+        assert.deepEqual(diff.inputs.onlyA, ['State', 'IdleCounter']);
+        assert.deepEqual(diff.markers, { onlyA: [], onlyB: [], changed: [] });
+    });
+});
+
+describe('diffPixels', () => {
+    const pixels = (...rgba) => new Uint8ClampedArray(rgba.flat());
+
+    it('marks pixels that differ past the threshold', () => {
+        const a = pixels([0, 0, 0, 255], [200, 100, 50, 255], [10, 10, 10, 255]);
+        const b = pixels([0, 0, 0, 255], [200, 140, 50, 255], [20, 10, 10, 255]);
+        const { mask, changed, total } = diffPixels(a, b);
+        assert.equal(total, 3);
+        assert.equal(changed, 1);
+        assert.deepEqual([...mask.slice(0, 4)], [0, 0, 0, 0]);
+        assert.equal(mask[7], 220);
+        assert.deepEqual([...mask.slice(8)], [0, 0, 0, 0]);
+        assert.equal(diffPixels(a, b, { threshold: 5 }).changed, 2);
+    });
+
+    it('ignores color under full transparency but not alpha changes', () => {
+        const a = pixels([255, 0, 0, 0], [0, 0, 0, 0]);
+        const b = pixels([0, 255, 0, 0], [0, 0, 0, 128]);
+        assert.equal(diffPixels(a, b).changed, 1);
+    });
+
+    it('refuses buffers of different sizes', () => {
+        assert.throws(() => diffPixels(new Uint8ClampedArray(4), new Uint8ClampedArray(8)), /same size/);
+    });
+});
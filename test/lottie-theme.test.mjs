@@ -0,0 +1,146 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { readDotLottie, readZipEntries, repackDotLottie, writeZip } from '../src/dotlottie-archive.js';
+import {
+    detectColors,
+    hexToRgb,
+    listSlots,
+    packThemedLottie,
+    readThemeSource,
+    rgbToHex,
+    slotifyColors,
+    slotifySource,
+    themeFromValues,
+    valuesFromTheme,
+} from '../src/lottie-theme.js';
+import { readCsm } from './harness.mjs';
+
+const fill = (k, extra = {}) => ({ ty: 'fl', c: { a: 0, k }, o: { a: 0, k: 100 }, ...extra });
+
+function animation() {
+    return {
+        v: '5.7.0', fr: 30, ip: 0, op: 30, w: 100, h: 100,
+        layers: [
+            { ty: 4, nm: 'Shapes', shapes: [{ ty: 'gr', it: [fill([1, 0, 0]), { ty: 'st', c: { a: 0, k: [0, 0, 0, 1] } }] }, fill([1, 0, 0])] },
+            { ty: 4, nm: 'Hidden', hd: true, shapes: [fill([0, 1, 0])] },
+            { ty: 4, nm: 'Hidden shape', shapes: [fill([0, 0, 1], { hd: true })] },
+            { ty: 0, refId: 'comp' },
+        ],
+        assets: [{ id: 'comp', layers: [{ ty: 4, shapes: [fill([1, 1, 1])] }] }],
+    };
+}
+
+describe('writeZip', () => {
+    it('round-trips stored and deflated entries through readZipEntries', async () => {
+        const noise = Uint8Array.from({ length: 256 }, (_, i) => (i * 97 + 13) % 256);
+        const bytes = await writeZip([
+            { name: 'manifest.json', data: JSON.stringify({ version: '2', text: 'x'.repeat(500) }) },
+            { name: 'i/noise.bin', data: noise },
+        ]);
+        const entries = await readZipEntries(bytes);
+        assert.deepEqual(entries.map((e) => [e.name, e.method]), [['manifest.json', 8], ['i/noise.bin', 0]]);
+        assert.deepEqual(entries[1].data, noise);
+        assert.equal(JSON.parse(new TextDecoder().decode(entries[0].data)).text.length, 500);
+    });
+
+    it('repacks a .lottie with files changed and every other entry kept', async () => {
+        const original = await readDotLottie(await readCsm());
+        const bytes = await repackDotLottie(await readCsm(), {
+            changes: { 't/dark.json': { rules: [] }, 's/StateMachine1.json': null },
+            editManifest: (manifest) => ({ ...manifest, stateMachines: [] }),
+        });
+        const repacked = await readDotLottie(bytes);
+        assert.deepEqual(repacked.manifest.stateMachines, []);
+        assert.equal(repacked.files.has('s/StateMachine1.json'), false);
+        assert.deepEqual(repacked.readJson('t/dark.json'), { rules: [] });
+        for (const name of ['a/Main Scene.json', 'i/1.webp']) {
+            assert.deepEqual(repacked.files.get(name), original.files.get(name));
+        }
+    });
+});
+
+describe('slots', () => {
+    it('converts between 0–1 colors and hex', () => {
+        assert.equal(rgbToHex([1, 0.5, 0, 1]), '#ff8000');
+        assert.deepEqual(hexToRgb('#ff8000'), [1, 0.502, 0]);
+        assert.throws(() => hexToRgb('red'), /not a #rrggbb/);
+    });
+
+    it('lists static Color and Scalar slots only', () => {
+        const slots = listSlots({
+            slots: {
+                bg: { p: { a: 0, k: [0.1, 0.2, 0.3] } },
+                size: { p: { a: 0, k: 42 } },
+                pulse: { p: { a: 1, k: [] } },
+                logo: { p: { id: 'image_0', w: 10, h: 10 } },
+            },
+        });
+        assert.deepEqual(slots, [
+            { id: 'bg', type: 'Color', value: [0.1, 0.2, 0.3] },
+            { id: 'size', type: 'Scalar', value: 42 },
+        ]);
+    });
+
+    it('detects visible fill and stroke colors, skipping hidden layers and shapes', () => {
+        assert.deepEqual(detectColors(animation()).map((c) => [c.hex, c.count]), [
+            ['#ff0000', 2],
+            ['#000000', 1],
+            ['#ffffff', 1],
+        ]);
+    });
+
+    it('turns each detected color into a slot without touching the original', () => {
+        const source = animation();
+        const slotted = slotifyColors(source);
+        assert.equal(source.slots, undefined);
+        assert.deepEqual(listSlots(slotted).map((s) => s.id), ['color_ff0000', 'color_000000', 'color_ffffff']);
+        assert.equal(slotted.layers[0].shapes[1].c.sid, 'color_ff0000');
+        assert.equal(slotted.layers[1].shapes[0].c.sid, undefined);
+        assert.deepEqual(detectColors(slotted), []);
+        assert.equal(slotifyColors(slotted), null);
+    });
+
+    it('builds theme rules from edited values and reads them back', () => {
+        const slots = [
+            { id: 'bg', type: 'Color', value: [1, 1, 1] },
+            { id: 'size', type: 'Scalar', value: 10 },
+        ];
+        const theme = themeFromValues(slots, { bg: [0, 0, 0], size: 10 });
+        assert.deepEqual(theme, { rules: [{ id: 'bg', type: 'Color', value: [0, 0, 0] }] });
+        assert.equal(themeFromValues(slots, { bg: [1, 1, 1], size: 10 }, { all: true }).rules.length, 2);
+        assert.deepEqual(valuesFromTheme(slots, theme), { bg: [0, 0, 0], size: 10 });
+        assert.deepEqual(valuesFromTheme(slots, { rules: [{ id: 'size', value: 'big' }, { id: 'nope', value: 1 }] }), {
+            bg: [1, 1, 1],
+            size: 10,
+        });
+    });
+});
+
+describe('themed .lottie files', () => {
+    it('slots CSM.lottie and embeds a theme as the initial one', async () => {
+        const slotted = await slotifySource(await readCsm());
+        const { animation, animationId } = await readThemeSource(slotted);
+        assert.equal(animationId, 'Main Scene');
+        const slots = listSlots(animation);
+        assert.ok(slots.some((s) => s.id === 'color_161616'));
+
+        const theme = { rules: [{ id: 'color_161616', type: 'Color', value: [1, 0, 0] }] };
+        const bytes = await packThemedLottie(slotted, { animationId, themeId: 'red', theme });
+        const packed = await readDotLottie(bytes);
+        assert.deepEqual(packed.manifest.themes, [{ id: 'red' }]);
+        assert.equal(packed.manifest.animations[0].initialTheme, 'red');
+        assert.deepEqual(packed.readJson('t/red.json'), theme);
+        assert.ok(packed.files.has('s/StateMachine1.json'));
+
+        assert.deepEqual((await readThemeSource(bytes.buffer)).themes, [{ id: 'red', theme }]);
+    });
+
+    it('wraps raw Lottie JSON in a new archive', async () => {
+        const json = JSON.stringify(slotifyColors(animation()));
+        const theme = { rules: [{ id: 'color_ff0000', type: 'Color', value: [0, 0, 1] }] };
+        const packed = await readDotLottie(await packThemedLottie(json, { themeId: 'blue', theme }));
+        assert.deepEqual(packed.manifest.animations, [{ id: 'animation', initialTheme: 'blue' }]);
+        assert.equal(packed.readText('a/animation.json'), json);
+        assert.deepEqual(packed.readJson('t/blue.json'), theme);
+    });
+});
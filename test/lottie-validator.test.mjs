@@ -0,0 +1,221 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, it } from 'node:test';
+import { readDotLottie, readZipEntries } from '../src/dotlottie-archive.js';
+import { validateLottieBytes, validateStateMachine } from '../src/lottie-validator.js';
+
+async function readCsm() {
+    const file = await readFile(new URL('../CSM.lottie', import.meta.url));
+    return file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+}
+
+// An uncompressed ZIP of `files` (name → bytes). CRCs stay zero: the archive reader doesn't check them.
+function storedZip(files) {
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    for (const [name, data] of files) {
+        const nameBytes = Buffer.from(name);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(20, 6);
+        entry.writeUInt32LE(data.length, 20);
+        entry.writeUInt32LE(data.length, 24);
+        entry.writeUInt16LE(nameBytes.length, 28);
+        entry.writeUInt32LE(offset, 42);
+        parts.push(local, nameBytes, data);
+        central.push(entry, nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.size, 8);
+    end.writeUInt16LE(files.size, 10);
+    end.writeUInt32LE(central.reduce((sum, part) => sum + part.length, 0), 12);
+    end.writeUInt32LE(offset, 16);
+    return new Uint8Array(Buffer.concat([...parts, ...central, end]));
+}
+
+// CSM.lottie with some files replaced or added (JSON values or text) and its manifest edited.
+async function repackCsm({ changes = {}, editManifest = (manifest) => manifest } = {}) {
+    const files = new Map((await readZipEntries(await readCsm())).map((entry) => [entry.name, entry.data]));
+    const encode = (value) => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value));
+    files.set('manifest.json', encode(editManifest(JSON.parse(Buffer.from(files.get('manifest.json')).toString()))));
+    for (const [name, value] of Object.entries(changes)) files.set(name, encode(value));
+    return storedZip(files);
+}
+
+const guard = (compareTo) => ({ type: 'String', inputName: 'State', conditionType: 'Equal', compareTo });
+
+// Two states that switch on the State input, each playing a marker of the default animation.
+function machine() {
+    return {
+        initial: 'Idle',
+        inputs: [{ type: 'String', name: 'State', value: 'Idle' }],
+        states: [
+            { name: 'Idle', type: 'PlaybackState', segment: 'Idle', transitions: [{ type: 'Transition', toState: 'Busy', guards: [guard('Busy')] }] },
+            { name: 'Busy', type: 'PlaybackState', segment: 'Busy', transitions: [{ type: 'Transition', toState: 'Idle', guards: [guard('Idle')] }] },
+        ],
+        interactions: [],
+    };
+}
+
+const markersOf = (animationId) => (animationId === '' ? ['Idle', 'Busy'] : null);
+
+function check(edit) {
+    const def = machine();
+    edit(def);
+    return validateStateMachine(def, { id: 'sm', markersOf });
+}
+
+const codes = (issues) => issues.map((i) => `${i.severity} ${i.code}`);
+
+describe('validateStateMachine', () => {
+    it('finds nothing wrong with a sound machine', () => {
+        assert.deepEqual(validateStateMachine(machine(), { id: 'sm', markersOf }), []);
+    });
+
+    it('flags an initial state that does not exist', () => {
+        const issues = check((def) => { def.initial = 'Start'; });
+        assert.ok(codes(issues).includes('error missing-initial'));
+    });
+
+    it('flags a transition to a state that does not exist, with a whitespace hint', () => {
+        const issues = check((def) => { def.states[0].transitions[0].toState = 'Busy '; });
+        const missing = issues.find((i) => i.code === 'missing-target');
+        assert.equal(missing.severity, 'error');
+        assert.equal(missing.where, 'state machine "sm" › state "Idle" › transition 1');
+        assert.match(missing.message, /"Busy" exists; the names differ only in whitespace/);
+    });
+
+    it('flags an interaction on a state that does not exist', () => {
+        const issues = check((def) => { def.interactions.push({ type: 'OnComplete', stateName: 'Gone', actions: [] }); });
+        assert.deepEqual(codes(issues), ['error missing-target']);
+    });
+
+    it('flags guards and actions on inputs the machine does not declare', () => {
+        const issues = check((def) => {
+            def.states[1].transitions[0].guards[0].inputName = 'Mode';
+            def.states[1].entryActions = [{ type: 'SetString', inputName: 'Phase', value: 'x' }];
+        });
+        assert.deepEqual(codes(issues), ['error undefined-input', 'error undefined-input']);
+        assert.deepEqual(issues.map((i) => i.input), ['Mode', 'Phase']);
+    });
+
+    it('warns about a guard of another type than its input', () => {
+        const issues = check((def) => { def.states[0].transitions[0].guards[0].type = 'Numeric'; });
+        assert.deepEqual(codes(issues), ['warning guard-type-mismatch']);
+    });
+
+    it('flags a segment with no marker and an animation that is not in the file', () => {
+        assert.deepEqual(codes(check((def) => { def.states[1].segment = 'Working'; })), ['error unknown-segment']);
+        assert.deepEqual(codes(check((def) => { def.states[1].animation = 'dark'; })), ['error unknown-animation']);
+    });
+
+    it('flags states and inputs that share a name', () => {
+        const issues = check((def) => { def.inputs.push({ type: 'String', name: 'State', value: '' }); });
+        assert.deepEqual(codes(issues), ['error duplicate-name']);
+    });
+
+    it('warns about a state with no way out', () => {
+        const issues = check((def) => { def.states[1].transitions = [{ type: 'Transition', toState: 'Busy', guards: [] }]; });
+        assert.deepEqual(codes(issues), ['warning dead-end']);
+        assert.equal(issues[0].state, 'Busy');
+        // A global transition is a way out of everywhere.
+        const withGlobal = check((def) => {
+            def.states[1].transitions = [];
+            def.states.push({ name: 'Any', type: 'GlobalState', transitions: [{ type: 'Transition', toState: 'Idle', guards: [guard('Reset')] }] });
+        });
+        assert.deepEqual(withGlobal, []);
+    });
+
+    it('warns about a state nothing leads to', () => {
+        const issues = check((def) => {
+            def.states.push({ name: 'Orphan', type: 'PlaybackState', segment: 'Idle', transitions: [{ type: 'Transition', toState: 'Idle', guards: [] }] });
+        });
+        assert.deepEqual(codes(issues), ['warning unreachable-state']);
+        assert.equal(issues[0].state, 'Orphan');
+    });
+
+    it('warns about identical interactions', () => {
+        const issues = check((def) => {
+            const interaction = { type: 'OnComplete', stateName: 'Busy', actions: [{ type: 'SetString', inputName: 'State', value: 'Idle' }] };
+            def.interactions.push(interaction, structuredClone(interaction));
+        });
+        assert.deepEqual(codes(issues), ['warning duplicate-interaction']);
+    });
+});
+
+describe('validateLottieBytes', () => {
+    it('passes CSM.lottie with warnings only', async () => {
+        const report = await validateLottieBytes(await readCsm(), { fileName: 'CSM.lottie' });
+        assert.equal(report.ok, true);
+        assert.equal(report.errors, 0);
+        assert.ok(report.warnings > 0);
+        assert.ok(report.issues.some((i) => i.code === 'name-whitespace' && i.message.includes('"Error_In "')));
+        assert.ok(report.issues.some((i) => i.code === 'placeholder-name'));
+    });
+
+    it('checks the machines inside the archive against its markers', async () => {
+        const def = (await readDotLottie(await readCsm())).readJson('s/StateMachine1.json');
+        def.states.find((s) => s.segment).segment = 'No such marker';
+        const bytes = await repackCsm({ changes: { 's/StateMachine1.json': def } });
+        const report = await validateLottieBytes(bytes.buffer, { fileName: 'broken.lottie' });
+        assert.equal(report.ok, false);
+        assert.deepEqual(report.issues.filter((i) => i.severity === 'error').map((i) => i.code), ['unknown-segment']);
+    });
+
+    it('flags manifest ids without files, unlisted files and broken JSON', async () => {
+        const bytes = await repackCsm({
+            changes: { 's/StateMachine1.json': '{ not json', 's/Spare.json': '{}' },
+            editManifest: (manifest) => ({ ...manifest, animations: [...manifest.animations, { id: 'Gone' }] }),
+        });
+        const report = await validateLottieBytes(bytes.buffer);
+        const found = new Set(codes(report.issues));
+        for (const code of ['error unresolved-id', 'error invalid-json', 'warning unlisted-file']) assert.ok(found.has(code), code);
+    });
+
+    it('reports files that are neither archives nor JSON', async () => {
+        const report = await validateLottieBytes(new TextEncoder().encode('PK? no').buffer, { fileName: 'x.lottie' });
+        assert.deepEqual(codes(report.issues), ['error invalid-json']);
+    });
+});
+
+describe('validate-lottie CLI', () => {
+    const script = new URL('../scripts/validate-lottie.mjs', import.meta.url).pathname;
+    const csmPath = new URL('../CSM.lottie', import.meta.url).pathname;
+    const run = (...args) => spawnSync(process.execPath, [script, ...args], { encoding: 'utf8', timeout: 60_000 });
+    let dir = null;
+    after(async () => {
+        if (dir) await rm(dir, { recursive: true, force: true });
+    });
+
+    it('exits 0 for CSM.lottie, and 1 with --strict because of its warnings', () => {
+        assert.equal(run(csmPath).status, 0);
+        const strict = run('--strict', '--json', csmPath);
+        assert.equal(strict.status, 1);
+        assert.equal(JSON.parse(strict.stdout).ok, false);
+    });
+
+    it('exits 1 for a file with errors and 2 for bad usage', async () => {
+        dir = await mkdtemp(join(tmpdir(), 'validate-lottie-'));
+        const def = (await readDotLottie(await readCsm())).readJson('s/StateMachine1.json');
+        def.initial = 'Nowhere';
+        const broken = join(dir, 'broken.lottie');
+        await writeFile(broken, await repackCsm({ changes: { 's/StateMachine1.json': def } }));
+        const result = run(broken);
+        assert.equal(result.status, 1);
+        assert.match(result.stdout, /error {3}missing-initial/);
+        assert.equal(run().status, 2);
+        assert.equal(run('--fast', csmPath).status, 2);
+    });
+});
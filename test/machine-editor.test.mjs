@@ -0,0 +1,150 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { readDotLottie } from '../src/dotlottie-archive.js';
+import {
+    addAction,
+    addGuard,
+    addState,
+    addTransition,
+    checkMachine,
+    checkSchema,
+    coerceValue,
+    createEditHistory,
+    readMarkerNames,
+    removeState,
+    renameState,
+    repackMachine,
+    setActionType,
+    setAt,
+    setGuardInput,
+} from '../src/machine-editor.js';
+import { readCsm } from './harness.mjs';
+
+async function readCsmMachine() {
+    const archive = await readDotLottie(await readCsm());
+    return archive.readJson(archive.pathOf('stateMachine', 'StateMachine1'));
+}
+
+function machine() {
+    return {
+        initial: 'A',
+        inputs: [{ name: 'Count', type: 'Numeric', value: 0 }, { name: 'Tap', type: 'Event' }],
+        states: [
+            { name: 'A', type: 'PlaybackState', animation: '', autoplay: true, loop: true, transitions: [{ type: 'Transition', toState: 'B', guards: [] }] },
+            { name: 'B', type: 'PlaybackState', animation: '', autoplay: true, loop: false, transitions: [{ type: 'Transition', toState: 'A', guards: [] }] },
+        ],
+        interactions: [{ type: 'Click', stateName: 'B', actions: [] }],
+    };
+}
+
+describe('checkSchema', () => {
+    it('passes the machine in CSM.lottie', async () => {
+        assert.deepEqual(checkSchema(await readCsmMachine()), []);
+    });
+
+    it('reports missing and mistyped parts with where they are', () => {
+        const def = machine();
+        delete def.initial;
+        def.states[0].type = 'Playback';
+        def.states[1].transitions[0].guards.push({ type: 'Numeric', inputName: 'Count', conditionType: 'Above', compareTo: '3' });
+        const issues = checkSchema(def);
+        assert.ok(issues.every((issue) => issue.severity === 'error' && issue.code === 'schema'));
+        assert.ok(issues.length >= 4, JSON.stringify(issues));
+        assert.ok(issues.some((issue) => /initial/.test(issue.message)));
+        assert.ok(issues.some((issue) => /conditionType/.test(issue.where + issue.message)));
+        assert.equal(checkSchema([]).length, 1);
+    });
+});
+
+describe('checkMachine', () => {
+    it('adds the validator\'s lint once the structure holds', async () => {
+        const data = await readCsm();
+        const markersOf = await readMarkerNames(data);
+        const def = await readCsmMachine();
+        assert.deepEqual(checkMachine(def, { id: 'StateMachine1', markersOf }).filter((i) => i.severity === 'error'), []);
+
+        const broken = setAt(def, ['states', 0, 'segment'], 'no_such_marker');
+        assert.ok(checkMachine(broken, { id: 'StateMachine1', markersOf }).some((i) => i.severity === 'error'));
+    });
+});
+
+describe('edits', () => {
+    it('leave the definition they are given alone', () => {
+        const def = machine();
+        const before = structuredClone(def);
+        setAt(def, ['states', 0, 'loop'], false);
+        addState(def);
+        addGuard(def, ['states', 0, 'transitions', 0]);
+        assert.deepEqual(def, before);
+    });
+
+    it('add states, transitions, guards and actions with defaults that fit', () => {
+        let def = addState(machine());
+        assert.equal(def.states[2].name, 'State_3');
+        def = addTransition(def, 2, 'A');
+        def = addGuard(def, ['states', 2, 'transitions', 0]);
+        assert.deepEqual(def.states[2].transitions[0].guards, [{ type: 'Numeric', inputName: 'Count', conditionType: 'Equal', compareTo: 0 }]);
+        def = setGuardInput(def, ['states', 2, 'transitions', 0, 'guards', 0], def.inputs[1]);
+        assert.deepEqual(def.states[2].transitions[0].guards[0], { type: 'Event', inputName: 'Tap' });
+        def = addAction(def, ['states', 2, 'entryActions']);
+        assert.deepEqual(def.states[2].entryActions, [{ type: 'SetNumeric', inputName: 'Count', value: 0 }]);
+        def = setActionType(def, ['states', 2, 'entryActions', 0], 'Toggle');
+        assert.deepEqual(def.states[2].entryActions[0], { type: 'Toggle', inputName: 'Count' });
+        assert.deepEqual(checkSchema(def), []);
+    });
+
+    it('remove a state with the transitions and interactions that point at it', () => {
+        const def = removeState(machine(), 1);
+        assert.deepEqual(def.states.map((s) => s.name), ['A']);
+        assert.deepEqual(def.states[0].transitions, []);
+        assert.deepEqual(def.interactions, []);
+    });
+
+    it('rename a state everywhere it is referred to', () => {
+        const def = renameState(machine(), 0, 'Start');
+        assert.equal(def.initial, 'Start');
+        assert.equal(def.states[1].transitions[0].toState, 'Start');
+        const again = renameState(def, 1, 'End');
+        assert.equal(again.interactions[0].stateName, 'End');
+    });
+
+    it('coerce form text to the input type', () => {
+        assert.equal(coerceValue('Numeric', '2.5'), 2.5);
+        assert.equal(coerceValue('Boolean', 'false'), false);
+        assert.equal(coerceValue('String', '42'), '42');
+        assert.throws(() => coerceValue('Numeric', 'lots'), /not a number/);
+        assert.throws(() => coerceValue('Numeric', ' '), /not a number/);
+    });
+});
+
+describe('createEditHistory', () => {
+    it('undoes and redoes, and an edit drops what could be redone', () => {
+        const history = createEditHistory('a', { limit: 2 });
+        history.push('b');
+        history.push('c');
+        history.push('d');
+        assert.equal(history.undo(), 'c');
+        assert.equal(history.undo(), 'b');
+        assert.equal(history.undo(), null); // 'a' fell off the limit
+        assert.equal(history.redo(), 'c');
+        history.push('e');
+        assert.equal(history.canRedo(), false);
+        assert.equal(history.current(), 'e');
+    });
+});
+
+describe('repackMachine', () => {
+    it('replaces the machine and keeps every other entry byte for byte', async () => {
+        const data = await readCsm();
+        const def = setAt(await readCsmMachine(), ['states', 0, 'transitions', 5, 'guards', 0, 'compareTo'], 5);
+        const packed = await repackMachine(data, 'StateMachine1', def);
+        const [before, after] = await Promise.all([readDotLottie(data), readDotLottie(packed)]);
+        assert.deepEqual([...after.files.keys()], [...before.files.keys()]);
+        for (const [name, bytes] of before.files) {
+            if (name === 's/StateMachine1.json') continue;
+            assert.deepEqual(after.files.get(name), bytes, name);
+        }
+        assert.deepEqual(after.readJson('s/StateMachine1.json'), def);
+        await assert.rejects(repackMachine(data, 'nope', def), /no state machine "nope"/);
+    });
+});
@@ -0,0 +1,141 @@
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'node:events';
+import { after, describe, it, mock } from 'node:test';
+import { createFrameStats, formatBenchmark, formatBytes, runBenchmark, summarizeBenchmark } from '../src/perf-monitor.js';
+import { createHarness } from './harness.mjs';
+
+mock.method(console, 'log', () => {});
+after(() => mock.restoreAll());
+
+describe('createFrameStats', () => {
+    it('measures fps and frame time over the window', () => {
+        const stats = createFrameStats({ window: 1000 });
+        for (let t = 0; t <= 2000; t += 20) {
+            stats.tick(t);
+            stats.render(t);
+        }
+        const { fps, frameTime, dropped, renders, elapsed } = stats.stats(2000);
+        assert.equal(fps, 50);
+        assert.equal(frameTime, 20);
+        assert.equal(dropped, 0);
+        assert.deepEqual([renders, elapsed], [101, 2000]);
+    });
+
+    it('counts the display frames a long frame skipped', () => {
+        const stats = createFrameStats();
+        for (const t of [0, 16, 32, 48, 96, 112, 176]) stats.tick(t);
+        // 48 → 96 skipped two frames, 112 → 176 three.
+        assert.equal(stats.stats(176).dropped, 5);
+    });
+
+    it('leaves a gap out and starts over on reset', () => {
+        const stats = createFrameStats();
+        for (const t of [0, 16, 32]) {
+            stats.tick(t);
+            stats.render(t);
+        }
+        stats.gap();
+        for (const t of [5000, 5016]) {
+            stats.tick(t);
+            stats.render(t);
+        }
+        assert.deepEqual([stats.stats(5016).dropped, stats.stats(5016).worstFrameTime], [0, 16]);
+        stats.reset(6000);
+        assert.deepEqual(stats.stats(6000), { fps: 0, frameTime: null, worstFrameTime: null, dropped: 0, renders: 0, elapsed: 0 });
+    });
+});
+
+describe('runBenchmark', () => {
+    it('requests every state and measures each one', async () => {
+        const h = await createHarness();
+        try {
+            // A steady 25 fps with one dropped frame per state, and memory that grows by 64 KB.
+            let startedAt = 0;
+            let memory = 1 << 20;
+            const visited = [];
+            const abort = new AbortController();
+            let done = false;
+            const run = runBenchmark({
+                states: h.eyes.model.values,
+                request: (state) => h.eyes.setState(state),
+                reset: () => {
+                    startedAt = h.clock.now();
+                },
+                read: () => {
+                    const elapsed = h.clock.now() - startedAt;
+                    memory += 64 * 1024;
+                    return { renders: Math.floor(elapsed / 40), elapsed, worstFrameTime: 80, dropped: 1, memory };
+                },
+                clock: h.clock,
+                dwell: 1000,
+                onProgress: ({ state }) => visited.push(state),
+                signal: abort.signal,
+            }).then((summary) => {
+                done = true;
+                return summary;
+            });
+            await h.advanceUntil(() => done, { limit: 120_000 });
+            const summary = await run;
+
+            assert.deepEqual(visited, h.eyes.model.values);
+            assert.deepEqual(summary.states.map((row) => row.state), h.eyes.model.values);
+            assert.deepEqual(summary.failed, []);
+            assert.equal(summary.fps, 25);
+            assert.equal(summary.dropped, h.eyes.model.values.length);
+            assert.equal(summary.memoryGrowth, h.eyes.model.values.length * 64 * 1024);
+            assert.equal(summary.aborted, false);
+            // No listener is left behind per state.
+            assert.equal(getEventListeners(abort.signal, 'abort').length, 0);
+        } finally {
+            h.destroy();
+        }
+    });
+
+    it('stops early when aborted', async () => {
+        const h = await createHarness();
+        try {
+            const abort = new AbortController();
+            let done = false;
+            const run = runBenchmark({
+                states: ['Think', 'Peek', 'Reply'],
+                request: (state) => h.eyes.setState(state),
+                reset: () => {},
+                read: () => ({ renders: 30, elapsed: 1000, worstFrameTime: 40, dropped: 0, memory: null }),
+                clock: h.clock,
+                dwell: 1000,
+                onProgress: ({ index }) => {
+                    if (index === 1) abort.abort();
+                },
+                signal: abort.signal,
+            }).then((summary) => {
+                done = true;
+                return summary;
+            });
+            await h.advanceUntil(() => done);
+            const summary = await run;
+            assert.deepEqual(summary.states.map((row) => row.state), ['Think']);
+            assert.equal(summary.aborted, true);
+            assert.match(formatBenchmark(summary).at(-1), /Stopped/);
+        } finally {
+            h.destroy();
+        }
+    });
+});
+
+describe('summarizeBenchmark', () => {
+    it('finds the slowest state and reports failed requests', () => {
+        const rows = [
+            { state: 'Base', fps: 60, frameTime: 16.7, worstFrameTime: 20, dropped: 0, memory: 100, error: null },
+            { state: 'Think', fps: 30, frameTime: 33.3, worstFrameTime: 50, dropped: 4, memory: 300, error: null },
+            { state: 'Dance', fps: 0, frameTime: null, worstFrameTime: null, dropped: 0, memory: 300, error: 'unknown' },
+        ];
+        const summary = summarizeBenchmark(rows, { memoryAtStart: 100 });
+        assert.equal(summary.fps, 45);
+        assert.equal(summary.slowest, 'Think');
+        assert.equal(summary.worstFrameTime, 50);
+        assert.equal(summary.dropped, 4);
+        assert.equal(summary.memoryGrowth, 200);
+        assert.deepEqual(summary.failed, ['Dance']);
+        assert.equal(formatBytes(3 * 1024 * 1024), '3.0 MB');
+    });
+});
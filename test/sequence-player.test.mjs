@@ -0,0 +1,190 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createVirtualClock } from '../src/clock.js';
+import { createSequencePlayer, describeStep, parseSequence } from '../src/sequence-player.js';
+
+const sequence = (steps, extra = {}) => parseSequence({ format: 'computer-eyes-sequence', version: 1, steps, ...extra });
+
+// Lets promise callbacks run after the clock moves.
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+// A machine that settles on whatever is requested; "X_Loop" states belong to the "X" bucket.
+function fakeHost() {
+    const listeners = new Set();
+    const calls = [];
+    const host = {
+        state: 'Base',
+        calls,
+        move(state) {
+            host.state = state;
+            for (const fn of listeners) fn();
+        },
+        setState: async (value) => {
+            calls.push(['state', value]);
+            if (value === 'Stuck') throw Object.assign(new Error('Stuck did not settle.'), { code: 'timeout' });
+            host.move(value);
+        },
+        setInput: (name, value) => {
+            if (name === 'Missing') throw new Error('No state machine input named "Missing".');
+            calls.push(['input', name, value]);
+        },
+        getState: () => ({ state: host.state, bucket: host.state.replace(/_Loop$/, '') }),
+        subscribe: (fn) => {
+            listeners.add(fn);
+            return () => listeners.delete(fn);
+        },
+        get listeners() {
+            return listeners.size;
+        },
+    };
+    return host;
+}
+
+function createPlayer() {
+    const clock = createVirtualClock();
+    const host = fakeHost();
+    const reports = [];
+    const player = createSequencePlayer(host, { clock, onStep: (report) => reports.push(report) });
+    return { clock, host, reports, player };
+}
+
+describe('parseSequence', () => {
+    it('normalizes a sequence and unrolls its repeats', () => {
+        const parsed = parseSequence(JSON.stringify({
+            steps: [
+                { setState: 'Think', label: 'start' },
+                { repeat: 2, steps: [{ wait: 100 }, { setInput: 'IdleCounter', value: 0 }] },
+                { waitForState: 'Base' },
+            ],
+        }));
+        assert.equal(parsed.name, 'Untitled sequence');
+        assert.equal(parsed.loop, false);
+        assert.deepEqual(parsed.program.map((step) => [step.id, step.pass, step.type]), [
+            ['1', '', 'setState'],
+            ['2.1', '1/2', 'wait'],
+            ['2.2', '1/2', 'setInput'],
+            ['2.1', '2/2', 'wait'],
+            ['2.2', '2/2', 'setInput'],
+            ['3', '', 'waitForState'],
+        ]);
+        assert.equal(parsed.program.at(-1).timeout, 10_000);
+        assert.equal(describeStep(parsed.program[0]), 'start: setState Think');
+        assert.equal(describeStep(parsed.program[2]), 'setInput IdleCounter = 0');
+    });
+
+    it('says what is wrong with a bad sequence', () => {
+        assert.throws(() => parseSequence('{'), /Not valid JSON/);
+        assert.throws(() => parseSequence([]), /must be a JSON object/);
+        assert.throws(() => parseSequence({ format: 'trace', steps: [] }), /Not a sequence \(format is "trace"/);
+        assert.throws(() => parseSequence({ version: 2, steps: [] }), /Unsupported sequence version 2 \(this player reads version 1\)/);
+        assert.throws(() => parseSequence({ steps: [] }), /steps: "steps" must be a non-empty array/);
+        assert.throws(() => parseSequence({ steps: [{ setState: 'Think', wait: 5 }] }), /steps\[0\]: expected exactly one of .* \(got setState, wait\)/);
+        assert.throws(() => parseSequence({ steps: [{ wait: -1 }] }), /steps\[0\]: "wait" must be a number/);
+        assert.throws(() => parseSequence({ steps: [{ waitForState: 'Base', timeout: '5s' }] }), /"timeout" must be a number/);
+        assert.throws(() => parseSequence({ steps: [{ setInput: 'IdleCounter', value: null }] }), /"value" must be a string, number or boolean/);
+        assert.throws(() => parseSequence({ steps: [{ repeat: 2, steps: [{ nap: 1 }] }] }), /steps\[0\]\.steps\[0\]: expected exactly one of/);
+        assert.throws(() => parseSequence({ steps: [{ repeat: 0, steps: [{ wait: 1 }] }] }), /"repeat" must be a positive integer/);
+        assert.throws(() => parseSequence({ steps: [{ repeat: 100_000, steps: [{ wait: 1 }] }] }), /more than 5000 steps/);
+    });
+});
+
+describe('createSequencePlayer', () => {
+    it('plays the steps in order, waiting on the clock', async () => {
+        const { clock, host, reports, player } = createPlayer();
+        player.load(sequence([{ setState: 'Think' }, { wait: 500 }, { setInput: 'IdleCounter', value: 600 }]));
+        player.play();
+        await settle();
+        assert.deepEqual(host.calls, [['state', 'Think']]);
+        assert.equal(player.snapshot.busy, true);
+        clock.advance(499);
+        await settle();
+        assert.equal(reports.length, 1);
+        clock.advance(1);
+        await settle();
+        assert.deepEqual(host.calls, [['state', 'Think'], ['input', 'IdleCounter', 600]]);
+        assert.deepEqual(reports.map((r) => [r.step.type, r.status, r.ms]), [['setState', 'ok', 0], ['wait', 'ok', 500], ['setInput', 'ok', 0]]);
+        assert.equal(player.snapshot.status, 'done');
+    });
+
+    it('runs repeats and starts over when looping', async () => {
+        const { clock, host, reports, player } = createPlayer();
+        player.load(sequence([{ repeat: 2, steps: [{ setState: 'Wink' }, { wait: 100 }] }], { loop: true }));
+        player.play();
+        for (let i = 0; i < 5; i++) {
+            clock.advance(100);
+            await settle();
+        }
+        assert.equal(host.calls.length, 5);
+        assert.deepEqual(reports.slice(0, 4).map((r) => `${r.iteration} ${r.step.pass}`), ['1 1/2', '1 1/2', '1 2/2', '1 2/2']);
+        assert.equal(player.snapshot.iteration, 3);
+        assert.equal(player.snapshot.status, 'playing');
+        player.stop();
+        assert.equal(clock.pending, 0);
+    });
+
+    it('reports a waitForState that times out, and carries on', async () => {
+        const { clock, host, reports, player } = createPlayer();
+        player.load(sequence([{ waitForState: 'Reply', timeout: 1000 }, { waitForState: 'Reply_Loop', timeout: 1000 }]));
+        player.play();
+        clock.advance(400);
+        host.move('Reply_Loop');
+        await settle();
+        // The second wait is already satisfied when it starts.
+        assert.deepEqual(reports.map((r) => [r.status, r.ms]), [['ok', 400], ['ok', 0]]);
+
+        player.load(sequence([{ waitForState: 'Peek', timeout: 1000 }, { setInput: 'IdleCounter', value: 0 }]));
+        player.play();
+        clock.advance(1000);
+        await settle();
+        const timedOut = player.snapshot.timedOut;
+        assert.equal(timedOut.length, 1);
+        assert.equal(timedOut[0].message, 'Still in Reply_Loop after 1000 ms.');
+        assert.equal(player.snapshot.status, 'done');
+        assert.equal(host.listeners, 0);
+    });
+
+    it('reports setState timeouts and refused inputs without stopping', async () => {
+        const { host, reports, player } = createPlayer();
+        player.load(sequence([{ setState: 'Stuck' }, { setInput: 'Missing', value: 1 }, { setState: 'Think' }]));
+        player.play();
+        await settle();
+        assert.deepEqual(reports.map((r) => [r.status, r.message]), [
+            ['timeout', 'Stuck did not settle.'],
+            ['error', 'No state machine input named "Missing".'],
+            ['ok', undefined],
+        ]);
+        assert.equal(host.state, 'Think');
+    });
+
+    it('stops a running step without reporting it', async () => {
+        const { clock, host, reports, player } = createPlayer();
+        player.load(sequence([{ wait: 1000 }, { setState: 'Think' }]));
+        player.play();
+        clock.advance(500);
+        player.stop();
+        clock.advance(5000);
+        await settle();
+        assert.deepEqual(reports, []);
+        assert.deepEqual(host.calls, []);
+        assert.equal(clock.pending, 0);
+        assert.deepEqual([player.snapshot.status, player.snapshot.index, player.snapshot.busy], ['idle', 0, false]);
+    });
+
+    it('steps one at a time and finishes on the last', async () => {
+        const { clock, host, player } = createPlayer();
+        player.load(sequence([{ setState: 'Think' }, { wait: 200 }]));
+        player.step();
+        await settle();
+        assert.deepEqual([player.snapshot.status, player.snapshot.index], ['paused', 1]);
+        assert.deepEqual(host.calls, [['state', 'Think']]);
+        player.step();
+        player.step(); // ignored while the wait runs
+        clock.advance(200);
+        await settle();
+        assert.deepEqual([player.snapshot.status, player.snapshot.index], ['done', 2]);
+        player.step();
+        await settle();
+        assert.equal(host.calls.length, 2);
+        assert.equal(player.snapshot.reports.length, 1);
+    });
+});
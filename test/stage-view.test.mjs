@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+    ALIGNMENTS,
+    GRID_MIN_PX,
+    MAX_ZOOM,
+    canvasToStage,
+    clampView,
+    layerOutline,
+    layoutRect,
+    panBy,
+    pixelGrid,
+    visibleViewport,
+    zoomAt,
+} from '../src/stage-view.js';
+
+const box = { width: 200, height: 100 };
+
+describe('zoom and pan', () => {
+    it('keeps the canvas covering the container', () => {
+        assert.deepEqual(clampView({ zoom: 0.5, x: 10, y: 10 }, box), { zoom: 1, x: 0, y: 0 });
+        assert.deepEqual(clampView({ zoom: 2, x: -500, y: 20 }, box), { zoom: 2, x: -200, y: 0 });
+        assert.equal(clampView({ zoom: 100, x: 0, y: 0 }, box).zoom, MAX_ZOOM);
+        assert.deepEqual(panBy({ zoom: 2, x: -100, y: -50 }, -300, 30, box), { zoom: 2, x: -200, y: -20 });
+    });
+
+    it('zooms around a point that stays put', () => {
+        const view = zoomAt({ zoom: 1, x: 0, y: 0 }, 4, [50, 25], box);
+        assert.deepEqual(view, { zoom: 4, x: -150, y: -75 });
+        const canvas = { width: 400, height: 200 };
+        // The canvas pixel under the point is the same before and after.
+        assert.deepEqual(canvasToStage(view, box, canvas, [100, 50]), [50, 25]);
+        assert.deepEqual(zoomAt(view, 0.25, [50, 25], box), { zoom: 1, x: 0, y: 0 });
+    });
+});
+
+describe('visibleViewport', () => {
+    it('is the whole canvas at zoom 1 and the visible part when zoomed', () => {
+        const canvas = { width: 400, height: 200 };
+        assert.deepEqual(visibleViewport({ zoom: 1, x: 0, y: 0 }, box, canvas), { x: 0, y: 0, width: 400, height: 200 });
+        // Laid out at 800 × 400 CSS px on a 400 × 200 store: half a canvas pixel per CSS pixel.
+        assert.deepEqual(visibleViewport({ zoom: 4, x: -300, y: -100 }, box, canvas), { x: 150, y: 50, width: 100, height: 50 });
+    });
+});
+
+describe('layoutRect', () => {
+    const canvas = { width: 400, height: 200 };
+    const animation = { width: 100, height: 100 };
+
+    it('places the animation for each fit', () => {
+        assert.deepEqual(layoutRect({ fit: 'contain' }, canvas, animation), { x: 100, y: 0, width: 200, height: 200 });
+        assert.deepEqual(layoutRect({ fit: 'cover' }, canvas, animation), { x: 0, y: -100, width: 400, height: 400 });
+        assert.deepEqual(layoutRect({ fit: 'fill' }, canvas, animation), { x: 0, y: 0, width: 400, height: 200 });
+        assert.deepEqual(layoutRect({ fit: 'none' }, canvas, animation), { x: 150, y: 50, width: 100, height: 100 });
+    });
+
+    it('aligns what is left over', () => {
+        assert.deepEqual(layoutRect({ fit: 'contain', align: ALIGNMENTS['top left'] }, canvas, animation), { x: 0, y: 0, width: 200, height: 200 });
+        assert.deepEqual(layoutRect({ fit: 'none', align: ALIGNMENTS.right }, canvas, animation), { x: 300, y: 50, width: 100, height: 100 });
+        assert.deepEqual(layoutRect(undefined, canvas, animation), layoutRect({ fit: 'contain' }, canvas, animation));
+    });
+});
+
+describe('pixelGrid', () => {
+    const square = { width: 100, height: 100 };
+    const canvas = { width: 100, height: 100 };
+    const animation = { width: 10, height: 10 };
+    const rect = layoutRect({ fit: 'contain' }, canvas, animation);
+
+    it(`shows once an animation pixel is ${GRID_MIN_PX} CSS px wide`, () => {
+        const small = { width: 40, height: 40 };
+        assert.equal(pixelGrid({ zoom: 1, x: 0, y: 0 }, small, canvas, rect, animation), null);
+        const grid = pixelGrid({ zoom: 2, x: 0, y: 0 }, small, canvas, rect, animation);
+        assert.equal(grid.size, GRID_MIN_PX);
+    });
+
+    it('keeps only the lines inside the container', () => {
+        const grid = pixelGrid({ zoom: 2, x: -40, y: -60 }, square, canvas, rect, animation);
+        assert.equal(grid.size, 20);
+        assert.deepEqual(grid.xs, [0, 20, 40, 60, 80, 100]);
+        assert.deepEqual(grid.ys, [0, 20, 40, 60, 80, 100]);
+        assert.deepEqual(grid.bounds, { left: 0, top: 0, right: 100, bottom: 100 });
+    });
+});
+
+describe('layerOutline', () => {
+    it('maps the corners into the container', () => {
+        const canvas = { width: 400, height: 200 };
+        const corners = layerOutline([0, 0, 40, 0, 40, 20, 0, 20], { zoom: 1, x: 0, y: 0 }, box, canvas);
+        assert.deepEqual(corners, [[0, 0], [20, 0], [20, 10], [0, 10]]);
+    });
+
+    it('is null for a layer that is not drawn on this frame', () => {
+        assert.equal(layerOutline([0, 0, 0, 0, 0, 0, 0, 0], { zoom: 1, x: 0, y: 0 }, box, { width: 400, height: 200 }), null);
+        assert.equal(layerOutline(undefined, { zoom: 1, x: 0, y: 0 }, box, { width: 400, height: 200 }), null);
+    });
+});
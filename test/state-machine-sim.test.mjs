@@ -0,0 +1,234 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createVirtualClock } from '../src/clock.js';
+import { StateMachineSimulator } from '../src/state-machine-sim.js';
+import { openCsmPlayer } from './harness.mjs';
+
+// Frames → ms at CSM.lottie's 30 fps (timers round up to whole ms).
+const frames = (n) => Math.ceil((n / 30) * 1000);
+
+function record(player) {
+    const log = [];
+    player.addEventListener('stateMachineStateEntered', ({ state }) => log.push(state));
+    return log;
+}
+
+function simulate(definition, options = {}) {
+    const clock = createVirtualClock();
+    const events = [];
+    const machine = new StateMachineSimulator(definition, {
+        clock,
+        emit: (type, payload) => events.push({ type, ...payload }),
+        ...options,
+    });
+    const entered = () => events.filter((e) => e.type === 'stateMachineStateEntered').map((e) => e.state);
+    return { clock, machine, events, entered };
+}
+
+describe('createVirtualClock', () => {
+    it('runs timers in time order, including ones scheduled while advancing', () => {
+        const clock = createVirtualClock();
+        const order = [];
+        clock.setTimeout(() => order.push(`b@${clock.now()}`), 20);
+        clock.setTimeout(() => {
+            order.push(`a@${clock.now()}`);
+            clock.setTimeout(() => order.push(`c@${clock.now()}`), 5);
+        }, 10);
+        const cancelled = clock.setTimeout(() => order.push('never'), 12);
+        clock.clearTimeout(cancelled);
+
+        clock.advance(14);
+        assert.deepEqual(order, ['a@10']);
+        assert.equal(clock.now(), 14);
+        clock.advance(100);
+        assert.deepEqual(order, ['a@10', 'c@15', 'b@20']);
+        assert.equal(clock.pending, 0);
+    });
+});
+
+describe('StateMachineSimulator on CSM.lottie', () => {
+    it('starts in the initial state', async () => {
+        const { player } = await openCsmPlayer();
+        assert.equal(player.stateMachineGetCurrentState(), 'Eyes_Base');
+        assert.equal(player.stateMachineGetStatus(), 'Running');
+        assert.equal(player.stateMachineGetStringInput('State'), 'Base');
+    });
+
+    it('times segments from the markers and follows OnComplete / OnLoopComplete', async () => {
+        const { clock, player } = await openCsmPlayer();
+        const log = record(player);
+
+        assert.equal(player.stateMachineSetStringInput('State', 'Peek'), true);
+        assert.equal(player.stateMachineGetCurrentState(), 'Peek_In');
+
+        // Peek_In is 15 frames; its OnComplete sets PeekState = 1, which leads to Peek_Loop.
+        clock.advance(frames(15) - 1);
+        assert.equal(player.stateMachineGetCurrentState(), 'Peek_In');
+        clock.advance(1);
+        assert.equal(player.stateMachineGetCurrentState(), 'Peek_Loop');
+        assert.equal(player.stateMachineGetNumericInput('PeekState'), 1);
+
+        // After one 65-frame loop, OnLoopComplete sets PeekState = 2 and (loopCount 1) OnComplete
+        // the completed flag; State is still "Peek", so the loop re-enters itself.
+        clock.advance(frames(65));
+        assert.equal(player.stateMachineGetNumericInput('PeekState'), 2);
+        assert.equal(player.stateMachineGetCurrentState(), 'Peek_Loop');
+        // The entry action reset the flag again.
+        assert.equal(player.stateMachineGetBooleanInput('___Peek_Loop_completed'), false);
+
+        // Asking for Base lets the loop finish, then Peek_Out (14 frames) returns to Eyes_Base.
+        player.stateMachineSetStringInput('State', 'Base');
+        clock.advance(frames(65));
+        assert.equal(player.stateMachineGetCurrentState(), 'Peek_Out');
+        clock.advance(frames(14));
+        assert.equal(player.stateMachineGetCurrentState(), 'Eyes_Base');
+        assert.equal(player.stateMachineGetNumericInput('PeekState'), 0);
+        assert.deepEqual(log, ['Peek_In', 'Peek_Loop', 'Peek_Loop', 'Peek_Out', 'Eyes_Base']);
+    });
+
+    it('counts Eyes_Base loops into IdleCounter and idles at 600', async () => {
+        const { clock, player } = await openCsmPlayer();
+        clock.advance(frames(1) * 10);
+        assert.equal(player.stateMachineGetNumericInput('IdleCounter'), 10);
+
+        clock.advance(frames(1) * 590);
+        assert.equal(player.stateMachineGetCurrentState(), 'Idle');
+        // Eyes_Base's exit action resets the counter.
+        assert.equal(player.stateMachineGetNumericInput('IdleCounter'), 0);
+
+        clock.advance(frames(69));
+        assert.equal(player.stateMachineGetCurrentState(), 'Eyes_Base');
+    });
+
+    it('lets Wink and Bootup write State back to "Base" when they finish', async () => {
+        for (const [value, state, length] of [['Wink', 'Wink', 29], ['Boot', 'Bootup', 59]]) {
+            const { clock, player } = await openCsmPlayer();
+            player.stateMachineSetStringInput('State', value);
+            assert.equal(player.stateMachineGetCurrentState(), state);
+            clock.advance(frames(length));
+            assert.equal(player.stateMachineGetCurrentState(), 'Eyes_Base');
+            assert.equal(player.stateMachineGetStringInput('State'), 'Base');
+        }
+    });
+
+    it('reports inputs like the runtime and refuses bad writes', async () => {
+        const { player } = await openCsmPlayer();
+        const inputs = player.stateMachineGetInputs();
+        assert.equal(inputs.length, 36);
+        assert.equal(inputs[inputs.indexOf('State') + 1], 'String');
+
+        assert.equal(player.stateMachineSetStringInput('Nope', 'x'), false);
+        assert.equal(player.stateMachineSetNumericInput('State', 3), false);
+        assert.equal(player.stateMachineOverrideState('Nope', true), false);
+
+        player.stateMachineStop();
+        assert.equal(player.stateMachineGetCurrentState(), '');
+        assert.equal(player.stateMachineSetStringInput('State', 'Peek'), false);
+    });
+
+    it('applies inputs set before start()', async () => {
+        const { player } = await openCsmPlayer();
+        player.stateMachineStop();
+        player.stateMachineLoad('StateMachine1');
+        assert.equal(player.stateMachineSetStringInput('State', 'Reply'), true);
+        player.stateMachineStart();
+        assert.equal(player.stateMachineGetCurrentState(), 'Reply_In');
+    });
+
+    it('jumps with overrideState and keeps going from there', async () => {
+        const { clock, player } = await openCsmPlayer();
+        assert.equal(player.stateMachineOverrideState('Loading_Out', true), true);
+        assert.equal(player.stateMachineGetCurrentState(), 'Loading_Out');
+        clock.advance(frames(40));
+        assert.equal(player.stateMachineGetCurrentState(), 'Eyes_Base');
+    });
+});
+
+describe('StateMachineSimulator guards and actions', () => {
+    const light = {
+        initial: 'Off',
+        inputs: [
+            { name: 'Level', type: 'Numeric', value: 0 },
+            { name: 'Armed', type: 'Boolean', value: false },
+            { name: 'Press', type: 'Event' },
+        ],
+        states: [
+            {
+                name: 'Off',
+                type: 'PlaybackState',
+                transitions: [
+                    { type: 'Transition', toState: 'On', guards: [{ type: 'Event', inputName: 'Press' }, { type: 'Boolean', inputName: 'Armed', conditionType: 'Equal', compareTo: true }] },
+                    { type: 'Transition', toState: 'Dim', guards: [{ type: 'Numeric', inputName: 'Level', conditionType: 'GreaterThan', compareTo: 0 }, { type: 'Numeric', inputName: 'Level', conditionType: 'LessThan', compareTo: 5 }] },
+                ],
+            },
+            { name: 'Dim', type: 'PlaybackState', entryActions: [{ type: 'Increment', inputName: 'Level', value: 10 }], transitions: [] },
+            { name: 'On', type: 'PlaybackState', exitActions: [{ type: 'Toggle', inputName: 'Armed' }], transitions: [] },
+            {
+                name: 'Global',
+                type: 'GlobalState',
+                transitions: [{ type: 'Transition', toState: 'Off', guards: [{ type: 'Numeric', inputName: 'Level', conditionType: 'Equal', compareTo: -1 }] }],
+            },
+        ],
+    };
+
+    it('needs every guard to pass, including the event', () => {
+        const { machine } = simulate(light);
+        machine.start();
+        machine.fireEvent('Press');
+        assert.equal(machine.currentState, 'Off');
+        machine.setInput('Armed', 'Boolean', true);
+        assert.equal(machine.currentState, 'Off', 'an event guard only passes while the event fires');
+        machine.fireEvent('Press');
+        assert.equal(machine.currentState, 'On');
+    });
+
+    it('compares numbers and runs entry and exit actions', () => {
+        const { machine, entered } = simulate(light);
+        machine.start();
+        machine.setInput('Level', 'Numeric', 7);
+        assert.equal(machine.currentState, 'Off');
+        machine.setInput('Level', 'Numeric', 3);
+        assert.equal(machine.currentState, 'Dim');
+        assert.equal(machine.getInput('Level'), 13);
+
+        // Global transitions apply from any state.
+        machine.setInput('Level', 'Numeric', -1);
+        assert.equal(machine.currentState, 'Off');
+        assert.deepEqual(entered(), ['Off', 'Dim', 'Off']);
+    });
+
+    it('stops a cycle of transitions that never settles', () => {
+        const { machine, events } = simulate({
+            initial: 'A',
+            inputs: [],
+            states: [
+                { name: 'A', type: 'PlaybackState', transitions: [{ type: 'Transition', toState: 'B', guards: [] }] },
+                { name: 'B', type: 'PlaybackState', transitions: [{ type: 'Transition', toState: 'A', guards: [] }] },
+            ],
+        });
+        machine.start();
+        assert.equal(machine.isRunning, false);
+        assert.match(events.find((e) => e.type === 'stateMachineError').error, /transitions in a row/);
+    });
+
+    it('repeats a looping segment loopCount times before OnComplete', () => {
+        const { clock, machine } = simulate({
+            initial: 'Spin',
+            inputs: [{ name: 'Loops', type: 'Numeric', value: 0 }, { name: 'Done', type: 'Boolean', value: false }],
+            states: [{ name: 'Spin', type: 'PlaybackState', segment: 'spin', loop: true, loopCount: 3, mode: 'Bounce', speed: 2 }],
+            interactions: [
+                { type: 'OnLoopComplete', stateName: 'Spin', actions: [{ type: 'Increment', inputName: 'Loops' }] },
+                { type: 'OnComplete', stateName: 'Spin', actions: [{ type: 'SetBoolean', inputName: 'Done', value: true }] },
+            ],
+        }, { markers: [{ name: 'spin', time: 10, duration: 30 }], frameRate: 30 });
+        machine.start();
+        // 30 frames at 30 fps, bounced (×2) at double speed: one loop per second.
+        clock.advance(2999);
+        assert.equal(machine.getInput('Loops'), 2);
+        clock.advance(1);
+        assert.equal(machine.getInput('Loops'), 3);
+        assert.equal(machine.getInput('Done'), true);
+        clock.advance(5000);
+        assert.equal(machine.getInput('Loops'), 3);
+    });
+});
@@ -0,0 +1,177 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { describe, it } from 'node:test';
+import { inflateRawSync } from 'node:zlib';
+import {
+    buildBucketMap,
+    buildStateModel,
+    collectControlValues,
+    findControlInputName,
+    findTransientValues,
+    overridesForFile,
+    parseRuntimeInputs,
+    parseStateMachineJson,
+} from '../src/state-model.js';
+
+// Just enough zip reading to get one file out of CSM.lottie.
+async function readCsmEntry(path) {
+    const zip = await readFile(new URL('../CSM.lottie', import.meta.url));
+    let end = zip.length - 22;
+    while (end >= 0 && zip.readUInt32LE(end) !== 0x06054b50) end--;
+    let offset = zip.readUInt32LE(end + 16);
+    for (let i = zip.readUInt16LE(end + 10); i > 0; i--) {
+        const nameLength = zip.readUInt16LE(offset + 28);
+        const name = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+        if (name === path) {
+            const method = zip.readUInt16LE(offset + 10);
+            const size = zip.readUInt32LE(offset + 20);
+            const local = zip.readUInt32LE(offset + 42);
+            const start = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+            const data = zip.subarray(start, start + size);
+            return (method === 8 ? inflateRawSync(data) : data).toString('utf8');
+        }
+        offset += 46 + nameLength + zip.readUInt16LE(offset + 30) + zip.readUInt16LE(offset + 32);
+    }
+    throw new Error(`${path} is not in CSM.lottie`);
+}
+
+const guard = (compareTo, inputName = 'Mode') => ({ type: 'String', inputName, conditionType: 'Equal', compareTo });
+const to = (toState, ...guards) => ({ type: 'Transition', toState, guards });
+
+// A hand-made machine: Mode picks Rest, Run or Hop; Hop writes Mode back to "Rest" when it ends.
+function machine() {
+    return {
+        initial: 'Rest',
+        inputs: [{ type: 'String', name: 'Mode', value: 'Rest' }, { type: 'String', name: 'Skin', value: 'Light' }],
+        states: [
+            { name: 'Rest', transitions: [to('Run_In', guard('Run')), to('Hop', guard('Hop')), to('Rest', guard('Dark', 'Skin'))] },
+            { name: 'Run_In', transitions: [to('Run_Loop')] },
+            { name: 'Run_Loop', transitions: [to('Run_Out', guard('Rest'))] },
+            { name: 'Run_Out', transitions: [to('Rest')] },
+            { name: 'Hop', transitions: [to('Rest', guard('Rest'))] },
+            { name: 'Orphan', transitions: [] },
+        ],
+        interactions: [{ type: 'OnComplete', stateName: 'Hop', actions: [{ type: 'SetString', inputName: 'Mode', value: 'Rest' }] }],
+    };
+}
+
+describe('parsing', () => {
+    it('accepts a definition with states, as text or as an object', () => {
+        assert.equal(parseStateMachineJson('{"states":[]}').states.length, 0);
+        const def = machine();
+        assert.equal(parseStateMachineJson(def), def);
+        assert.throws(() => parseStateMachineJson('{"initial":"Rest"}'), /no "states" array/);
+    });
+
+    it('pairs up the runtime input list', () => {
+        assert.deepEqual(parseRuntimeInputs(['Mode', 'String', 'Count', 'Numeric', 'stray']), [
+            { name: 'Mode', type: 'String' },
+            { name: 'Count', type: 'Numeric' },
+        ]);
+        assert.deepEqual(parseRuntimeInputs(null), []);
+    });
+});
+
+describe('control input and values', () => {
+    it('picks the string input guards use most', () => {
+        assert.equal(findControlInputName(machine()), 'Mode');
+        assert.equal(findControlInputName({ states: [] }, [{ name: 'Skin', type: 'String' }]), 'Skin');
+        assert.equal(findControlInputName({ states: [] }), null);
+    });
+
+    it('lists the default, then guard values, then values actions write', () => {
+        const def = machine();
+        def.interactions[0].actions.push({ type: 'SetString', inputName: 'Mode', value: 'Sleep' });
+        assert.deepEqual(collectControlValues(def, 'Mode'), ['Rest', 'Run', 'Hop', 'Sleep']);
+    });
+});
+
+describe('buildBucketMap', () => {
+    it('follows unguarded transitions and gives unreachable states the default', () => {
+        const buckets = buildBucketMap(machine(), 'Mode', 'Rest');
+        assert.deepEqual(Object.fromEntries(buckets), {
+            Rest: 'Rest',
+            Run_In: 'Run',
+            Hop: 'Hop',
+            Run_Loop: 'Run',
+            Run_Out: 'Rest',
+            Orphan: 'Rest',
+        });
+    });
+
+    it('ignores guards on other inputs and other conditions', () => {
+        const def = machine();
+        def.states[0].transitions[0].guards[0].conditionType = 'NotEqual';
+        const buckets = buildBucketMap(def, 'Mode', 'Rest');
+        assert.equal(buckets.get('Run_In'), 'Rest');
+        assert.equal(buckets.get('Run_Loop'), 'Rest');
+    });
+});
+
+describe('findTransientValues', () => {
+    it('marks values whose states write the input back', () => {
+        const def = machine();
+        assert.deepEqual([...findTransientValues(def, 'Mode', buildBucketMap(def, 'Mode', 'Rest'))], ['Hop']);
+    });
+});
+
+describe('buildStateModel', () => {
+    it('maps states, values and unknown names to buckets', () => {
+        const model = buildStateModel(machine());
+        assert.equal(model.inputName, 'Mode');
+        assert.deepEqual(model.values, ['Rest', 'Run', 'Hop']);
+        assert.equal(model.bucketOf('Run_Loop'), 'Run');
+        assert.equal(model.bucketOf('Hop'), 'Hop');
+        assert.equal(model.bucketOf('Nowhere'), 'Rest');
+        assert.equal(model.isTransient('Hop'), true);
+        assert.equal(model.labelOf('Run'), 'Run');
+    });
+
+    it('applies order, labels, buckets and transient overrides', () => {
+        const model = buildStateModel(machine(), {
+            overrides: { order: ['Hop', 'Gone'], labels: { Hop: 'Jump' }, buckets: { Orphan: 'Run' }, transient: [] },
+        });
+        assert.deepEqual(model.values, ['Hop', 'Rest', 'Run']);
+        assert.equal(model.labelOf('Hop'), 'Jump');
+        assert.equal(model.bucketOf('Orphan'), 'Run');
+        assert.equal(model.isTransient('Hop'), false);
+        assert.equal(buildStateModel(machine(), { overrides: { input: 'Skin' } }).inputName, 'Skin');
+    });
+
+    it('keeps hidden values as buckets without offering them', () => {
+        const model = buildStateModel(machine(), { overrides: { hidden: ['Run', 'Gone'] } });
+        assert.deepEqual(model.values, ['Rest', 'Hop']);
+        assert.equal(model.bucketOf('Run'), 'Run');
+        assert.equal(model.bucketOf('Run_Loop'), 'Run');
+        assert.equal(model.bucketOf('Gone'), 'Rest');
+    });
+
+    it('has no controls when the machine has no string input', () => {
+        const model = buildStateModel({ states: [{ name: 'Only' }] });
+        assert.equal(model.inputName, null);
+        assert.deepEqual(model.values, []);
+        assert.equal(model.bucketOf('Only'), null);
+    });
+
+    it('groups the states of CSM.lottie into its tiles', async () => {
+        const def = parseStateMachineJson(await readCsmEntry('s/StateMachine1.json'));
+        const model = buildStateModel(def, { overrides: { hidden: ['Error'] } });
+        assert.equal(model.inputName, 'State');
+        assert.deepEqual(model.values, ['Base', 'Think', 'Peek', 'Reply', 'Wink', 'Boot']);
+        assert.deepEqual([...model.transient].toSorted(), ['Boot', 'Wink']);
+        const bucketsOf = (names) => names.map((name) => model.bucketOf(name));
+        assert.deepEqual(bucketsOf(['Eyes_Base', 'Idle', 'Loading_In', 'Loading_Loop', 'Loading_Out']), ['Base', 'Base', 'Think', 'Think', 'Think']);
+        assert.deepEqual(bucketsOf(['Peek_Loop', 'Reply_Out', 'Wink', 'Bootup']), ['Peek', 'Reply', 'Wink', 'Boot']);
+        assert.deepEqual(bucketsOf(['Error_In ', 'Error_Loop', 'Error']), ['Error', 'Error', 'Error']);
+    });
+});
+
+describe('overridesForFile', () => {
+    it('layers the file\'s own keys over the shared ones', () => {
+        const config = { '*': { hidden: ['Error'], labels: { Base: 'Idle' } }, 'CSM.lottie': { hidden: [] } };
+        assert.deepEqual(overridesForFile(config, 'CSM.lottie'), { hidden: [], labels: { Base: 'Idle' } });
+        assert.deepEqual(overridesForFile(config, 'other.lottie'), { hidden: ['Error'], labels: { Base: 'Idle' } });
+        assert.deepEqual(overridesForFile({ 'CSM.lottie': { input: 'State' } }, 'other.lottie'), {});
+        assert.deepEqual(overridesForFile(null, 'CSM.lottie'), {});
+    });
+});
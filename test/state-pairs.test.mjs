@@ -0,0 +1,53 @@
+// Every ordered pair of CSM.lottie's control values: go to `from`, then ask for `to`, and check
+// that the request settles in `to`, that the highlight stays pinned to `to` meanwhile, and where
+// the machine ends up.
+
+import assert from 'node:assert/strict';
+import { after, describe, it, mock } from 'node:test';
+import { createHarness } from './harness.mjs';
+
+mock.method(console, 'log', () => {});
+after(() => mock.restoreAll());
+
+const VALUES = ['Base', 'Peek', 'Think', 'Reply', 'Wink', 'Error', 'Boot'];
+const TRANSIENT = new Set(['Wink', 'Boot']);
+
+describe('CSM.lottie state pairs', () => {
+    for (const from of VALUES) {
+        for (const to of VALUES) {
+            if (from === to) continue;
+
+            it(`${from} → ${to}`, async () => {
+                const h = await createHarness();
+                const { eyes } = h;
+                try {
+                    const first = h.request(from);
+                    await h.advanceUntil(() => first.done);
+                    assert.equal(first.error, undefined, `reaching ${from}: ${first.error?.message}`);
+                    assert.equal(eyes.model.bucketOf(eyes.currentState), from);
+
+                    const mark = h.events.length;
+                    const second = h.request(to);
+                    await h.advanceUntil(() => second.done);
+                    assert.equal(second.error, undefined, `reaching ${to}: ${second.error?.message}`);
+                    assert.equal(second.value.value, to);
+                    assert.equal(eyes.model.bucketOf(second.value.state), to);
+
+                    // No flicker: while the request was in flight, only `to` was highlighted.
+                    const flight = h.events.slice(mark);
+                    const settled = flight.findIndex((e) => e.type === 'settle');
+                    const highlights = new Set(flight.slice(0, settled).filter((e) => e.type === 'statechange').map((e) => e.highlighted));
+                    assert.deepEqual([...highlights], [to]);
+
+                    // Let the machine calm down: transient values hand back to Base, others stay.
+                    h.clock.advance(5000);
+                    const resting = TRANSIENT.has(to) ? 'Base' : to;
+                    assert.equal(eyes.model.bucketOf(eyes.currentState), resting);
+                    assert.equal(eyes.highlightedState, resting);
+                } finally {
+                    h.destroy();
+                }
+            });
+        }
+    }
+});
@@ -0,0 +1,196 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createVirtualClock } from '../src/clock.js';
+import {
+    DEFAULT_FEED_MAPPING,
+    createStatusFeed,
+    matchRule,
+    messageKey,
+    parseFeedMapping,
+    reconnectDelay,
+    transportFor,
+} from '../src/status-feed.js';
+
+// Stands in for WebSocket and EventSource: the test opens, feeds and drops each connection.
+function fakeTransport() {
+    const made = [];
+    class FakeSocket {
+        constructor(url) {
+            this.url = url;
+            this.closed = false;
+            made.push(this);
+        }
+        open() {
+            this.onopen?.();
+        }
+        send(data) {
+            this.onmessage?.({ data: typeof data === 'string' ? data : JSON.stringify(data) });
+        }
+        drop() {
+            (this.onclose ?? this.onerror)?.();
+        }
+        close() {
+            this.closed = true;
+        }
+    }
+    return { FakeSocket, made, last: () => made.at(-1) };
+}
+
+function createFeed(options = {}, host = {}) {
+    const clock = createVirtualClock();
+    const { FakeSocket, made, last } = fakeTransport();
+    const calls = [];
+    const statuses = [];
+    const messages = [];
+    const feed = createStatusFeed({
+        setState: async (value) => { calls.push(['state', value]); },
+        setInput: (name, value) => {
+            if (name === 'Missing') throw new Error('No state machine input named "Missing".');
+            calls.push(['input', name, value]);
+        },
+        fireEvent: (name) => calls.push(['event', name]),
+        ...host,
+    }, {
+        clock,
+        WebSocket: FakeSocket,
+        EventSource: FakeSocket,
+        onStatus: (info) => statuses.push(info),
+        onMessage: (entry) => messages.push(entry),
+        ...options,
+    });
+    return { feed, clock, made, last, calls, statuses, messages };
+}
+
+describe('mapping', () => {
+    it('reads the field from JSON messages, or the whole text', () => {
+        assert.equal(messageKey('{"status":"working"}', 'status'), 'working');
+        assert.equal(messageKey('{"agent":{"phase":3}}', 'agent.phase'), '3');
+        assert.equal(messageKey('{"other":1}', 'status'), null);
+        assert.equal(messageKey(' thinking \n', ''), 'thinking');
+        assert.equal(messageKey('thinking', 'status'), null);
+    });
+
+    it('matches rules ignoring case, first one wins', () => {
+        const mapping = parseFeedMapping({ field: 'status', rules: [{ when: 'Working', state: 'Think' }, { when: 'working', state: 'Reply' }] });
+        assert.deepEqual(matchRule(mapping, '{"status":"WORKING"}'), { when: 'Working', state: 'Think' });
+        assert.equal(matchRule(mapping, '{"status":"idle"}'), null);
+        assert.equal(matchRule(parseFeedMapping(DEFAULT_FEED_MAPPING), '{"status":"streaming"}').state, 'Reply');
+    });
+
+    it('rejects rules that do not say exactly one thing', () => {
+        assert.throws(() => parseFeedMapping({ rules: [{ when: 'x' }] }), /rules\[0\]: expected exactly one of state, input, event/);
+        assert.throws(() => parseFeedMapping({ rules: [{ when: 'x', state: 'Think', event: 'Tap' }] }), /exactly one/);
+        assert.throws(() => parseFeedMapping({ rules: [{ when: 'x', input: 'IdleCounter' }] }), /"value" must be/);
+        assert.throws(() => parseFeedMapping({ rules: [{ when: '', state: 'Think' }] }), /"when"/);
+        assert.throws(() => parseFeedMapping('[]'), /must be an object/);
+        assert.deepEqual(parseFeedMapping('{"rules":[]}'), { field: '', rules: [] });
+    });
+
+    it('picks the transport from the URL', () => {
+        assert.equal(transportFor('ws://localhost:8787/ws'), 'websocket');
+        assert.equal(transportFor('wss://agent.example/feed'), 'websocket');
+        assert.equal(transportFor('http://localhost:8787/events'), 'sse');
+        assert.equal(transportFor('ftp://x'), null);
+        assert.equal(transportFor('not a url'), null);
+    });
+});
+
+describe('createStatusFeed', () => {
+    it('maps messages to state requests, input writes and events', () => {
+        const t = createFeed({
+            debounceMs: 0,
+            mapping: { field: 'status', rules: [...DEFAULT_FEED_MAPPING.rules, { when: 'tokens', input: 'IdleCounter', value: 0 }, { when: 'ping', event: 'Tap' }] },
+        });
+        t.feed.connect('ws://localhost:8787/ws');
+        t.last().open();
+        for (const status of ['start', 'working', 'tokens', 'ping', 'unknown']) t.last().send({ status });
+        assert.deepEqual(t.calls, [['state', 'Boot'], ['state', 'Think'], ['input', 'IdleCounter', 0], ['event', 'Tap']]);
+        assert.equal(t.messages.at(-1).rule, null);
+    });
+
+    it('coalesces bursts and skips repeats of the last value sent', () => {
+        const t = createFeed({ debounceMs: 250 });
+        t.feed.connect('http://localhost:8787/events');
+        t.last().open();
+        t.last().send({ status: 'working' });
+        t.clock.advance(100);
+        for (let i = 0; i < 20; i++) t.last().send({ status: 'streaming', token: i });
+        assert.deepEqual(t.calls, []);
+        t.clock.advance(150);
+        assert.deepEqual(t.calls, [['state', 'Reply']]);
+        // A steady stream of the same status is sent once, not starved.
+        for (let i = 0; i < 10; i++) {
+            t.last().send({ status: 'streaming' });
+            t.clock.advance(60);
+        }
+        assert.deepEqual(t.calls, [['state', 'Reply']]);
+        t.feed.forgetSent();
+        t.last().send({ status: 'streaming' });
+        t.clock.advance(250);
+        assert.deepEqual(t.calls, [['state', 'Reply'], ['state', 'Reply']]);
+    });
+
+    it('sends a repeat once the machine was moved by someone else', () => {
+        const t = createFeed({ debounceMs: 0 });
+        t.feed.connect('ws://localhost/ws');
+        t.last().send({ status: 'working' });
+        // The page calls forgetSent() for every state request that isn't the feed's, like a tile click.
+        t.feed.forgetSent();
+        t.last().send({ status: 'working' });
+        assert.deepEqual(t.calls, [['state', 'Think'], ['state', 'Think']]);
+    });
+
+    it('tries a state again after its request was rejected', async () => {
+        const t = createFeed({ debounceMs: 0 }, {
+            setState: async (value) => {
+                t.calls.push(['state', value]);
+                if (t.calls.length === 1) throw new Error('Timed out waiting for Think.');
+            },
+        });
+        t.feed.connect('ws://localhost/ws');
+        t.last().send({ status: 'working' });
+        await Promise.resolve();
+        assert.match(t.messages.at(-1).error, /Timed out waiting for Think/);
+        t.last().send({ status: 'working' });
+        assert.deepEqual(t.calls, [['state', 'Think'], ['state', 'Think']]);
+    });
+
+    it('reports writes the machine refuses', () => {
+        const t = createFeed({ debounceMs: 0, mapping: { field: '', rules: [{ when: 'x', input: 'Missing', value: 1 }] } });
+        t.feed.connect('ws://localhost/ws');
+        t.last().send('x');
+        assert.match(t.messages.at(-1).error, /No state machine input named "Missing"/);
+    });
+
+    it('reconnects with backoff until disconnected', () => {
+        const t = createFeed();
+        t.feed.connect('ws://localhost:8787/ws');
+        assert.equal(t.feed.status, 'connecting');
+        t.last().drop();
+        assert.deepEqual([t.statuses.at(-1).status, t.statuses.at(-1).delay], ['reconnecting', 500]);
+        t.clock.advance(500);
+        assert.equal(t.made.length, 2);
+        t.last().drop();
+        assert.equal(t.statuses.at(-1).delay, 1000);
+        t.clock.advance(1000);
+        t.last().open();
+        assert.equal(t.feed.status, 'open');
+
+        // Back to the short delay after a good connection.
+        t.last().drop();
+        assert.equal(t.statuses.at(-1).delay, 500);
+        t.feed.disconnect();
+        assert.equal(t.feed.status, 'idle');
+        t.clock.advance(60_000);
+        assert.equal(t.made.length, 3);
+        assert.ok(t.made.every((socket) => socket.closed));
+        assert.equal(reconnectDelay(20), 30_000);
+    });
+
+    it('refuses URLs it has no transport for', () => {
+        const t = createFeed();
+        assert.throws(() => t.feed.connect('file:///feed'), /not a ws/);
+        const noSse = createFeed({ EventSource: null });
+        assert.throws(() => noSse.feed.connect('http://localhost/events'), /no EventSource/);
+    });
+});
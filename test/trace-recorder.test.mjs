@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createVirtualClock } from '../src/clock.js';
+import {
+    TRACE_FORMAT,
+    createTraceRecorder,
+    describeFileMismatch,
+    isReplayable,
+    parseTrace,
+    replayTrace,
+} from '../src/trace-recorder.js';
+
+const trace = (entries, extra = {}) => ({ format: TRACE_FORMAT, version: 1, startedAt: '2026-01-01T00:00:00.000Z', file: { name: 'CSM.lottie' }, entries, ...extra });
+
+describe('parseTrace', () => {
+    it('reads what the recorder writes', () => {
+        const clock = createVirtualClock();
+        const recorder = createTraceRecorder({ now: clock.now });
+        recorder.start({ name: 'CSM.lottie' });
+        clock.advance(120);
+        recorder.record('request', { inputName: 'State', value: 'Think', origin: 'user' });
+        clock.advance(30);
+        recorder.record('fire', { event: 'Tap' });
+        const parsed = parseTrace(JSON.stringify(recorder.toJSON()));
+        assert.deepEqual(parsed.entries.map((e) => [e.t, e.kind]), [[120, 'request'], [150, 'fire']]);
+        assert.deepEqual(parsed.file, { name: 'CSM.lottie' });
+    });
+
+    it('rejects files that are not traces, or of another version', () => {
+        assert.throws(() => parseTrace('{'), /Trace is not valid JSON/);
+        assert.throws(() => parseTrace(JSON.stringify({ format: 'other', version: 1, entries: [] })), /Not a trace file/);
+        assert.throws(() => parseTrace(JSON.stringify(trace([], { version: 0 }))), /Unsupported trace version 0/);
+        assert.throws(() => parseTrace(JSON.stringify(trace([], { version: 2 }))), /Unsupported trace version 2 \(this viewer reads version 1\)/);
+        assert.throws(() => parseTrace(JSON.stringify(trace(null))), /no "entries" array/);
+        assert.throws(() => parseTrace(JSON.stringify(trace([{ t: 0, kind: 'fire' }, { t: '5', kind: 'fire' }]))), /entry #1 needs a numeric "t"/);
+    });
+
+    it('says when the open file is not the one recorded', () => {
+        const recorded = trace([], { file: { name: 'CSM.lottie', sha256: 'aa' } });
+        assert.equal(describeFileMismatch(recorded, { name: 'CSM.lottie', sha256: 'aa' }), '');
+        assert.match(describeFileMismatch(recorded, { name: 'CSM.lottie', sha256: 'bb' }), /different version/);
+        assert.match(describeFileMismatch(trace([]), { name: 'other.lottie' }), /the open file is "other.lottie"/);
+    });
+});
+
+describe('isReplayable', () => {
+    it('keeps actions and drops what the machine regenerates', () => {
+        assert.equal(isReplayable({ kind: 'request', origin: 'user' }), true);
+        assert.equal(isReplayable({ kind: 'request', origin: 'load' }), true);
+        assert.equal(isReplayable({ kind: 'request', origin: 'retry' }), false);
+        assert.equal(isReplayable({ kind: 'request', origin: 'requeue' }), false);
+        for (const kind of ['set-input', 'override', 'fire']) assert.equal(isReplayable({ kind }), true, kind);
+        for (const kind of ['transition', 'state', 'error', 'load']) assert.equal(isReplayable({ kind }), false, kind);
+        assert.equal(isReplayable(null), false);
+    });
+});
+
+describe('replayTrace', () => {
+    const entries = [
+        { t: 0, kind: 'request', origin: 'load', value: 'Base' },
+        { t: 250, kind: 'transition', from: 'Base', to: 'Think' },
+        { t: 400, kind: 'fire', event: 'Tap' },
+        { t: 200, kind: 'request', origin: 'user', value: 'Think' },
+        { t: 300, kind: 'request', origin: 'retry', value: 'Think' },
+        { t: 900, kind: 'set-input', name: 'IdleCounter', value: 0 },
+    ];
+
+    it('performs the actions at their offsets, in time order, then finishes', () => {
+        const clock = createVirtualClock();
+        const performed = [];
+        let done = 0;
+        replayTrace(trace(entries), { perform: (entry) => performed.push([clock.now(), entry.kind]), onDone: () => done++, clock });
+        clock.advance(399);
+        assert.deepEqual(performed, [[0, 'request'], [200, 'request']]);
+        assert.equal(done, 0);
+        clock.advance(1000);
+        assert.deepEqual(performed, [[0, 'request'], [200, 'request'], [400, 'fire'], [900, 'set-input']]);
+        assert.equal(done, 1);
+        assert.equal(clock.pending, 0);
+    });
+
+    it('stops when cancelled', () => {
+        const clock = createVirtualClock();
+        const performed = [];
+        let done = 0;
+        const cancel = replayTrace(trace(entries), { perform: (entry) => performed.push(entry.kind), onDone: () => done++, clock });
+        clock.advance(250);
+        cancel();
+        clock.advance(10_000);
+        assert.deepEqual(performed, ['request', 'request']);
+        assert.equal(done, 0);
+        assert.equal(clock.pending, 0);
+    });
+
+    it('finishes at once when there is nothing to replay', () => {
+        const clock = createVirtualClock();
+        let done = 0;
+        replayTrace(trace([{ t: 10, kind: 'transition' }]), { perform: () => assert.fail('nothing to perform'), onDone: () => done++, clock });
+        assert.equal(done, 1);
+        assert.equal(clock.pending, 0);
+    });
+});
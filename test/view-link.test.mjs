@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { checkViewLink, formatViewLink, parseSegment, parseViewLink } from '../src/view-link.js';
+
+const base = 'https://eyes.example.com/';
+
+const csm = {
+    fileName: 'CSM.lottie',
+    animations: ['Main Scene'],
+    stateMachines: ['StateMachine1'],
+    states: ['Base', 'Peek', 'Think'],
+    themes: [],
+    markers: ['Peek_In', 'Peek_Loop'],
+    totalFrames: 930,
+};
+
+describe('parseViewLink', () => {
+    it('reads every key', () => {
+        const { link, errors } = parseViewLink(
+            '#src=https%3A%2F%2Fcdn.example.com%2Feyes.lottie&anim=dark&sm=SM&state=Think&bg=1E1E2E&speed=0.5&frame=120&segment=Peek_In&theme=dark',
+            { base },
+        );
+        assert.deepEqual(errors, []);
+        assert.deepEqual(link, {
+            src: 'https://cdn.example.com/eyes.lottie',
+            anim: 'dark',
+            sm: 'SM',
+            state: 'Think',
+            bg: { mode: 'solid', color: '#1e1e2e' },
+            speed: 0.5,
+            frame: 120,
+            segment: { marker: 'Peek_In' },
+            theme: 'dark',
+        });
+    });
+
+    it('tells frame ranges from marker names', () => {
+        assert.deepEqual(parseSegment('100-220'), { start: 100, end: 220 });
+        assert.deepEqual(parseSegment('Peek-In'), { marker: 'Peek-In' });
+        assert.deepEqual(parseViewLink('bg=checker&src=./CSM.lottie', { base }).link, {
+            bg: { mode: 'checker' },
+            src: './CSM.lottie',
+        });
+    });
+
+    it('keeps the valid keys and explains the rest', () => {
+        const { link, errors } = parseViewLink('state=Think&speed=fast&bg=blue&frame=-3&segment=220-100&src=javascript:alert(1)&zoom=2&theme=', { base });
+        assert.deepEqual(link, { state: 'Think' });
+        assert.deepEqual(errors, [
+            'speed must be a number from 0.05 to 10 (got "fast").',
+            'bg must be "checker" or a color like 1e1e2e (got "blue").',
+            'frame must be a frame number, 0 or more (got "-3").',
+            'segment 220-100 ends before it starts.',
+            'src must be an http(s) URL (got javascript:).',
+            'Unknown parameter "zoom" (expected src, anim, sm, state, bg, speed, frame, segment, theme).',
+            '"theme" is empty.',
+        ]);
+    });
+
+    it('round-trips through formatViewLink', () => {
+        const link = {
+            src: 'https://cdn.example.com/a b.lottie',
+            state: 'Peek',
+            bg: { mode: 'solid', color: '#eee5ff' },
+            speed: 1.5,
+            segment: { start: 100, end: 220 },
+            frame: 150,
+        };
+        const hash = formatViewLink(link);
+        assert.equal(hash, 'src=https%3A%2F%2Fcdn.example.com%2Fa+b.lottie&state=Peek&bg=eee5ff&speed=1.5&frame=150&segment=100-220');
+        assert.deepEqual(parseViewLink(hash, { base }).link, link);
+        assert.equal(formatViewLink({ state: 'Base', theme: undefined, sm: '' }), 'state=Base');
+    });
+});
+
+describe('checkViewLink', () => {
+    it('accepts what the file has', () => {
+        assert.deepEqual(checkViewLink({ sm: 'StateMachine1', state: 'Peek', segment: { marker: 'Peek_In' }, frame: 929 }, csm), []);
+    });
+
+    it('names what the file is missing and what it has instead', () => {
+        const errors = checkViewLink({
+            anim: 'dark',
+            sm: 'Other',
+            state: 'Dance',
+            theme: 'dark',
+            segment: { marker: 'Nope' },
+            frame: 2000,
+        }, csm);
+        assert.deepEqual(errors, [
+            'CSM.lottie has no animation "dark" (it has Main Scene).',
+            'CSM.lottie has no state machine "Other" (it has StateMachine1).',
+            '"Dance" is not a state of this machine (expected one of Base, Peek, Think).',
+            'CSM.lottie has no theme "dark" (it has none).',
+            'CSM.lottie has no marker "Nope" (it has Peek_In, Peek_Loop).',
+            'frame 2000 is past the last frame (929).',
+        ]);
+        assert.deepEqual(checkViewLink({ segment: { start: 900, end: 1000 } }, csm), [
+            'segment 900-1000 runs past the last frame (929).',
+        ]);
+    });
+});
@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { muxAnimatedWebp, readWebpChunks } from '../src/webp-animator.js';
+
+const ascii = (text) => [...text].map((c) => c.charCodeAt(0));
+const u32 = (n) => [n & 0xff, (n >> 8) & 0xff, (n >> 16) & 0xff, (n >>> 24) & 0xff];
+const u24At = (bytes, at) => bytes[at] | (bytes[at + 1] << 8) | (bytes[at + 2] << 16);
+const u32At = (bytes, at) => (u24At(bytes, at) | (bytes[at + 3] << 24)) >>> 0;
+
+// A still WebP file around the given chunks; the payloads are opaque to the muxer, so any bytes do.
+function still(...chunks) {
+    const body = [...ascii('WEBP')];
+    for (const [id, data] of chunks) {
+        body.push(...ascii(id), ...u32(data.length), ...data);
+        if (data.length & 1) body.push(0);
+    }
+    return Uint8Array.from([...ascii('RIFF'), ...u32(body.length), ...body]);
+}
+
+const lossless = (seed) => still(['VP8L', [0x2f, seed, 1, 2, 3]]);
+const lossyWithAlpha = (seed) => still(['VP8X', new Array(10).fill(0)], ['ALPH', [seed, 9]], ['VP8 ', [seed, 8, 7, 6]]);
+
+describe('readWebpChunks', () => {
+    it('splits a file into its chunks, skipping padding', () => {
+        const chunks = readWebpChunks(lossyWithAlpha(5));
+        assert.deepEqual(chunks.map((c) => [c.id, [...c.data]]), [['VP8X', new Array(10).fill(0)], ['ALPH', [5, 9]], ['VP8 ', [5, 8, 7, 6]]]);
+    });
+
+    it('rejects files that are not WebP or are cut short', () => {
+        assert.throws(() => readWebpChunks(Uint8Array.from(ascii('GIF89a......'))), /Not a WebP file/);
+        assert.throws(() => readWebpChunks(lossless(1).subarray(0, 22)), /Truncated WebP chunk VP8L/);
+    });
+});
+
+describe('muxAnimatedWebp', () => {
+    it('writes a RIFF whose size covers the rest of the file', () => {
+        const bytes = muxAnimatedWebp([lossless(1), lossless(2)], { width: 40, height: 30 });
+        assert.equal(String.fromCharCode(...bytes.subarray(0, 4)), 'RIFF');
+        assert.equal(u32At(bytes, 4), bytes.length - 8);
+        assert.equal(String.fromCharCode(...bytes.subarray(8, 12)), 'WEBP');
+        assert.equal(bytes.length % 2, 0);
+        assert.deepEqual(readWebpChunks(bytes).map((c) => c.id), ['VP8X', 'ANIM', 'ANMF', 'ANMF']);
+    });
+
+    it('sets the canvas size, flags, background and loop count', () => {
+        const [vp8x, anim] = readWebpChunks(muxAnimatedWebp([lossless(1)], { width: 300, height: 200, loop: 3, background: [10, 20, 30, 255] }));
+        assert.equal(vp8x.data.length, 10);
+        assert.equal(vp8x.data[0], 0x12); // animation, alpha (VP8L)
+        assert.deepEqual([u24At(vp8x.data, 4) + 1, u24At(vp8x.data, 7) + 1], [300, 200]);
+        assert.deepEqual([...anim.data], [30, 20, 10, 255, 3, 0]); // BGRA, then the loop count
+
+        const [opaque] = readWebpChunks(muxAnimatedWebp([still(['VP8 ', [1, 2]])], { width: 1, height: 1 }));
+        assert.equal(opaque.data[0], 0x02);
+    });
+
+    it('wraps each still in an ANMF frame with its delay and no blending', () => {
+        const stills = [lossyWithAlpha(1), lossless(2)];
+        const frames = readWebpChunks(muxAnimatedWebp(stills, { width: 64, height: 48, delays: [40.4, 0] })).filter((c) => c.id === 'ANMF');
+        assert.equal(frames.length, 2);
+        frames.forEach(({ data }, i) => {
+            assert.deepEqual([u24At(data, 0), u24At(data, 3)], [0, 0], 'offset');
+            assert.deepEqual([u24At(data, 6) + 1, u24At(data, 9) + 1], [64, 48], 'size');
+            assert.equal(data[15], 0x02, 'no blending, no disposal');
+            // The frame carries the still's image chunks verbatim, without its own VP8X.
+            const inner = readWebpChunks(Uint8Array.from([...ascii('RIFF'), ...u32(4 + data.length - 16), ...ascii('WEBP'), ...data.subarray(16)]));
+            const source = readWebpChunks(stills[i]).filter((c) => c.id !== 'VP8X');
+            assert.deepEqual(inner.map((c) => [c.id, [...c.data]]), source.map((c) => [c.id, [...c.data]]));
+        });
+        assert.deepEqual(frames.map(({ data }) => u24At(data, 12)), [40, 1]);
+    });
+
+    it('refuses frames without image data', () => {
+        assert.throws(() => muxAnimatedWebp([], { width: 1, height: 1 }), /no frames/);
+        assert.throws(() => muxAnimatedWebp([lossless(1), still(['ALPH', [1]])], { width: 1, height: 1 }), /Frame 1 has no image data/);
+    });
+});